@@ -1,11 +1,13 @@
 import React, { useState } from 'react';
-import { Routes, Route, useLocation, useParams } from 'react-router-dom';
+import { Routes, Route, Navigate, useLocation, useParams } from 'react-router-dom';
 import { Header } from './components/Header.jsx';
 import { BucketListView } from './components/BucketListView.jsx';
 import { FileListView } from './components/FileListView.jsx';
 import { FileDetailView } from './components/FileDetailView.jsx';
+import { BucketSettingsView } from './components/BucketSettingsView.jsx';
 import { RateLimitNotification } from './components/RateLimitNotification.jsx';
 import ErrorBoundary from './components/ErrorBoundary.jsx';
+import { normalizePrefix, buildFileDetailPath, parseLegacyFileDetailPath } from './utils/pathUtils.js';
 
 // Layout component that wraps all views with the header
 const Layout = ({ children }) => {
@@ -18,12 +20,11 @@ const Layout = ({ children }) => {
     customSizeMax: null
   });
   const location = useLocation();
+  const { bucketName = null, '*': prefixParam = '' } = useParams();
   
-  // Determine current view and selected bucket from route
+  // Determine current view and selected folder from route
   const currentView = location.pathname === '/' ? 'buckets' : 'files';
-  const bucketName = location.pathname.startsWith('/buckets/') 
-    ? decodeURIComponent(location.pathname.split('/')[2]) 
-    : null;
+  const currentPrefix = normalizePrefix(prefixParam);
 
   const handleRefresh = () => {
     // Trigger refresh by emitting a custom event that child components can listen to
@@ -40,11 +41,17 @@ const Layout = ({ children }) => {
     window.dispatchEvent(new CustomEvent('trigger-file-upload'));
   };
 
+  const handleCreateFolder = () => {
+    // The files view creates the folder inside the prefix being viewed
+    window.dispatchEvent(new CustomEvent('open-create-folder-modal'));
+  };
+
   return (
     <div className="min-h-screen bg-gray-50 flex flex-col">
       <Header
         currentView={currentView}
         selectedBucket={bucketName}
+        currentPrefix={currentPrefix}
         viewMode={viewMode}
         searchQuery={searchQuery}
         filters={filters}
@@ -57,6 +64,7 @@ const Layout = ({ children }) => {
         onRefresh={handleRefresh}
         onCreateBucket={handleCreateBucket}
         onUploadFiles={handleUploadFiles}
+        onCreateFolder={handleCreateFolder}
       />
       
       <main className="flex-1 p-6">
@@ -76,14 +84,28 @@ const BucketFilesPage = ({ viewMode, searchQuery, filters }) => {
   return <FileListView viewMode={viewMode} searchQuery={searchQuery} filters={filters} />;
 };
 
+// Folder listing, or a redirect for bookmarks of the old file detail URLs
+const BucketRoute = () => {
+  const location = useLocation();
+  const legacyFile = parseLegacyFileDetailPath(location.pathname);
+
+  if (legacyFile) {
+    return <Navigate to={buildFileDetailPath(legacyFile.bucketName, legacyFile.key)} replace />;
+  }
+
+  return <Layout><BucketFilesPage /></Layout>;
+};
+
 // Main App component with routing
 function App() {
   return (
     <ErrorBoundary>
       <Routes>
         <Route path="/" element={<Layout><HomePage /></Layout>} />
-        <Route path="/buckets/:bucketName" element={<Layout><BucketFilesPage /></Layout>} />
-        <Route path="/buckets/:bucketName/files/:fileKey" element={<FileDetailView />} />
+        {/* Everything after the bucket name is the folder prefix, e.g. /buckets/logs/2024/01/ */}
+        <Route path="/buckets/:bucketName/*" element={<BucketRoute />} />
+        <Route path="/file/:bucketName/:fileKey" element={<FileDetailView />} />
+        <Route path="/settings/:bucketName/:tab?" element={<BucketSettingsView />} />
         <Route path="*" element={
           <div className="min-h-screen bg-gray-50 flex items-center justify-center">
             <div className="text-center">
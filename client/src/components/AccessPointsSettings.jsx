@@ -0,0 +1,536 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { Network, Plus, Trash2, FileJson, FolderOpen, AlertCircle, AlertTriangle, CheckCircle } from 'lucide-react';
+import { accessPointApi } from '../services/api.js';
+import { useApi } from '../hooks/useApi.js';
+import { Modal, ConfirmModal } from './Modal.jsx';
+import { cn } from '../utils/cn.js';
+import { buildBucketPath } from '../utils/pathUtils.js';
+import { formatPolicy, validateAccessPointPolicyText } from '../utils/policyUtils.js';
+import { PUBLIC_ACCESS_BLOCK_SETTINGS } from '../utils/publicAccessUtils.js';
+import { NETWORK_ORIGIN_LABELS, isValidVpcId, validateAccessPointName } from '../utils/accessPointUtils.js';
+
+const getErrorMessage = (error) => (
+  error.data?.errors?.map(detail => detail.message).join('; ') || error.data?.message || error.message
+);
+
+const EMPTY_FORM = {
+  name: '',
+  networkOrigin: 'Internet',
+  vpcId: '',
+  publicAccessBlock: Object.fromEntries(PUBLIC_ACCESS_BLOCK_SETTINGS.map(setting => [setting.key, true]))
+};
+
+const CreateAccessPointModal = ({ isOpen, onClose, bucketName, onCreated }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saveError, setSaveError] = useState(null);
+
+  const { loading: saving, execute: createAccessPoint } = useApi();
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm(EMPTY_FORM);
+      setSaveError(null);
+    }
+  }, [isOpen]);
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const nameError = form.name ? validateAccessPointName(form.name) : null;
+  const vpcError = form.networkOrigin === 'VPC' && form.vpcId && !isValidVpcId(form.vpcId)
+    ? 'VPC ID must look like vpc-0123456789abcdef0'
+    : null;
+  const isComplete = form.name && !nameError && (form.networkOrigin === 'Internet' || (form.vpcId && !vpcError));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaveError(null);
+    try {
+      const response = await createAccessPoint(() => accessPointApi.create(bucketName, {
+        name: form.name,
+        vpcId: form.networkOrigin === 'VPC' ? form.vpcId : null,
+        publicAccessBlock: form.publicAccessBlock
+      }));
+      onCreated(response);
+      onClose();
+    } catch (error) {
+      console.error('Failed to create access point:', error);
+      setSaveError(getErrorMessage(error));
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Create Access Point" size="lg">
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => updateForm({ name: e.target.value.trim() })}
+            className={cn("input", nameError && "border-red-500 focus:ring-red-500")}
+            placeholder="analytics-readers"
+            autoFocus
+          />
+          {nameError && <p className="text-sm text-red-600 mt-1">{nameError}</p>}
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Network origin</label>
+          <div className="space-y-2">
+            <label className="flex items-center space-x-2">
+              <input
+                type="radio"
+                checked={form.networkOrigin === 'Internet'}
+                onChange={() => updateForm({ networkOrigin: 'Internet' })}
+              />
+              <span className="text-sm text-gray-700">Internet</span>
+            </label>
+            <label className="flex items-center space-x-2">
+              <input
+                type="radio"
+                checked={form.networkOrigin === 'VPC'}
+                onChange={() => updateForm({ networkOrigin: 'VPC' })}
+              />
+              <span className="text-sm text-gray-700">Virtual private cloud (VPC)</span>
+            </label>
+          </div>
+          {form.networkOrigin === 'VPC' && (
+            <div className="mt-3">
+              <input
+                type="text"
+                value={form.vpcId}
+                onChange={(e) => updateForm({ vpcId: e.target.value.trim() })}
+                className={cn("input", vpcError && "border-red-500 focus:ring-red-500")}
+                placeholder="vpc-0123456789abcdef0"
+              />
+              {vpcError && <p className="text-sm text-red-600 mt-1">{vpcError}</p>}
+              <p className="text-xs text-gray-500 mt-1">
+                Only requests from this VPC are accepted, so files can't be browsed through it from here.
+              </p>
+            </div>
+          )}
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Block Public Access</label>
+          <div className="space-y-3">
+            {PUBLIC_ACCESS_BLOCK_SETTINGS.map(setting => (
+              <label key={setting.key} className="flex items-start space-x-3 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={form.publicAccessBlock[setting.key]}
+                  onChange={(e) => updateForm({ publicAccessBlock: { ...form.publicAccessBlock, [setting.key]: e.target.checked } })}
+                  className="mt-1"
+                />
+                <div>
+                  <p className="text-sm font-medium text-gray-900">{setting.label}</p>
+                  <p className="text-xs text-gray-500">{setting.description}</p>
+                </div>
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-2">
+            These can't be changed after the access point is created. The bucket's own settings still apply.
+          </p>
+        </div>
+
+        {saveError && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-sm text-red-700">{saveError}</p>
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-3">
+          <button type="button" onClick={onClose} className="btn-secondary">
+            Cancel
+          </button>
+          <button type="submit" disabled={!isComplete || saving} className="btn-primary">
+            {saving ? 'Creating...' : 'Create Access Point'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+// Details and policy of one access point. The policy is edited as JSON like the bucket policy.
+const AccessPointPolicyModal = ({ accessPointName, onClose }) => {
+  const [accessPoint, setAccessPoint] = useState(null);
+  const [text, setText] = useState('');
+  const [savedText, setSavedText] = useState('');
+  const [saveError, setSaveError] = useState(null);
+  const [saveMessage, setSaveMessage] = useState(null);
+  const [showDelete, setShowDelete] = useState(false);
+
+  const { loading, error, execute: fetchAccessPoint } = useApi();
+  const { loading: saving, execute: savePolicy } = useApi();
+
+  const applyLoadedPolicy = (policy) => {
+    const formatted = policy ? formatPolicy(policy) : '';
+    setText(formatted);
+    setSavedText(formatted);
+  };
+
+  useEffect(() => {
+    if (!accessPointName) return;
+
+    setAccessPoint(null);
+    setSaveError(null);
+    setSaveMessage(null);
+    fetchAccessPoint(() => accessPointApi.get(accessPointName))
+      .then(response => {
+        setAccessPoint(response.accessPoint);
+        applyLoadedPolicy(response.accessPoint.policy);
+      })
+      .catch(error => console.error('Failed to load access point:', error));
+  }, [accessPointName, fetchAccessPoint]);
+
+  const validation = useMemo(
+    () => (text.trim() && accessPointName ? validateAccessPointPolicyText(text, accessPointName) : null),
+    [text, accessPointName]
+  );
+  const isDirty = text !== savedText;
+  const canSave = isDirty && validation && validation.errors.length === 0 && !saving;
+
+  const handleTextChange = (value) => {
+    setText(value);
+    setSaveMessage(null);
+  };
+
+  const handleSave = async () => {
+    setSaveError(null);
+    setSaveMessage(null);
+    try {
+      const response = await savePolicy(() => accessPointApi.setPolicy(accessPointName, validation.policy));
+      applyLoadedPolicy(response.policy);
+      setSaveMessage(response.message);
+    } catch (error) {
+      console.error('Failed to save access point policy:', error);
+      setSaveError(getErrorMessage(error));
+    }
+  };
+
+  const handleDelete = async () => {
+    setSaveError(null);
+    setSaveMessage(null);
+    try {
+      const response = await savePolicy(() => accessPointApi.deletePolicy(accessPointName));
+      applyLoadedPolicy(null);
+      setSaveMessage(response.message);
+    } catch (error) {
+      console.error('Failed to delete access point policy:', error);
+      setSaveError(getErrorMessage(error));
+    }
+  };
+
+  return (
+    <Modal isOpen={Boolean(accessPointName)} onClose={onClose} title={`Access Point: ${accessPointName}`} size="2xl">
+      {loading && !accessPoint && (
+        <div className="flex items-center justify-center py-8">
+          <div className="loading-spinner w-6 h-6"></div>
+          <p className="ml-3 text-gray-600">Loading access point...</p>
+        </div>
+      )}
+
+      {error && !accessPoint && (
+        <div className="text-center py-6">
+          <AlertCircle className="w-10 h-10 text-red-400 mx-auto mb-3" />
+          <p className="text-gray-700">Failed to load access point: {error.data?.message || error.message}</p>
+        </div>
+      )}
+
+      {accessPoint && (
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-4 text-sm">
+            <div>
+              <p className="font-medium text-gray-700">Network origin</p>
+              <p className="text-gray-600">
+                {NETWORK_ORIGIN_LABELS[accessPoint.networkOrigin] || accessPoint.networkOrigin}
+                {accessPoint.vpcId && <span className="font-mono text-xs ml-1">({accessPoint.vpcId})</span>}
+              </p>
+            </div>
+            <div>
+              <p className="font-medium text-gray-700">Block Public Access</p>
+              <ul className="text-gray-600">
+                {PUBLIC_ACCESS_BLOCK_SETTINGS.map(setting => (
+                  <li key={setting.key}>{setting.label}: {accessPoint.publicAccessBlock[setting.key] ? 'On' : 'Off'}</li>
+                ))}
+              </ul>
+            </div>
+          </div>
+
+          {accessPoint.arn && (
+            <div className="text-sm">
+              <p className="font-medium text-gray-700">ARN</p>
+              <p className="font-mono text-xs text-gray-600 break-all">{accessPoint.arn}</p>
+            </div>
+          )}
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <div className="flex items-center space-x-2">
+                <FileJson className="w-4 h-4 text-gray-400" />
+                <p className="text-sm font-medium text-gray-900">Policy</p>
+              </div>
+              {savedText && (
+                <button
+                  onClick={() => setShowDelete(true)}
+                  disabled={saving}
+                  className="btn-secondary flex items-center space-x-2"
+                >
+                  <Trash2 className="w-4 h-4 text-red-600" />
+                  <span>Delete Policy</span>
+                </button>
+              )}
+            </div>
+            <p className="text-xs text-gray-500 mb-2">
+              Requests through the access point must be allowed by both this policy and the bucket policy.
+            </p>
+            <textarea
+              value={text}
+              onChange={(e) => handleTextChange(e.target.value)}
+              className="input font-mono text-sm h-64"
+              spellCheck={false}
+              placeholder={'{\n  "Version": "2012-10-17",\n  "Statement": []\n}'}
+            />
+          </div>
+
+          {validation && validation.errors.length > 0 && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+              <ul className="text-sm text-red-700 list-disc list-inside space-y-1">
+                {validation.errors.map(message => <li key={message}>{message}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {validation && validation.warnings.length > 0 && (
+            <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg">
+              <div className="flex items-start space-x-2">
+                <AlertTriangle className="w-4 h-4 text-amber-600 mt-0.5 flex-shrink-0" />
+                <ul className="text-sm text-amber-800 space-y-1">
+                  {validation.warnings.map(message => <li key={message}>{message}</li>)}
+                </ul>
+              </div>
+            </div>
+          )}
+
+          {saveError && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+              <p className="text-sm text-red-700">{saveError}</p>
+            </div>
+          )}
+
+          {saveMessage && !isDirty && (
+            <div className="flex items-center space-x-2 p-3 bg-green-50 border border-green-200 rounded-lg">
+              <CheckCircle className="w-4 h-4 text-green-600" />
+              <p className="text-sm text-green-700">{saveMessage}</p>
+            </div>
+          )}
+
+          <div className="flex items-center justify-end space-x-3">
+            <button
+              onClick={() => handleTextChange(savedText)}
+              disabled={!isDirty || saving}
+              className="btn-secondary"
+            >
+              Discard Changes
+            </button>
+            <button onClick={handleSave} disabled={!canSave} className="btn-primary">
+              {saving ? 'Saving...' : 'Save Policy'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <ConfirmModal
+        isOpen={showDelete}
+        onClose={() => setShowDelete(false)}
+        onConfirm={handleDelete}
+        title="Delete Access Point Policy"
+        message="Delete this access point's policy? Access through it then depends on the bucket policy and IAM alone."
+        confirmText="Delete"
+        variant="danger"
+      />
+    </Modal>
+  );
+};
+
+export const AccessPointsSettings = ({ bucketName }) => {
+  const [accessPoints, setAccessPoints] = useState(null);
+  const [showCreate, setShowCreate] = useState(false);
+  const [selectedName, setSelectedName] = useState(null);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const [saveMessage, setSaveMessage] = useState(null);
+
+  const { loading, error, execute: fetchAccessPoints } = useApi();
+  const { loading: deleting, execute: deleteAccessPoint } = useApi();
+
+  const loadAccessPoints = useCallback(async () => {
+    try {
+      const response = await fetchAccessPoints(() => accessPointApi.list(bucketName));
+      setAccessPoints(response.accessPoints);
+    } catch (error) {
+      console.error('Failed to load access points:', error);
+    }
+  }, [bucketName, fetchAccessPoints]);
+
+  useEffect(() => {
+    loadAccessPoints();
+  }, [loadAccessPoints]);
+
+  const handleCreated = (response) => {
+    setSaveError(null);
+    setSaveMessage(response.message);
+    loadAccessPoints();
+  };
+
+  const handleDelete = async () => {
+    setSaveError(null);
+    setSaveMessage(null);
+    try {
+      const response = await deleteAccessPoint(() => accessPointApi.delete(deleteTarget));
+      setSaveMessage(response.message);
+      await loadAccessPoints();
+    } catch (error) {
+      console.error('Failed to delete access point:', error);
+      setSaveError(getErrorMessage(error));
+    }
+  };
+
+  if (loading && !accessPoints) {
+    return (
+      <div className="card p-6 flex items-center justify-center">
+        <div className="loading-spinner w-6 h-6"></div>
+        <p className="ml-3 text-gray-600">Loading access points...</p>
+      </div>
+    );
+  }
+
+  if (error && !accessPoints) {
+    return (
+      <div className="card p-6 text-center">
+        <AlertCircle className="w-10 h-10 text-red-400 mx-auto mb-3" />
+        <p className="text-gray-700 mb-4">Failed to load access points: {error.data?.message || error.message}</p>
+        <button onClick={loadAccessPoints} className="btn-secondary">
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (!accessPoints) return null;
+
+  return (
+    <div className="card p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <Network className="w-5 h-5 text-gray-400" />
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Access Points</h2>
+            <p className="text-sm text-gray-500 mt-1">
+              Named endpoints for this bucket, each with its own network origin, Block Public Access settings and policy.
+            </p>
+          </div>
+        </div>
+        <button onClick={() => setShowCreate(true)} className="btn-primary flex items-center space-x-2 whitespace-nowrap ml-4">
+          <Plus className="w-4 h-4" />
+          <span>Create Access Point</span>
+        </button>
+      </div>
+
+      {accessPoints.length === 0 ? (
+        <p className="text-sm text-gray-500">This bucket has no access points in this region.</p>
+      ) : (
+        <div className="border border-gray-200 rounded-lg">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-left text-gray-700">
+              <tr>
+                <th className="px-4 py-2 font-medium">Name</th>
+                <th className="px-4 py-2 font-medium">Network origin</th>
+                <th className="px-4 py-2 font-medium">Alias</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {accessPoints.map(accessPoint => (
+                <tr key={accessPoint.name}>
+                  <td className="px-4 py-2 text-gray-900 break-all">{accessPoint.name}</td>
+                  <td className="px-4 py-2 text-gray-600">
+                    {NETWORK_ORIGIN_LABELS[accessPoint.networkOrigin] || accessPoint.networkOrigin}
+                    {accessPoint.vpcId && <span className="block font-mono text-xs">{accessPoint.vpcId}</span>}
+                  </td>
+                  <td className="px-4 py-2 font-mono text-xs text-gray-600 break-all">{accessPoint.alias || '—'}</td>
+                  <td className="px-4 py-2">
+                    <div className="flex items-center justify-end space-x-1">
+                      {accessPoint.alias && accessPoint.networkOrigin === 'Internet' && (
+                        <Link
+                          to={buildBucketPath(accessPoint.alias)}
+                          className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+                          title="Browse files through this access point"
+                        >
+                          <FolderOpen className="w-4 h-4 text-gray-600" />
+                        </Link>
+                      )}
+                      <button
+                        onClick={() => setSelectedName(accessPoint.name)}
+                        className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+                        title="Details and policy"
+                      >
+                        <FileJson className="w-4 h-4 text-gray-600" />
+                      </button>
+                      <button
+                        onClick={() => setDeleteTarget(accessPoint.name)}
+                        disabled={deleting}
+                        className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+                        title="Delete access point"
+                      >
+                        <Trash2 className="w-4 h-4 text-red-600" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {saveError && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">{saveError}</p>
+        </div>
+      )}
+
+      {saveMessage && (
+        <div className="flex items-center space-x-2 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <CheckCircle className="w-4 h-4 text-green-600" />
+          <p className="text-sm text-green-700">{saveMessage}</p>
+        </div>
+      )}
+
+      <CreateAccessPointModal
+        isOpen={showCreate}
+        onClose={() => setShowCreate(false)}
+        bucketName={bucketName}
+        onCreated={handleCreated}
+      />
+
+      <AccessPointPolicyModal
+        accessPointName={selectedName}
+        onClose={() => setSelectedName(null)}
+      />
+
+      <ConfirmModal
+        isOpen={Boolean(deleteTarget)}
+        onClose={() => setDeleteTarget(null)}
+        onConfirm={handleDelete}
+        title="Delete Access Point"
+        message={`Delete access point "${deleteTarget}"? Applications using its alias or ARN lose access. The bucket and its files are not affected.`}
+        confirmText="Delete"
+        variant="danger"
+      />
+    </div>
+  );
+};
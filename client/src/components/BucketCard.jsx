@@ -6,16 +6,20 @@ import {
   CheckCircle, 
   MoreVertical,
   Trash2,
-  Settings
+  Eraser,
+  Settings,
+  ShieldAlert
 } from 'lucide-react';
 import { cn } from '../utils/cn.js';
 import { formatFileSize, formatDate } from '../utils/fileUtils.js';
 
 export const BucketCard = ({ 
   bucket, 
+  exposure,
   onSelect, 
   onDelete, 
-  onSettings 
+  onSettings,
+  onEmpty
 }) => {
   const handleMoreClick = (e) => {
     e.stopPropagation();
@@ -44,6 +48,18 @@ export const BucketCard = ({
             >
               <Settings className="w-4 h-4 text-gray-600" />
             </button>
+            {onEmpty && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onEmpty(bucket);
+                }}
+                className="p-2 hover:bg-red-50 rounded-lg transition-colors"
+                title="Empty bucket"
+              >
+                <Eraser className="w-4 h-4 text-red-600" />
+              </button>
+            )}
             <button
               onClick={(e) => {
                 e.stopPropagation();
@@ -79,6 +95,24 @@ export const BucketCard = ({
               {bucket.creationDate ? formatDate(bucket.creationDate) : 'Unknown'}
             </span>
           </div>
+
+          {exposure && exposure.status !== 'private' && (
+            <div
+              className={cn(
+                "flex items-start space-x-1 px-2 py-1 rounded text-xs border",
+                exposure.status === 'public'
+                  ? "bg-red-50 text-red-700 border-red-200"
+                  : "bg-yellow-50 text-yellow-800 border-yellow-200"
+              )}
+              title={exposure.reasons.join('\n')}
+            >
+              <ShieldAlert className="w-3 h-3 flex-shrink-0 mt-0.5" />
+              <span>
+                <span className="font-medium">{exposure.status === 'public' ? 'Public' : 'Could become public'}</span>
+                {exposure.reasons[0] && `: ${exposure.reasons[0]}`}
+              </span>
+            </div>
+          )}
         </div>
       </div>
       
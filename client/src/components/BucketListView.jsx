@@ -1,12 +1,17 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { ShieldCheck, ShieldAlert } from 'lucide-react';
 import { BucketCard } from './BucketCard.jsx';
 import { CreateBucketModal } from './CreateBucketModal.jsx';
 import { ConfirmModal } from './Modal.jsx';
 import { StatsGrid } from './StatsCard.jsx';
+import { EncryptionReportModal } from './EncryptionReportModal.jsx';
+import { PublicExposureReportModal } from './PublicExposureReportModal.jsx';
+import { EmptyBucketModal } from './EmptyBucketModal.jsx';
 import { useApi, useApiState } from '../hooks/useApi.js';
-import { bucketApi } from '../services/api.js';
+import { bucketApi, securityApi } from '../services/api.js';
 import { cn } from '../utils/cn.js';
+import { buildBucketPath, buildBucketSettingsPath } from '../utils/pathUtils.js';
 
 export const BucketListView = ({ viewMode, searchQuery, onCreateBucket }) => {
   const navigate = useNavigate();
@@ -19,11 +24,27 @@ export const BucketListView = ({ viewMode, searchQuery, onCreateBucket }) => {
   const [accessPointInfo, setAccessPointInfo] = useState(null);
   const [errorMessage, setErrorMessage] = useState(null);
   const [showErrorModal, setShowErrorModal] = useState(false);
+  const [showEncryptionReport, setShowEncryptionReport] = useState(false);
+  const [showExposureReport, setShowExposureReport] = useState(false);
+  // Bucket being emptied: { name, deleteAfter }
+  const [emptyTarget, setEmptyTarget] = useState(null);
   
   // API hooks
   const { data: buckets, loading: bucketsLoading, execute: fetchBuckets } = useApiState([]);
   const { execute: createBucket } = useApi();
   const { execute: deleteBucket } = useApi();
+  const {
+    data: exposureReport,
+    loading: exposureLoading,
+    error: exposureError,
+    execute: fetchExposureReport
+  } = useApiState(null);
+
+  const loadExposureReport = useCallback(() => {
+    fetchExposureReport(() => securityApi.getPublicExposureReport()).catch(error => {
+      console.error('Failed to check public exposure:', error);
+    });
+  }, [fetchExposureReport]);
 
   // Load initial data
   useEffect(() => {
@@ -31,7 +52,8 @@ export const BucketListView = ({ viewMode, searchQuery, onCreateBucket }) => {
       const response = await bucketApi.list();
       return response.buckets || [];
     });
-  }, [fetchBuckets]);
+    loadExposureReport();
+  }, [fetchBuckets, loadExposureReport]);
 
   // Listen for events from header
   useEffect(() => {
@@ -41,6 +63,7 @@ export const BucketListView = ({ viewMode, searchQuery, onCreateBucket }) => {
         const response = await bucketApi.list();
         return response.buckets || [];
       });
+      loadExposureReport();
     };
 
     window.addEventListener('open-create-bucket-modal', handleCreateBucket);
@@ -50,7 +73,12 @@ export const BucketListView = ({ viewMode, searchQuery, onCreateBucket }) => {
       window.removeEventListener('open-create-bucket-modal', handleCreateBucket);
       window.removeEventListener('refresh-data', handleRefresh);
     };
-  }, [fetchBuckets]);
+  }, [fetchBuckets, loadExposureReport]);
+
+  // Exposure by bucket name, for the badges on each card
+  const exposureByBucket = Object.fromEntries(
+    (exposureReport?.buckets || []).filter(entry => !entry.error).map(entry => [entry.bucket, entry])
+  );
 
   // Filter data based on search query
   const filteredBuckets = (buckets || []).filter(bucket =>
@@ -58,11 +86,11 @@ export const BucketListView = ({ viewMode, searchQuery, onCreateBucket }) => {
   );
 
   const handleBucketSelect = useCallback((bucket) => {
-    navigate(`/buckets/${encodeURIComponent(bucket.name)}`);
+    navigate(buildBucketPath(bucket.name));
   }, [navigate]);
 
   const handleCreateBucket = useCallback(async (bucketData) => {
-    await createBucket(() => bucketApi.create(bucketData.name, bucketData.region));
+    await createBucket(() => bucketApi.create(bucketData.name, bucketData.region, { objectLockEnabled: bucketData.objectLockEnabled }));
     await fetchBuckets(async () => {
       const response = await bucketApi.list();
       return response.buckets || [];
@@ -87,7 +115,11 @@ export const BucketListView = ({ viewMode, searchQuery, onCreateBucket }) => {
       setShowDeleteModal(false);
       
       // Handle different types of errors
-      if (error.code === 'BUCKET_HAS_ACCESS_POINTS') {
+      if (/contains objects|not empty/.test(error.data?.message || '')) {
+        // Offer to empty it first (old versions count too), with deletion already ticked
+        setEmptyTarget({ name: deleteTarget.name, deleteAfter: true });
+        setDeleteTarget(null);
+      } else if (error.code === 'BUCKET_HAS_ACCESS_POINTS') {
         // Show access point confirmation modal
         setAccessPointInfo({
           bucketName: deleteTarget.name,
@@ -156,6 +188,23 @@ export const BucketListView = ({ viewMode, searchQuery, onCreateBucket }) => {
     <>
       {/* Buckets Statistics */}
       <StatsGrid buckets={buckets || []} files={[]} />
+
+      <div className="flex justify-end space-x-3 mb-4">
+        <button
+          onClick={() => setShowExposureReport(true)}
+          className="btn-secondary flex items-center space-x-2"
+        >
+          <ShieldAlert className="w-4 h-4" />
+          <span>Public Exposure</span>
+        </button>
+        <button
+          onClick={() => setShowEncryptionReport(true)}
+          className="btn-secondary flex items-center space-x-2"
+        >
+          <ShieldCheck className="w-4 h-4" />
+          <span>Encryption Report</span>
+        </button>
+      </div>
       
       {/* Buckets Grid/List */}
       {bucketsLoading ? (
@@ -179,21 +228,34 @@ export const BucketListView = ({ viewMode, searchQuery, onCreateBucket }) => {
             <BucketCard
               key={bucket.name}
               bucket={bucket}
+              exposure={exposureByBucket[bucket.name]}
               onSelect={handleBucketSelect}
               onDelete={(bucket) => {
                 setDeleteTarget(bucket);
                 setShowDeleteModal(true);
               }}
-              onSettings={(bucket) => {
-                // TODO: Implement bucket settings
-                console.log('Settings for bucket:', bucket.name);
-              }}
+              onSettings={(bucket) => navigate(buildBucketSettingsPath(bucket.name))}
+              onEmpty={(bucket) => setEmptyTarget({ name: bucket.name, deleteAfter: false })}
             />
           ))}
         </div>
       )}
 
       {/* Modals */}
+      <EncryptionReportModal
+        isOpen={showEncryptionReport}
+        onClose={() => setShowEncryptionReport(false)}
+      />
+
+      <PublicExposureReportModal
+        isOpen={showExposureReport}
+        onClose={() => setShowExposureReport(false)}
+        report={exposureReport}
+        loading={exposureLoading}
+        error={exposureError}
+        onRefresh={loadExposureReport}
+      />
+
       <CreateBucketModal
         isOpen={showCreateModal}
         onClose={() => setShowCreateModal(false)}
@@ -210,6 +272,14 @@ export const BucketListView = ({ viewMode, searchQuery, onCreateBucket }) => {
         variant="danger"
       />
 
+      <EmptyBucketModal
+        isOpen={Boolean(emptyTarget)}
+        onClose={() => setEmptyTarget(null)}
+        bucketName={emptyTarget?.name}
+        deleteAfter={emptyTarget?.deleteAfter}
+        onComplete={handleRefresh}
+      />
+
       <ConfirmModal
         isOpen={showErrorModal}
         onClose={() => setShowErrorModal(false)}
@@ -0,0 +1,177 @@
+import React, { useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { ArrowLeft, FolderOpen, File, HardDrive, Settings, AlertCircle } from 'lucide-react';
+import { bucketApi, bucketSettingsApi } from '../services/api.js';
+import { useApiState } from '../hooks/useApi.js';
+import { formatFileSize } from '../utils/fileUtils.js';
+import { cn } from '../utils/cn.js';
+import { buildBucketPath, buildBucketSettingsPath } from '../utils/pathUtils.js';
+import { VersioningSettings } from './VersioningSettings.jsx';
+import { LifecycleSettings } from './LifecycleSettings.jsx';
+import { PolicySettings } from './PolicySettings.jsx';
+import { CorsSettings } from './CorsSettings.jsx';
+import { EncryptionSettings } from './EncryptionSettings.jsx';
+import { ObjectLockSettings } from './ObjectLockSettings.jsx';
+import { PublicAccessSettings } from './PublicAccessSettings.jsx';
+import { OwnershipSettings } from './OwnershipSettings.jsx';
+import { WebsiteSettings } from './WebsiteSettings.jsx';
+import { AccessPointsSettings } from './AccessPointsSettings.jsx';
+import { NotificationSettings } from './NotificationSettings.jsx';
+import { TagEditor } from './TagEditor.jsx';
+import { MAX_BUCKET_TAGS } from '../utils/tagUtils.js';
+
+const BucketOverview = ({ bucketName }) => {
+  const { data: bucket, loading, error, execute: fetchBucket } = useApiState(null);
+
+  useEffect(() => {
+    fetchBucket(async () => {
+      const response = await bucketApi.get(bucketName);
+      return response.bucket;
+    }).catch(error => console.error('Failed to load bucket details:', error));
+  }, [bucketName, fetchBucket]);
+
+  if (loading && !bucket) {
+    return (
+      <div className="card p-6 flex items-center justify-center">
+        <div className="loading-spinner w-6 h-6"></div>
+        <p className="ml-3 text-gray-600">Loading bucket details...</p>
+      </div>
+    );
+  }
+
+  if (error && !bucket) {
+    return (
+      <div className="card p-6 text-center">
+        <AlertCircle className="w-10 h-10 text-red-400 mx-auto mb-3" />
+        <p className="text-gray-700">Failed to load bucket details: {error.data?.message || error.message}</p>
+      </div>
+    );
+  }
+
+  if (!bucket) return null;
+
+  return (
+    <div className="card p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4">Overview</h2>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="flex items-start space-x-3">
+          <File className="w-5 h-5 text-gray-400 mt-0.5" />
+          <div>
+            <p className="text-sm font-medium text-gray-700">Objects</p>
+            <p className="text-sm text-gray-600">
+              {bucket.hasObjects ? 'Contains objects' : 'Empty'}
+            </p>
+          </div>
+        </div>
+        <div className="flex items-start space-x-3">
+          <HardDrive className="w-5 h-5 text-gray-400 mt-0.5" />
+          <div>
+            <p className="text-sm font-medium text-gray-700">Total Size (current versions)</p>
+            <p className="text-sm text-gray-600">{formatFileSize(bucket.totalSize || 0)}</p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const BucketTags = ({ bucketName }) => {
+  const loadTags = useCallback(() => bucketSettingsApi.getTags(bucketName), [bucketName]);
+  const saveTags = useCallback((tags) => bucketSettingsApi.setTags(bucketName, tags), [bucketName]);
+
+  return (
+    <TagEditor
+      title="Bucket Tags"
+      description="Bucket tags show up in cost allocation reports once activated in the billing console. They are not inherited by objects."
+      maxTags={MAX_BUCKET_TAGS}
+      loadTags={loadTags}
+      saveTags={saveTags}
+    />
+  );
+};
+
+// Tabs of the settings page; each renders one area of bucket configuration
+const SETTINGS_TABS = [
+  { id: 'overview', label: 'Overview', component: BucketOverview },
+  { id: 'versioning', label: 'Versioning', component: VersioningSettings },
+  { id: 'lifecycle', label: 'Lifecycle', component: LifecycleSettings },
+  { id: 'policy', label: 'Policy', component: PolicySettings },
+  { id: 'public-access', label: 'Public Access', component: PublicAccessSettings },
+  { id: 'ownership', label: 'Ownership', component: OwnershipSettings },
+  { id: 'access-points', label: 'Access Points', component: AccessPointsSettings },
+  { id: 'cors', label: 'CORS', component: CorsSettings },
+  { id: 'website', label: 'Website', component: WebsiteSettings },
+  { id: 'notifications', label: 'Events', component: NotificationSettings },
+  { id: 'encryption', label: 'Encryption', component: EncryptionSettings },
+  { id: 'object-lock', label: 'Object Lock', component: ObjectLockSettings },
+  { id: 'tags', label: 'Tags', component: BucketTags }
+];
+
+export const BucketSettingsView = () => {
+  const { bucketName, tab = SETTINGS_TABS[0].id } = useParams();
+  const navigate = useNavigate();
+
+  const activeTab = SETTINGS_TABS.find(settingsTab => settingsTab.id === tab) || SETTINGS_TABS[0];
+  const TabComponent = activeTab.component;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white border-b border-gray-200">
+        <div className="px-6 py-4">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-4">
+              <button
+                onClick={() => navigate('/')}
+                className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+                title="Back to buckets"
+              >
+                <ArrowLeft className="w-5 h-5 text-gray-600" />
+              </button>
+              <div>
+                <h1 className="text-2xl font-bold text-gray-900 flex items-center space-x-2">
+                  <Settings className="w-6 h-6 text-gray-400" />
+                  <span className="truncate max-w-md" title={bucketName}>{bucketName}</span>
+                </h1>
+                <p className="text-sm text-gray-500 mt-1">Bucket settings</p>
+              </div>
+            </div>
+
+            <Link
+              to={buildBucketPath(bucketName)}
+              className="btn-secondary flex items-center space-x-2"
+            >
+              <FolderOpen className="w-4 h-4" />
+              <span>View Files</span>
+            </Link>
+          </div>
+        </div>
+
+        {/* Tabs */}
+        <div className="px-6 flex space-x-6 overflow-x-auto">
+          {SETTINGS_TABS.map(settingsTab => (
+            <Link
+              key={settingsTab.id}
+              to={buildBucketSettingsPath(bucketName, settingsTab.id)}
+              className={cn(
+                "py-3 text-sm font-medium border-b-2 transition-colors whitespace-nowrap",
+                activeTab.id === settingsTab.id
+                  ? "border-primary-600 text-primary-600"
+                  : "border-transparent text-gray-500 hover:text-gray-700"
+              )}
+            >
+              {settingsTab.label}
+            </Link>
+          ))}
+        </div>
+      </div>
+
+      {/* Main Content */}
+      <div className="p-6">
+        <div className="max-w-4xl mx-auto">
+          <TabComponent key={bucketName} bucketName={bucketName} />
+        </div>
+      </div>
+    </div>
+  );
+};
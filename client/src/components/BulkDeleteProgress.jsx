@@ -7,7 +7,7 @@ export const BulkDeleteProgress = ({
   files, 
   completedFiles, 
   failedFiles, 
-  currentFile, 
+  currentBatch = [], 
   onCancel 
 }) => {
   // ALL HOOKS MUST BE AT THE TOP LEVEL
@@ -49,6 +49,9 @@ export const BulkDeleteProgress = ({
     !failedFiles.some(f => f.key === file.key)
   );
   
+  // Files in the batch request that is in flight
+  const currentKeys = new Set(currentBatch.map(file => file.key));
+  
   const deletedFiles = completedFiles;
   const errorFiles = failedFiles;
 
@@ -140,7 +143,7 @@ export const BulkDeleteProgress = ({
               </div>
             ) : (
               inProgressFiles.map((file) => {
-                const isCurrent = currentFile?.key === file.key;
+                const isCurrent = currentKeys.has(file.key);
                 
                 return (
                   <div key={file.key} className="flex items-center space-x-3 p-2 rounded-lg">
@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react';
+import { AlertCircle } from 'lucide-react';
+import { Modal } from './Modal.jsx';
+import { TagInputs } from './TagEditor.jsx';
+import { bucketApi, fileApi } from '../services/api.js';
+import { useApi } from '../hooks/useApi.js';
+import { cleanTags, validateTags } from '../utils/tagUtils.js';
+import { validateFileKey } from '../utils/pathUtils.js';
+
+const toRows = (metadata = {}) => Object.entries(metadata).map(([key, value]) => ({ key, value }));
+
+const METADATA_NAME = /^[A-Za-z0-9_.-]{1,128}$/;
+
+// Suggested key for a copy in the same bucket: "report.pdf" -> "report copy.pdf"
+const suggestCopyKey = (key) => {
+  const match = key.match(/^(.*?)(\.[^./]+)?$/);
+  return `${match[1]} copy${match[2] || ''}`;
+};
+
+// Copies or moves a file (mode 'copy' | 'move') to another key and/or bucket, server-side
+export const CopyMoveModal = ({ isOpen, onClose, bucketName, file, mode = 'copy', onComplete }) => {
+  const [buckets, setBuckets] = useState([]);
+  const [destinationBucket, setDestinationBucket] = useState(bucketName);
+  const [destinationKey, setDestinationKey] = useState('');
+  const [replaceAttributes, setReplaceAttributes] = useState(false);
+  const [contentType, setContentType] = useState('');
+  const [metadata, setMetadata] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [overwrite, setOverwrite] = useState(false);
+  const [destinationExists, setDestinationExists] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+
+  const { loading: loadingAttributes, execute: fetchAttributes } = useApi();
+  const { loading: submitting, execute: submitTransfer } = useApi();
+
+  useEffect(() => {
+    if (!isOpen || !file) return;
+
+    setDestinationBucket(bucketName);
+    setDestinationKey(mode === 'copy' ? suggestCopyKey(file.key) : file.key);
+    setReplaceAttributes(false);
+    setOverwrite(false);
+    setDestinationExists(false);
+    setSubmitError(null);
+
+    bucketApi.list()
+      .then(response => setBuckets(response.buckets || []))
+      .catch(error => console.error('Failed to load buckets:', error));
+  }, [isOpen, file, bucketName, mode]);
+
+  // Start from the source's values so "replace" means editing them
+  const handleReplaceChange = async (replace) => {
+    setReplaceAttributes(replace);
+    if (!replace) return;
+
+    try {
+      const [metadataResponse, tagsResponse] = await fetchAttributes(() => Promise.all([
+        fileApi.getMetadata(bucketName, file.key),
+        fileApi.getTags(bucketName, file.key)
+      ]));
+      setContentType(metadataResponse.metadata.contentType || '');
+      setMetadata(toRows(metadataResponse.metadata.metadata));
+      setTags(tagsResponse.tags);
+    } catch (error) {
+      console.error('Failed to load file metadata and tags:', error);
+      setSubmitError('Could not load the current metadata and tags');
+    }
+  };
+
+  const isSameFile = destinationBucket === bucketName && destinationKey === file?.key;
+  const errors = [
+    validateFileKey(destinationKey),
+    isSameFile && (mode === 'move' || !replaceAttributes) && 'Choose a different bucket or key',
+    ...(replaceAttributes ? validateTags(tags) : []),
+    replaceAttributes && cleanTags(metadata).some(row => !METADATA_NAME.test(row.key)) &&
+      'Metadata names can only contain letters, numbers, hyphens, underscores and dots'
+  ].filter(Boolean);
+
+  const handleSubmit = async () => {
+    setSubmitError(null);
+    const options = {
+      destinationBucket,
+      destinationKey,
+      overwrite,
+      ...(replaceAttributes && {
+        contentType: contentType.trim() || undefined,
+        metadata: Object.fromEntries(cleanTags(metadata).map(row => [row.key, row.value])),
+        tags: cleanTags(tags)
+      })
+    };
+
+    try {
+      const transfer = mode === 'move' ? fileApi.move : fileApi.copy;
+      const response = await submitTransfer(() => transfer(bucketName, file.key, options));
+      onComplete?.(response.file);
+      onClose();
+    } catch (error) {
+      console.error(`Failed to ${mode} file:`, error);
+      setDestinationExists(error.status === 409);
+      setSubmitError(error.data?.errors?.map(detail => detail.message).join('; ') || error.data?.message || error.message);
+    }
+  };
+
+  if (!file) return null;
+
+  const verb = mode === 'move' ? 'Move' : 'Copy';
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={`${verb} File`} size="lg">
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600 break-all">
+          {verb} <span className="font-medium text-gray-900">{file.key}</span> from {bucketName}
+        </p>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Destination bucket</label>
+          <select
+            value={destinationBucket}
+            onChange={(e) => setDestinationBucket(e.target.value)}
+            className="input"
+          >
+            {!buckets.some(bucket => bucket.name === bucketName) && (
+              <option value={bucketName}>{bucketName}</option>
+            )}
+            {buckets.map(bucket => (
+              <option key={bucket.name} value={bucket.name}>{bucket.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Destination key</label>
+          <input
+            type="text"
+            value={destinationKey}
+            onChange={(e) => {
+              setDestinationKey(e.target.value);
+              setDestinationExists(false);
+            }}
+            className="input font-mono text-sm"
+            placeholder="folder/name.ext"
+          />
+        </div>
+
+        <div className="space-y-2">
+          <p className="text-sm font-medium text-gray-700">Metadata and tags</p>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="radio"
+              name="copy-attributes"
+              checked={!replaceAttributes}
+              onChange={() => handleReplaceChange(false)}
+            />
+            <span>Keep the source's metadata and tags</span>
+          </label>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="radio"
+              name="copy-attributes"
+              checked={replaceAttributes}
+              onChange={() => handleReplaceChange(true)}
+            />
+            <span>Replace them</span>
+          </label>
+        </div>
+
+        {replaceAttributes && (
+          loadingAttributes ? (
+            <div className="flex items-center py-2">
+              <div className="loading-spinner w-5 h-5"></div>
+              <p className="ml-3 text-sm text-gray-600">Loading metadata and tags...</p>
+            </div>
+          ) : (
+            <div className="space-y-4 pl-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Content type</label>
+                <input
+                  type="text"
+                  value={contentType}
+                  onChange={(e) => setContentType(e.target.value)}
+                  className="input text-sm"
+                  placeholder="application/octet-stream"
+                />
+              </div>
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-2">Metadata</p>
+                <TagInputs tags={metadata} onChange={setMetadata} maxTags={50} />
+              </div>
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-2">Tags</p>
+                <TagInputs tags={tags} onChange={setTags} />
+              </div>
+            </div>
+          )
+        )}
+
+        {errors.length > 0 && destinationKey && (
+          <ul className="text-sm text-red-600 list-disc list-inside space-y-1">
+            {errors.map(message => <li key={message}>{message}</li>)}
+          </ul>
+        )}
+
+        {submitError && (
+          <div className="flex items-start space-x-2 p-3 bg-red-50 border border-red-200 rounded-lg">
+            <AlertCircle className="w-4 h-4 text-red-600 mt-0.5 flex-shrink-0" />
+            <p className="text-sm text-red-700">{submitError}</p>
+          </div>
+        )}
+
+        {(destinationExists || overwrite) && (
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={overwrite}
+              onChange={(e) => setOverwrite(e.target.checked)}
+            />
+            <span>Overwrite the existing file</span>
+          </label>
+        )}
+
+        <p className="text-xs text-gray-500">
+          The copy is made inside S3, so large files don't pass through your browser. It gets the destination bucket's default encryption.
+        </p>
+
+        <div className="flex justify-end space-x-3">
+          <button onClick={onClose} disabled={submitting} className="btn-secondary">
+            Cancel
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={errors.length > 0 || submitting || loadingAttributes || (destinationExists && !overwrite)}
+            className="btn-primary"
+          >
+            {submitting ? `${mode === 'move' ? 'Moving' : 'Copying'}...` : verb}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
@@ -0,0 +1,360 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Globe, Plus, Trash2, AlertCircle, CheckCircle, XCircle, FlaskConical } from 'lucide-react';
+import { bucketSettingsApi } from '../services/api.js';
+import { useApi } from '../hooks/useApi.js';
+import { ConfirmModal } from './Modal.jsx';
+import { cn } from '../utils/cn.js';
+import {
+  CORS_METHODS,
+  createEmptyCorsRule,
+  createDirectUploadCorsRule,
+  validateCorsRules,
+  serializeCorsRule,
+  testCorsRequest
+} from '../utils/corsUtils.js';
+
+// Edits a list field as one value per line
+const ListInput = ({ label, hint, values, onChange, placeholder }) => (
+  <div>
+    <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+    <textarea
+      value={values.join('\n')}
+      onChange={(e) => onChange(e.target.value.split('\n'))}
+      className="input font-mono text-sm h-20"
+      placeholder={placeholder}
+      spellCheck={false}
+    />
+    {hint && <p className="text-xs text-gray-500 mt-1">{hint}</p>}
+  </div>
+);
+
+const CorsRuleEditor = ({ rule, index, errors, onChange, onRemove }) => {
+  const update = (changes) => onChange({ ...rule, ...changes });
+
+  const toggleMethod = (method) => {
+    const allowedMethods = rule.allowedMethods.includes(method)
+      ? rule.allowedMethods.filter(existing => existing !== method)
+      : CORS_METHODS.filter(existing => existing === method || rule.allowedMethods.includes(existing));
+    update({ allowedMethods });
+  };
+
+  return (
+    <div className={cn("card p-6 space-y-4", errors.length > 0 && "border-red-300")}>
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <span className="text-sm font-medium text-gray-500">Rule {index + 1}</span>
+          <input
+            type="text"
+            value={rule.id}
+            onChange={(e) => update({ id: e.target.value })}
+            className="input max-w-xs"
+            placeholder="ID (optional)"
+          />
+        </div>
+        <button
+          onClick={onRemove}
+          className="p-2 hover:bg-red-50 rounded-lg transition-colors"
+          title="Remove rule"
+        >
+          <Trash2 className="w-4 h-4 text-red-600" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <ListInput
+          label="Allowed origins"
+          hint='One per line. A single "*" wildcard is allowed, e.g. https://*.example.com'
+          values={rule.allowedOrigins}
+          onChange={(allowedOrigins) => update({ allowedOrigins })}
+          placeholder="https://example.com"
+        />
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Allowed methods</label>
+          <div className="flex flex-wrap gap-3">
+            {CORS_METHODS.map(method => (
+              <label key={method} className="flex items-center space-x-1 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={rule.allowedMethods.includes(method)}
+                  onChange={() => toggleMethod(method)}
+                />
+                <span>{method}</span>
+              </label>
+            ))}
+          </div>
+          <label className="block text-sm font-medium text-gray-700 mt-4 mb-1">Max age (seconds)</label>
+          <input
+            type="number"
+            min={0}
+            value={rule.maxAgeSeconds ?? ''}
+            onChange={(e) => update({ maxAgeSeconds: e.target.value === '' ? null : Number(e.target.value) })}
+            className="input w-32"
+          />
+        </div>
+        <ListInput
+          label="Allowed headers"
+          hint="Request headers browsers may send in preflighted requests. * allows any."
+          values={rule.allowedHeaders}
+          onChange={(allowedHeaders) => update({ allowedHeaders })}
+          placeholder="*"
+        />
+        <ListInput
+          label="Exposed headers"
+          hint="Response headers scripts may read, e.g. ETag for direct uploads."
+          values={rule.exposeHeaders}
+          onChange={(exposeHeaders) => update({ exposeHeaders })}
+          placeholder="ETag"
+        />
+      </div>
+
+      {errors.length > 0 && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <ul className="text-sm text-red-700 list-disc list-inside space-y-1">
+            {errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Checks the rules being edited locally, without sending a request to S3
+const CorsTester = ({ rules }) => {
+  const [origin, setOrigin] = useState(window.location.origin);
+  const [method, setMethod] = useState('GET');
+  const [headers, setHeaders] = useState('');
+
+  const result = useMemo(() => {
+    if (!origin.trim()) return null;
+    return testCorsRequest(rules, { origin: origin.trim(), method, headers: headers.split(',') });
+  }, [rules, origin, method, headers]);
+
+  return (
+    <div className="card p-6 space-y-4">
+      <div className="flex items-center space-x-3">
+        <FlaskConical className="w-5 h-5 text-gray-400" />
+        <div>
+          <h3 className="text-base font-semibold text-gray-900">Test Origin</h3>
+          <p className="text-sm text-gray-500">Checks the rules above, including unsaved changes.</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <input
+          type="text"
+          value={origin}
+          onChange={(e) => setOrigin(e.target.value)}
+          className="input"
+          placeholder="https://example.com"
+        />
+        <select value={method} onChange={(e) => setMethod(e.target.value)} className="input">
+          {CORS_METHODS.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={headers}
+          onChange={(e) => setHeaders(e.target.value)}
+          className="input"
+          placeholder="Request headers, comma separated"
+        />
+      </div>
+
+      {result && (
+        <div className={cn(
+          "p-4 rounded-lg border",
+          result.allowed ? "bg-green-50 border-green-200" : "bg-red-50 border-red-200"
+        )}>
+          <div className="flex items-center space-x-2">
+            {result.allowed
+              ? <CheckCircle className="w-4 h-4 text-green-600" />
+              : <XCircle className="w-4 h-4 text-red-600" />}
+            <p className={cn("text-sm font-medium", result.allowed ? "text-green-700" : "text-red-700")}>
+              {result.allowed ? `Allowed by rule ${result.ruleIndex + 1}` : result.reason}
+            </p>
+          </div>
+          {result.allowed && (
+            <pre className="mt-3 text-xs text-gray-700 font-mono whitespace-pre-wrap">
+              {Object.entries(result.responseHeaders).map(([name, value]) => `${name}: ${value}`).join('\n')}
+            </pre>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export const CorsSettings = ({ bucketName }) => {
+  const [rules, setRules] = useState(null);
+  const [savedRules, setSavedRules] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const [saveMessage, setSaveMessage] = useState(null);
+  const [showRemoveAll, setShowRemoveAll] = useState(false);
+
+  const { loading, error, execute: fetchCors } = useApi();
+  const { loading: saving, execute: saveCors } = useApi();
+
+  const loadCors = useCallback(async () => {
+    try {
+      const response = await fetchCors(() => bucketSettingsApi.getCors(bucketName));
+      setRules(response.rules);
+      setSavedRules(response.rules);
+    } catch (error) {
+      console.error('Failed to load CORS rules:', error);
+    }
+  }, [bucketName, fetchCors]);
+
+  useEffect(() => {
+    loadCors();
+  }, [loadCors]);
+
+  const ruleErrors = useMemo(() => (rules ? validateCorsRules(rules) : []), [rules]);
+  const hasErrors = ruleErrors.some(errors => errors.length > 0);
+  const isDirty = JSON.stringify(rules) !== JSON.stringify(savedRules);
+  const hasUploadRule = rules?.some(rule => rule.allowedMethods.includes('PUT') && rule.exposeHeaders.includes('ETag'));
+
+  const changeRules = (update) => {
+    setSaveMessage(null);
+    setRules(update);
+  };
+
+  const handleSave = async () => {
+    setSaveError(null);
+    setSaveMessage(null);
+    try {
+      const response = await saveCors(() => bucketSettingsApi.setCors(bucketName, rules.map(serializeCorsRule)));
+      setRules(response.rules);
+      setSavedRules(response.rules);
+      setSaveMessage(response.message);
+    } catch (error) {
+      console.error('Failed to save CORS rules:', error);
+      setSaveError(error.data?.errors?.map(detail => detail.message).join('; ') || error.data?.message || error.message);
+    }
+  };
+
+  if (loading && !rules) {
+    return (
+      <div className="card p-6 flex items-center justify-center">
+        <div className="loading-spinner w-6 h-6"></div>
+        <p className="ml-3 text-gray-600">Loading CORS rules...</p>
+      </div>
+    );
+  }
+
+  if (error && !rules) {
+    return (
+      <div className="card p-6 text-center">
+        <AlertCircle className="w-10 h-10 text-red-400 mx-auto mb-3" />
+        <p className="text-gray-700 mb-4">Failed to load CORS rules: {error.data?.message || error.message}</p>
+        <button onClick={loadCors} className="btn-secondary">
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (!rules) return null;
+
+  return (
+    <div className="space-y-6">
+      <div className="card p-6">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-3">
+            <Globe className="w-5 h-5 text-gray-400" />
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">CORS Rules</h2>
+              <p className="text-sm text-gray-500 mt-1">
+                Which web pages may call this bucket from the browser. Rules are checked in order and the first match wins.
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={() => changeRules(prev => [...prev, createEmptyCorsRule()])}
+            className="btn-secondary flex items-center space-x-2 whitespace-nowrap ml-4"
+          >
+            <Plus className="w-4 h-4" />
+            <span>Add Rule</span>
+          </button>
+        </div>
+
+        {!hasUploadRule && (
+          <div className="flex items-center justify-between mt-4 p-4 bg-amber-50 border border-amber-200 rounded-lg">
+            <p className="text-sm text-amber-800">
+              Direct uploads from this app need a rule allowing PUT and exposing the ETag header.
+            </p>
+            <button
+              onClick={() => changeRules(prev => [...prev, createDirectUploadCorsRule(window.location.origin)])}
+              className="btn-secondary whitespace-nowrap ml-4"
+            >
+              Add Upload Rule
+            </button>
+          </div>
+        )}
+      </div>
+
+      {rules.length === 0 && (
+        <div className="card p-12 text-center">
+          <Globe className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+          <p className="text-gray-600">No CORS rules. Browsers will block cross-origin requests to this bucket.</p>
+        </div>
+      )}
+
+      {rules.map((rule, index) => (
+        <CorsRuleEditor
+          key={index}
+          rule={rule}
+          index={index}
+          errors={ruleErrors[index] || []}
+          onChange={(updated) => changeRules(prev => prev.map((existing, i) => (i === index ? updated : existing)))}
+          onRemove={() => changeRules(prev => prev.filter((_, i) => i !== index))}
+        />
+      ))}
+
+      {saveError && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">{saveError}</p>
+        </div>
+      )}
+
+      {saveMessage && !isDirty && (
+        <div className="flex items-center space-x-2 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <CheckCircle className="w-4 h-4 text-green-600" />
+          <p className="text-sm text-green-700">{saveMessage}</p>
+        </div>
+      )}
+
+      <div className="flex items-center justify-end space-x-3">
+        {hasErrors && (
+          <p className="text-sm text-red-600 mr-auto">Fix the errors above before saving.</p>
+        )}
+        <button
+          onClick={() => setRules(savedRules)}
+          disabled={!isDirty || saving}
+          className="btn-secondary"
+        >
+          Discard Changes
+        </button>
+        <button
+          onClick={() => (rules.length === 0 ? setShowRemoveAll(true) : handleSave())}
+          disabled={!isDirty || hasErrors || saving}
+          className="btn-primary"
+        >
+          {saving ? 'Saving...' : 'Save Rules'}
+        </button>
+      </div>
+
+      {rules.length > 0 && <CorsTester rules={rules} />}
+
+      <ConfirmModal
+        isOpen={showRemoveAll}
+        onClose={() => setShowRemoveAll(false)}
+        onConfirm={handleSave}
+        title="Remove CORS Configuration"
+        message="Remove all CORS rules from this bucket? Browsers will block cross-origin requests, including direct uploads from this app."
+        confirmText="Remove All"
+        variant="danger"
+      />
+    </div>
+  );
+};
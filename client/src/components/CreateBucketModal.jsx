@@ -5,7 +5,8 @@ export const CreateBucketModal = ({ isOpen, onClose, onCreate }) => {
   const [formData, setFormData] = useState({
     name: '',
     region: 'us-east-1',
-    accessControl: 'private'
+    accessControl: 'private',
+    objectLockEnabled: false
   });
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -57,7 +58,7 @@ export const CreateBucketModal = ({ isOpen, onClose, onCreate }) => {
   };
 
   const handleClose = () => {
-    setFormData({ name: '', region: 'us-east-1', accessControl: 'private' });
+    setFormData({ name: '', region: 'us-east-1', accessControl: 'private', objectLockEnabled: false });
     setErrors({});
     setIsSubmitting(false);
     onClose();
@@ -143,6 +144,24 @@ export const CreateBucketModal = ({ isOpen, onClose, onCreate }) => {
           </div>
         </div>
 
+        <div>
+          <label className="flex items-start space-x-2">
+            <input
+              type="checkbox"
+              checked={formData.objectLockEnabled}
+              onChange={(e) => handleInputChange('objectLockEnabled', e.target.checked)}
+              className="mt-1 text-primary-600 focus:ring-primary-500"
+              disabled={isSubmitting}
+            />
+            <span>
+              <span className="block text-sm text-gray-700">Enable Object Lock</span>
+              <span className="block text-xs text-gray-500">
+                Stores objects write-once-read-many so they can be protected from deletion. Versioning is turned on with it, and neither can be turned off later.
+              </span>
+            </span>
+          </label>
+        </div>
+
         {errors.submit && (
           <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
             <p className="text-sm text-red-600">{errors.submit}</p>
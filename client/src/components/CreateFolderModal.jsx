@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { Modal } from './Modal.jsx';
+import { folderApi } from '../services/api.js';
+import { validateFileKey, FOLDER_DELIMITER } from '../utils/pathUtils.js';
+
+// Creates an empty folder (a zero-byte marker object) inside the current prefix
+export const CreateFolderModal = ({ isOpen, onClose, bucketName, prefix = '', onCreated }) => {
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const trimmed = name.trim();
+  const validationError = trimmed.includes(FOLDER_DELIMITER)
+    ? 'Folder name cannot contain /'
+    : validateFileKey(`${prefix}${trimmed}`);
+
+  const handleClose = () => {
+    setName('');
+    setError(null);
+    setIsSubmitting(false);
+    onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (validationError) return;
+
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const response = await folderApi.create(bucketName, `${prefix}${trimmed}${FOLDER_DELIMITER}`);
+      onCreated?.(response.folder);
+      handleClose();
+    } catch (error) {
+      setError(error.data?.message || error.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="New Folder" size="md">
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Folder Name
+          </label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => {
+              setName(e.target.value);
+              setError(null);
+            }}
+            placeholder="reports"
+            className={`input ${(error || (trimmed && validationError)) ? 'border-red-500 focus:ring-red-500' : ''}`}
+            disabled={isSubmitting}
+            autoFocus
+          />
+          {(error || (trimmed && validationError)) && (
+            <p className="mt-1 text-sm text-red-600">{error || validationError}</p>
+          )}
+          <p className="mt-1 text-xs text-gray-500 break-all">
+            Created in {bucketName}/{prefix}
+          </p>
+        </div>
+
+        <div className="flex justify-end space-x-3">
+          <button type="button" onClick={handleClose} className="btn-secondary" disabled={isSubmitting}>
+            Cancel
+          </button>
+          <button type="submit" className="btn-primary" disabled={Boolean(validationError) || isSubmitting}>
+            {isSubmitting ? 'Creating...' : 'Create Folder'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+import { AlertCircle, AlertTriangle, CheckCircle, Lock } from 'lucide-react';
+import { Modal } from './Modal.jsx';
+import { cn } from '../utils/cn.js';
+import { bucketApi, bucketSettingsApi } from '../services/api.js';
+import { useJob } from '../hooks/useJob.js';
+import { getRetentionModeLabel, describeDefaultRetention } from '../utils/objectLockUtils.js';
+
+// Removes everything from a bucket (all versions, delete markers and incomplete uploads),
+// optionally deleting the bucket afterwards. The user types the bucket name to confirm.
+export const EmptyBucketModal = ({ isOpen, onClose, bucketName, deleteAfter = false, onComplete }) => {
+  const [confirmName, setConfirmName] = useState('');
+  const [deleteBucket, setDeleteBucket] = useState(deleteAfter);
+  const [startError, setStartError] = useState(null);
+  const [isStarting, setIsStarting] = useState(false);
+  const [objectLock, setObjectLock] = useState(null);
+
+  const { job, error: jobError, isRunning, track, reset: resetJob } = useJob();
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setConfirmName('');
+    setDeleteBucket(deleteAfter);
+    setStartError(null);
+    resetJob();
+  }, [isOpen, deleteAfter, resetJob]);
+
+  // Locked versions can't be deleted, so warn before starting rather than after
+  useEffect(() => {
+    if (!isOpen || !bucketName) return;
+
+    setObjectLock(null);
+    bucketSettingsApi.getObjectLock(bucketName)
+      .then(response => setObjectLock(response.objectLock))
+      .catch(error => console.error('Failed to load bucket Object Lock status:', error));
+  }, [isOpen, bucketName]);
+
+  const handleClose = () => {
+    if (job) onComplete?.(job);
+    resetJob();
+    onClose();
+  };
+
+  const handleStart = async () => {
+    setIsStarting(true);
+    setStartError(null);
+    try {
+      const response = await bucketApi.empty(bucketName, confirmName, { deleteBucket });
+      track(response.job);
+    } catch (error) {
+      console.error('Failed to empty bucket:', error);
+      setStartError(error.data?.errors?.map(detail => detail.message).join('; ') || error.data?.message || error.message);
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  const isCounting = isRunning && job?.total === null;
+  const progressPercentage = job?.total ? Math.round((job.processed / job.total) * 100) : (job?.status === 'completed' ? 100 : 0);
+  const title = deleteBucket ? 'Empty and Delete Bucket' : 'Empty Bucket';
+
+  return (
+    <Modal isOpen={isOpen} onClose={isRunning ? () => {} : handleClose} title={title} size="lg">
+      <div className="space-y-4">
+        {!job && (
+          <>
+            <div className="flex items-start space-x-3 p-4 bg-red-50 border border-red-200 rounded-lg">
+              <AlertTriangle className="w-5 h-5 text-red-600 flex-shrink-0 mt-0.5" />
+              <div className="text-sm text-red-700 space-y-1">
+                <p>
+                  This permanently removes every object in <span className="font-medium">{bucketName}</span>,
+                  including all previous versions and delete markers, and aborts incomplete multipart uploads.
+                </p>
+                <p>It cannot be undone. Objects under Object Lock retention are left in place and reported.</p>
+              </div>
+            </div>
+
+            {objectLock?.enabled && (
+              <div className="flex items-start space-x-3 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+                <Lock className="w-5 h-5 text-yellow-600 flex-shrink-0 mt-0.5" />
+                <p className="text-sm text-yellow-800">
+                  Object Lock is enabled on this bucket
+                  {objectLock.defaultRetention && ` with ${getRetentionModeLabel(objectLock.defaultRetention.mode)} retention of ${describeDefaultRetention(objectLock.defaultRetention)} by default`}.
+                  {' '}Versions still under retention or a legal hold will not be deleted
+                  {deleteBucket ? ', and the bucket is only deleted if none are left.' : '.'}
+                </p>
+              </div>
+            )}
+
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={deleteBucket}
+                onChange={(e) => setDeleteBucket(e.target.checked)}
+              />
+              <span>Delete the bucket once it is empty</span>
+            </label>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Type <span className="font-mono">{bucketName}</span> to confirm
+              </label>
+              <input
+                type="text"
+                value={confirmName}
+                onChange={(e) => setConfirmName(e.target.value)}
+                className="input font-mono text-sm"
+                placeholder={bucketName}
+                autoComplete="off"
+                autoFocus
+              />
+            </div>
+
+            {startError && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+                <p className="text-sm text-red-700">{startError}</p>
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <button onClick={handleClose} className="btn-secondary" disabled={isStarting}>
+                Cancel
+              </button>
+              <button
+                onClick={handleStart}
+                disabled={confirmName !== bucketName || isStarting}
+                className="btn-danger"
+              >
+                {isStarting ? 'Starting...' : title}
+              </button>
+            </div>
+          </>
+        )}
+
+        {job && (
+          <>
+            <div>
+              <div className="flex items-center justify-between text-sm text-gray-600 mb-1">
+                <span>
+                  {job.total === null
+                    ? `${job.processed.toLocaleString()} removed so far...`
+                    : `${job.processed.toLocaleString()} of ${job.total.toLocaleString()} removed`}
+                </span>
+                {job.total !== null && <span>{progressPercentage}%</span>}
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                {/* The total isn't known until the last page is removed, so pulse until then */}
+                <div
+                  className={cn("bg-primary-600 h-2 rounded-full transition-all duration-300", isCounting && "animate-pulse")}
+                  style={{ width: isCounting ? '100%' : `${progressPercentage}%` }}
+                />
+              </div>
+              {job.versions !== undefined && (
+                <p className="text-xs text-gray-500 mt-2">
+                  {job.versions.toLocaleString()} object version{job.versions !== 1 ? 's' : ''},
+                  {' '}{job.deleteMarkers.toLocaleString()} delete marker{job.deleteMarkers !== 1 ? 's' : ''},
+                  {' '}{job.uploads.toLocaleString()} incomplete upload{job.uploads !== 1 ? 's' : ''}
+                </p>
+              )}
+            </div>
+
+            {job.status === 'completed' && job.errors.length === 0 && (
+              <div className="flex items-center space-x-2 p-3 bg-green-50 border border-green-200 rounded-lg">
+                <CheckCircle className="w-4 h-4 text-green-600" />
+                <p className="text-sm text-green-700">
+                  {job.bucketDeleted ? `Bucket ${bucketName} deleted` : `Bucket ${bucketName} is empty`}
+                </p>
+              </div>
+            )}
+
+            {job.status === 'failed' && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+                <p className="text-sm text-red-700">{job.error}</p>
+              </div>
+            )}
+
+            {jobError && (
+              <p className="text-sm text-red-600">Lost track of the job: {jobError.data?.message || jobError.message}</p>
+            )}
+
+            {job.errors.length > 0 && (
+              <div>
+                <div className="flex items-center space-x-2 mb-2">
+                  <AlertCircle className="w-4 h-4 text-red-600" />
+                  <p className="text-sm text-red-700">
+                    {job.errors.length.toLocaleString()} item{job.errors.length !== 1 ? 's' : ''} could not be removed
+                    {job.deleteBucket && job.status === 'completed' && ', so the bucket was kept'}
+                  </p>
+                </div>
+                <ul className="max-h-48 overflow-y-auto text-xs text-gray-700 space-y-1 border border-gray-200 rounded-lg p-3">
+                  {job.errors.map(error => (
+                    <li key={`${error.key}:${error.versionId || error.uploadId || ''}`} className="break-all">
+                      <span className="font-mono">{error.key}</span>
+                      {error.versionId && <span className="text-gray-500"> ({error.versionId})</span>}: {error.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="flex justify-end">
+              <button onClick={handleClose} disabled={isRunning} className="btn-primary">
+                {isRunning ? 'Working...' : 'Close'}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+};
@@ -0,0 +1,103 @@
+import React, { useEffect } from 'react';
+import { Lock, Unlock, AlertCircle, Download } from 'lucide-react';
+import { Modal } from './Modal.jsx';
+import { securityApi } from '../services/api.js';
+import { useApiState } from '../hooks/useApi.js';
+import { formatDate } from '../utils/fileUtils.js';
+import { describeEncryption, buildEncryptionReportCsv } from '../utils/encryptionUtils.js';
+
+// Default encryption of every bucket, for compliance reviews
+export const EncryptionReportModal = ({ isOpen, onClose }) => {
+  const { data: report, loading, error, execute: fetchReport } = useApiState();
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchReport(() => securityApi.getEncryptionReport()).catch(error => {
+        console.error('Failed to load encryption report:', error);
+      });
+    }
+  }, [isOpen, fetchReport]);
+
+  const buckets = report?.buckets || [];
+  const encryptedCount = buckets.filter(bucket => bucket.algorithm).length;
+
+  const handleDownload = () => {
+    const blob = new Blob([buildEncryptionReportCsv(buckets)], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `bucket-encryption-${report.generatedAt.slice(0, 10)}.csv`;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Encryption Report" size="2xl">
+      {loading && !report && (
+        <div className="flex items-center justify-center py-8">
+          <div className="loading-spinner w-6 h-6"></div>
+          <p className="ml-3 text-gray-600">Checking buckets...</p>
+        </div>
+      )}
+
+      {error && !report && (
+        <div className="text-center py-6">
+          <AlertCircle className="w-10 h-10 text-red-400 mx-auto mb-3" />
+          <p className="text-gray-700">Failed to load the report: {error.data?.message || error.message}</p>
+        </div>
+      )}
+
+      {report && (
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-700">
+                {encryptedCount} of {buckets.length} buckets have default encryption
+              </p>
+              <p className="text-xs text-gray-500">Generated {formatDate(report.generatedAt)}</p>
+            </div>
+            <button onClick={handleDownload} className="btn-secondary flex items-center space-x-2">
+              <Download className="w-4 h-4" />
+              <span>Download CSV</span>
+            </button>
+          </div>
+
+          <div className="max-h-96 overflow-y-auto border border-gray-200 rounded-lg">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 text-left text-gray-700">
+                <tr>
+                  <th className="px-4 py-2 font-medium">Bucket</th>
+                  <th className="px-4 py-2 font-medium">Default Encryption</th>
+                  <th className="px-4 py-2 font-medium">KMS Key</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {buckets.map(bucket => (
+                  <tr key={bucket.bucket}>
+                    <td className="px-4 py-2 text-gray-900 break-all">{bucket.bucket}</td>
+                    <td className="px-4 py-2">
+                      {bucket.error ? (
+                        <span className="flex items-center space-x-1 text-red-600">
+                          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                          <span>{bucket.error}</span>
+                        </span>
+                      ) : (
+                        <span className={`flex items-center space-x-1 ${bucket.algorithm ? 'text-green-700' : 'text-yellow-700'}`}>
+                          {bucket.algorithm ? <Lock className="w-4 h-4" /> : <Unlock className="w-4 h-4" />}
+                          <span>{describeEncryption(bucket)}</span>
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-gray-600 break-all">{bucket.kmsKeyId || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Lock, Unlock, AlertCircle, CheckCircle } from 'lucide-react';
+import { bucketSettingsApi } from '../services/api.js';
+import { useApi } from '../hooks/useApi.js';
+import { cn } from '../utils/cn.js';
+import {
+  ENCRYPTION_TYPES,
+  describeEncryption,
+  buildEncryptionRequest,
+  isValidKmsKeyId,
+  isKmsAlgorithm
+} from '../utils/encryptionUtils.js';
+
+const toForm = (encryption) => ({
+  // DSSE-KMS can't be chosen here, so it is edited as SSE-KMS
+  algorithm: isKmsAlgorithm(encryption.algorithm) ? 'aws:kms' : 'AES256',
+  kmsKeyId: encryption.kmsKeyId || '',
+  bucketKeyEnabled: encryption.bucketKeyEnabled
+});
+
+export const EncryptionSettings = ({ bucketName }) => {
+  const [encryption, setEncryption] = useState(null);
+  const [form, setForm] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const [saveMessage, setSaveMessage] = useState(null);
+
+  const { loading, error, execute: fetchEncryption } = useApi();
+  const { loading: saving, execute: saveEncryption } = useApi();
+
+  const applyEncryption = (updated) => {
+    setEncryption(updated);
+    setForm(toForm(updated));
+  };
+
+  const loadEncryption = useCallback(async () => {
+    try {
+      const response = await fetchEncryption(() => bucketSettingsApi.getEncryption(bucketName));
+      applyEncryption(response.encryption);
+    } catch (error) {
+      console.error('Failed to load bucket encryption:', error);
+    }
+  }, [bucketName, fetchEncryption]);
+
+  useEffect(() => {
+    loadEncryption();
+  }, [loadEncryption]);
+
+  const updateForm = (changes) => {
+    setForm(prev => ({ ...prev, ...changes }));
+    setSaveMessage(null);
+  };
+
+  const handleSave = async () => {
+    setSaveError(null);
+    setSaveMessage(null);
+    try {
+      const response = await saveEncryption(() => bucketSettingsApi.setEncryption(bucketName, buildEncryptionRequest(form)));
+      applyEncryption(response.encryption);
+      setSaveMessage(response.message);
+    } catch (error) {
+      console.error('Failed to save bucket encryption:', error);
+      setSaveError(error.data?.errors?.map(detail => detail.message).join('; ') || error.data?.message || error.message);
+    }
+  };
+
+  if (loading && !encryption) {
+    return (
+      <div className="card p-6 flex items-center justify-center">
+        <div className="loading-spinner w-6 h-6"></div>
+        <p className="ml-3 text-gray-600">Loading encryption settings...</p>
+      </div>
+    );
+  }
+
+  if (error && !encryption) {
+    return (
+      <div className="card p-6 text-center">
+        <AlertCircle className="w-10 h-10 text-red-400 mx-auto mb-3" />
+        <p className="text-gray-700 mb-4">Failed to load encryption settings: {error.data?.message || error.message}</p>
+        <button onClick={loadEncryption} className="btn-secondary">
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (!encryption) return null;
+
+  const isEncrypted = Boolean(encryption.algorithm);
+  const StatusIcon = isEncrypted ? Lock : Unlock;
+  const keyIsValid = form.algorithm !== 'aws:kms' || isValidKmsKeyId(form.kmsKeyId);
+  const isDirty = JSON.stringify(buildEncryptionRequest(form)) !== JSON.stringify(buildEncryptionRequest(toForm(encryption))) || !isEncrypted;
+
+  return (
+    <div className="card p-6 space-y-6">
+      <div className="flex items-center space-x-3">
+        <Lock className="w-5 h-5 text-gray-400" />
+        <h2 className="text-lg font-semibold text-gray-900">Default Encryption</h2>
+      </div>
+
+      <div className={cn(
+        "flex items-start space-x-3 p-4 rounded-lg border",
+        isEncrypted ? "bg-green-50 text-green-700 border-green-200" : "bg-yellow-50 text-yellow-800 border-yellow-200"
+      )}>
+        <StatusIcon className="w-6 h-6 flex-shrink-0" />
+        <div>
+          <p className="font-medium">{describeEncryption(encryption)}</p>
+          <p className="text-sm mt-1">
+            {isEncrypted
+              ? 'New objects are encrypted at rest unless an upload asks for different settings.'
+              : 'This bucket has no default encryption configuration.'}
+          </p>
+          {encryption.kmsKeyId && (
+            <p className="text-sm mt-1 break-all">Key: {encryption.kmsKeyId}</p>
+          )}
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        {ENCRYPTION_TYPES.map(type => (
+          <label key={type.value} className="flex items-start space-x-3 cursor-pointer">
+            <input
+              type="radio"
+              name="encryption-type"
+              checked={form.algorithm === type.value}
+              onChange={() => updateForm({ algorithm: type.value })}
+              className="mt-1"
+            />
+            <div>
+              <p className="text-sm font-medium text-gray-900">{type.label}</p>
+              <p className="text-xs text-gray-500">{type.description}</p>
+            </div>
+          </label>
+        ))}
+      </div>
+
+      {form.algorithm === 'aws:kms' && (
+        <div className="space-y-3 ml-7">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">KMS key</label>
+            <input
+              type="text"
+              value={form.kmsKeyId}
+              onChange={(e) => updateForm({ kmsKeyId: e.target.value })}
+              className={cn("input font-mono text-sm", !keyIsValid && "border-red-500 focus:ring-red-500")}
+              placeholder="arn:aws:kms:us-east-1:123456789012:key/… (empty for the AWS managed key aws/s3)"
+            />
+            {!keyIsValid && (
+              <p className="text-sm text-red-600 mt-1">Enter a key ARN, alias ARN, alias/name or key ID</p>
+            )}
+          </div>
+          <label className="flex items-start space-x-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={form.bucketKeyEnabled}
+              onChange={(e) => updateForm({ bucketKeyEnabled: e.target.checked })}
+              className="mt-1"
+            />
+            <div>
+              <p className="text-sm font-medium text-gray-900">Bucket key</p>
+              <p className="text-xs text-gray-500">Reuses a bucket-level data key to cut KMS request costs by up to 99%.</p>
+            </div>
+          </label>
+        </div>
+      )}
+
+      <p className="text-sm text-gray-500">
+        Changing the default only affects objects written from now on; existing objects keep their encryption until they are copied or re-uploaded.
+      </p>
+
+      {saveError && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">{saveError}</p>
+        </div>
+      )}
+
+      {saveMessage && (
+        <div className="flex items-center space-x-2 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <CheckCircle className="w-4 h-4 text-green-600" />
+          <p className="text-sm text-green-700">{saveMessage}</p>
+        </div>
+      )}
+
+      <div className="flex justify-end">
+        <button
+          onClick={handleSave}
+          disabled={!isDirty || !keyIsValid || saving}
+          className="btn-primary"
+        >
+          {saving ? 'Saving...' : 'Save Encryption'}
+        </button>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,79 @@
+import React, { useEffect } from 'react';
+import { Users, AlertTriangle } from 'lucide-react';
+import { fileApi, bucketSettingsApi } from '../services/api.js';
+import { useApiState } from '../hooks/useApi.js';
+import { cn } from '../utils/cn.js';
+import { describeGrantee, getPermissionLabel, isPublicGrant, shortenCanonicalId } from '../utils/aclUtils.js';
+
+// Read-only owner and ACL of the current version, flagging objects owned by another account
+export const FileAccessControl = ({ bucketName, fileKey }) => {
+  const { data, loading, error, execute: fetchAccessControl } = useApiState(null);
+
+  useEffect(() => {
+    fetchAccessControl(async () => {
+      const [fileResponse, bucketResponse] = await Promise.all([
+        fileApi.getAcl(bucketName, fileKey),
+        bucketSettingsApi.getAcl(bucketName)
+      ]);
+      return {
+        acl: fileResponse.acl,
+        bucketOwner: bucketResponse.acl.owner,
+        objectOwnership: bucketResponse.objectOwnership
+      };
+    }).catch(error => console.error('Failed to load file ACL:', error));
+  }, [bucketName, fileKey, fetchAccessControl]);
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center space-x-3 mb-4">
+        <Users className="w-5 h-5 text-gray-400" />
+        <h3 className="text-lg font-semibold text-gray-900">Access Control</h3>
+      </div>
+
+      {loading && !data && <p className="text-sm text-gray-500">Loading ACL...</p>}
+
+      {error && !data && (
+        <p className="text-sm text-gray-500">ACL unavailable: {error.data?.message || error.message}</p>
+      )}
+
+      {data && (
+        <div className="space-y-4">
+          {data.acl.owner.id !== data.bucketOwner.id && (
+            <div className="flex items-start space-x-2 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+              <AlertTriangle className="w-4 h-4 text-yellow-600 flex-shrink-0 mt-0.5" />
+              <p className="text-sm text-yellow-800">
+                Owned by another account, which controls who can read it. Disabling ACLs on the bucket makes the bucket owner its owner.
+              </p>
+            </div>
+          )}
+
+          <div>
+            <p className="text-sm font-medium text-gray-700">Owner</p>
+            <p className="text-sm text-gray-600">
+              {data.acl.owner.displayName || 'Unknown'}{' '}
+              <span className="font-mono text-xs text-gray-500" title={data.acl.owner.id}>{shortenCanonicalId(data.acl.owner.id)}</span>
+            </p>
+          </div>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-1">Grants</p>
+            {data.objectOwnership === 'BucketOwnerEnforced' ? (
+              <p className="text-sm text-gray-500">ACLs are disabled on this bucket.</p>
+            ) : (
+              <ul className="space-y-1">
+                {data.acl.grants.map(grant => (
+                  <li key={`${grant.grantee}-${grant.permission}`} className="flex items-center justify-between text-sm">
+                    <span className={cn("break-all", isPublicGrant(grant) ? "text-red-700 font-medium" : "text-gray-600")}>
+                      {describeGrantee(grant, data.acl.owner.id)}
+                    </span>
+                    <span className="text-gray-500 ml-2 whitespace-nowrap">{getPermissionLabel(grant.permission)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
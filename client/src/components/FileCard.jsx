@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { 
   Image, 
   FileText, 
@@ -9,22 +9,31 @@ import {
   Eye,
   Download,
   Trash2,
-  MoreVertical
+  MoreVertical,
+  Pencil,
+  Copy,
+  FolderInput
 } from 'lucide-react';
 import { cn } from '../utils/cn.js';
 import { formatFileSize, formatDate, getFileType, getFileIcon } from '../utils/fileUtils.js';
+import { InlineRename } from './InlineRename.jsx';
 
 export const FileCard = ({ 
   file, 
   onView, 
   onDownload, 
   onDelete, 
+  onRename,
+  onCopy,
+  onMove,
   onSelect,
   isSelected = false,
   isDeleting = false,
   viewMode = 'grid'
 }) => {
+  const [isRenaming, setIsRenaming] = useState(false);
   const fileType = getFileType(file.key, file.contentType);
+  const fileName = file.key.split('/').pop();
   const iconName = getFileIcon(fileType);
   
   const IconComponent = {
@@ -48,6 +57,16 @@ export const FileCard = ({
     onSelect?.(file);
   };
 
+  // onRename resolves once the file list has been refreshed with the new key
+  const handleRename = async (newName) => {
+    await onRename(file, newName);
+    setIsRenaming(false);
+  };
+
+  const renameField = isRenaming && (
+    <InlineRename name={fileName} onRename={handleRename} onCancel={() => setIsRenaming(false)} />
+  );
+
   if (viewMode === 'list') {
     return (
       <tr 
@@ -74,12 +93,14 @@ export const FileCard = ({
             )}>
               <IconComponent />
             </div>
-            <div>
-              <div className="text-sm font-medium text-gray-900 truncate max-w-xs" title={file.key}>
-                {file.key.split('/').pop()}
+            {renameField || (
+              <div>
+                <div className="text-sm font-medium text-gray-900 truncate max-w-xs" title={file.key}>
+                  {fileName}
+                </div>
+                <div className="text-xs text-gray-500">Type: {fileType}</div>
               </div>
-              <div className="text-xs text-gray-500">Type: {fileType}</div>
-            </div>
+            )}
           </div>
         </td>
         
@@ -113,6 +134,42 @@ export const FileCard = ({
             >
               <Download className="w-4 h-4" />
             </button>
+            {onRename && (
+              <button 
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setIsRenaming(true);
+                }}
+                className="p-2 hover:bg-gray-100 rounded-lg text-gray-600 transition-colors"
+                title="Rename file"
+              >
+                <Pencil className="w-4 h-4" />
+              </button>
+            )}
+            {onCopy && (
+              <button 
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onCopy(file);
+                }}
+                className="p-2 hover:bg-gray-100 rounded-lg text-gray-600 transition-colors"
+                title="Copy file"
+              >
+                <Copy className="w-4 h-4" />
+              </button>
+            )}
+            {onMove && (
+              <button 
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onMove(file);
+                }}
+                className="p-2 hover:bg-gray-100 rounded-lg text-gray-600 transition-colors"
+                title="Move file"
+              >
+                <FolderInput className="w-4 h-4" />
+              </button>
+            )}
             <button 
               onClick={(e) => {
                 e.stopPropagation();
@@ -159,9 +216,11 @@ export const FileCard = ({
         </div>
         
         <div className="space-y-1">
-          <p className="text-sm font-medium text-gray-900 truncate" title={file.key}>
-            {file.key.split('/').pop()}
-          </p>
+          {renameField || (
+            <p className="text-sm font-medium text-gray-900 truncate" title={file.key}>
+              {fileName}
+            </p>
+          )}
           <p className="text-xs text-gray-500">{formatFileSize(file.size)}</p>
           <p className="text-xs text-gray-500">{formatDate(file.lastModified)}</p>
         </div>
@@ -188,6 +247,42 @@ export const FileCard = ({
             >
               <Download className="w-4 h-4" />
             </button>
+            {onRename && (
+              <button 
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setIsRenaming(true);
+                }}
+                className="p-1.5 hover:bg-gray-100 rounded text-gray-600 transition-colors"
+                title="Rename"
+              >
+                <Pencil className="w-4 h-4" />
+              </button>
+            )}
+            {onCopy && (
+              <button 
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onCopy(file);
+                }}
+                className="p-1.5 hover:bg-gray-100 rounded text-gray-600 transition-colors"
+                title="Copy"
+              >
+                <Copy className="w-4 h-4" />
+              </button>
+            )}
+            {onMove && (
+              <button 
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onMove(file);
+                }}
+                className="p-1.5 hover:bg-gray-100 rounded text-gray-600 transition-colors"
+                title="Move"
+              >
+                <FolderInput className="w-4 h-4" />
+              </button>
+            )}
             <button 
               onClick={(e) => {
                 e.stopPropagation();
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { 
   ArrowLeft,
@@ -15,12 +15,30 @@ import {
   ExternalLink,
   Calendar,
   HardDrive,
-  Tag
+  Tag,
+  Lock,
+  Pencil,
+  FolderInput,
+  CheckCircle,
+  Snowflake
 } from 'lucide-react';
-import { fileApi } from '../services/api.js';
+import { fileApi, versionApi } from '../services/api.js';
 import { useApi } from '../hooks/useApi.js';
 import { formatFileSize, formatDate, getFileType } from '../utils/fileUtils.js';
 import { cn } from '../utils/cn.js';
+import { buildBucketPath, buildFileDetailPath, getParentPrefix, replaceFileName } from '../utils/pathUtils.js';
+import { describeEncryption } from '../utils/encryptionUtils.js';
+import { getObjectStorageClassLabel, describeRestore } from '../utils/storageClassUtils.js';
+import { isDeleteBlocked, describeLock } from '../utils/objectLockUtils.js';
+import { FileVersions } from './FileVersions.jsx';
+import { TagEditor } from './TagEditor.jsx';
+import { InlineRename } from './InlineRename.jsx';
+import { CopyMoveModal } from './CopyMoveModal.jsx';
+import { StorageClassModal } from './StorageClassModal.jsx';
+import { RestoreModal } from './RestoreModal.jsx';
+import { FileObjectLock } from './FileObjectLock.jsx';
+import { FileAccessControl } from './FileAccessControl.jsx';
+import { FileWebsiteRedirect } from './FileWebsiteRedirect.jsx';
 
 export const FileDetailView = () => {
   const { bucketName, fileKey } = useParams();
@@ -28,6 +46,16 @@ export const FileDetailView = () => {
   const [file, setFile] = useState(null);
   const [previewUrl, setPreviewUrl] = useState(null);
   const [isImageLoaded, setIsImageLoaded] = useState(false);
+  const [activeTab, setActiveTab] = useState('details');
+  // The current version is a delete marker, but older versions can still be restored
+  const [isDeleted, setIsDeleted] = useState(false);
+  const [isRenaming, setIsRenaming] = useState(false);
+  // 'copy' or 'move' while the copy/move dialog is open
+  const [transferMode, setTransferMode] = useState(null);
+  // Destination of the last copy, linked from a notice
+  const [copiedFile, setCopiedFile] = useState(null);
+  const [showStorageClassModal, setShowStorageClassModal] = useState(false);
+  const [showRestoreModal, setShowRestoreModal] = useState(false);
   
   const { loading: fileLoading, execute: fetchFileDetails } = useApi();
   const { loading: deleteLoading, execute: deleteFileAction } = useApi();
@@ -35,55 +63,57 @@ export const FileDetailView = () => {
 
   // Decode the file key from URL and validate parameters
   const decodedFileKey = fileKey ? decodeURIComponent(fileKey) : '';
+  const folderPath = bucketName ? buildBucketPath(bucketName, getParentPrefix(decodedFileKey)) : '/';
 
-  // Validate route parameters
-  if (!bucketName || !fileKey) {
-    return (
-      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
-        <div className="text-center">
-          <File className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-          <h2 className="text-xl font-semibold text-gray-900 mb-2">Invalid URL</h2>
-          <p className="text-gray-600 mb-4">The file URL is missing required parameters.</p>
-          <button
-            onClick={() => navigate('/')}
-            className="btn-primary"
-          >
-            <ArrowLeft className="w-4 h-4 mr-2" />
-            Return Home
-          </button>
-        </div>
-      </div>
-    );
-  }
-
-  useEffect(() => {
-    const loadFileDetails = async () => {
+  const loadFileDetails = useCallback(async () => {
+    try {
+      const response = await fetchFileDetails(() => fileApi.getMetadata(bucketName, decodedFileKey));
+      setFile(response.metadata);
+      setIsDeleted(false);
+      setIsImageLoaded(false);
+      
+      // Generate preview URL for supported file types (archived files can't be read until restored)
+      const fileType = getFileType(decodedFileKey, response.metadata?.contentType);
+      const isArchived = response.metadata?.restore && response.metadata.restore.status !== 'restored';
+      setPreviewUrl(null);
+      if (fileType === 'image' && !isArchived) {
+        const urlResponse = await fileApi.getDownloadUrl(bucketName, decodedFileKey);
+        setPreviewUrl(urlResponse.downloadUrl);
+      }
+    } catch (error) {
+      console.error('Failed to load file details:', error);
+      if (error.status !== 404) return;
+      
+      // A deleted file in a versioned bucket can still be undeleted from its versions
       try {
-        const response = await fetchFileDetails(() => fileApi.getMetadata(bucketName, decodedFileKey));
-        setFile(response.file);
-        
-        // Generate preview URL for supported file types
-        const fileType = getFileType(decodedFileKey, response.file?.contentType);
-        if (fileType === 'image') {
-          const urlResponse = await fileApi.getDownloadUrl(bucketName, decodedFileKey);
-          setPreviewUrl(urlResponse.downloadUrl);
-        }
-      } catch (error) {
-        console.error('Failed to load file details:', error);
-        // If file doesn't exist, redirect to bucket view
-        if (error.status === 404) {
-          navigate(`/buckets/${bucketName}`);
+        const { versions } = await versionApi.list(bucketName, decodedFileKey);
+        if (versions.some(version => version.isLatest && version.isDeleteMarker)) {
+          setFile(null);
+          setIsDeleted(true);
+          setActiveTab('versions');
+          return;
         }
+      } catch (versionError) {
+        console.error('Failed to check file versions:', versionError);
       }
-    };
+      
+      // If file doesn't exist, redirect to bucket view
+      navigate(folderPath);
+    }
+  }, [bucketName, decodedFileKey, folderPath, fetchFileDetails, navigate]);
 
+  useEffect(() => {
+    setCopiedFile(null);
     if (bucketName && decodedFileKey) {
       loadFileDetails();
     }
-  }, [bucketName, decodedFileKey, fetchFileDetails, navigate]);
+  }, [bucketName, decodedFileKey, loadFileDetails]);
+
+  const loadTags = useCallback(() => fileApi.getTags(bucketName, decodedFileKey), [bucketName, decodedFileKey]);
+  const saveTags = useCallback((tags) => fileApi.setTags(bucketName, decodedFileKey, tags), [bucketName, decodedFileKey]);
 
   const handleBack = () => {
-    navigate(`/buckets/${bucketName}`);
+    navigate(folderPath);
   };
 
   const handleDownload = async () => {
@@ -111,16 +141,35 @@ export const FileDetailView = () => {
   };
 
   const handleDelete = async () => {
-    if (confirm(`Are you sure you want to delete "${decodedFileKey}"? This action cannot be undone.`)) {
+    // Object Lock buckets are versioned, so the delete succeeds but the locked version stays
+    const warning = isDeleteBlocked(file?.lock)
+      ? `This version is locked (${describeLock(file.lock)}). Deleting only adds a delete marker; the locked version stays stored and can't be removed until the lock ends.`
+      : 'This action cannot be undone.';
+    if (confirm(`Are you sure you want to delete "${decodedFileKey}"? ${warning}`)) {
       try {
         await deleteFileAction(() => fileApi.delete(bucketName, decodedFileKey));
-        navigate(`/buckets/${bucketName}`);
+        navigate(folderPath);
       } catch (error) {
         console.error('Failed to delete file:', error);
       }
     }
   };
 
+  const handleRename = async (newName) => {
+    const newKey = replaceFileName(decodedFileKey, newName);
+    await fileApi.rename(bucketName, decodedFileKey, newKey);
+    setIsRenaming(false);
+    navigate(buildFileDetailPath(bucketName, newKey), { replace: true });
+  };
+
+  const handleTransferComplete = (result) => {
+    if (transferMode === 'move') {
+      navigate(buildFileDetailPath(result.bucket, result.key), { replace: true });
+    } else {
+      setCopiedFile(result);
+    }
+  };
+
   const handleCopyUrl = async () => {
     try {
       const response = await fileApi.getDownloadUrl(bucketName, decodedFileKey);
@@ -143,7 +192,27 @@ export const FileDetailView = () => {
     return iconMap[fileType] || iconMap.default;
   };
 
-  if (fileLoading && !file) {
+  // Validate route parameters
+  if (!bucketName || !fileKey) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <File className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Invalid URL</h2>
+          <p className="text-gray-600 mb-4">The file URL is missing required parameters.</p>
+          <button
+            onClick={() => navigate('/')}
+            className="btn-primary"
+          >
+            <ArrowLeft className="w-4 h-4 mr-2" />
+            Return Home
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (fileLoading && !file && !isDeleted) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
         <div className="text-center">
@@ -154,7 +223,7 @@ export const FileDetailView = () => {
     );
   }
 
-  if (!file) {
+  if (!file && !isDeleted) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
         <div className="text-center">
@@ -173,9 +242,10 @@ export const FileDetailView = () => {
     );
   }
 
-  const fileType = getFileType(decodedFileKey, file.contentType);
+  const fileType = getFileType(decodedFileKey, file?.contentType);
   const IconComponent = getFileIcon(fileType);
   const fileName = decodedFileKey.split('/').pop();
+  const needsRestore = Boolean(file?.restore) && file.restore.status !== 'restored';
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -191,174 +261,361 @@ export const FileDetailView = () => {
                 <ArrowLeft className="w-5 h-5 text-gray-600" />
               </button>
               <div>
-                <h1 className="text-2xl font-bold text-gray-900 truncate max-w-md" title={fileName}>
-                  {fileName}
-                </h1>
+                {isRenaming ? (
+                  <InlineRename
+                    name={fileName}
+                    onRename={handleRename}
+                    onCancel={() => setIsRenaming(false)}
+                    className="w-96"
+                  />
+                ) : (
+                  <div className="flex items-center space-x-2">
+                    <h1 className="text-2xl font-bold text-gray-900 truncate max-w-md" title={fileName}>
+                      {fileName}
+                    </h1>
+                    {file && (
+                      <button
+                        onClick={() => setIsRenaming(true)}
+                        className="p-1.5 hover:bg-gray-100 rounded-lg text-gray-500 transition-colors"
+                        title="Rename file"
+                      >
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                )}
                 <div className="text-sm text-gray-500 mt-1">
                   <span>{bucketName}</span>
-                  <span className="mx-2">•</span>
-                  <span>{formatFileSize(file.size)}</span>
-                  <span className="mx-2">•</span>
-                  <span>{formatDate(file.lastModified)}</span>
+                  {file ? (
+                    <>
+                      <span className="mx-2">•</span>
+                      <span>{formatFileSize(file.size)}</span>
+                      <span className="mx-2">•</span>
+                      <span>{formatDate(file.lastModified)}</span>
+                    </>
+                  ) : (
+                    <>
+                      <span className="mx-2">•</span>
+                      <span className="text-red-600">Deleted</span>
+                    </>
+                  )}
                 </div>
               </div>
             </div>
             
-            <div className="flex items-center space-x-3">
-              <button
-                onClick={handleCopyUrl}
-                className="btn-secondary flex items-center space-x-2"
-                title="Copy download URL"
-              >
-                <Copy className="w-4 h-4" />
-                <span>Copy URL</span>
-              </button>
-              <button
-                onClick={handleDownload}
-                disabled={downloadLoading}
-                className="btn-primary flex items-center space-x-2"
-              >
-                <Download className="w-4 h-4" />
-                <span>{downloadLoading ? 'Downloading...' : 'Download'}</span>
-              </button>
-              <button
-                onClick={handleDelete}
-                disabled={deleteLoading}
-                className="btn-danger flex items-center space-x-2"
-              >
-                <Trash2 className="w-4 h-4" />
-                <span>{deleteLoading ? 'Deleting...' : 'Delete'}</span>
-              </button>
-            </div>
+            {file && (
+              <div className="flex items-center space-x-3">
+                <button
+                  onClick={handleCopyUrl}
+                  className="btn-secondary flex items-center space-x-2"
+                  title="Copy download URL"
+                >
+                  <Copy className="w-4 h-4" />
+                  <span>Copy URL</span>
+                </button>
+                <button
+                  onClick={() => setTransferMode('copy')}
+                  className="btn-secondary flex items-center space-x-2"
+                  title="Copy to another key or bucket"
+                >
+                  <Copy className="w-4 h-4" />
+                  <span>Copy</span>
+                </button>
+                <button
+                  onClick={() => setTransferMode('move')}
+                  className="btn-secondary flex items-center space-x-2"
+                  title="Move to another folder or bucket"
+                >
+                  <FolderInput className="w-4 h-4" />
+                  <span>Move</span>
+                </button>
+                <button
+                  onClick={handleDownload}
+                  disabled={downloadLoading || needsRestore}
+                  className="btn-primary flex items-center space-x-2"
+                  title={needsRestore ? 'Restore this file before downloading' : undefined}
+                >
+                  <Download className="w-4 h-4" />
+                  <span>{downloadLoading ? 'Downloading...' : 'Download'}</span>
+                </button>
+                <button
+                  onClick={handleDelete}
+                  disabled={deleteLoading}
+                  className="btn-danger flex items-center space-x-2"
+                >
+                  <Trash2 className="w-4 h-4" />
+                  <span>{deleteLoading ? 'Deleting...' : 'Delete'}</span>
+                </button>
+              </div>
+            )}
           </div>
         </div>
+
+        {/* Tabs */}
+        <div className="px-6 flex space-x-6">
+          {[
+            { id: 'details', label: 'Details', disabled: !file },
+            { id: 'versions', label: 'Versions' }
+          ].map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              disabled={tab.disabled}
+              className={cn(
+                "py-3 text-sm font-medium border-b-2 transition-colors",
+                activeTab === tab.id
+                  ? "border-primary-600 text-primary-600"
+                  : "border-transparent text-gray-500 hover:text-gray-700",
+                tab.disabled && "opacity-50 cursor-not-allowed"
+              )}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
       </div>
 
       {/* Main Content */}
       <div className="p-6">
-        <div className="max-w-6xl mx-auto">
-          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-            {/* File Preview */}
-            <div className="lg:col-span-2">
-              <div className="card p-6">
-                <h2 className="text-lg font-semibold text-gray-900 mb-4">Preview</h2>
+        {copiedFile && (
+          <div className="max-w-6xl mx-auto mb-6 flex items-center justify-between p-4 bg-green-50 border border-green-200 rounded-lg">
+            <div className="flex items-center space-x-2">
+              <CheckCircle className="w-4 h-4 text-green-600" />
+              <p className="text-sm text-green-700 break-all">Copied to {copiedFile.bucket}/{copiedFile.key}</p>
+            </div>
+            <button
+              onClick={() => {
+                setCopiedFile(null);
+                navigate(buildFileDetailPath(copiedFile.bucket, copiedFile.key));
+              }}
+              className="text-sm text-primary-600 hover:text-primary-700"
+            >
+              Open copy
+            </button>
+          </div>
+        )}
+
+        {activeTab === 'versions' || !file ? (
+          <div className="max-w-6xl mx-auto">
+            <FileVersions
+              bucketName={bucketName}
+              fileKey={decodedFileKey}
+              onChange={loadFileDetails}
+            />
+          </div>
+        ) : (
+          <div className="max-w-6xl mx-auto">
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+              {/* File Preview */}
+              <div className="lg:col-span-2">
+                <div className="card p-6">
+                  <h2 className="text-lg font-semibold text-gray-900 mb-4">Preview</h2>
                 
-                {fileType === 'image' && previewUrl ? (
-                  <div className="relative">
-                    <img
-                      src={previewUrl}
-                      alt={fileName}
-                      className={cn(
-                        "max-w-full h-auto rounded-lg border border-gray-200",
-                        !isImageLoaded && "hidden"
-                      )}
-                      onLoad={() => setIsImageLoaded(true)}
-                      onError={() => setIsImageLoaded(false)}
-                    />
-                    {!isImageLoaded && (
-                      <div className="flex items-center justify-center h-64 bg-gray-100 rounded-lg">
-                        <div className="text-center">
-                          <Image className="w-12 h-12 text-gray-400 mx-auto mb-2" />
-                          <p className="text-gray-500">Loading image...</p>
+                  {fileType === 'image' && previewUrl ? (
+                    <div className="relative">
+                      <img
+                        src={previewUrl}
+                        alt={fileName}
+                        className={cn(
+                          "max-w-full h-auto rounded-lg border border-gray-200",
+                          !isImageLoaded && "hidden"
+                        )}
+                        onLoad={() => setIsImageLoaded(true)}
+                        onError={() => setIsImageLoaded(false)}
+                      />
+                      {!isImageLoaded && (
+                        <div className="flex items-center justify-center h-64 bg-gray-100 rounded-lg">
+                          <div className="text-center">
+                            <Image className="w-12 h-12 text-gray-400 mx-auto mb-2" />
+                            <p className="text-gray-500">Loading image...</p>
+                          </div>
                         </div>
+                      )}
+                    </div>
+                  ) : (
+                    <div className="flex items-center justify-center h-64 bg-gray-100 rounded-lg">
+                      <div className="text-center">
+                        <IconComponent className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+                        <p className="text-gray-600 text-lg font-medium">{fileName}</p>
+                        <p className="text-gray-500 text-sm mt-1">
+                          {fileType === 'image' ? 'Preview not available' : 'No preview available for this file type'}
+                        </p>
                       </div>
-                    )}
-                  </div>
-                ) : (
-                  <div className="flex items-center justify-center h-64 bg-gray-100 rounded-lg">
-                    <div className="text-center">
-                      <IconComponent className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-                      <p className="text-gray-600 text-lg font-medium">{fileName}</p>
-                      <p className="text-gray-500 text-sm mt-1">
-                        {fileType === 'image' ? 'Preview not available' : 'No preview available for this file type'}
-                      </p>
                     </div>
-                  </div>
-                )}
+                  )}
+                </div>
               </div>
-            </div>
 
-            {/* File Metadata */}
-            <div className="space-y-6">
-              {/* File Info */}
-              <div className="card p-6">
-                <h3 className="text-lg font-semibold text-gray-900 mb-4">File Information</h3>
-                <div className="space-y-4">
-                  <div className="flex items-start space-x-3">
-                    <Tag className="w-5 h-5 text-gray-400 mt-0.5" />
-                    <div>
-                      <p className="text-sm font-medium text-gray-700">File Name</p>
-                      <p className="text-sm text-gray-600 break-all">{fileName}</p>
-                    </div>
-                  </div>
-                  
-                  <div className="flex items-start space-x-3">
-                    <HardDrive className="w-5 h-5 text-gray-400 mt-0.5" />
-                    <div>
-                      <p className="text-sm font-medium text-gray-700">Size</p>
-                      <p className="text-sm text-gray-600">{formatFileSize(file.size)}</p>
-                    </div>
-                  </div>
-                  
-                  <div className="flex items-start space-x-3">
-                    <Calendar className="w-5 h-5 text-gray-400 mt-0.5" />
-                    <div>
-                      <p className="text-sm font-medium text-gray-700">Last Modified</p>
-                      <p className="text-sm text-gray-600">{formatDate(file.lastModified)}</p>
-                    </div>
-                  </div>
-                  
-                  {file.contentType && (
+              {/* File Metadata */}
+              <div className="space-y-6">
+                {/* File Info */}
+                <div className="card p-6">
+                  <h3 className="text-lg font-semibold text-gray-900 mb-4">File Information</h3>
+                  <div className="space-y-4">
                     <div className="flex items-start space-x-3">
-                      <FileText className="w-5 h-5 text-gray-400 mt-0.5" />
+                      <Tag className="w-5 h-5 text-gray-400 mt-0.5" />
                       <div>
-                        <p className="text-sm font-medium text-gray-700">Content Type</p>
-                        <p className="text-sm text-gray-600">{file.contentType}</p>
+                        <p className="text-sm font-medium text-gray-700">File Name</p>
+                        <p className="text-sm text-gray-600 break-all">{fileName}</p>
                       </div>
                     </div>
-                  )}
                   
-                  {file.etag && (
                     <div className="flex items-start space-x-3">
-                      <Tag className="w-5 h-5 text-gray-400 mt-0.5" />
+                      <HardDrive className="w-5 h-5 text-gray-400 mt-0.5" />
                       <div>
-                        <p className="text-sm font-medium text-gray-700">ETag</p>
-                        <p className="text-sm text-gray-600 break-all">{file.etag.replace(/"/g, '')}</p>
+                        <p className="text-sm font-medium text-gray-700">Size</p>
+                        <p className="text-sm text-gray-600">{formatFileSize(file.size)}</p>
                       </div>
                     </div>
-                  )}
                   
-                  {file.storageClass && (
                     <div className="flex items-start space-x-3">
-                      <HardDrive className="w-5 h-5 text-gray-400 mt-0.5" />
+                      <Calendar className="w-5 h-5 text-gray-400 mt-0.5" />
                       <div>
-                        <p className="text-sm font-medium text-gray-700">Storage Class</p>
-                        <p className="text-sm text-gray-600">{file.storageClass}</p>
+                        <p className="text-sm font-medium text-gray-700">Last Modified</p>
+                        <p className="text-sm text-gray-600">{formatDate(file.lastModified)}</p>
                       </div>
                     </div>
-                  )}
-                </div>
-              </div>
+                  
+                    {file.contentType && (
+                      <div className="flex items-start space-x-3">
+                        <FileText className="w-5 h-5 text-gray-400 mt-0.5" />
+                        <div>
+                          <p className="text-sm font-medium text-gray-700">Content Type</p>
+                          <p className="text-sm text-gray-600">{file.contentType}</p>
+                        </div>
+                      </div>
+                    )}
+                  
+                    {file.etag && (
+                      <div className="flex items-start space-x-3">
+                        <Tag className="w-5 h-5 text-gray-400 mt-0.5" />
+                        <div>
+                          <p className="text-sm font-medium text-gray-700">ETag</p>
+                          <p className="text-sm text-gray-600 break-all">{file.etag.replace(/"/g, '')}</p>
+                        </div>
+                      </div>
+                    )}
+                  
+                    {file.storageClass && (
+                      <div className="flex items-start space-x-3">
+                        <HardDrive className="w-5 h-5 text-gray-400 mt-0.5" />
+                        <div>
+                          <p className="text-sm font-medium text-gray-700">Storage Class</p>
+                          <p className="text-sm text-gray-600">
+                            {getObjectStorageClassLabel(file.storageClass)}
+                            <button
+                              onClick={() => setShowStorageClassModal(true)}
+                              className="ml-2 text-primary-600 hover:text-primary-700"
+                            >
+                              Change
+                            </button>
+                          </p>
+                        </div>
+                      </div>
+                    )}
+
+                    {file.restore && (
+                      <div className="flex items-start space-x-3">
+                        <Snowflake className="w-5 h-5 text-gray-400 mt-0.5" />
+                        <div>
+                          <p className="text-sm font-medium text-gray-700">Restore</p>
+                          <p className="text-sm text-gray-600">
+                            {describeRestore(file.restore)}
+                            {file.restore.status !== 'in-progress' && (
+                              <button
+                                onClick={() => setShowRestoreModal(true)}
+                                className="ml-2 text-primary-600 hover:text-primary-700"
+                              >
+                                {file.restore.status === 'restored' ? 'Extend' : 'Restore'}
+                              </button>
+                            )}
+                          </p>
+                        </div>
+                      </div>
+                    )}
 
-              {/* Path Info */}
-              <div className="card p-6">
-                <h3 className="text-lg font-semibold text-gray-900 mb-4">Location</h3>
-                <div className="space-y-4">
-                  <div>
-                    <p className="text-sm font-medium text-gray-700">Bucket</p>
-                    <p className="text-sm text-gray-600">{bucketName}</p>
+                    {file.encryption && (
+                      <div className="flex items-start space-x-3">
+                        <Lock className="w-5 h-5 text-gray-400 mt-0.5" />
+                        <div>
+                          <p className="text-sm font-medium text-gray-700">Encryption</p>
+                          <p className="text-sm text-gray-600">{describeEncryption(file.encryption)}</p>
+                          {file.encryption.kmsKeyId && (
+                            <p className="text-xs text-gray-500 break-all">{file.encryption.kmsKeyId}</p>
+                          )}
+                        </div>
+                      </div>
+                    )}
                   </div>
+                </div>
+
+                <TagEditor
+                  description="Used by lifecycle rules, access policies and cost allocation."
+                  loadTags={loadTags}
+                  saveTags={saveTags}
+                />
+
+                <FileObjectLock
+                  bucketName={bucketName}
+                  fileKey={decodedFileKey}
+                  lock={file.lock}
+                  onChange={(lock) => setFile(prev => ({ ...prev, lock }))}
+                />
+
+                <FileWebsiteRedirect
+                  bucketName={bucketName}
+                  fileKey={decodedFileKey}
+                  location={file.websiteRedirectLocation}
+                  onChange={setFile}
+                />
+
+                <FileAccessControl bucketName={bucketName} fileKey={decodedFileKey} />
+
+                {/* Path Info */}
+                <div className="card p-6">
+                  <h3 className="text-lg font-semibold text-gray-900 mb-4">Location</h3>
+                  <div className="space-y-4">
+                    <div>
+                      <p className="text-sm font-medium text-gray-700">Bucket</p>
+                      <p className="text-sm text-gray-600">{bucketName}</p>
+                    </div>
                   
-                  <div>
-                    <p className="text-sm font-medium text-gray-700">Full Path</p>
-                    <p className="text-sm text-gray-600 break-all">{decodedFileKey}</p>
+                    <div>
+                      <p className="text-sm font-medium text-gray-700">Full Path</p>
+                      <p className="text-sm text-gray-600 break-all">{decodedFileKey}</p>
+                    </div>
                   </div>
                 </div>
               </div>
             </div>
           </div>
-        </div>
+        )}
       </div>
+
+      <CopyMoveModal
+        isOpen={Boolean(transferMode)}
+        onClose={() => setTransferMode(null)}
+        bucketName={bucketName}
+        file={file}
+        mode={transferMode}
+        onComplete={handleTransferComplete}
+      />
+
+      <StorageClassModal
+        isOpen={showStorageClassModal}
+        onClose={() => setShowStorageClassModal(false)}
+        bucketName={bucketName}
+        files={file ? [file] : []}
+        onComplete={loadFileDetails}
+      />
+
+      <RestoreModal
+        isOpen={showRestoreModal}
+        onClose={() => setShowRestoreModal(false)}
+        bucketName={bucketName}
+        file={file}
+        onComplete={loadFileDetails}
+      />
     </div>
   );
-};
\ No newline at end of file
+};
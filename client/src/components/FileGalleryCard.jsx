@@ -5,13 +5,17 @@ import {
   Trash2,
   Image as ImageIcon,
   File,
-  AlertCircle
+  AlertCircle,
+  Pencil,
+  Copy,
+  FolderInput
 } from 'lucide-react';
 import { cn } from '../utils/cn.js';
 import { formatFileSize, formatDate, getFileType } from '../utils/fileUtils.js';
 import { fileApi } from '../services/api.js';
 import { useLazyLoading } from '../hooks/useIntersectionObserver.js';
 import { queueApiRequest } from '../utils/requestQueue.js';
+import { InlineRename } from './InlineRename.jsx';
 
 export const FileGalleryCard = ({ 
   file, 
@@ -19,6 +23,9 @@ export const FileGalleryCard = ({
   onView, 
   onDownload, 
   onDelete, 
+  onRename,
+  onCopy,
+  onMove,
   onSelect,
   isSelected = false,
   isDeleting = false
@@ -27,6 +34,7 @@ export const FileGalleryCard = ({
   const [imageLoaded, setImageLoaded] = useState(false);
   const [imageError, setImageError] = useState(null); // Changed to store error message
   const [isLoading, setIsLoading] = useState(false);
+  const [isRenaming, setIsRenaming] = useState(false);
 
   const fileType = getFileType(file.key, file.contentType);
   const fileName = file.key.split('/').pop();
@@ -85,6 +93,12 @@ export const FileGalleryCard = ({
     onSelect?.(file);
   };
 
+  // onRename resolves once the file list has been refreshed with the new key
+  const handleRename = async (newName) => {
+    await onRename(file, newName);
+    setIsRenaming(false);
+  };
+
   return (
     <div 
       ref={lazyRef}
@@ -198,6 +212,42 @@ export const FileGalleryCard = ({
             >
               <Download className="w-4 h-4" />
             </button>
+            {onRename && (
+              <button 
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setIsRenaming(true);
+                }}
+                className="p-2 bg-white/90 hover:bg-white rounded-lg text-gray-700 transition-colors"
+                title="Rename file"
+              >
+                <Pencil className="w-4 h-4" />
+              </button>
+            )}
+            {onCopy && (
+              <button 
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onCopy(file);
+                }}
+                className="p-2 bg-white/90 hover:bg-white rounded-lg text-gray-700 transition-colors"
+                title="Copy file"
+              >
+                <Copy className="w-4 h-4" />
+              </button>
+            )}
+            {onMove && (
+              <button 
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onMove(file);
+                }}
+                className="p-2 bg-white/90 hover:bg-white rounded-lg text-gray-700 transition-colors"
+                title="Move file"
+              >
+                <FolderInput className="w-4 h-4" />
+              </button>
+            )}
             <button 
               onClick={(e) => {
                 e.stopPropagation();
@@ -225,9 +275,13 @@ export const FileGalleryCard = ({
       {/* File Info */}
       <div className="p-4">
         <div className="space-y-2">
-          <p className="text-sm font-medium text-gray-900 truncate" title={fileName}>
-            {fileName}
-          </p>
+          {isRenaming ? (
+            <InlineRename name={fileName} onRename={handleRename} onCancel={() => setIsRenaming(false)} />
+          ) : (
+            <p className="text-sm font-medium text-gray-900 truncate" title={fileName}>
+              {fileName}
+            </p>
+          )}
           <div className="flex items-center justify-between text-xs text-gray-500">
             <span>{formatFileSize(file.size)}</span>
             <span className="capitalize">{fileType}</span>
@@ -1,27 +1,47 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { CheckSquare, Square, Minus } from 'lucide-react';
 import { FileCard } from './FileCard.jsx';
 import { FileGalleryCard } from './FileGalleryCard.jsx';
+import { FolderCard } from './FolderCard.jsx';
 import { FileUpload, UploadProgress } from './FileUpload.jsx';
 import { BulkDeleteProgress } from './BulkDeleteProgress.jsx';
+import { LoadMoreTrigger } from './LoadMoreTrigger.jsx';
 import { ConfirmModal } from './Modal.jsx';
+import { CopyMoveModal } from './CopyMoveModal.jsx';
+import { CreateFolderModal } from './CreateFolderModal.jsx';
+import { FolderOperationModal } from './FolderOperationModal.jsx';
+import { RestoreModal } from './RestoreModal.jsx';
+import { StorageClassModal } from './StorageClassModal.jsx';
 import { useApi, useApiState } from '../hooks/useApi.js';
 import { useFileUpload } from '../hooks/useFileUpload.js';
+import { useFileListing } from '../hooks/useFileListing.js';
 import { fileApi } from '../services/api.js';
 import { filterFiles } from '../utils/fileUtils.js';
+import { normalizePrefix, buildBucketPath, buildFileDetailPath, replaceFileName } from '../utils/pathUtils.js';
 import { imageRequestQueue } from '../utils/requestQueue.js';
 import { cn } from '../utils/cn.js';
 
+// Keys per delete-batch request; matches S3's DeleteObjects limit, so progress updates once per S3 call
+const BULK_DELETE_BATCH_SIZE = 1000;
+
 export const FileListView = ({ viewMode, searchQuery, filters = {} }) => {
-  const { bucketName } = useParams();
+  const { bucketName, '*': prefixParam = '' } = useParams();
   const navigate = useNavigate();
+  const prefix = normalizePrefix(prefixParam);
   
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [isDragging, setIsDragging] = useState(false);
   const [errorMessage, setErrorMessage] = useState(null);
   const [showErrorModal, setShowErrorModal] = useState(false);
   const [deletingFileKey, setDeletingFileKey] = useState(null);
+  // File being copied or moved: { file, mode }
+  const [transferTarget, setTransferTarget] = useState(null);
+  // Folder being renamed or deleted: { folder, mode }
+  const [folderOperation, setFolderOperation] = useState(null);
+  const [restoreFolder, setRestoreFolder] = useState(null);
+  const [showCreateFolder, setShowCreateFolder] = useState(false);
+  const [showStorageClassModal, setShowStorageClassModal] = useState(false);
   const [queueStatus, setQueueStatus] = useState({ active: 0, queued: 0 });
   
   // Monitor image queue status for gallery view
@@ -45,36 +65,53 @@ export const FileListView = ({ viewMode, searchQuery, filters = {} }) => {
     files: [],
     completedFiles: [],
     failedFiles: [],
-    currentFile: null
+    currentBatch: []
   });
   const bulkDeleteCancelledRef = useRef(false);
   
-  // API hooks
-  const { data: files, loading: filesLoading, execute: fetchFiles } = useApiState([]);
+  // API hooks (the listing loads its first page when the bucket or folder changes)
+  const {
+    files,
+    folders,
+    loading: filesLoading,
+    loadingMore,
+    error: listingError,
+    hasMore,
+    refresh: refreshFiles,
+    loadMore
+  } = useFileListing(bucketName, { prefix });
   const { execute: deleteFile } = useApi();
+  const { execute: deleteFiles } = useApi();
   
-  // File upload hook
-  const { uploads, isUploading, uploadFile, uploadMultiple, clearAllUploads } = useFileUpload(bucketName);
+  // File upload hook (new files land in the folder being viewed)
+  const uploadOptions = useMemo(() => ({
+    prefix,
+    // Refresh once after each batch finishes
+    onUploadsComplete: () => refreshFiles()
+  }), [prefix, refreshFiles]);
+  const {
+    uploads,
+    uploadMultiple,
+    pauseUpload,
+    resumeUpload,
+    cancelUpload,
+    pauseAll,
+    resumeAll,
+    retryFailed,
+    cancelAll,
+    clearUpload,
+    clearFinishedUploads
+  } = useFileUpload(bucketName, uploadOptions);
 
-  // Load files when component mounts or bucket changes
+  // Selection belongs to the folder being viewed, so drop it when navigating away
   useEffect(() => {
-    if (bucketName) {
-      fetchFiles(async () => {
-        const response = await fileApi.list(bucketName);
-        return response.files || [];
-      });
-    }
-  }, [bucketName, fetchFiles]);
+    setSelectedFiles([]);
+  }, [bucketName, prefix]);
 
   // Listen for events from header
   useEffect(() => {
     const handleRefresh = () => {
-      if (bucketName) {
-        fetchFiles(async () => {
-          const response = await fileApi.list(bucketName);
-          return response.files || [];
-        });
-      }
+      refreshFiles();
     };
 
     const handleUpload = () => {
@@ -85,22 +122,34 @@ export const FileListView = ({ viewMode, searchQuery, filters = {} }) => {
       }
     };
 
+    const handleCreateFolder = () => {
+      setShowCreateFolder(true);
+    };
+
     window.addEventListener('refresh-data', handleRefresh);
     window.addEventListener('trigger-file-upload', handleUpload);
+    window.addEventListener('open-create-folder-modal', handleCreateFolder);
 
     return () => {
       window.removeEventListener('refresh-data', handleRefresh);
       window.removeEventListener('trigger-file-upload', handleUpload);
+      window.removeEventListener('open-create-folder-modal', handleCreateFolder);
     };
-  }, [bucketName, fetchFiles]);
+  }, [refreshFiles]);
 
   // Filter data based on search query and other filters
   const filteredFiles = filterFiles(files || [], searchQuery, filters);
+  const filteredFolders = (folders || []).filter(folder =>
+    !searchQuery || folder.name.toLowerCase().includes(searchQuery.toLowerCase())
+  );
 
   const handleFileSelect = useCallback((file) => {
     // Navigate to file detail view
-    const encodedFileKey = encodeURIComponent(file.key);
-    navigate(`/buckets/${encodeURIComponent(bucketName)}/files/${encodedFileKey}`);
+    navigate(buildFileDetailPath(bucketName, file.key));
+  }, [navigate, bucketName]);
+
+  const handleOpenFolder = useCallback((folder) => {
+    navigate(buildBucketPath(bucketName, folder.prefix));
   }, [navigate, bucketName]);
 
   const handleViewFile = useCallback(async (file) => {
@@ -158,10 +207,7 @@ export const FileListView = ({ viewMode, searchQuery, filters = {} }) => {
       console.log(`File deleted successfully, refreshing file list...`);
       
       // Refresh the file list
-      await fetchFiles(async () => {
-        const response = await fileApi.list(bucketName);
-        return response.files || [];
-      });
+      await refreshFiles();
       console.log(`File list refreshed`);
       
       setDeletingFileKey(null);
@@ -185,7 +231,28 @@ export const FileListView = ({ viewMode, searchQuery, filters = {} }) => {
       setShowErrorModal(true);
       setDeletingFileKey(null);
     }
-  }, [deleteFile, bucketName, fetchFiles]);
+  }, [deleteFile, bucketName, refreshFiles]);
+
+  // Errors are rethrown so the inline rename field can show them
+  const handleRenameFile = useCallback(async (file, newName) => {
+    await fileApi.rename(bucketName, file.key, replaceFileName(file.key, newName));
+    setSelectedFiles(prev => prev.filter(f => f.key !== file.key));
+    await refreshFiles();
+  }, [bucketName, refreshFiles]);
+
+  const handleCopyFile = useCallback((file) => setTransferTarget({ file, mode: 'copy' }), []);
+  const handleMoveFile = useCallback((file) => setTransferTarget({ file, mode: 'move' }), []);
+
+  const handleTransferComplete = useCallback(() => {
+    if (transferTarget?.mode === 'move') {
+      setSelectedFiles(prev => prev.filter(f => f.key !== transferTarget.file.key));
+    }
+    refreshFiles();
+  }, [transferTarget, refreshFiles]);
+
+  const handleRenameFolder = useCallback((folder) => setFolderOperation({ folder, mode: 'rename' }), []);
+  const handleDeleteFolder = useCallback((folder) => setFolderOperation({ folder, mode: 'delete' }), []);
+  const handleRestoreFolder = useCallback((folder) => setRestoreFolder(folder), []);
 
   const handleBulkDelete = useCallback(async () => {
     if (!bucketName || selectedFiles.length === 0) return;
@@ -195,119 +262,75 @@ export const FileListView = ({ viewMode, searchQuery, filters = {} }) => {
       return;
     }
     
+    const files = [...selectedFiles];
+    let failedCount = 0;
+    
     // Initialize bulk delete state
     setBulkDeleteState({
       isActive: true,
-      files: [...selectedFiles],
+      files,
       completedFiles: [],
       failedFiles: [],
-      currentFile: selectedFiles[0]
+      currentBatch: files.slice(0, BULK_DELETE_BATCH_SIZE)
     });
     
     bulkDeleteCancelledRef.current = false;
     
-    // Delete files one by one
-    for (let i = 0; i < selectedFiles.length; i++) {
+    // Each request deletes a whole batch; the server reports which keys failed and why
+    for (let start = 0; start < files.length; start += BULK_DELETE_BATCH_SIZE) {
       if (bulkDeleteCancelledRef.current) {
         break;
       }
       
-      const file = selectedFiles[i];
-      
-      // Update current file being deleted
-      setBulkDeleteState(prev => ({
-        ...prev,
-        currentFile: file
-      }));
+      const batch = files.slice(start, start + BULK_DELETE_BATCH_SIZE);
+      setBulkDeleteState(prev => ({ ...prev, currentBatch: batch }));
       
+      let failedFiles;
       try {
-        console.log(`Bulk delete: Deleting file ${i + 1}/${selectedFiles.length}: ${file.key}`);
-        await deleteFile(() => fileApi.delete(bucketName, file.key));
-        
-        // Mark as completed
-        setBulkDeleteState(prev => ({
-          ...prev,
-          completedFiles: [...prev.completedFiles, file]
-        }));
-        
-        console.log(`Bulk delete: File ${file.key} deleted successfully`);
+        const response = await deleteFiles(() => fileApi.deleteBatch(bucketName, batch.map(file => file.key)));
+        const errorsByKey = new Map(response.errors.map(error => [error.key, error]));
+        failedFiles = batch
+          .filter(file => errorsByKey.has(file.key))
+          .map(file => ({ ...file, error: errorsByKey.get(file.key).message }));
       } catch (error) {
-        console.error(`Bulk delete: Failed to delete ${file.key}:`, error);
-        
-        // Handle rate limiting with retry
-        if (error.status === 429) {
-          console.log('Rate limited, waiting 2 seconds before continuing...');
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          
-          // Retry the deletion once
-          try {
-            console.log(`Bulk delete: Retrying ${file.key} after rate limit`);
-            await deleteFile(() => fileApi.delete(bucketName, file.key));
-            
-            setBulkDeleteState(prev => ({
-              ...prev,
-              completedFiles: [...prev.completedFiles, file]
-            }));
-            console.log(`Bulk delete: File ${file.key} deleted successfully on retry`);
-          } catch (retryError) {
-            console.error(`Bulk delete: Retry failed for ${file.key}:`, retryError);
-            setBulkDeleteState(prev => ({
-              ...prev,
-              failedFiles: [...prev.failedFiles, { ...file, error: `Retry failed: ${retryError.message}` }]
-            }));
-          }
-        } else {
-          // Mark as failed for non-rate-limit errors
-          setBulkDeleteState(prev => ({
-            ...prev,
-            failedFiles: [...prev.failedFiles, { ...file, error: error.message }]
-          }));
-        }
+        console.error('Bulk delete: batch failed:', error);
+        failedFiles = batch.map(file => ({ ...file, error: error.message }));
       }
       
-      // Longer delay between files to prevent rate limiting
-      await new Promise(resolve => setTimeout(resolve, 600));
+      failedCount += failedFiles.length;
+      setBulkDeleteState(prev => ({
+        ...prev,
+        completedFiles: [...prev.completedFiles, ...batch.filter(file => !failedFiles.some(f => f.key === file.key))],
+        failedFiles: [...prev.failedFiles, ...failedFiles],
+        currentBatch: []
+      }));
     }
     
     // Refresh file list after all deletions
     if (!bulkDeleteCancelledRef.current) {
-      console.log('Bulk delete: Refreshing file list...');
-      await fetchFiles(async () => {
-        const response = await fileApi.list(bucketName);
-        return response.files || [];
-      });
+      await refreshFiles();
     }
     
     // Clear selected files and show completion
     setSelectedFiles([]);
     
     // Auto-hide progress after delay if no failures
-    const hasFailures = bulkDeleteState.failedFiles.length > 0;
-    if (!hasFailures) {
+    if (failedCount === 0) {
       setTimeout(() => {
         setBulkDeleteState(prev => ({ ...prev, isActive: false }));
       }, 2000);
     }
-  }, [bucketName, selectedFiles, deleteFile, fetchFiles]);
+  }, [bucketName, selectedFiles, deleteFiles, refreshFiles]);
 
   const handleCancelBulkDelete = useCallback(() => {
     bulkDeleteCancelledRef.current = true;
     setBulkDeleteState(prev => ({ ...prev, isActive: false }));
   }, []);
 
-  const handleFileUpload = useCallback(async (files) => {
+  const handleFileUpload = useCallback((files, uploadOptions) => {
     if (!bucketName) return;
-    
-    try {
-      await uploadMultiple(files);
-      await fetchFiles(async () => {
-        const response = await fileApi.list(bucketName);
-        return response.files || [];
-      });
-    } catch (error) {
-      console.error('Failed to upload files:', error);
-    }
-  }, [bucketName, uploadMultiple, fetchFiles]);
+    uploadMultiple(files, uploadOptions);
+  }, [bucketName, uploadMultiple]);
 
   const handleDownloadFile = useCallback(async (file) => {
     if (!bucketName) return;
@@ -332,18 +355,13 @@ export const FileListView = ({ viewMode, searchQuery, filters = {} }) => {
       URL.revokeObjectURL(link.href);
     } catch (error) {
       console.error('Failed to download file:', error);
+      if (error.data?.code === 'RESTORE_REQUIRED') {
+        setErrorMessage(error.message);
+        setShowErrorModal(true);
+      }
     }
   }, [bucketName]);
 
-  const handleRefresh = useCallback(() => {
-    if (bucketName) {
-      fetchFiles(async () => {
-        const response = await fileApi.list(bucketName);
-        return response.files || [];
-      });
-    }
-  }, [bucketName, fetchFiles]);
-
   const handleDragOver = useCallback((e) => {
     e.preventDefault();
     setIsDragging(true);
@@ -425,6 +443,13 @@ export const FileListView = ({ viewMode, searchQuery, filters = {} }) => {
           
           {selectedFiles.length > 0 && (
             <div className="flex items-center space-x-2">
+              <button
+                onClick={() => setShowStorageClassModal(true)}
+                disabled={bulkDeleteState.isActive}
+                className="btn-secondary"
+              >
+                Change Storage Class
+              </button>
               <button
                 onClick={handleBulkDelete}
                 disabled={bulkDeleteState.isActive}
@@ -451,10 +476,19 @@ export const FileListView = ({ viewMode, searchQuery, filters = {} }) => {
           <div className="loading-spinner w-6 h-6"></div>
           <p className="ml-3 text-gray-600">Loading files...</p>
         </div>
-      ) : filteredFiles.length === 0 ? (
+      ) : listingError && files.length === 0 ? (
+        <div className="text-center py-12">
+          <p className="text-red-500">Failed to load files: {listingError.message}</p>
+          <button onClick={refreshFiles} className="btn-secondary mt-4">
+            Try Again
+          </button>
+        </div>
+      ) : filteredFiles.length === 0 && filteredFolders.length === 0 ? (
         <div className="text-center py-12">
           <p className="text-gray-500">
-            {searchQuery ? 'No files found matching your search.' : 'No files in this bucket.'}
+            {searchQuery
+              ? 'No files found matching your search.'
+              : prefix ? 'This folder is empty.' : 'No files in this bucket.'}
           </p>
         </div>
       ) : (
@@ -498,6 +532,17 @@ export const FileListView = ({ viewMode, searchQuery, filters = {} }) => {
                 </tr>
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
+                {filteredFolders.map((folder) => (
+                  <FolderCard
+                    key={folder.prefix}
+                    folder={folder}
+                    viewMode="list"
+                    onOpen={handleOpenFolder}
+                    onRename={handleRenameFolder}
+                    onDelete={handleDeleteFolder}
+                    onRestore={handleRestoreFolder}
+                  />
+                ))}
                 {filteredFiles.map((file) => (
                   <FileCard
                     key={file.key}
@@ -509,46 +554,99 @@ export const FileListView = ({ viewMode, searchQuery, filters = {} }) => {
                     onView={handleViewFile}
                     onDownload={handleDownloadFile}
                     onDelete={handleDeleteFile}
+                    onRename={handleRenameFile}
+                    onCopy={handleCopyFile}
+                    onMove={handleMoveFile}
                   />
                 ))}
               </tbody>
             </table>
           ) : viewMode === 'gallery' ? (
-            filteredFiles.map((file) => (
-              <FileGalleryCard
-                key={file.key}
-                file={file}
-                bucketName={bucketName}
-                isSelected={selectedFiles.some(f => f.key === file.key)}
-                isDeleting={deletingFileKey === file.key}
-                onSelect={handleFileCheck}
-                onView={handleViewFile}
-                onDownload={handleDownloadFile}
-                onDelete={handleDeleteFile}
-              />
-            ))
+            <>
+              {filteredFolders.map((folder) => (
+                <FolderCard
+                  key={folder.prefix}
+                  folder={folder}
+                  viewMode="gallery"
+                  onOpen={handleOpenFolder}
+                  onRename={handleRenameFolder}
+                  onDelete={handleDeleteFolder}
+                  onRestore={handleRestoreFolder}
+                />
+              ))}
+              {filteredFiles.map((file) => (
+                <FileGalleryCard
+                  key={file.key}
+                  file={file}
+                  bucketName={bucketName}
+                  isSelected={selectedFiles.some(f => f.key === file.key)}
+                  isDeleting={deletingFileKey === file.key}
+                  onSelect={handleFileCheck}
+                  onView={handleViewFile}
+                  onDownload={handleDownloadFile}
+                  onDelete={handleDeleteFile}
+                  onRename={handleRenameFile}
+                  onCopy={handleCopyFile}
+                  onMove={handleMoveFile}
+                />
+              ))}
+            </>
           ) : (
-            filteredFiles.map((file) => (
-              <FileCard
-                key={file.key}
-                file={file}
-                viewMode="grid"
-                isSelected={selectedFiles.some(f => f.key === file.key)}
-                isDeleting={deletingFileKey === file.key}
-                onSelect={handleFileCheck}
-                onView={handleViewFile}
-                onDownload={handleDownloadFile}
-                onDelete={handleDeleteFile}
-              />
-            ))
+            <>
+              {filteredFolders.map((folder) => (
+                <FolderCard
+                  key={folder.prefix}
+                  folder={folder}
+                  viewMode="grid"
+                  onOpen={handleOpenFolder}
+                  onRename={handleRenameFolder}
+                  onDelete={handleDeleteFolder}
+                  onRestore={handleRestoreFolder}
+                />
+              ))}
+              {filteredFiles.map((file) => (
+                <FileCard
+                  key={file.key}
+                  file={file}
+                  viewMode="grid"
+                  isSelected={selectedFiles.some(f => f.key === file.key)}
+                  isDeleting={deletingFileKey === file.key}
+                  onSelect={handleFileCheck}
+                  onView={handleViewFile}
+                  onDownload={handleDownloadFile}
+                  onDelete={handleDeleteFile}
+                  onRename={handleRenameFile}
+                  onCopy={handleCopyFile}
+                  onMove={handleMoveFile}
+                />
+              ))}
+            </>
           )}
         </div>
       )}
 
+      {/* Next Page (infinite scroll with a manual fallback) */}
+      {!filesLoading && hasMore && (
+        <LoadMoreTrigger
+          onLoadMore={loadMore}
+          isLoading={loadingMore}
+          error={listingError}
+          loadedCount={files.length + folders.length}
+        />
+      )}
+
       {/* Upload Progress */}
       <UploadProgress
         uploads={uploads}
-        onClear={clearAllUploads}
+        onClear={clearFinishedUploads}
+        onPause={pauseUpload}
+        onResume={resumeUpload}
+        onCancel={cancelUpload}
+        onDismiss={clearUpload}
+        onPauseAll={pauseAll}
+        onResumeAll={resumeAll}
+        onRetryFailed={retryFailed}
+        onCancelAll={cancelAll}
       />
 
       {/* Bulk Delete Progress */}
@@ -557,10 +655,52 @@ export const FileListView = ({ viewMode, searchQuery, filters = {} }) => {
         files={bulkDeleteState.files}
         completedFiles={bulkDeleteState.completedFiles}
         failedFiles={bulkDeleteState.failedFiles}
-        currentFile={bulkDeleteState.currentFile}
+        currentBatch={bulkDeleteState.currentBatch}
         onCancel={handleCancelBulkDelete}
       />
 
+      <CopyMoveModal
+        isOpen={Boolean(transferTarget)}
+        onClose={() => setTransferTarget(null)}
+        bucketName={bucketName}
+        file={transferTarget?.file}
+        mode={transferTarget?.mode}
+        onComplete={handleTransferComplete}
+      />
+
+      <FolderOperationModal
+        isOpen={Boolean(folderOperation)}
+        onClose={() => setFolderOperation(null)}
+        bucketName={bucketName}
+        folder={folderOperation?.folder}
+        mode={folderOperation?.mode}
+        onComplete={() => refreshFiles()}
+      />
+
+      <RestoreModal
+        isOpen={Boolean(restoreFolder)}
+        onClose={() => setRestoreFolder(null)}
+        bucketName={bucketName}
+        folder={restoreFolder}
+        onComplete={() => refreshFiles()}
+      />
+
+      <StorageClassModal
+        isOpen={showStorageClassModal}
+        onClose={() => setShowStorageClassModal(false)}
+        bucketName={bucketName}
+        files={selectedFiles}
+        onComplete={() => refreshFiles()}
+      />
+
+      <CreateFolderModal
+        isOpen={showCreateFolder}
+        onClose={() => setShowCreateFolder(false)}
+        bucketName={bucketName}
+        prefix={prefix}
+        onCreated={() => refreshFiles()}
+      />
+
       {/* Error Modal */}
       <ConfirmModal
         isOpen={showErrorModal}
@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from 'react';
+import { Lock, Gavel, CheckCircle } from 'lucide-react';
+import { fileApi, bucketSettingsApi } from '../services/api.js';
+import { useApi } from '../hooks/useApi.js';
+import { ConfirmModal } from './Modal.jsx';
+import { cn } from '../utils/cn.js';
+import { RETENTION_MODES, getRetentionModeLabel, isRetentionActive } from '../utils/objectLockUtils.js';
+
+const toForm = (lock) => ({
+  mode: lock?.mode || 'GOVERNANCE',
+  date: lock?.retainUntil ? lock.retainUntil.slice(0, 10) : ''
+});
+
+// Retention and legal hold of the current version. Only shown for buckets with Object Lock
+// (or files that carry a lock anyway); onChange receives the updated lock.
+export const FileObjectLock = ({ bucketName, fileKey, lock, onChange }) => {
+  const [bucketLockEnabled, setBucketLockEnabled] = useState(false);
+  const [form, setForm] = useState(toForm(lock));
+  const [confirmCompliance, setConfirmCompliance] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const [saveMessage, setSaveMessage] = useState(null);
+
+  const { loading: saving, execute: executeSave } = useApi();
+
+  useEffect(() => {
+    bucketSettingsApi.getObjectLock(bucketName)
+      .then(response => setBucketLockEnabled(response.objectLock.enabled))
+      .catch(error => console.error('Failed to load bucket Object Lock status:', error));
+  }, [bucketName]);
+
+  useEffect(() => {
+    setForm(toForm(lock));
+  }, [lock]);
+
+  if (!lock && !bucketLockEnabled) return null;
+
+  const isActive = isRetentionActive(lock);
+  const isCompliance = isActive && lock.mode === 'COMPLIANCE';
+  const retainUntil = form.date ? new Date(`${form.date}T00:00:00Z`) : null;
+  const isShorter = isActive && retainUntil && retainUntil < new Date(lock.retainUntil);
+
+  let dateError = null;
+  if (!retainUntil) {
+    dateError = 'Choose a date';
+  } else if (retainUntil <= new Date()) {
+    dateError = 'Retain until date must be in the future';
+  } else if (isCompliance && isShorter) {
+    dateError = 'Compliance retention can only be extended';
+  }
+
+  const isDirty = form.mode !== (lock?.mode || 'GOVERNANCE') || form.date !== toForm(lock).date;
+
+  const runSave = async (request) => {
+    setSaveError(null);
+    setSaveMessage(null);
+    try {
+      const response = await executeSave(request);
+      setSaveMessage(response.message);
+      onChange?.(response.lock);
+    } catch (error) {
+      console.error('Failed to update Object Lock:', error);
+      setSaveError(error.data?.errors?.map(detail => detail.message).join('; ') || error.data?.message || error.message);
+    }
+  };
+
+  // Shortening governance retention needs the bypass permission
+  const saveRetention = () => runSave(() => fileApi.setRetention(bucketName, fileKey, {
+    mode: form.mode,
+    retainUntil: retainUntil.toISOString(),
+    bypassGovernance: Boolean(isShorter)
+  }));
+
+  const handleSaveRetention = () => {
+    if (form.mode === 'COMPLIANCE' && !isCompliance) {
+      setConfirmCompliance(true);
+    } else {
+      saveRetention();
+    }
+  };
+
+  const handleRemoveRetention = () => runSave(() => fileApi.setRetention(bucketName, fileKey, {
+    mode: null,
+    bypassGovernance: isActive
+  }));
+
+  const handleToggleLegalHold = () => runSave(() => fileApi.setLegalHold(bucketName, fileKey, !lock?.legalHold));
+
+  return (
+    <div className="card p-6 space-y-4">
+      <div className="flex items-center space-x-3">
+        <Lock className="w-5 h-5 text-gray-400" />
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Object Lock</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            {isActive
+              ? `${getRetentionModeLabel(lock.mode)} retention until ${new Date(lock.retainUntil).toLocaleString()}.`
+              : 'This version has no active retention.'}
+            {lock?.legalHold && ' A legal hold is in place.'}
+          </p>
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        <div className="flex items-center space-x-4">
+          {RETENTION_MODES.map(option => (
+            <label
+              key={option.value}
+              className={cn("flex items-center space-x-2 text-sm text-gray-700", isCompliance && "opacity-50")}
+              title={option.description}
+            >
+              <input
+                type="radio"
+                name="file-retention-mode"
+                checked={form.mode === option.value}
+                onChange={() => setForm(prev => ({ ...prev, mode: option.value }))}
+                disabled={isCompliance}
+              />
+              <span>{option.label}</span>
+            </label>
+          ))}
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Retain until (UTC)</label>
+          <input
+            type="date"
+            value={form.date}
+            onChange={(e) => setForm(prev => ({ ...prev, date: e.target.value }))}
+            className={cn("input w-48", isDirty && dateError && "border-red-500 focus:ring-red-500")}
+          />
+          {isDirty && dateError && <p className="text-sm text-red-600 mt-1">{dateError}</p>}
+          {isShorter && !isCompliance && (
+            <p className="text-xs text-gray-500 mt-1">Shortening governance retention needs the s3:BypassGovernanceRetention permission.</p>
+          )}
+        </div>
+      </div>
+
+      {saveError && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">{saveError}</p>
+        </div>
+      )}
+
+      {saveMessage && !isDirty && (
+        <div className="flex items-center space-x-2 text-sm text-green-700">
+          <CheckCircle className="w-4 h-4 text-green-600" />
+          <span>{saveMessage}</span>
+        </div>
+      )}
+
+      <div className="flex flex-wrap justify-end gap-3">
+        <button
+          onClick={handleToggleLegalHold}
+          disabled={saving}
+          className="btn-secondary flex items-center space-x-2"
+        >
+          <Gavel className="w-4 h-4" />
+          <span>{lock?.legalHold ? 'Remove Legal Hold' : 'Place Legal Hold'}</span>
+        </button>
+        {lock?.mode && !isCompliance && (
+          <button onClick={handleRemoveRetention} disabled={saving} className="btn-secondary">
+            Remove Retention
+          </button>
+        )}
+        <button
+          onClick={handleSaveRetention}
+          disabled={!isDirty || Boolean(dateError) || saving}
+          className="btn-primary"
+        >
+          {saving ? 'Saving...' : 'Save Retention'}
+        </button>
+      </div>
+
+      <ConfirmModal
+        isOpen={confirmCompliance}
+        onClose={() => setConfirmCompliance(false)}
+        onConfirm={saveRetention}
+        title="Compliance Retention"
+        message={`Lock this version in Compliance mode until ${form.date}? Nobody, including the root account, will be able to delete it or shorten the retention before then.`}
+        confirmText="Lock"
+        variant="danger"
+      />
+    </div>
+  );
+};
@@ -1,6 +1,10 @@
 import React, { useRef, useCallback, useState } from 'react';
-import { Upload, X, CheckCircle, AlertCircle } from 'lucide-react';
+import { Upload, X, CheckCircle, AlertCircle, Pause, Play, RotateCcw, Tags, Lock } from 'lucide-react';
 import { cn } from '../utils/cn.js';
+import { formatFileSize, formatDuration } from '../utils/fileUtils.js';
+import { cleanTags, validateTags } from '../utils/tagUtils.js';
+import { TagInputs } from './TagEditor.jsx';
+import { ENCRYPTION_TYPES, buildEncryptionRequest, isValidKmsKeyId } from '../utils/encryptionUtils.js';
 
 export const FileUpload = ({ 
   onFilesSelected, 
@@ -12,6 +16,28 @@ export const FileUpload = ({
 }) => {
   const fileInputRef = useRef(null);
   const [dragCounter, setDragCounter] = useState(0);
+  const [showTags, setShowTags] = useState(false);
+  // Tags applied to every file selected while they are set
+  const [tags, setTags] = useState([]);
+  const [showEncryption, setShowEncryption] = useState(false);
+  // Empty algorithm means the bucket's default encryption applies
+  const [encryption, setEncryption] = useState({ algorithm: '', kmsKeyId: '', bucketKeyEnabled: false });
+
+  const tagErrors = validateTags(tags);
+  const encryptionError = encryption.algorithm === 'aws:kms' && !isValidKmsKeyId(encryption.kmsKeyId)
+    ? 'Enter a KMS key ARN, alias ARN, alias/name or key ID'
+    : null;
+  const canSelect = tagErrors.length === 0 && !encryptionError;
+
+  const selectFiles = useCallback((files) => {
+    if (files.length === 0 || !canSelect) return;
+    onFilesSelected(files, {
+      tags: cleanTags(tags),
+      encryption: encryption.algorithm ? buildEncryptionRequest(encryption) : null
+    });
+  }, [onFilesSelected, tags, encryption, canSelect]);
+
+  const updateEncryption = (changes) => setEncryption(prev => ({ ...prev, ...changes }));
 
   const handleDragOver = useCallback((e) => {
     e.preventDefault();
@@ -37,22 +63,16 @@ export const FileUpload = ({
     e.stopPropagation();
     setDragCounter(0);
     
-    const files = Array.from(e.dataTransfer.files);
-    if (files.length > 0) {
-      onFilesSelected(files);
-    }
+    selectFiles(Array.from(e.dataTransfer.files));
     
     onDrop?.(e);
-  }, [onFilesSelected, onDrop]);
+  }, [selectFiles, onDrop]);
 
   const handleFileInputChange = useCallback((e) => {
-    const files = Array.from(e.target.files);
-    if (files.length > 0) {
-      onFilesSelected(files);
-    }
+    selectFiles(Array.from(e.target.files));
     // Reset input value to allow selecting the same file again
     e.target.value = '';
-  }, [onFilesSelected]);
+  }, [selectFiles]);
 
   const handleClick = useCallback(() => {
     fileInputRef.current?.click();
@@ -102,10 +122,81 @@ export const FileUpload = ({
         
         <button
           onClick={handleClick}
+          disabled={!canSelect}
           className="btn-primary"
         >
           Select Files
         </button>
+
+        <div>
+          <button
+            onClick={() => setShowTags(prev => !prev)}
+            className="text-sm text-primary-600 hover:text-primary-700 inline-flex items-center space-x-1"
+          >
+            <Tags className="w-4 h-4" />
+            <span>
+              {cleanTags(tags).length > 0 ? `Tagging uploads (${cleanTags(tags).length})` : 'Add tags to uploads'}
+            </span>
+          </button>
+          {(showTags || tagErrors.length > 0) && (
+            <div className="max-w-lg mx-auto mt-3 text-left">
+              <TagInputs tags={tags} onChange={setTags} />
+              {tagErrors.length > 0 && (
+                <ul className="mt-2 text-sm text-red-600 list-disc list-inside">
+                  {tagErrors.map(message => <li key={message}>{message}</li>)}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div>
+          <button
+            onClick={() => setShowEncryption(prev => !prev)}
+            className="text-sm text-primary-600 hover:text-primary-700 inline-flex items-center space-x-1"
+          >
+            <Lock className="w-4 h-4" />
+            <span>
+              {encryption.algorithm
+                ? `Encrypting uploads with ${ENCRYPTION_TYPES.find(type => type.value === encryption.algorithm).label}`
+                : 'Encryption: bucket default'}
+            </span>
+          </button>
+          {(showEncryption || encryptionError) && (
+            <div className="max-w-lg mx-auto mt-3 text-left space-y-2">
+              <select
+                value={encryption.algorithm}
+                onChange={(e) => updateEncryption({ algorithm: e.target.value })}
+                className="input"
+              >
+                <option value="">Bucket default</option>
+                {ENCRYPTION_TYPES.map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+              {encryption.algorithm === 'aws:kms' && (
+                <>
+                  <input
+                    type="text"
+                    value={encryption.kmsKeyId}
+                    onChange={(e) => updateEncryption({ kmsKeyId: e.target.value })}
+                    className="input font-mono text-sm"
+                    placeholder="KMS key ARN (empty for aws/s3)"
+                  />
+                  <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={encryption.bucketKeyEnabled}
+                      onChange={(e) => updateEncryption({ bucketKeyEnabled: e.target.checked })}
+                    />
+                    <span>Use bucket key</span>
+                  </label>
+                </>
+              )}
+              {encryptionError && <p className="text-sm text-red-600">{encryptionError}</p>}
+            </div>
+          )}
+        </div>
         
         <div className="text-xs text-gray-500">
           <p>Supported formats: Images, Documents, Videos, Audio, Archives</p>
@@ -116,62 +207,189 @@ export const FileUpload = ({
   );
 };
 
-export const UploadProgress = ({ uploads, onClear }) => {
-  if (Object.keys(uploads).length === 0) return null;
+// Speed and remaining time for everything that is still uploading
+const getBatchStats = (uploadList) => {
+  const pending = uploadList.filter(upload => ['queued', 'uploading'].includes(upload.status));
+  const speed = pending.reduce((sum, upload) => sum + (upload.speed || 0), 0);
+  const remaining = pending.reduce((sum, upload) => sum + upload.file.size - (upload.loaded || 0), 0);
+
+  return {
+    speed,
+    eta: speed > 0 ? remaining / speed : null
+  };
+};
+
+const getUploadDetail = (upload) => {
+  switch (upload.status) {
+    case 'queued':
+      return 'Waiting...';
+    case 'paused':
+      return `Paused at ${formatFileSize(upload.loaded || 0)} of ${formatFileSize(upload.file.size)}`;
+    case 'uploading':
+      if (upload.stalled) {
+        return 'Stalled: no progress for a while, check your connection';
+      }
+      return [
+        `${formatFileSize(upload.loaded || 0)} of ${formatFileSize(upload.file.size)}`,
+        upload.speed > 0 && `${formatFileSize(Math.round(upload.speed))}/s`,
+        upload.speed > 0 && `${formatDuration(upload.eta)} left`
+      ].filter(Boolean).join(' · ');
+    default:
+      return null;
+  }
+};
+
+const IconButton = ({ onClick, title, children }) => (
+  <button
+    onClick={onClick}
+    title={title}
+    className="p-1 hover:bg-gray-100 rounded transition-colors text-gray-500"
+  >
+    {children}
+  </button>
+);
+
+export const UploadProgress = ({
+  uploads,
+  onClear,
+  onPause,
+  onResume,
+  onCancel,
+  onDismiss,
+  onPauseAll,
+  onResumeAll,
+  onRetryFailed,
+  onCancelAll
+}) => {
+  const uploadList = Object.values(uploads);
+  if (uploadList.length === 0) return null;
+
+  const countByStatus = (status) => uploadList.filter(upload => upload.status === status).length;
+  const activeCount = countByStatus('queued') + countByStatus('uploading');
+  const pausedCount = countByStatus('paused');
+  const failedCount = countByStatus('failed');
+  const completedCount = countByStatus('completed');
+  const batch = getBatchStats(uploadList);
 
   return (
     <div className="fixed bottom-4 right-4 w-96 bg-white rounded-lg shadow-xl border border-gray-200 z-50">
-      <div className="p-4 border-b border-gray-200">
+      <div className="p-4 border-b border-gray-200 space-y-2">
         <div className="flex items-center justify-between">
-          <h3 className="font-semibold text-gray-900">Uploading Files</h3>
-          <button
-            onClick={onClear}
-            className="p-1 hover:bg-gray-100 rounded transition-colors"
-          >
-            <X className="w-4 h-4 text-gray-500" />
-          </button>
+          <h3 className="font-semibold text-gray-900">
+            {activeCount > 0 ? 'Uploading Files' : 'Uploads'}
+          </h3>
+          <div className="flex items-center space-x-1">
+            {activeCount > 0 && (
+              <IconButton onClick={onPauseAll} title="Pause all">
+                <Pause className="w-4 h-4" />
+              </IconButton>
+            )}
+            {pausedCount > 0 && (
+              <IconButton onClick={onResumeAll} title="Resume all">
+                <Play className="w-4 h-4" />
+              </IconButton>
+            )}
+            {failedCount > 0 && (
+              <IconButton onClick={onRetryFailed} title="Retry failed">
+                <RotateCcw className="w-4 h-4" />
+              </IconButton>
+            )}
+            {activeCount + pausedCount > 0 ? (
+              <IconButton onClick={onCancelAll} title="Cancel all">
+                <X className="w-4 h-4" />
+              </IconButton>
+            ) : (
+              <IconButton onClick={onClear} title="Close">
+                <X className="w-4 h-4" />
+              </IconButton>
+            )}
+          </div>
         </div>
+
+        <p className="text-xs text-gray-500">
+          {completedCount} of {uploadList.length} done
+          {failedCount > 0 && ` · ${failedCount} failed`}
+          {activeCount > 0 && batch.speed > 0 && (
+            ` · ${formatFileSize(Math.round(batch.speed))}/s · ${formatDuration(batch.eta)} left`
+          )}
+        </p>
       </div>
       
       <div className="p-4 space-y-3 max-h-64 overflow-y-auto">
-        {Object.entries(uploads).map(([id, upload]) => (
-          <div key={id} className="space-y-2">
-            <div className="flex items-center justify-between text-sm">
-              <span className="text-gray-700 truncate flex-1" title={upload.file.name}>
-                {upload.file.name}
-              </span>
-              <div className="flex items-center space-x-2">
-                {upload.status === 'completed' && (
-                  <CheckCircle className="w-4 h-4 text-green-500" />
-                )}
-                {upload.status === 'failed' && (
-                  <AlertCircle className="w-4 h-4 text-red-500" />
-                )}
-                {upload.status === 'uploading' && (
-                  <span className="text-gray-500 text-xs">
-                    {Math.round(upload.progress)}%
-                  </span>
-                )}
+        {uploadList.map(upload => {
+          const detail = getUploadDetail(upload);
+
+          return (
+            <div key={upload.id} className="space-y-2">
+              <div className="flex items-center justify-between text-sm">
+                <span className="text-gray-700 truncate flex-1" title={upload.file.name}>
+                  {upload.file.name}
+                </span>
+                <div className="flex items-center space-x-1">
+                  {upload.status === 'completed' && (
+                    <CheckCircle className="w-4 h-4 text-green-500" />
+                  )}
+                  {upload.status === 'failed' && (
+                    <AlertCircle className="w-4 h-4 text-red-500" />
+                  )}
+                  {upload.status === 'uploading' && (
+                    <span className="text-gray-500 text-xs">
+                      {upload.resumed && 'Resuming · '}
+                      {Math.round(upload.progress)}%
+                    </span>
+                  )}
+                  {['queued', 'uploading'].includes(upload.status) && (
+                    <IconButton onClick={() => onPause(upload.id)} title="Pause">
+                      <Pause className="w-3.5 h-3.5" />
+                    </IconButton>
+                  )}
+                  {upload.status === 'paused' && (
+                    <IconButton onClick={() => onResume(upload.id)} title="Resume">
+                      <Play className="w-3.5 h-3.5" />
+                    </IconButton>
+                  )}
+                  {upload.status === 'failed' && upload.retryable && (
+                    <IconButton onClick={() => onResume(upload.id)} title="Retry">
+                      <RotateCcw className="w-3.5 h-3.5" />
+                    </IconButton>
+                  )}
+                  {upload.status === 'failed' ? (
+                    <IconButton onClick={() => onDismiss(upload.id)} title="Dismiss">
+                      <X className="w-3.5 h-3.5" />
+                    </IconButton>
+                  ) : upload.status !== 'completed' && (
+                    <IconButton onClick={() => onCancel(upload.id)} title="Cancel">
+                      <X className="w-3.5 h-3.5" />
+                    </IconButton>
+                  )}
+                </div>
               </div>
+              
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div 
+                  className={cn(
+                    "h-2 rounded-full transition-all duration-300",
+                    upload.status === 'completed' ? 'bg-green-500' :
+                    upload.status === 'failed' ? 'bg-red-500' :
+                    upload.status === 'paused' || upload.stalled ? 'bg-yellow-500' :
+                    'bg-primary-600'
+                  )}
+                  style={{ width: `${upload.progress}%` }}
+                />
+              </div>
+
+              {detail && (
+                <p className={cn("text-xs", upload.stalled ? "text-yellow-700" : "text-gray-500")}>
+                  {detail}
+                </p>
+              )}
+              
+              {upload.error && (
+                <p className="text-xs text-red-600">{upload.error}</p>
+              )}
             </div>
-            
-            <div className="w-full bg-gray-200 rounded-full h-2">
-              <div 
-                className={cn(
-                  "h-2 rounded-full transition-all duration-300",
-                  upload.status === 'completed' ? 'bg-green-500' :
-                  upload.status === 'failed' ? 'bg-red-500' :
-                  'bg-primary-600'
-                )}
-                style={{ width: `${upload.progress}%` }}
-              />
-            </div>
-            
-            {upload.error && (
-              <p className="text-xs text-red-600">{upload.error}</p>
-            )}
-          </div>
-        ))}
+          );
+        })}
       </div>
     </div>
   );
@@ -0,0 +1,331 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Download,
+  Eye,
+  RotateCcw,
+  Trash2,
+  History,
+  RefreshCw,
+  AlertCircle,
+  Undo2
+} from 'lucide-react';
+import { fileApi, versionApi } from '../services/api.js';
+import { useApi } from '../hooks/useApi.js';
+import { Modal, ConfirmModal } from './Modal.jsx';
+import { formatFileSize, formatDate, getFileType } from '../utils/fileUtils.js';
+import { cn } from '../utils/cn.js';
+import { isDeleteBlocked, describeLock } from '../utils/objectLockUtils.js';
+
+const shortVersionId = (versionId) => {
+  // Unversioned objects report the literal version ID "null"
+  if (!versionId || versionId === 'null') return 'null';
+  return versionId.length > 12 ? `${versionId.slice(0, 12)}…` : versionId;
+};
+
+export const FileVersions = ({ bucketName, fileKey, onChange }) => {
+  const [versions, setVersions] = useState([]);
+  const [busyVersionId, setBusyVersionId] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null); // { type: 'restore' | 'delete', version, lock }
+  const [preview, setPreview] = useState(null); // { version, url }
+
+  const { loading, error, execute: fetchVersions } = useApi();
+
+  const fileName = fileKey.split('/').pop();
+  const fileType = getFileType(fileKey);
+  const latest = versions.find(version => version.isLatest);
+  const isDeleted = Boolean(latest?.isDeleteMarker);
+
+  const loadVersions = useCallback(async () => {
+    try {
+      const response = await fetchVersions(() => versionApi.list(bucketName, fileKey));
+      setVersions(response.versions || []);
+    } catch (error) {
+      console.error('Failed to load versions:', error);
+    }
+  }, [bucketName, fileKey, fetchVersions]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  // Run a version action, then reload the list and let the parent refresh the current file
+  const runAction = async (versionId, action) => {
+    setBusyVersionId(versionId);
+    setActionError(null);
+    try {
+      await action();
+      await loadVersions();
+      onChange?.();
+    } catch (error) {
+      console.error('Version action failed:', error);
+      setActionError(error.data?.message || error.message);
+    } finally {
+      setBusyVersionId(null);
+    }
+  };
+
+  const handleDownload = (version) => runAction(version.versionId, async () => {
+    const response = await fileApi.getDownloadUrl(bucketName, fileKey, version.versionId);
+
+    // Use fetch to get the file as blob and force download
+    const fileResponse = await fetch(response.downloadUrl);
+    const blob = await fileResponse.blob();
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Clean up the object URL
+    URL.revokeObjectURL(link.href);
+  });
+
+  const handlePreview = async (version) => {
+    setActionError(null);
+    try {
+      const response = await fileApi.getDownloadUrl(bucketName, fileKey, version.versionId);
+      if (fileType === 'image') {
+        setPreview({ version, url: response.downloadUrl });
+      } else {
+        // Let the browser render whatever it can (PDF, text, video...)
+        window.open(response.downloadUrl, '_blank', 'noopener,noreferrer');
+      }
+    } catch (error) {
+      console.error('Failed to preview version:', error);
+      setActionError(error.message);
+    }
+  };
+
+  const handleConfirmAction = () => {
+    const { type, version } = pendingAction;
+    if (type === 'restore') {
+      runAction(version.versionId, () => versionApi.restore(bucketName, fileKey, version.versionId));
+    } else {
+      runAction(version.versionId, () => versionApi.delete(bucketName, fileKey, version.versionId));
+    }
+  };
+
+  // Look up the version's Object Lock first, so the confirmation can say S3 will refuse the delete
+  const handleRequestDelete = async (version) => {
+    let lock = null;
+    if (!version.isDeleteMarker) {
+      setBusyVersionId(version.versionId);
+      try {
+        const response = await versionApi.getLock(bucketName, fileKey, version.versionId);
+        lock = response.lock;
+      } catch (error) {
+        console.error('Failed to check version lock:', error);
+      } finally {
+        setBusyVersionId(null);
+      }
+    }
+    setPendingAction({ type: 'delete', version, lock });
+  };
+
+  const handleUndelete = () => {
+    runAction(latest.versionId, () => versionApi.undelete(bucketName, fileKey));
+  };
+
+  const getConfirmMessage = () => {
+    if (!pendingAction) return '';
+    const { type, version, lock } = pendingAction;
+    const label = `version ${shortVersionId(version.versionId)} from ${formatDate(version.lastModified)}`;
+
+    if (type === 'restore') {
+      return `Restore ${label}? It will be copied on top as a new current version; no versions are removed.`;
+    }
+    if (version.isDeleteMarker) {
+      return version.isLatest
+        ? `Remove this delete marker? The previous version will become current again.`
+        : `Permanently remove this delete marker from the version history?`;
+    }
+    if (isDeleteBlocked(lock)) {
+      return `This version is locked (${describeLock(lock)}). S3 will refuse to delete it until the lock ends.`;
+    }
+    return `Permanently delete ${label}? This cannot be undone.`;
+  };
+
+  if (loading && versions.length === 0) {
+    return (
+      <div className="card p-6 flex items-center justify-center">
+        <div className="loading-spinner w-6 h-6"></div>
+        <p className="ml-3 text-gray-600">Loading versions...</p>
+      </div>
+    );
+  }
+
+  if (error && versions.length === 0) {
+    return (
+      <div className="card p-6 text-center">
+        <AlertCircle className="w-10 h-10 text-red-400 mx-auto mb-3" />
+        <p className="text-gray-700 mb-4">Failed to load versions: {error.message}</p>
+        <button onClick={loadVersions} className="btn-secondary">
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between p-6 border-b border-gray-200">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Version History</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            {versions.length} {versions.length === 1 ? 'entry' : 'entries'}, newest first
+          </p>
+        </div>
+        <button
+          onClick={loadVersions}
+          disabled={loading}
+          className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+          title="Refresh versions"
+        >
+          <RefreshCw className={cn("w-4 h-4 text-gray-600", loading && "animate-spin")} />
+        </button>
+      </div>
+
+      {isDeleted && (
+        <div className="flex items-center justify-between p-4 m-6 mb-0 bg-amber-50 border border-amber-200 rounded-lg">
+          <p className="text-sm text-amber-800">
+            This file is deleted. Its current version is a delete marker; older versions are still stored.
+          </p>
+          <button
+            onClick={handleUndelete}
+            disabled={busyVersionId !== null}
+            className="btn-primary flex items-center space-x-2 ml-4 whitespace-nowrap"
+          >
+            <Undo2 className="w-4 h-4" />
+            <span>Undelete</span>
+          </button>
+        </div>
+      )}
+
+      {actionError && (
+        <div className="p-4 m-6 mb-0 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">{actionError}</p>
+        </div>
+      )}
+
+      {versions.length === 0 ? (
+        <div className="p-12 text-center">
+          <History className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+          <p className="text-gray-600">No versions found.</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto p-6">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead>
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Version</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Modified</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Size</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {versions.map(version => {
+                const isBusy = busyVersionId === version.versionId;
+
+                return (
+                  <tr key={version.versionId} className={cn(isBusy && "opacity-50")}>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <div className="flex items-center space-x-2">
+                        <span className="text-sm font-mono text-gray-700" title={version.versionId}>
+                          {shortVersionId(version.versionId)}
+                        </span>
+                        {version.isLatest && (
+                          <span className="px-2 py-0.5 text-xs rounded-full bg-primary-50 text-primary-700">Current</span>
+                        )}
+                        {version.isDeleteMarker && (
+                          <span className="px-2 py-0.5 text-xs rounded-full bg-red-50 text-red-700">Delete marker</span>
+                        )}
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">
+                      {formatDate(version.lastModified)}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">
+                      {version.isDeleteMarker ? '—' : formatFileSize(version.size)}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <div className="flex items-center justify-end space-x-1">
+                        {!version.isDeleteMarker && (
+                          <>
+                            <button
+                              onClick={() => handlePreview(version)}
+                              disabled={isBusy}
+                              className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+                              title="Preview this version"
+                            >
+                              <Eye className="w-4 h-4 text-gray-600" />
+                            </button>
+                            <button
+                              onClick={() => handleDownload(version)}
+                              disabled={isBusy}
+                              className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+                              title="Download this version"
+                            >
+                              <Download className="w-4 h-4 text-gray-600" />
+                            </button>
+                          </>
+                        )}
+                        {!version.isLatest && !version.isDeleteMarker && (
+                          <button
+                            onClick={() => setPendingAction({ type: 'restore', version })}
+                            disabled={isBusy}
+                            className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+                            title="Restore this version"
+                          >
+                            <RotateCcw className="w-4 h-4 text-primary-600" />
+                          </button>
+                        )}
+                        <button
+                          onClick={() => handleRequestDelete(version)}
+                          disabled={isBusy}
+                          className="p-2 hover:bg-red-50 rounded-lg transition-colors"
+                          title={version.isDeleteMarker ? 'Remove delete marker' : 'Permanently delete this version'}
+                        >
+                          <Trash2 className="w-4 h-4 text-red-600" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <ConfirmModal
+        isOpen={pendingAction !== null}
+        onClose={() => setPendingAction(null)}
+        onConfirm={handleConfirmAction}
+        title={pendingAction?.type === 'restore' ? 'Restore Version' : 'Delete Version'}
+        message={getConfirmMessage()}
+        confirmText={pendingAction?.type === 'restore' ? 'Restore' : 'Delete'}
+        variant={pendingAction?.type === 'restore' ? 'primary' : 'danger'}
+      />
+
+      <Modal
+        isOpen={preview !== null}
+        onClose={() => setPreview(null)}
+        title={preview ? `Version ${shortVersionId(preview.version.versionId)}` : ''}
+        size="2xl"
+      >
+        {preview && (
+          <img
+            src={preview.url}
+            alt={`${fileName} (version ${preview.version.versionId})`}
+            className="max-w-full h-auto rounded-lg border border-gray-200 mx-auto"
+          />
+        )}
+      </Modal>
+    </div>
+  );
+};
@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import { CornerUpRight, CheckCircle } from 'lucide-react';
+import { fileApi } from '../services/api.js';
+import { useApi } from '../hooks/useApi.js';
+import { cn } from '../utils/cn.js';
+import { isValidRedirectLocation } from '../utils/websiteUtils.js';
+
+// Where the bucket's website endpoint sends requests for this file. onChange receives the
+// updated file metadata, since saving copies the file onto itself.
+export const FileWebsiteRedirect = ({ bucketName, fileKey, location, onChange }) => {
+  const [value, setValue] = useState(location || '');
+  const [saveError, setSaveError] = useState(null);
+  const [saveMessage, setSaveMessage] = useState(null);
+
+  const { loading: saving, execute: executeSave } = useApi();
+
+  useEffect(() => {
+    setValue(location || '');
+  }, [location]);
+
+  const isDirty = value.trim() !== (location || '');
+  const valueError = value.trim() && !isValidRedirectLocation(value) ? 'Start with "/" for a path in this bucket, or with http:// or https://' : null;
+
+  const save = async (newLocation) => {
+    setSaveError(null);
+    setSaveMessage(null);
+    try {
+      const response = await executeSave(() => fileApi.setWebsiteRedirect(bucketName, fileKey, newLocation));
+      setSaveMessage(response.message);
+      onChange?.(response.metadata);
+    } catch (error) {
+      console.error('Failed to set website redirect:', error);
+      setSaveError(error.data?.errors?.map(detail => detail.message).join('; ') || error.data?.message || error.message);
+    }
+  };
+
+  return (
+    <div className="card p-6 space-y-4">
+      <div className="flex items-center space-x-3">
+        <CornerUpRight className="w-5 h-5 text-gray-400" />
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Website Redirect</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            Requests for this file through the bucket's website endpoint are redirected here instead.
+          </p>
+        </div>
+      </div>
+
+      <div>
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => {
+            setValue(e.target.value);
+            setSaveMessage(null);
+          }}
+          className={cn("input", valueError && "border-red-500 focus:ring-red-500")}
+          placeholder="/new-page.html or https://example.com/"
+        />
+        {valueError && <p className="text-sm text-red-600 mt-1">{valueError}</p>}
+        <p className="text-xs text-gray-500 mt-1">
+          Saving copies the file onto itself, which creates a new version in a versioned bucket.
+        </p>
+      </div>
+
+      {saveError && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">{saveError}</p>
+        </div>
+      )}
+
+      {saveMessage && !isDirty && (
+        <div className="flex items-center space-x-2 text-sm text-green-700">
+          <CheckCircle className="w-4 h-4 text-green-600" />
+          <span>{saveMessage}</span>
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-3">
+        {location && (
+          <button onClick={() => save(null)} disabled={saving} className="btn-secondary">
+            Remove Redirect
+          </button>
+        )}
+        <button
+          onClick={() => save(value.trim())}
+          disabled={!isDirty || !value.trim() || Boolean(valueError) || saving}
+          className="btn-primary"
+        >
+          {saving ? 'Saving...' : 'Save Redirect'}
+        </button>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,113 @@
+import React from 'react';
+import { Folder, ChevronRight, Pencil, Trash2, ArchiveRestore } from 'lucide-react';
+import { cn } from '../utils/cn.js';
+
+export const FolderCard = ({
+  folder,
+  onOpen,
+  onRename,
+  onDelete,
+  onRestore,
+  viewMode = 'grid'
+}) => {
+  // Keep action clicks from opening the folder
+  const handleAction = (action) => (e) => {
+    e.stopPropagation();
+    action(folder);
+  };
+
+  const actions = (
+    <>
+      {onRename && (
+        <button
+          onClick={handleAction(onRename)}
+          className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+          title="Rename folder"
+        >
+          <Pencil className="w-4 h-4" />
+        </button>
+      )}
+      {onRestore && (
+        <button
+          onClick={handleAction(onRestore)}
+          className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+          title="Restore archived files"
+        >
+          <ArchiveRestore className="w-4 h-4" />
+        </button>
+      )}
+      {onDelete && (
+        <button
+          onClick={handleAction(onDelete)}
+          className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+          title="Delete folder"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      )}
+    </>
+  );
+
+  if (viewMode === 'list') {
+    return (
+      <tr
+        className="hover:bg-gray-50 transition-colors cursor-pointer"
+        onClick={() => onOpen(folder)}
+      >
+        <td className="px-6 py-4 whitespace-nowrap"></td>
+
+        <td className="px-6 py-4 whitespace-nowrap">
+          <div className="flex items-center space-x-3">
+            <div className="p-2 rounded-lg file-icon text-amber-600 bg-amber-50">
+              <Folder />
+            </div>
+            <div>
+              <div className="text-sm font-medium text-gray-900 truncate max-w-xs" title={folder.prefix}>
+                {folder.name}
+              </div>
+              <div className="text-xs text-gray-500">Folder</div>
+            </div>
+          </div>
+        </td>
+
+        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">—</td>
+        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">—</td>
+
+        <td className="px-6 py-4 whitespace-nowrap">
+          <div className="flex items-center space-x-2">
+            {actions}
+            <ChevronRight className="w-4 h-4 text-gray-400" />
+          </div>
+        </td>
+      </tr>
+    );
+  }
+
+  // Grid and gallery views
+  return (
+    <div
+      className="card hover:shadow-lg transition-all cursor-pointer"
+      onClick={() => onOpen(folder)}
+      title={folder.prefix}
+    >
+      <div className={cn(
+        "flex items-center justify-center rounded-t-lg text-amber-600 bg-amber-50",
+        viewMode === 'gallery' ? "h-48" : "h-20 m-4 mb-0 rounded-lg"
+      )}>
+        <Folder className={viewMode === 'gallery' ? "w-16 h-16" : "w-8 h-8"} />
+      </div>
+
+      <div className="p-4 flex items-start justify-between">
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-gray-900 truncate">
+            {folder.name}
+          </p>
+          <p className="text-xs text-gray-500">Folder</p>
+        </div>
+        <div className="flex items-center space-x-1 flex-shrink-0">
+          {actions}
+        </div>
+      </div>
+    </div>
+  );
+};
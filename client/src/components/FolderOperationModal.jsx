@@ -0,0 +1,214 @@
+import React, { useState, useEffect } from 'react';
+import { AlertCircle, CheckCircle, Folder } from 'lucide-react';
+import { Modal } from './Modal.jsx';
+import { folderApi } from '../services/api.js';
+import { useApiState } from '../hooks/useApi.js';
+import { useJob } from '../hooks/useJob.js';
+import { formatFileSize } from '../utils/fileUtils.js';
+import { getParentPrefix, validateFileKey, FOLDER_DELIMITER } from '../utils/pathUtils.js';
+
+// Renames or recursively deletes a folder (mode 'rename' | 'delete'). Shows what will be
+// affected first, then follows the server-side job until it finishes.
+export const FolderOperationModal = ({ isOpen, onClose, bucketName, folder, mode = 'delete', onComplete }) => {
+  const [newName, setNewName] = useState('');
+  const [startError, setStartError] = useState(null);
+  const [isStarting, setIsStarting] = useState(false);
+
+  const { data: summary, loading: summaryLoading, error: summaryError, execute: fetchSummary, reset: resetSummary } = useApiState();
+  const { job, error: jobError, isRunning, track, reset: resetJob } = useJob();
+
+  useEffect(() => {
+    if (!isOpen || !folder) return;
+
+    setNewName(folder.name);
+    setStartError(null);
+    resetJob();
+    fetchSummary(async () => {
+      const response = await folderApi.getSummary(bucketName, folder.prefix);
+      return response.summary;
+    }).catch(error => console.error('Failed to load folder summary:', error));
+  }, [isOpen, folder, bucketName, fetchSummary, resetJob]);
+
+  if (!folder) return null;
+
+  const isRename = mode === 'rename';
+  const trimmed = newName.trim();
+  const newPrefix = `${getParentPrefix(folder.prefix)}${trimmed}${FOLDER_DELIMITER}`;
+  const nameError = isRename && (
+    trimmed.includes(FOLDER_DELIMITER) ? 'Folder name cannot contain /' : validateFileKey(trimmed)
+  );
+
+  const handleClose = () => {
+    if (job) onComplete?.(job);
+    resetJob();
+    resetSummary();
+    onClose();
+  };
+
+  const handleStart = async () => {
+    setIsStarting(true);
+    setStartError(null);
+    try {
+      const response = isRename
+        ? await folderApi.rename(bucketName, folder.prefix, newPrefix)
+        : await folderApi.delete(bucketName, folder.prefix);
+      track(response.job);
+    } catch (error) {
+      console.error(`Failed to ${mode} folder:`, error);
+      setStartError(error.data?.errors?.map(detail => detail.message).join('; ') || error.data?.message || error.message);
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  const progressPercentage = job?.total ? Math.round((job.processed / job.total) * 100) : 0;
+  const title = isRename ? 'Rename Folder' : 'Delete Folder';
+
+  return (
+    <Modal isOpen={isOpen} onClose={isRunning ? () => {} : handleClose} title={title} size="lg">
+      <div className="space-y-4">
+        <div className="flex items-center space-x-3">
+          <Folder className="w-5 h-5 text-amber-600" />
+          <p className="text-sm text-gray-900 break-all">{bucketName}/{folder.prefix}</p>
+        </div>
+
+        {!job && (
+          <>
+            {summaryLoading && (
+              <div className="flex items-center py-2">
+                <div className="loading-spinner w-5 h-5"></div>
+                <p className="ml-3 text-sm text-gray-600">Counting objects...</p>
+              </div>
+            )}
+
+            {summaryError && (
+              <p className="text-sm text-red-600">
+                Failed to count objects: {summaryError.data?.message || summaryError.message}
+              </p>
+            )}
+
+            {summary && (
+              <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg">
+                <p className="text-sm text-gray-700">
+                  <span className="font-medium">{summary.objectCount.toLocaleString()}</span> object{summary.objectCount !== 1 ? 's' : ''}
+                  {' '}(<span className="font-medium">{formatFileSize(summary.totalSize)}</span>)
+                  {isRename ? ' will be copied to the new name and then deleted here.' : ' will be deleted.'}
+                </p>
+                {!isRename && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    In a versioned bucket this adds delete markers; older versions are kept.
+                  </p>
+                )}
+              </div>
+            )}
+
+            {isRename && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">New name</label>
+                <input
+                  type="text"
+                  value={newName}
+                  onChange={(e) => setNewName(e.target.value)}
+                  className={`input ${nameError ? 'border-red-500 focus:ring-red-500' : ''}`}
+                  autoFocus
+                />
+                {nameError && <p className="mt-1 text-sm text-red-600">{nameError}</p>}
+              </div>
+            )}
+
+            {startError && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+                <p className="text-sm text-red-700">{startError}</p>
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <button onClick={handleClose} className="btn-secondary" disabled={isStarting}>
+                Cancel
+              </button>
+              <button
+                onClick={handleStart}
+                disabled={!summary || isStarting || Boolean(nameError) || (isRename && trimmed === folder.name)}
+                className={isRename ? 'btn-primary' : 'btn-danger'}
+              >
+                {isStarting
+                  ? 'Starting...'
+                  : isRename ? 'Rename Folder' : `Delete ${summary ? summary.objectCount.toLocaleString() : ''} Objects`}
+              </button>
+            </div>
+          </>
+        )}
+
+        {job && (
+          <>
+            <div>
+              <div className="flex items-center justify-between text-sm text-gray-600 mb-1">
+                <span>
+                  {job.total === null
+                    ? 'Listing objects...'
+                    : `${job.processed.toLocaleString()} of ${job.total.toLocaleString()} objects`}
+                </span>
+                <span>{progressPercentage}%</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div
+                  className="bg-primary-600 h-2 rounded-full transition-all duration-300"
+                  style={{ width: `${progressPercentage}%` }}
+                />
+              </div>
+            </div>
+
+            {isRunning && (
+              <p className="text-xs text-gray-500">
+                This runs on the server; it carries on if you close the page.
+              </p>
+            )}
+
+            {job.status === 'completed' && job.errors.length === 0 && (
+              <div className="flex items-center space-x-2 p-3 bg-green-50 border border-green-200 rounded-lg">
+                <CheckCircle className="w-4 h-4 text-green-600" />
+                <p className="text-sm text-green-700">
+                  {isRename ? `Renamed to ${job.newPrefix}` : 'Folder deleted'}
+                </p>
+              </div>
+            )}
+
+            {job.status === 'failed' && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+                <p className="text-sm text-red-700">{job.error}</p>
+              </div>
+            )}
+
+            {jobError && (
+              <p className="text-sm text-red-600">Lost track of the job: {jobError.data?.message || jobError.message}</p>
+            )}
+
+            {job.errors.length > 0 && (
+              <div>
+                <div className="flex items-center space-x-2 mb-2">
+                  <AlertCircle className="w-4 h-4 text-red-600" />
+                  <p className="text-sm text-red-700">
+                    {job.errors.length.toLocaleString()} object{job.errors.length !== 1 ? 's' : ''} could not be {isRename ? 'moved' : 'deleted'}
+                  </p>
+                </div>
+                <ul className="max-h-48 overflow-y-auto text-xs text-gray-700 space-y-1 border border-gray-200 rounded-lg p-3">
+                  {job.errors.map(error => (
+                    <li key={error.key} className="break-all">
+                      <span className="font-mono">{error.key}</span>: {error.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="flex justify-end">
+              <button onClick={handleClose} disabled={isRunning} className="btn-primary">
+                {isRunning ? 'Working...' : 'Close'}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+};
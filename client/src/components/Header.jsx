@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, Fragment } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { 
   Cloud, 
@@ -11,13 +11,17 @@ import {
   Upload,
   ChevronLeft,
   Filter,
-  ChevronDown
+  ChevronDown,
+  Settings,
+  FolderPlus
 } from 'lucide-react';
 import { cn } from '../utils/cn.js';
+import { buildBucketPath, buildBucketSettingsPath, getPrefixSegments } from '../utils/pathUtils.js';
 
 export const Header = ({ 
   currentView, 
   selectedBucket, 
+  currentPrefix = '',
   viewMode, 
   searchQuery, 
   filters = {},
@@ -27,9 +31,12 @@ export const Header = ({
   onFiltersChange,
   onRefresh, 
   onCreateBucket, 
-  onUploadFiles 
+  onUploadFiles,
+  onCreateFolder
 }) => {
   const [showFilters, setShowFilters] = useState(false);
+  const prefixSegments = getPrefixSegments(currentPrefix);
+
   return (
     <header className="bg-white border-b border-gray-200 sticky top-0 z-40">
       <div className="px-6 py-4">
@@ -52,7 +59,31 @@ export const Header = ({
                   Buckets
                 </Link>
                 <span className="text-gray-400">/</span>
-                <span className="text-gray-700 font-medium">{selectedBucket}</span>
+                {prefixSegments.length === 0 ? (
+                  <span className="text-gray-700 font-medium">{selectedBucket}</span>
+                ) : (
+                  <Link
+                    to={buildBucketPath(selectedBucket)}
+                    className="text-primary-600 hover:text-primary-700 transition-colors"
+                  >
+                    {selectedBucket}
+                  </Link>
+                )}
+                {prefixSegments.map((segment, index) => (
+                  <Fragment key={segment.prefix}>
+                    <span className="text-gray-400">/</span>
+                    {index === prefixSegments.length - 1 ? (
+                      <span className="text-gray-700 font-medium">{segment.name}</span>
+                    ) : (
+                      <Link
+                        to={buildBucketPath(selectedBucket, segment.prefix)}
+                        className="text-primary-600 hover:text-primary-700 transition-colors"
+                      >
+                        {segment.name}
+                      </Link>
+                    )}
+                  </Fragment>
+                ))}
               </div>
             )}
           </div>
@@ -121,6 +152,17 @@ export const Header = ({
               </button>
             </div>
 
+            {/* Bucket Settings */}
+            {currentView === 'files' && selectedBucket && (
+              <Link
+                to={buildBucketSettingsPath(selectedBucket)}
+                className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+                title="Bucket settings"
+              >
+                <Settings className="w-5 h-5 text-gray-600" />
+              </Link>
+            )}
+
             {/* Refresh Button */}
             <button 
               onClick={onRefresh}
@@ -130,6 +172,17 @@ export const Header = ({
               <RefreshCw className="w-5 h-5 text-gray-600" />
             </button>
 
+            {/* New Folder Button */}
+            {currentView === 'files' && (
+              <button
+                onClick={onCreateFolder}
+                className="btn-secondary flex items-center space-x-2"
+              >
+                <FolderPlus className="w-5 h-5" />
+                <span>New Folder</span>
+              </button>
+            )}
+
             {/* Create/Upload Button */}
             <button
               onClick={currentView === 'buckets' ? onCreateBucket : onUploadFiles}
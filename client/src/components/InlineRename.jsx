@@ -0,0 +1,87 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Check, X } from 'lucide-react';
+import { cn } from '../utils/cn.js';
+import { validateFileKey, FOLDER_DELIMITER } from '../utils/pathUtils.js';
+
+// Text field replacing a file name while it is renamed. onRename(newName) returns a
+// promise; a rejection keeps the field open and shows the error.
+export const InlineRename = ({ name, onRename, onCancel, className = "" }) => {
+  const [value, setValue] = useState(name);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const inputRef = useRef(null);
+
+  // Select the name without its extension, like file managers do
+  useEffect(() => {
+    const extensionStart = name.lastIndexOf('.');
+    inputRef.current?.focus();
+    inputRef.current?.setSelectionRange(0, extensionStart > 0 ? extensionStart : name.length);
+  }, [name]);
+
+  const trimmed = value.trim();
+  const validationError = trimmed.includes(FOLDER_DELIMITER)
+    ? 'Use Move to put the file in another folder'
+    : validateFileKey(trimmed);
+
+  const handleSubmit = async () => {
+    if (trimmed === name) {
+      onCancel();
+      return;
+    }
+    if (validationError || saving) return;
+
+    setSaving(true);
+    setError(null);
+    try {
+      await onRename(trimmed);
+    } catch (error) {
+      setError(error.data?.message || error.message);
+      setSaving(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    e.stopPropagation();
+    if (e.key === 'Enter') handleSubmit();
+    if (e.key === 'Escape') onCancel();
+  };
+
+  const message = error || (trimmed !== name && validationError);
+
+  return (
+    <div className={cn("space-y-1", className)} onClick={(e) => e.stopPropagation()}>
+      <div className="flex items-center space-x-1">
+        <input
+          ref={inputRef}
+          type="text"
+          value={value}
+          onChange={(e) => {
+            setValue(e.target.value);
+            setError(null);
+          }}
+          onKeyDown={handleKeyDown}
+          disabled={saving}
+          className={cn("input py-1 text-sm", message && "border-red-500 focus:ring-red-500")}
+          aria-label="New file name"
+        />
+        <button
+          onClick={handleSubmit}
+          disabled={saving || Boolean(validationError)}
+          className="p-1.5 hover:bg-green-50 rounded text-green-600 transition-colors disabled:opacity-50"
+          title="Save name"
+        >
+          {saving ? <div className="loading-spinner w-4 h-4"></div> : <Check className="w-4 h-4" />}
+        </button>
+        <button
+          onClick={onCancel}
+          disabled={saving}
+          className="p-1.5 hover:bg-gray-100 rounded text-gray-600 transition-colors"
+          title="Cancel"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      {message && <p className="text-xs text-red-600 whitespace-normal">{message}</p>}
+    </div>
+  );
+};
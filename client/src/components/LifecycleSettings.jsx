@@ -0,0 +1,460 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Recycle, Plus, Trash2, X, AlertCircle, CheckCircle } from 'lucide-react';
+import { bucketSettingsApi } from '../services/api.js';
+import { useApi } from '../hooks/useApi.js';
+import { ConfirmModal } from './Modal.jsx';
+import { cn } from '../utils/cn.js';
+import {
+  STORAGE_CLASSES,
+  createEmptyRule,
+  validateLifecycleRules,
+  serializeLifecycleRule,
+  describeRule,
+  getStorageClassLabel
+} from '../utils/lifecycleUtils.js';
+
+// Empty inputs become null so validation can point at them
+const parseNumber = (value) => (value === '' ? null : Number(value));
+
+const NumberInput = ({ value, onChange, min = 0, className, ...props }) => (
+  <input
+    type="number"
+    min={min}
+    value={value ?? ''}
+    onChange={(e) => onChange(parseNumber(e.target.value))}
+    className={cn("input w-24", className)}
+    {...props}
+  />
+);
+
+// A checkbox that switches an optional action on or off, with its inputs underneath
+const ActionSection = ({ title, description, enabled, onToggle, children }) => (
+  <div className="border border-gray-200 rounded-lg p-4">
+    <label className="flex items-start space-x-3 cursor-pointer">
+      <input
+        type="checkbox"
+        checked={enabled}
+        onChange={(e) => onToggle(e.target.checked)}
+        className="mt-1"
+      />
+      <div>
+        <p className="text-sm font-medium text-gray-900">{title}</p>
+        <p className="text-xs text-gray-500">{description}</p>
+      </div>
+    </label>
+    {enabled && <div className="mt-3 ml-7 space-y-2">{children}</div>}
+  </div>
+);
+
+const RuleEditor = ({ rule, errors, onChange, onRemove }) => {
+  const update = (changes) => onChange({ ...rule, ...changes });
+  const updateFilter = (changes) => update({ filter: { ...rule.filter, ...changes } });
+  const tags = rule.filter.tags || [];
+
+  const updateTag = (index, changes) => {
+    updateFilter({ tags: tags.map((tag, i) => (i === index ? { ...tag, ...changes } : tag)) });
+  };
+
+  const updateTransition = (index, changes) => {
+    update({ transitions: rule.transitions.map((transition, i) => (i === index ? { ...transition, ...changes } : transition)) });
+  };
+
+  const addTransition = () => {
+    // Suggest the next colder class after the last one used
+    const lastClass = rule.transitions[rule.transitions.length - 1]?.storageClass;
+    const nextIndex = Math.min(
+      STORAGE_CLASSES.findIndex(option => option.value === lastClass) + 1,
+      STORAGE_CLASSES.length - 1
+    );
+    const storageClass = STORAGE_CLASSES[nextIndex];
+    update({ transitions: [...rule.transitions, { days: Math.max(storageClass.minDays, 30), storageClass: storageClass.value }] });
+  };
+
+  const expirationMode = !rule.expiration ? 'none' : rule.expiration.expiredObjectDeleteMarker ? 'deleteMarkers' : 'days';
+
+  const setExpirationMode = (mode) => {
+    if (mode === 'none') update({ expiration: null });
+    if (mode === 'days') update({ expiration: { days: 365 } });
+    if (mode === 'deleteMarkers') update({ expiration: { expiredObjectDeleteMarker: true } });
+  };
+
+  return (
+    <div className={cn("card p-6 space-y-4", errors.length > 0 && "border-red-300")}>
+      <div className="flex items-start justify-between">
+        <div className="flex-1 min-w-0 mr-4">
+          <div className="flex items-center space-x-3">
+            <input
+              type="text"
+              value={rule.id}
+              onChange={(e) => update({ id: e.target.value })}
+              className="input max-w-xs"
+              placeholder="Rule name"
+            />
+            <select
+              value={rule.status}
+              onChange={(e) => update({ status: e.target.value })}
+              className="input w-32"
+            >
+              <option value="Enabled">Enabled</option>
+              <option value="Disabled">Disabled</option>
+            </select>
+          </div>
+          <p className="text-xs text-gray-500 mt-2 truncate">{describeRule(rule)}</p>
+        </div>
+        <button
+          onClick={onRemove}
+          className="p-2 hover:bg-red-50 rounded-lg transition-colors"
+          title="Remove rule"
+        >
+          <Trash2 className="w-4 h-4 text-red-600" />
+        </button>
+      </div>
+
+      {/* Filter */}
+      <div className="space-y-2">
+        <label className="block text-sm font-medium text-gray-700">Applies to</label>
+        <input
+          type="text"
+          value={rule.filter.prefix || ''}
+          onChange={(e) => updateFilter({ prefix: e.target.value })}
+          className="input"
+          placeholder="Prefix, e.g. logs/ (leave empty for the whole bucket)"
+        />
+        {tags.map((tag, index) => (
+          <div key={index} className="flex items-center space-x-2">
+            <input
+              type="text"
+              value={tag.key}
+              onChange={(e) => updateTag(index, { key: e.target.value })}
+              className="input"
+              placeholder="Tag key"
+            />
+            <input
+              type="text"
+              value={tag.value}
+              onChange={(e) => updateTag(index, { value: e.target.value })}
+              className="input"
+              placeholder="Tag value"
+            />
+            <button
+              onClick={() => updateFilter({ tags: tags.filter((_, i) => i !== index) })}
+              className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+              title="Remove tag"
+            >
+              <X className="w-4 h-4 text-gray-600" />
+            </button>
+          </div>
+        ))}
+        <button
+          onClick={() => updateFilter({ tags: [...tags, { key: '', value: '' }] })}
+          className="text-sm text-primary-600 hover:text-primary-700 flex items-center space-x-1"
+        >
+          <Plus className="w-4 h-4" />
+          <span>Add tag filter</span>
+        </button>
+      </div>
+
+      {/* Actions */}
+      <ActionSection
+        title="Transition current versions"
+        description="Move objects to cheaper storage classes as they age."
+        enabled={rule.transitions.length > 0}
+        onToggle={(enabled) => (enabled ? addTransition() : update({ transitions: [] }))}
+      >
+        {rule.transitions.map((transition, index) => (
+          transition.date ? (
+            <p key={index} className="text-sm text-gray-600">
+              To {getStorageClassLabel(transition.storageClass)} on {new Date(transition.date).toLocaleDateString()} (date-based, kept as is)
+            </p>
+          ) : (
+            <div key={index} className="flex items-center space-x-2 text-sm text-gray-700">
+              <span>Move to</span>
+              <select
+                value={transition.storageClass}
+                onChange={(e) => updateTransition(index, { storageClass: e.target.value })}
+                className="input w-56"
+              >
+                {STORAGE_CLASSES.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <span>after</span>
+              <NumberInput value={transition.days} onChange={(days) => updateTransition(index, { days })} />
+              <span>days</span>
+              <button
+                onClick={() => update({ transitions: rule.transitions.filter((_, i) => i !== index) })}
+                className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+                title="Remove transition"
+              >
+                <X className="w-4 h-4 text-gray-600" />
+              </button>
+            </div>
+          )
+        ))}
+        <button
+          onClick={addTransition}
+          className="text-sm text-primary-600 hover:text-primary-700 flex items-center space-x-1"
+        >
+          <Plus className="w-4 h-4" />
+          <span>Add transition</span>
+        </button>
+      </ActionSection>
+
+      <ActionSection
+        title="Expire current versions"
+        description="Delete objects after a number of days. In versioned buckets this adds a delete marker and keeps the data as a noncurrent version."
+        enabled={expirationMode !== 'none'}
+        onToggle={(enabled) => setExpirationMode(enabled ? 'days' : 'none')}
+      >
+        {rule.expiration?.date ? (
+          <p className="text-sm text-gray-600">
+            On {new Date(rule.expiration.date).toLocaleDateString()} (date-based, kept as is)
+          </p>
+        ) : (
+          <>
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="radio"
+                checked={expirationMode === 'days'}
+                onChange={() => setExpirationMode('days')}
+              />
+              <span>Expire after</span>
+              <NumberInput
+                min={1}
+                value={rule.expiration?.days}
+                onChange={(days) => update({ expiration: { days } })}
+                disabled={expirationMode !== 'days'}
+              />
+              <span>days</span>
+            </label>
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="radio"
+                checked={expirationMode === 'deleteMarkers'}
+                onChange={() => setExpirationMode('deleteMarkers')}
+              />
+              <span>Only remove delete markers that no longer have any versions behind them</span>
+            </label>
+          </>
+        )}
+      </ActionSection>
+
+      <ActionSection
+        title="Expire noncurrent versions"
+        description="Permanently delete previous versions some days after they were replaced or deleted."
+        enabled={Boolean(rule.noncurrentVersionExpiration)}
+        onToggle={(enabled) => update({ noncurrentVersionExpiration: enabled ? { noncurrentDays: 30 } : null })}
+      >
+        <div className="flex items-center space-x-2 text-sm text-gray-700">
+          <span>Delete after</span>
+          <NumberInput
+            min={1}
+            value={rule.noncurrentVersionExpiration?.noncurrentDays}
+            onChange={(noncurrentDays) => update({ noncurrentVersionExpiration: { ...rule.noncurrentVersionExpiration, noncurrentDays } })}
+          />
+          <span>days, but keep the newest</span>
+          <NumberInput
+            min={1}
+            value={rule.noncurrentVersionExpiration?.newerNoncurrentVersions}
+            onChange={(newerNoncurrentVersions) => update({ noncurrentVersionExpiration: { ...rule.noncurrentVersionExpiration, newerNoncurrentVersions } })}
+            placeholder="0"
+          />
+          <span>versions</span>
+        </div>
+        {rule.noncurrentVersionTransitions.length > 0 && (
+          <p className="text-xs text-gray-500">
+            This rule also has {rule.noncurrentVersionTransitions.length} noncurrent version transition(s); they are kept as they are.
+          </p>
+        )}
+      </ActionSection>
+
+      <ActionSection
+        title="Clean up incomplete multipart uploads"
+        description="Abort uploads that were never completed and free the storage used by their parts."
+        enabled={Boolean(rule.abortIncompleteMultipartUpload)}
+        onToggle={(enabled) => update({ abortIncompleteMultipartUpload: enabled ? { daysAfterInitiation: 7 } : null })}
+      >
+        <div className="flex items-center space-x-2 text-sm text-gray-700">
+          <span>Abort after</span>
+          <NumberInput
+            min={1}
+            value={rule.abortIncompleteMultipartUpload?.daysAfterInitiation}
+            onChange={(daysAfterInitiation) => update({ abortIncompleteMultipartUpload: { daysAfterInitiation } })}
+          />
+          <span>days</span>
+        </div>
+      </ActionSection>
+
+      {errors.length > 0 && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <ul className="text-sm text-red-700 list-disc list-inside space-y-1">
+            {errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export const LifecycleSettings = ({ bucketName }) => {
+  const [rules, setRules] = useState(null);
+  const [savedRules, setSavedRules] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const [saveMessage, setSaveMessage] = useState(null);
+  const [showRemoveAll, setShowRemoveAll] = useState(false);
+
+  const { loading, error, execute: fetchLifecycle } = useApi();
+  const { loading: saving, execute: saveLifecycle } = useApi();
+
+  const loadLifecycle = useCallback(async () => {
+    try {
+      const response = await fetchLifecycle(() => bucketSettingsApi.getLifecycle(bucketName));
+      setRules(response.rules);
+      setSavedRules(response.rules);
+    } catch (error) {
+      console.error('Failed to load lifecycle rules:', error);
+    }
+  }, [bucketName, fetchLifecycle]);
+
+  useEffect(() => {
+    loadLifecycle();
+  }, [loadLifecycle]);
+
+  const ruleErrors = useMemo(() => (rules ? validateLifecycleRules(rules) : []), [rules]);
+  const hasErrors = ruleErrors.some(errors => errors.length > 0);
+  const isDirty = JSON.stringify(rules) !== JSON.stringify(savedRules);
+
+  const updateRule = (index, rule) => {
+    setSaveMessage(null);
+    setRules(prev => prev.map((existing, i) => (i === index ? rule : existing)));
+  };
+
+  const addRule = () => {
+    setSaveMessage(null);
+    setRules(prev => [...prev, createEmptyRule(prev)]);
+  };
+
+  const removeRule = (index) => {
+    setSaveMessage(null);
+    setRules(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    setSaveError(null);
+    setSaveMessage(null);
+    try {
+      const response = await saveLifecycle(() => bucketSettingsApi.setLifecycle(bucketName, rules.map(serializeLifecycleRule)));
+      setRules(response.rules);
+      setSavedRules(response.rules);
+      setSaveMessage(response.message);
+    } catch (error) {
+      console.error('Failed to save lifecycle rules:', error);
+      setSaveError(error.data?.errors?.map(detail => detail.message).join('; ') || error.data?.message || error.message);
+    }
+  };
+
+  if (loading && !rules) {
+    return (
+      <div className="card p-6 flex items-center justify-center">
+        <div className="loading-spinner w-6 h-6"></div>
+        <p className="ml-3 text-gray-600">Loading lifecycle rules...</p>
+      </div>
+    );
+  }
+
+  if (error && !rules) {
+    return (
+      <div className="card p-6 text-center">
+        <AlertCircle className="w-10 h-10 text-red-400 mx-auto mb-3" />
+        <p className="text-gray-700 mb-4">Failed to load lifecycle rules: {error.data?.message || error.message}</p>
+        <button onClick={loadLifecycle} className="btn-secondary">
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (!rules) return null;
+
+  return (
+    <div className="space-y-6">
+      <div className="card p-6">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-3">
+            <Recycle className="w-5 h-5 text-gray-400" />
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">Lifecycle Rules</h2>
+              <p className="text-sm text-gray-500 mt-1">
+                Transition, expire and clean up objects automatically. S3 applies rules once a day, so changes can take up to 48 hours to show.
+              </p>
+            </div>
+          </div>
+          <button onClick={addRule} className="btn-secondary flex items-center space-x-2 whitespace-nowrap ml-4">
+            <Plus className="w-4 h-4" />
+            <span>Add Rule</span>
+          </button>
+        </div>
+      </div>
+
+      {rules.length === 0 && (
+        <div className="card p-12 text-center">
+          <Recycle className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+          <p className="text-gray-600">No lifecycle rules. Objects are kept until they are deleted.</p>
+        </div>
+      )}
+
+      {rules.map((rule, index) => (
+        <RuleEditor
+          key={index}
+          rule={rule}
+          errors={ruleErrors[index] || []}
+          onChange={(updated) => updateRule(index, updated)}
+          onRemove={() => removeRule(index)}
+        />
+      ))}
+
+      {saveError && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">{saveError}</p>
+        </div>
+      )}
+
+      {saveMessage && !isDirty && (
+        <div className="flex items-center space-x-2 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <CheckCircle className="w-4 h-4 text-green-600" />
+          <p className="text-sm text-green-700">{saveMessage}</p>
+        </div>
+      )}
+
+      <div className="flex items-center justify-end space-x-3">
+        {hasErrors && (
+          <p className="text-sm text-red-600 mr-auto">Fix the errors above before saving.</p>
+        )}
+        <button
+          onClick={() => setRules(savedRules)}
+          disabled={!isDirty || saving}
+          className="btn-secondary"
+        >
+          Discard Changes
+        </button>
+        <button
+          onClick={() => (rules.length === 0 ? setShowRemoveAll(true) : handleSave())}
+          disabled={!isDirty || hasErrors || saving}
+          className="btn-primary"
+        >
+          {saving ? 'Saving...' : 'Save Rules'}
+        </button>
+      </div>
+
+      <ConfirmModal
+        isOpen={showRemoveAll}
+        onClose={() => setShowRemoveAll(false)}
+        onConfirm={handleSave}
+        title="Remove Lifecycle Configuration"
+        message="Remove all lifecycle rules from this bucket? Objects will no longer be transitioned or expired automatically."
+        confirmText="Remove All"
+        variant="danger"
+      />
+    </div>
+  );
+};
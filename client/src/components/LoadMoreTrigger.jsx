@@ -0,0 +1,46 @@
+import React, { useEffect } from 'react';
+import { useIntersectionObserver } from '../hooks/useIntersectionObserver.js';
+
+// Sentinel rendered after the last page: loads the next page when scrolled into view,
+// with a button fallback for manual loading and retrying after errors
+export const LoadMoreTrigger = ({
+  onLoadMore,
+  isLoading = false,
+  error = null,
+  loadedCount = 0
+}) => {
+  const { elementRef, isIntersecting } = useIntersectionObserver({
+    threshold: 0,
+    rootMargin: '300px'
+  });
+
+  useEffect(() => {
+    // Don't keep re-requesting a page that just failed; the button handles retries
+    if (isIntersecting && !isLoading && !error) {
+      onLoadMore();
+    }
+  }, [isIntersecting, isLoading, error, onLoadMore]);
+
+  return (
+    <div ref={elementRef} className="flex flex-col items-center justify-center py-6 space-y-2">
+      {isLoading ? (
+        <div className="flex items-center">
+          <div className="loading-spinner w-5 h-5"></div>
+          <p className="ml-3 text-sm text-gray-600">Loading more...</p>
+        </div>
+      ) : (
+        <>
+          {error && (
+            <p className="text-sm text-red-600">Failed to load more files: {error.message}</p>
+          )}
+          <button onClick={onLoadMore} className="btn-secondary">
+            {error ? 'Retry' : 'Load More'}
+          </button>
+        </>
+      )}
+      <p className="text-xs text-gray-500">
+        {loadedCount.toLocaleString()} items loaded, more available
+      </p>
+    </div>
+  );
+};
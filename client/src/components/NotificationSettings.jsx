@@ -0,0 +1,341 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { BellRing, Plus, Trash2, AlertCircle, CheckCircle, Info } from 'lucide-react';
+import { bucketSettingsApi } from '../services/api.js';
+import { useApi } from '../hooks/useApi.js';
+import { ConfirmModal } from './Modal.jsx';
+import { cn } from '../utils/cn.js';
+import {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_EVENT_GROUPS,
+  createEmptyNotification,
+  validateNotifications,
+  serializeNotification
+} from '../utils/notificationUtils.js';
+
+// Event checkboxes grouped by kind; checking a group's wildcard covers (and disables) its events
+const EventPicker = ({ events, onChange }) => {
+  const toggle = (event) => {
+    onChange(events.includes(event) ? events.filter(existing => existing !== event) : [...events, event]);
+  };
+
+  const toggleWildcard = (group) => {
+    const groupEvents = group.events.map(event => event.value);
+    onChange(events.includes(group.wildcard)
+      ? events.filter(existing => existing !== group.wildcard)
+      : [...events.filter(existing => !groupEvents.includes(existing)), group.wildcard]);
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      {NOTIFICATION_EVENT_GROUPS.map(group => {
+        const hasWildcard = group.wildcard && events.includes(group.wildcard);
+
+        return (
+          <div key={group.label}>
+            {group.wildcard ? (
+              <label className="flex items-center space-x-2 text-sm font-medium text-gray-900">
+                <input type="checkbox" checked={hasWildcard} onChange={() => toggleWildcard(group)} />
+                <span>{group.label} (all)</span>
+              </label>
+            ) : (
+              <p className="text-sm font-medium text-gray-900">{group.label}</p>
+            )}
+            <div className={cn("space-y-1 mt-1", group.wildcard && "ml-6")}>
+              {group.events.map(event => (
+                <label
+                  key={event.value}
+                  className={cn("flex items-center space-x-2 text-sm", hasWildcard ? "text-gray-400" : "text-gray-700")}
+                  title={event.value}
+                >
+                  <input
+                    type="checkbox"
+                    checked={hasWildcard || events.includes(event.value)}
+                    disabled={hasWildcard}
+                    onChange={() => toggle(event.value)}
+                  />
+                  <span>{event.label}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+const NotificationEditor = ({ configuration, index, errors, onChange, onRemove }) => {
+  const update = (changes) => onChange({ ...configuration, ...changes });
+  const type = NOTIFICATION_TYPES[configuration.type];
+
+  return (
+    <div className={cn("card p-6 space-y-4", errors.length > 0 && "border-red-300")}>
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <span className="text-sm font-medium text-gray-500 whitespace-nowrap">Destination {index + 1}</span>
+          <input
+            type="text"
+            value={configuration.id}
+            onChange={(e) => update({ id: e.target.value })}
+            className="input max-w-xs"
+            placeholder="ID (optional)"
+          />
+        </div>
+        <button
+          onClick={onRemove}
+          className="p-2 hover:bg-red-50 rounded-lg transition-colors"
+          title="Remove destination"
+        >
+          <Trash2 className="w-4 h-4 text-red-600" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Destination type</label>
+          <select
+            value={configuration.type}
+            onChange={(e) => update({ type: e.target.value })}
+            className="input"
+          >
+            {Object.entries(NOTIFICATION_TYPES).map(([value, option]) => (
+              <option key={value} value={value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-1">{type.label} ARN</label>
+          <input
+            type="text"
+            value={configuration.arn}
+            onChange={(e) => update({ arn: e.target.value })}
+            className="input font-mono text-sm"
+            placeholder={type.placeholder}
+            spellCheck={false}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Prefix</label>
+          <input
+            type="text"
+            value={configuration.prefix}
+            onChange={(e) => update({ prefix: e.target.value })}
+            className="input"
+            placeholder="images/"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Suffix</label>
+          <input
+            type="text"
+            value={configuration.suffix}
+            onChange={(e) => update({ suffix: e.target.value })}
+            className="input"
+            placeholder=".jpg"
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Event types</label>
+        <EventPicker events={configuration.events} onChange={(events) => update({ events })} />
+      </div>
+
+      {errors.length > 0 && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <ul className="text-sm text-red-700 list-disc list-inside space-y-1">
+            {errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// S3 replaces the whole notification configuration on every save, so the server refuses a save
+// if the configuration changed after it was loaded here (409) instead of dropping those changes
+export const NotificationSettings = ({ bucketName }) => {
+  const [configurations, setConfigurations] = useState(null);
+  const [savedConfigurations, setSavedConfigurations] = useState(null);
+  const [eventBridgeEnabled, setEventBridgeEnabled] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const [isConflict, setIsConflict] = useState(false);
+  const [saveMessage, setSaveMessage] = useState(null);
+  const [showRemoveAll, setShowRemoveAll] = useState(false);
+
+  const { loading, error, execute: fetchNotifications } = useApi();
+  const { loading: saving, execute: saveNotifications } = useApi();
+
+  const applyLoaded = (response) => {
+    setConfigurations(response.configurations);
+    setSavedConfigurations(response.configurations);
+    setEventBridgeEnabled(response.eventBridgeEnabled);
+  };
+
+  const loadNotifications = useCallback(async () => {
+    setSaveError(null);
+    setIsConflict(false);
+    try {
+      applyLoaded(await fetchNotifications(() => bucketSettingsApi.getNotifications(bucketName)));
+    } catch (error) {
+      console.error('Failed to load event notifications:', error);
+    }
+  }, [bucketName, fetchNotifications]);
+
+  useEffect(() => {
+    loadNotifications();
+  }, [loadNotifications]);
+
+  const configurationErrors = useMemo(
+    () => (configurations ? validateNotifications(configurations) : []),
+    [configurations]
+  );
+  const hasErrors = configurationErrors.some(errors => errors.length > 0);
+  const isDirty = JSON.stringify(configurations) !== JSON.stringify(savedConfigurations);
+
+  const changeConfigurations = (update) => {
+    setSaveMessage(null);
+    setConfigurations(update);
+  };
+
+  const handleSave = async () => {
+    setSaveError(null);
+    setIsConflict(false);
+    setSaveMessage(null);
+    try {
+      const response = await saveNotifications(() => bucketSettingsApi.setNotifications(
+        bucketName,
+        configurations.map(serializeNotification),
+        savedConfigurations
+      ));
+      applyLoaded(response);
+      setSaveMessage(response.message);
+    } catch (error) {
+      console.error('Failed to save event notifications:', error);
+      setIsConflict(error.status === 409);
+      setSaveError(error.data?.errors?.map(detail => detail.message).join('; ') || error.data?.message || error.message);
+    }
+  };
+
+  if (loading && !configurations) {
+    return (
+      <div className="card p-6 flex items-center justify-center">
+        <div className="loading-spinner w-6 h-6"></div>
+        <p className="ml-3 text-gray-600">Loading event notifications...</p>
+      </div>
+    );
+  }
+
+  if (error && !configurations) {
+    return (
+      <div className="card p-6 text-center">
+        <AlertCircle className="w-10 h-10 text-red-400 mx-auto mb-3" />
+        <p className="text-gray-700 mb-4">Failed to load event notifications: {error.data?.message || error.message}</p>
+        <button onClick={loadNotifications} className="btn-secondary">
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (!configurations) return null;
+
+  return (
+    <div className="space-y-6">
+      <div className="card p-6">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-3">
+            <BellRing className="w-5 h-5 text-gray-400" />
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">Event Notifications</h2>
+              <p className="text-sm text-gray-500 mt-1">
+                SNS topics, SQS queues and Lambda functions that S3 notifies when objects change. Two destinations can't receive the same event for the same keys.
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={() => changeConfigurations(prev => [...prev, createEmptyNotification()])}
+            className="btn-secondary flex items-center space-x-2 whitespace-nowrap ml-4"
+          >
+            <Plus className="w-4 h-4" />
+            <span>Add Destination</span>
+          </button>
+        </div>
+
+        <div className="flex items-start space-x-2 mt-4 text-sm text-gray-600">
+          <Info className="w-4 h-4 text-gray-400 flex-shrink-0 mt-0.5" />
+          <p>
+            Each destination's resource policy must allow S3 to send to it, or S3 rejects the save.
+            {eventBridgeEnabled ? ' Delivery to Amazon EventBridge is on and is kept when you save.' : ''}
+          </p>
+        </div>
+      </div>
+
+      {configurations.length === 0 && (
+        <div className="card p-12 text-center">
+          <BellRing className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+          <p className="text-gray-600">No event notifications are sent to SNS, SQS or Lambda.</p>
+        </div>
+      )}
+
+      {configurations.map((configuration, index) => (
+        <NotificationEditor
+          key={index}
+          configuration={configuration}
+          index={index}
+          errors={configurationErrors[index] || []}
+          onChange={(updated) => changeConfigurations(prev => prev.map((existing, i) => (i === index ? updated : existing)))}
+          onRemove={() => changeConfigurations(prev => prev.filter((_, i) => i !== index))}
+        />
+      ))}
+
+      {saveError && (
+        <div className="flex items-center justify-between p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">{saveError}</p>
+          {isConflict && (
+            <button onClick={loadNotifications} disabled={loading} className="btn-secondary whitespace-nowrap ml-4">
+              Reload (discards your changes)
+            </button>
+          )}
+        </div>
+      )}
+
+      {saveMessage && !isDirty && (
+        <div className="flex items-center space-x-2 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <CheckCircle className="w-4 h-4 text-green-600" />
+          <p className="text-sm text-green-700">{saveMessage}</p>
+        </div>
+      )}
+
+      <div className="flex items-center justify-end space-x-3">
+        {hasErrors && (
+          <p className="text-sm text-red-600 mr-auto">Fix the errors above before saving.</p>
+        )}
+        <button
+          onClick={() => setConfigurations(savedConfigurations)}
+          disabled={!isDirty || saving}
+          className="btn-secondary"
+        >
+          Discard Changes
+        </button>
+        <button
+          onClick={() => (configurations.length === 0 ? setShowRemoveAll(true) : handleSave())}
+          disabled={!isDirty || hasErrors || saving}
+          className="btn-primary"
+        >
+          {saving ? 'Saving...' : 'Save Notifications'}
+        </button>
+      </div>
+
+      <ConfirmModal
+        isOpen={showRemoveAll}
+        onClose={() => setShowRemoveAll(false)}
+        onConfirm={handleSave}
+        title="Remove Event Notifications"
+        message="Remove every SNS, SQS and Lambda destination from this bucket? Pipelines that rely on these events stop receiving them."
+        confirmText="Remove All"
+        variant="danger"
+      />
+    </div>
+  );
+};
@@ -0,0 +1,241 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Lock, Unlock, AlertCircle, CheckCircle } from 'lucide-react';
+import { bucketSettingsApi } from '../services/api.js';
+import { useApi } from '../hooks/useApi.js';
+import { ConfirmModal } from './Modal.jsx';
+import { cn } from '../utils/cn.js';
+import { RETENTION_MODES, getRetentionModeLabel, describeDefaultRetention } from '../utils/objectLockUtils.js';
+
+const toForm = ({ defaultRetention }) => ({
+  mode: defaultRetention?.mode || '',
+  period: defaultRetention?.days ?? defaultRetention?.years ?? 30,
+  unit: defaultRetention?.years ? 'years' : 'days'
+});
+
+// Request body for the form: null when there is no default retention
+const buildDefaultRetention = ({ mode, period, unit }) => (mode ? { mode, [unit]: period } : null);
+
+const ENABLE_MESSAGE = 'Enable Object Lock? It can never be turned off again, and versioning can no longer be suspended. Locked versions can only be deleted once their retention expires and any legal hold is removed.';
+const COMPLIANCE_MESSAGE = 'Use Compliance mode? New versions will be impossible to delete or overwrite until their retention expires, for every user including the root account. Only closing the AWS account removes them.';
+
+export const ObjectLockSettings = ({ bucketName }) => {
+  const [objectLock, setObjectLock] = useState(null);
+  const [form, setForm] = useState(null);
+  const [pendingSave, setPendingSave] = useState(null); // 'enable' | 'compliance'
+  const [saveError, setSaveError] = useState(null);
+  const [saveMessage, setSaveMessage] = useState(null);
+
+  const { loading, error, execute: fetchObjectLock } = useApi();
+  const { loading: saving, execute: saveObjectLock } = useApi();
+
+  const applyObjectLock = (updated) => {
+    setObjectLock(updated);
+    setForm(toForm(updated));
+  };
+
+  const loadObjectLock = useCallback(async () => {
+    try {
+      const response = await fetchObjectLock(() => bucketSettingsApi.getObjectLock(bucketName));
+      applyObjectLock(response.objectLock);
+    } catch (error) {
+      console.error('Failed to load Object Lock settings:', error);
+    }
+  }, [bucketName, fetchObjectLock]);
+
+  useEffect(() => {
+    loadObjectLock();
+  }, [loadObjectLock]);
+
+  const updateForm = (changes) => {
+    setForm(prev => ({ ...prev, ...changes }));
+    setSaveMessage(null);
+  };
+
+  const save = async (defaultRetention) => {
+    setSaveError(null);
+    setSaveMessage(null);
+    try {
+      const response = await saveObjectLock(() => bucketSettingsApi.setObjectLock(bucketName, defaultRetention));
+      applyObjectLock(response.objectLock);
+      setSaveMessage(response.message);
+    } catch (error) {
+      console.error('Failed to save Object Lock settings:', error);
+      setSaveError(error.data?.errors?.map(detail => detail.message).join('; ') || error.data?.message || error.message);
+    }
+  };
+
+  if (loading && !objectLock) {
+    return (
+      <div className="card p-6 flex items-center justify-center">
+        <div className="loading-spinner w-6 h-6"></div>
+        <p className="ml-3 text-gray-600">Loading Object Lock settings...</p>
+      </div>
+    );
+  }
+
+  if (error && !objectLock) {
+    return (
+      <div className="card p-6 text-center">
+        <AlertCircle className="w-10 h-10 text-red-400 mx-auto mb-3" />
+        <p className="text-gray-700 mb-4">Failed to load Object Lock settings: {error.data?.message || error.message}</p>
+        <button onClick={loadObjectLock} className="btn-secondary">
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (!objectLock) return null;
+
+  const StatusIcon = objectLock.enabled ? Lock : Unlock;
+  const maxPeriod = form.unit === 'years' ? 100 : 36500;
+  const periodIsValid = !form.mode || (Number.isInteger(form.period) && form.period >= 1 && form.period <= maxPeriod);
+  const isDirty = JSON.stringify(buildDefaultRetention(form)) !== JSON.stringify(buildDefaultRetention(toForm(objectLock)));
+  const { defaultRetention } = objectLock;
+
+  const handleSave = () => {
+    if (form.mode === 'COMPLIANCE') {
+      setPendingSave('compliance');
+    } else {
+      save(buildDefaultRetention(form));
+    }
+  };
+
+  return (
+    <div className="card p-6 space-y-6">
+      <div className="flex items-center space-x-3">
+        <Lock className="w-5 h-5 text-gray-400" />
+        <h2 className="text-lg font-semibold text-gray-900">Object Lock</h2>
+      </div>
+
+      <div className={cn(
+        "flex items-start space-x-3 p-4 rounded-lg border",
+        objectLock.enabled ? "bg-green-50 text-green-700 border-green-200" : "bg-gray-50 text-gray-700 border-gray-200"
+      )}>
+        <StatusIcon className="w-6 h-6 flex-shrink-0" />
+        <div>
+          <p className="font-medium">{objectLock.enabled ? 'Enabled' : 'Not enabled'}</p>
+          <p className="text-sm mt-1">
+            {!objectLock.enabled
+              ? 'Object versions can be deleted and overwritten freely. Object Lock stores them write-once-read-many (WORM) instead.'
+              : defaultRetention
+                ? `New versions are locked in ${getRetentionModeLabel(defaultRetention.mode)} mode for ${describeDefaultRetention(defaultRetention)} unless an upload sets its own retention.`
+                : 'New versions are not locked by default; retention and legal holds can be set per object.'}
+          </p>
+        </div>
+      </div>
+
+      {objectLock.enabled ? (
+        <div className="space-y-3">
+          <p className="text-sm font-medium text-gray-700">Default retention</p>
+          <label className="flex items-start space-x-3 cursor-pointer">
+            <input
+              type="radio"
+              name="retention-mode"
+              checked={!form.mode}
+              onChange={() => updateForm({ mode: '' })}
+              className="mt-1"
+            />
+            <div>
+              <p className="text-sm font-medium text-gray-900">None</p>
+              <p className="text-xs text-gray-500">Only objects given their own retention or legal hold are locked.</p>
+            </div>
+          </label>
+          {RETENTION_MODES.map(option => (
+            <label key={option.value} className="flex items-start space-x-3 cursor-pointer">
+              <input
+                type="radio"
+                name="retention-mode"
+                checked={form.mode === option.value}
+                onChange={() => updateForm({ mode: option.value })}
+                className="mt-1"
+              />
+              <div>
+                <p className="text-sm font-medium text-gray-900">{option.label}</p>
+                <p className="text-xs text-gray-500">{option.description}</p>
+              </div>
+            </label>
+          ))}
+
+          {form.mode && (
+            <div className="ml-7">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Retention period</label>
+              <div className="flex items-center space-x-2">
+                <input
+                  type="number"
+                  min="1"
+                  max={maxPeriod}
+                  value={form.period}
+                  onChange={(e) => updateForm({ period: Number(e.target.value) })}
+                  className={cn("input w-32", !periodIsValid && "border-red-500 focus:ring-red-500")}
+                />
+                <select
+                  value={form.unit}
+                  onChange={(e) => updateForm({ unit: e.target.value })}
+                  className="input w-32"
+                >
+                  <option value="days">Days</option>
+                  <option value="years">Years</option>
+                </select>
+              </div>
+              {!periodIsValid && (
+                <p className="text-sm text-red-600 mt-1">Enter between 1 and {maxPeriod.toLocaleString()} {form.unit}</p>
+              )}
+            </div>
+          )}
+
+          <p className="text-sm text-gray-500">
+            The default only applies to versions written from now on. Existing versions keep their retention.
+          </p>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">
+          Object Lock needs versioning to be enabled first. New buckets can have it turned on when they are created.
+        </p>
+      )}
+
+      {saveError && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">{saveError}</p>
+        </div>
+      )}
+
+      {saveMessage && (
+        <div className="flex items-center space-x-2 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <CheckCircle className="w-4 h-4 text-green-600" />
+          <p className="text-sm text-green-700">{saveMessage}</p>
+        </div>
+      )}
+
+      <div className="flex justify-end">
+        {objectLock.enabled ? (
+          <button
+            onClick={handleSave}
+            disabled={!isDirty || !periodIsValid || saving}
+            className="btn-primary"
+          >
+            {saving ? 'Saving...' : 'Save Default Retention'}
+          </button>
+        ) : (
+          <button
+            onClick={() => setPendingSave('enable')}
+            disabled={saving}
+            className="btn-primary"
+          >
+            {saving ? 'Saving...' : 'Enable Object Lock'}
+          </button>
+        )}
+      </div>
+
+      <ConfirmModal
+        isOpen={pendingSave !== null}
+        onClose={() => setPendingSave(null)}
+        onConfirm={() => save(pendingSave === 'enable' ? null : buildDefaultRetention(form))}
+        title={pendingSave === 'enable' ? 'Enable Object Lock' : 'Compliance Retention'}
+        message={pendingSave === 'enable' ? ENABLE_MESSAGE : COMPLIANCE_MESSAGE}
+        confirmText={pendingSave === 'enable' ? 'Enable' : 'Save'}
+        variant="danger"
+      />
+    </div>
+  );
+};
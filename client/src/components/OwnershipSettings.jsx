@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Users, ShieldCheck, AlertTriangle, AlertCircle, CheckCircle } from 'lucide-react';
+import { bucketSettingsApi } from '../services/api.js';
+import { useApi } from '../hooks/useApi.js';
+import { ConfirmModal } from './Modal.jsx';
+import { cn } from '../utils/cn.js';
+import {
+  OBJECT_OWNERSHIP_OPTIONS,
+  describeGrantee,
+  getPermissionLabel,
+  isPublicGrant,
+  shortenCanonicalId
+} from '../utils/aclUtils.js';
+
+const ENFORCE_MESSAGE = 'Disable ACLs for this bucket? The bucket owner will own every object, including ones uploaded by other accounts, and object ACLs will stop granting access. Uploads that set an ACL other than bucket-owner-full-control will fail, so check that no writer depends on ACLs first.';
+
+// Object ownership and the bucket ACL, read-only apart from switching to BucketOwnerEnforced
+export const OwnershipSettings = ({ bucketName }) => {
+  const [accessControl, setAccessControl] = useState(null); // { acl, objectOwnership }
+  const [confirmEnforce, setConfirmEnforce] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const [saveMessage, setSaveMessage] = useState(null);
+
+  const { loading, error, execute: fetchAccessControl } = useApi();
+  const { loading: saving, execute: saveOwnership } = useApi();
+
+  const loadAccessControl = useCallback(async () => {
+    try {
+      const response = await fetchAccessControl(() => bucketSettingsApi.getAcl(bucketName));
+      setAccessControl({ acl: response.acl, objectOwnership: response.objectOwnership });
+    } catch (error) {
+      console.error('Failed to load bucket ACL:', error);
+    }
+  }, [bucketName, fetchAccessControl]);
+
+  useEffect(() => {
+    loadAccessControl();
+  }, [loadAccessControl]);
+
+  const enforceBucketOwner = async () => {
+    setSaveError(null);
+    setSaveMessage(null);
+    try {
+      const response = await saveOwnership(() => bucketSettingsApi.setObjectOwnership(bucketName, 'BucketOwnerEnforced'));
+      setSaveMessage(response.message);
+      await loadAccessControl();
+    } catch (error) {
+      console.error('Failed to change object ownership:', error);
+      setSaveError(error.data?.errors?.map(detail => detail.message).join('; ') || error.data?.message || error.message);
+    }
+  };
+
+  if (loading && !accessControl) {
+    return (
+      <div className="card p-6 flex items-center justify-center">
+        <div className="loading-spinner w-6 h-6"></div>
+        <p className="ml-3 text-gray-600">Loading ownership settings...</p>
+      </div>
+    );
+  }
+
+  if (error && !accessControl) {
+    return (
+      <div className="card p-6 text-center">
+        <AlertCircle className="w-10 h-10 text-red-400 mx-auto mb-3" />
+        <p className="text-gray-700 mb-4">Failed to load ownership settings: {error.data?.message || error.message}</p>
+        <button onClick={loadAccessControl} className="btn-secondary">
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (!accessControl) return null;
+
+  const { acl, objectOwnership } = accessControl;
+  const isEnforced = objectOwnership === 'BucketOwnerEnforced';
+  const ownership = OBJECT_OWNERSHIP_OPTIONS[objectOwnership] || { label: objectOwnership, description: '' };
+  // S3 refuses to disable ACLs while the bucket ACL grants anyone but the owner
+  const otherGrants = acl.grants.filter(grant => grant.grantee !== acl.owner.id);
+  const StatusIcon = isEnforced ? ShieldCheck : AlertTriangle;
+
+  return (
+    <div className="card p-6 space-y-6">
+      <div className="flex items-center space-x-3">
+        <Users className="w-5 h-5 text-gray-400" />
+        <h2 className="text-lg font-semibold text-gray-900">Object Ownership</h2>
+      </div>
+
+      <div className={cn(
+        "flex items-start space-x-3 p-4 rounded-lg border",
+        isEnforced ? "bg-green-50 text-green-700 border-green-200" : "bg-yellow-50 text-yellow-800 border-yellow-200"
+      )}>
+        <StatusIcon className="w-6 h-6 flex-shrink-0" />
+        <div>
+          <p className="font-medium">{ownership.label}</p>
+          <p className="text-sm mt-1">{ownership.description}</p>
+          {!isEnforced && (
+            <p className="text-sm mt-1">
+              Objects uploaded by other accounts may belong to them, so this account can't read or manage them.
+            </p>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <p className="text-sm font-medium text-gray-700">Bucket owner</p>
+        <p className="text-sm text-gray-600">
+          {acl.owner.displayName || 'Unknown'}{' '}
+          <span className="font-mono text-xs text-gray-500" title={acl.owner.id}>{shortenCanonicalId(acl.owner.id)}</span>
+        </p>
+      </div>
+
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-2">Bucket ACL</p>
+        {isEnforced && (
+          <p className="text-xs text-gray-500 mb-2">ACLs are disabled, so these grants have no effect.</p>
+        )}
+        <div className="border border-gray-200 rounded-lg">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-left text-gray-700">
+              <tr>
+                <th className="px-4 py-2 font-medium">Grantee</th>
+                <th className="px-4 py-2 font-medium">Permission</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {acl.grants.map(grant => (
+                <tr key={`${grant.grantee}-${grant.permission}`}>
+                  <td className={cn("px-4 py-2 break-all", isPublicGrant(grant) ? "text-red-700 font-medium" : "text-gray-900")}>
+                    {describeGrantee(grant, acl.owner.id)}
+                  </td>
+                  <td className="px-4 py-2 text-gray-600">{getPermissionLabel(grant.permission)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {saveError && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">{saveError}</p>
+        </div>
+      )}
+
+      {saveMessage && (
+        <div className="flex items-center space-x-2 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <CheckCircle className="w-4 h-4 text-green-600" />
+          <p className="text-sm text-green-700">{saveMessage}</p>
+        </div>
+      )}
+
+      {!isEnforced && (
+        <div className="flex items-center justify-end space-x-3">
+          {otherGrants.length > 0 && (
+            <p className="text-sm text-gray-500">Remove the bucket ACL grants to other grantees before disabling ACLs.</p>
+          )}
+          <button
+            onClick={() => setConfirmEnforce(true)}
+            disabled={saving || otherGrants.length > 0}
+            className="btn-primary"
+          >
+            {saving ? 'Saving...' : 'Disable ACLs'}
+          </button>
+        </div>
+      )}
+
+      <ConfirmModal
+        isOpen={confirmEnforce}
+        onClose={() => setConfirmEnforce(false)}
+        onConfirm={enforceBucketOwner}
+        title="Disable ACLs"
+        message={ENFORCE_MESSAGE}
+        confirmText="Disable ACLs"
+        variant="danger"
+      />
+    </div>
+  );
+};
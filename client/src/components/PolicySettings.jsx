@@ -0,0 +1,269 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { FileJson, AlertCircle, AlertTriangle, CheckCircle, Trash2, Wand2 } from 'lucide-react';
+import { bucketSettingsApi } from '../services/api.js';
+import { useApi } from '../hooks/useApi.js';
+import { ConfirmModal } from './Modal.jsx';
+import {
+  POLICY_TEMPLATES,
+  applyPolicyTemplate,
+  formatPolicy,
+  validatePolicyText
+} from '../utils/policyUtils.js';
+
+// currentPolicy is the parsed editor content, or null when it isn't valid JSON
+const TemplatePicker = ({ bucketName, currentPolicy, onApply }) => {
+  const [templateId, setTemplateId] = useState(POLICY_TEMPLATES[0].id);
+  const [params, setParams] = useState({});
+
+  const template = POLICY_TEMPLATES.find(option => option.id === templateId);
+  const paramErrors = template.params
+    .filter(param => params[param.name] && !param.pattern.test(params[param.name]))
+    .map(param => param.error);
+  const isComplete = template.params.every(param => param.pattern.test(params[param.name] || ''));
+
+  const handleApply = () => {
+    onApply(applyPolicyTemplate(currentPolicy, template.buildStatements(bucketName, params)));
+    setParams({});
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+      <div className="flex items-center space-x-2">
+        <Wand2 className="w-4 h-4 text-gray-400" />
+        <p className="text-sm font-medium text-gray-900">Templates</p>
+      </div>
+      <select
+        value={templateId}
+        onChange={(e) => {
+          setTemplateId(e.target.value);
+          setParams({});
+        }}
+        className="input"
+      >
+        {POLICY_TEMPLATES.map(option => (
+          <option key={option.id} value={option.id}>{option.label}</option>
+        ))}
+      </select>
+      <p className="text-xs text-gray-500">{template.description}</p>
+
+      {template.params.map(param => (
+        <div key={param.name}>
+          <label className="block text-sm font-medium text-gray-700 mb-1">{param.label}</label>
+          <input
+            type="text"
+            value={params[param.name] || ''}
+            onChange={(e) => setParams(prev => ({ ...prev, [param.name]: e.target.value.trim() }))}
+            className="input"
+            placeholder={param.placeholder}
+          />
+        </div>
+      ))}
+      {paramErrors.map(error => (
+        <p key={error} className="text-sm text-red-600">{error}</p>
+      ))}
+
+      <div className="flex items-center justify-between">
+        <p className="text-xs text-gray-500">
+          {currentPolicy ? 'Statements are added to the policy below.' : 'Replaces the text below with a new policy.'}
+        </p>
+        <button onClick={handleApply} disabled={!isComplete} className="btn-secondary">
+          Insert Template
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export const PolicySettings = ({ bucketName }) => {
+  const [text, setText] = useState(null);
+  const [savedText, setSavedText] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const [saveMessage, setSaveMessage] = useState(null);
+  const [showDelete, setShowDelete] = useState(false);
+
+  const { loading, error, execute: fetchPolicy } = useApi();
+  const { loading: saving, execute: savePolicy } = useApi();
+
+  const applyLoadedPolicy = (policy) => {
+    const formatted = policy ? formatPolicy(policy) : '';
+    setText(formatted);
+    setSavedText(formatted);
+  };
+
+  const loadPolicy = useCallback(async () => {
+    try {
+      const response = await fetchPolicy(() => bucketSettingsApi.getPolicy(bucketName));
+      applyLoadedPolicy(response.policy);
+    } catch (error) {
+      console.error('Failed to load bucket policy:', error);
+    }
+  }, [bucketName, fetchPolicy]);
+
+  useEffect(() => {
+    loadPolicy();
+  }, [loadPolicy]);
+
+  const validation = useMemo(
+    () => (text?.trim() ? validatePolicyText(text, bucketName) : null),
+    [text, bucketName]
+  );
+  const hasPolicy = Boolean(savedText);
+  const isDirty = text !== savedText;
+  const canSave = isDirty && validation && validation.errors.length === 0 && !saving;
+
+  const handleTextChange = (value) => {
+    setText(value);
+    setSaveMessage(null);
+  };
+
+  const handleSave = async () => {
+    setSaveError(null);
+    setSaveMessage(null);
+    try {
+      const response = await savePolicy(() => bucketSettingsApi.setPolicy(bucketName, validation.policy));
+      applyLoadedPolicy(response.policy);
+      setSaveMessage(response.message);
+    } catch (error) {
+      console.error('Failed to save bucket policy:', error);
+      setSaveError(error.data?.errors?.map(detail => detail.message).join('; ') || error.data?.message || error.message);
+    }
+  };
+
+  const handleDelete = async () => {
+    setSaveError(null);
+    setSaveMessage(null);
+    try {
+      const response = await savePolicy(() => bucketSettingsApi.deletePolicy(bucketName));
+      applyLoadedPolicy(null);
+      setSaveMessage(response.message);
+    } catch (error) {
+      console.error('Failed to delete bucket policy:', error);
+      setSaveError(error.data?.message || error.message);
+    }
+  };
+
+  if (loading && text === null) {
+    return (
+      <div className="card p-6 flex items-center justify-center">
+        <div className="loading-spinner w-6 h-6"></div>
+        <p className="ml-3 text-gray-600">Loading bucket policy...</p>
+      </div>
+    );
+  }
+
+  if (error && text === null) {
+    return (
+      <div className="card p-6 text-center">
+        <AlertCircle className="w-10 h-10 text-red-400 mx-auto mb-3" />
+        <p className="text-gray-700 mb-4">Failed to load bucket policy: {error.data?.message || error.message}</p>
+        <button onClick={loadPolicy} className="btn-secondary">
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (text === null) return null;
+
+  return (
+    <div className="card p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <FileJson className="w-5 h-5 text-gray-400" />
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Bucket Policy</h2>
+            <p className="text-sm text-gray-500 mt-1">
+              {hasPolicy ? 'Resource-based permissions for this bucket and its objects.' : 'This bucket has no policy. Write one below or start from a template.'}
+            </p>
+          </div>
+        </div>
+        {hasPolicy && (
+          <button
+            onClick={() => setShowDelete(true)}
+            disabled={saving}
+            className="btn-secondary flex items-center space-x-2 whitespace-nowrap ml-4"
+          >
+            <Trash2 className="w-4 h-4 text-red-600" />
+            <span>Delete Policy</span>
+          </button>
+        )}
+      </div>
+
+      <TemplatePicker
+        bucketName={bucketName}
+        currentPolicy={validation?.policy ?? null}
+        onApply={(policy) => handleTextChange(formatPolicy(policy))}
+      />
+
+      <textarea
+        value={text}
+        onChange={(e) => handleTextChange(e.target.value)}
+        className="input font-mono text-sm h-96"
+        spellCheck={false}
+        placeholder={'{\n  "Version": "2012-10-17",\n  "Statement": []\n}'}
+      />
+
+      {validation && validation.errors.length > 0 && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <ul className="text-sm text-red-700 list-disc list-inside space-y-1">
+            {validation.errors.map(message => <li key={message}>{message}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {validation && validation.warnings.length > 0 && (
+        <div className="p-4 bg-amber-50 border border-amber-200 rounded-lg">
+          <div className="flex items-start space-x-2">
+            <AlertTriangle className="w-4 h-4 text-amber-600 mt-0.5 flex-shrink-0" />
+            <ul className="text-sm text-amber-800 space-y-1">
+              {validation.warnings.map(message => <li key={message}>{message}</li>)}
+            </ul>
+          </div>
+        </div>
+      )}
+
+      {saveError && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">{saveError}</p>
+        </div>
+      )}
+
+      {saveMessage && !isDirty && (
+        <div className="flex items-center space-x-2 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <CheckCircle className="w-4 h-4 text-green-600" />
+          <p className="text-sm text-green-700">{saveMessage}</p>
+        </div>
+      )}
+
+      <div className="flex items-center justify-end space-x-3">
+        <button
+          onClick={() => handleTextChange(formatPolicy(validation.policy))}
+          disabled={!validation?.policy}
+          className="btn-secondary mr-auto"
+        >
+          Format
+        </button>
+        <button
+          onClick={() => handleTextChange(savedText)}
+          disabled={!isDirty || saving}
+          className="btn-secondary"
+        >
+          Discard Changes
+        </button>
+        <button onClick={handleSave} disabled={!canSave} className="btn-primary">
+          {saving ? 'Saving...' : 'Save Policy'}
+        </button>
+      </div>
+
+      <ConfirmModal
+        isOpen={showDelete}
+        onClose={() => setShowDelete(false)}
+        onConfirm={handleDelete}
+        title="Delete Bucket Policy"
+        message="Delete this bucket's policy? Any access it grants (or denies) is removed immediately."
+        confirmText="Delete"
+        variant="danger"
+      />
+    </div>
+  );
+};
@@ -0,0 +1,210 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ShieldCheck, ShieldAlert, AlertCircle, CheckCircle } from 'lucide-react';
+import { bucketSettingsApi } from '../services/api.js';
+import { useApi } from '../hooks/useApi.js';
+import { ConfirmModal } from './Modal.jsx';
+import { cn } from '../utils/cn.js';
+import {
+  PUBLIC_ACCESS_BLOCK_SETTINGS,
+  EXPOSURE_LABELS,
+  isFullyBlocked,
+  getLoosenedSettings
+} from '../utils/publicAccessUtils.js';
+
+export const PublicAccessSettings = ({ bucketName }) => {
+  const [publicAccessBlock, setPublicAccessBlock] = useState(null);
+  const [form, setForm] = useState(null);
+  const [exposure, setExposure] = useState(null);
+  const [confirmLoosen, setConfirmLoosen] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const [saveMessage, setSaveMessage] = useState(null);
+
+  const { loading, error, execute: fetchSettings } = useApi();
+  const { loading: saving, execute: saveSettings } = useApi();
+
+  const loadExposure = useCallback(async () => {
+    try {
+      const response = await bucketSettingsApi.getPublicExposure(bucketName);
+      setExposure(response.exposure);
+    } catch (error) {
+      // The settings are still usable without the assessment
+      console.error('Failed to check public exposure:', error);
+      setExposure(null);
+    }
+  }, [bucketName]);
+
+  const loadSettings = useCallback(async () => {
+    try {
+      const response = await fetchSettings(() => bucketSettingsApi.getPublicAccessBlock(bucketName));
+      setPublicAccessBlock(response.publicAccessBlock);
+      setForm(response.publicAccessBlock);
+    } catch (error) {
+      console.error('Failed to load public access settings:', error);
+    }
+  }, [bucketName, fetchSettings]);
+
+  useEffect(() => {
+    loadSettings();
+    loadExposure();
+  }, [loadSettings, loadExposure]);
+
+  const updateForm = (changes) => {
+    setForm(prev => ({ ...prev, ...changes }));
+    setSaveMessage(null);
+  };
+
+  const save = async () => {
+    setSaveError(null);
+    setSaveMessage(null);
+    try {
+      const response = await saveSettings(() => bucketSettingsApi.setPublicAccessBlock(bucketName, form));
+      setPublicAccessBlock(response.publicAccessBlock);
+      setForm(response.publicAccessBlock);
+      setSaveMessage(response.message);
+      loadExposure();
+    } catch (error) {
+      console.error('Failed to save public access settings:', error);
+      setSaveError(error.data?.errors?.map(detail => detail.message).join('; ') || error.data?.message || error.message);
+    }
+  };
+
+  if (loading && !publicAccessBlock) {
+    return (
+      <div className="card p-6 flex items-center justify-center">
+        <div className="loading-spinner w-6 h-6"></div>
+        <p className="ml-3 text-gray-600">Loading public access settings...</p>
+      </div>
+    );
+  }
+
+  if (error && !publicAccessBlock) {
+    return (
+      <div className="card p-6 text-center">
+        <AlertCircle className="w-10 h-10 text-red-400 mx-auto mb-3" />
+        <p className="text-gray-700 mb-4">Failed to load public access settings: {error.data?.message || error.message}</p>
+        <button onClick={loadSettings} className="btn-secondary">
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (!publicAccessBlock) return null;
+
+  const loosened = getLoosenedSettings(publicAccessBlock, form);
+  const isDirty = PUBLIC_ACCESS_BLOCK_SETTINGS.some(setting => form[setting.key] !== publicAccessBlock[setting.key]);
+  const allBlocked = isFullyBlocked(form);
+  const isExposed = exposure && exposure.status !== 'private';
+  const StatusIcon = isExposed ? ShieldAlert : ShieldCheck;
+
+  const handleSave = () => {
+    if (loosened.length > 0) {
+      setConfirmLoosen(true);
+    } else {
+      save();
+    }
+  };
+
+  const handleBlockAll = (checked) => {
+    updateForm(Object.fromEntries(PUBLIC_ACCESS_BLOCK_SETTINGS.map(setting => [setting.key, checked])));
+  };
+
+  return (
+    <div className="card p-6 space-y-6">
+      <div className="flex items-center space-x-3">
+        <ShieldCheck className="w-5 h-5 text-gray-400" />
+        <h2 className="text-lg font-semibold text-gray-900">Block Public Access</h2>
+      </div>
+
+      {exposure && (
+        <div className={cn(
+          "flex items-start space-x-3 p-4 rounded-lg border",
+          exposure.status === 'public' && "bg-red-50 text-red-700 border-red-200",
+          exposure.status === 'at-risk' && "bg-yellow-50 text-yellow-800 border-yellow-200",
+          exposure.status === 'private' && "bg-green-50 text-green-700 border-green-200"
+        )}>
+          <StatusIcon className="w-6 h-6 flex-shrink-0" />
+          <div>
+            <p className="font-medium">{EXPOSURE_LABELS[exposure.status]}</p>
+            {exposure.reasons.length > 0 ? (
+              <ul className="text-sm mt-1 list-disc list-inside space-y-1">
+                {exposure.reasons.map(reason => <li key={reason}>{reason}</li>)}
+              </ul>
+            ) : (
+              <p className="text-sm mt-1">Neither the bucket policy nor ACLs can make this bucket or its objects public.</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-3">
+        <label className="flex items-start space-x-3 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={allBlocked}
+            onChange={(e) => handleBlockAll(e.target.checked)}
+            className="mt-1"
+          />
+          <div>
+            <p className="text-sm font-medium text-gray-900">Block all public access</p>
+            <p className="text-xs text-gray-500">Turns on all four settings below. Recommended unless the bucket hosts public content.</p>
+          </div>
+        </label>
+
+        <div className="ml-7 space-y-3">
+          {PUBLIC_ACCESS_BLOCK_SETTINGS.map(setting => (
+            <label key={setting.key} className="flex items-start space-x-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={form[setting.key]}
+                onChange={(e) => updateForm({ [setting.key]: e.target.checked })}
+                className="mt-1"
+              />
+              <div>
+                <p className="text-sm font-medium text-gray-900">{setting.label}</p>
+                <p className="text-xs text-gray-500">{setting.description}</p>
+              </div>
+            </label>
+          ))}
+        </div>
+
+        <p className="text-sm text-gray-500">
+          Account-level Block Public Access settings also apply, and override these when they are stricter.
+        </p>
+      </div>
+
+      {saveError && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">{saveError}</p>
+        </div>
+      )}
+
+      {saveMessage && (
+        <div className="flex items-center space-x-2 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <CheckCircle className="w-4 h-4 text-green-600" />
+          <p className="text-sm text-green-700">{saveMessage}</p>
+        </div>
+      )}
+
+      <div className="flex justify-end">
+        <button
+          onClick={handleSave}
+          disabled={!isDirty || saving}
+          className="btn-primary"
+        >
+          {saving ? 'Saving...' : 'Save Public Access Settings'}
+        </button>
+      </div>
+
+      <ConfirmModal
+        isOpen={confirmLoosen}
+        onClose={() => setConfirmLoosen(false)}
+        onConfirm={save}
+        title="Allow Public Access"
+        message={`Turn off ${loosened.join(', ')}? The bucket policy or ACLs will then be able to make "${bucketName}" or its objects readable by anyone on the internet.`}
+        confirmText="Turn Off"
+        variant="danger"
+      />
+    </div>
+  );
+};
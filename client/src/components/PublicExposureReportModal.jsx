@@ -0,0 +1,98 @@
+import React from 'react';
+import { ShieldCheck, ShieldAlert, AlertCircle, RefreshCw } from 'lucide-react';
+import { Modal } from './Modal.jsx';
+import { formatDate } from '../utils/fileUtils.js';
+import { EXPOSURE_LABELS } from '../utils/publicAccessUtils.js';
+
+const STATUS_ORDER = { public: 0, 'at-risk': 1, private: 2 };
+const STATUS_CLASSES = {
+  public: 'text-red-700',
+  'at-risk': 'text-yellow-700',
+  private: 'text-green-700'
+};
+
+// Buckets that are public or could become public. The report is loaded by the bucket list,
+// which also uses it for the badges on each card.
+export const PublicExposureReportModal = ({ isOpen, onClose, report, loading, error, onRefresh }) => {
+  const buckets = [...(report?.buckets || [])].sort((a, b) => (
+    (STATUS_ORDER[a.status] ?? -1) - (STATUS_ORDER[b.status] ?? -1) || a.bucket.localeCompare(b.bucket)
+  ));
+  const publicCount = buckets.filter(bucket => bucket.status === 'public').length;
+  const atRiskCount = buckets.filter(bucket => bucket.status === 'at-risk').length;
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Public Exposure" size="2xl">
+      {loading && !report && (
+        <div className="flex items-center justify-center py-8">
+          <div className="loading-spinner w-6 h-6"></div>
+          <p className="ml-3 text-gray-600">Checking buckets...</p>
+        </div>
+      )}
+
+      {error && !report && (
+        <div className="text-center py-6">
+          <AlertCircle className="w-10 h-10 text-red-400 mx-auto mb-3" />
+          <p className="text-gray-700">Failed to load the report: {error.data?.message || error.message}</p>
+        </div>
+      )}
+
+      {report && (
+        <div className="space-y-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-700">
+                {publicCount} public, {atRiskCount} could become public, out of {buckets.length} buckets
+              </p>
+              <p className="text-xs text-gray-500">
+                Generated {formatDate(report.generatedAt)}. Account-level Block Public Access is not checked.
+              </p>
+            </div>
+            <button onClick={onRefresh} disabled={loading} className="btn-secondary flex items-center space-x-2">
+              <RefreshCw className="w-4 h-4" />
+              <span>{loading ? 'Checking...' : 'Check Again'}</span>
+            </button>
+          </div>
+
+          <div className="max-h-96 overflow-y-auto border border-gray-200 rounded-lg">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 text-left text-gray-700">
+                <tr>
+                  <th className="px-4 py-2 font-medium">Bucket</th>
+                  <th className="px-4 py-2 font-medium">Status</th>
+                  <th className="px-4 py-2 font-medium">Reasons</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {buckets.map(bucket => (
+                  <tr key={bucket.bucket}>
+                    <td className="px-4 py-2 text-gray-900 break-all align-top">{bucket.bucket}</td>
+                    <td className="px-4 py-2 align-top whitespace-nowrap">
+                      {bucket.error ? (
+                        <span className="flex items-center space-x-1 text-red-600">
+                          <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                          <span>Not checked</span>
+                        </span>
+                      ) : (
+                        <span className={`flex items-center space-x-1 ${STATUS_CLASSES[bucket.status]}`}>
+                          {bucket.status === 'private' ? <ShieldCheck className="w-4 h-4" /> : <ShieldAlert className="w-4 h-4" />}
+                          <span>{EXPOSURE_LABELS[bucket.status]}</span>
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-gray-600">
+                      {bucket.error ? bucket.error : bucket.reasons.length > 0 ? (
+                        <ul className="space-y-1">
+                          {bucket.reasons.map(reason => <li key={reason}>{reason}</li>)}
+                        </ul>
+                      ) : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react';
+import { AlertCircle, CheckCircle } from 'lucide-react';
+import { Modal } from './Modal.jsx';
+import { fileApi, folderApi } from '../services/api.js';
+import { useJob } from '../hooks/useJob.js';
+import { RESTORE_TIERS, ARCHIVE_STORAGE_CLASSES } from '../utils/storageClassUtils.js';
+
+const DEFAULT_DAYS = 7;
+
+// Restores an archived file, or every archived file under a folder (as a server-side job),
+// for a chosen number of days using the chosen retrieval tier
+export const RestoreModal = ({ isOpen, onClose, bucketName, file, folder, onComplete }) => {
+  const [tier, setTier] = useState('Standard');
+  const [days, setDays] = useState(DEFAULT_DAYS);
+  const [startError, setStartError] = useState(null);
+  const [isStarting, setIsStarting] = useState(false);
+  const [fileResult, setFileResult] = useState(null);
+
+  const { job, error: jobError, isRunning, track, reset: resetJob } = useJob();
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setTier('Standard');
+    setDays(DEFAULT_DAYS);
+    setStartError(null);
+    setFileResult(null);
+    resetJob();
+  }, [isOpen, resetJob]);
+
+  if (!file && !folder) return null;
+
+  // A single file tells us its class; a folder may hold both Glacier and Deep Archive files.
+  // Files in an Intelligent-Tiering archive tier come back for good and can't use Expedited.
+  const archiveClass = ARCHIVE_STORAGE_CLASSES.includes(file?.storageClass) ? file.storageClass : null;
+  const isTieringArchive = Boolean(file) && !archiveClass;
+  const tiers = RESTORE_TIERS.filter(option => (
+    archiveClass ? option.times[archiveClass] : !isTieringArchive || option.value !== 'Expedited'
+  ));
+  const daysError = !isTieringArchive && (!Number.isInteger(days) || days < 1 || days > 365) ? 'Choose between 1 and 365 days' : null;
+  const isDone = Boolean(fileResult || job);
+
+  const handleClose = () => {
+    if (isDone) onComplete?.(fileResult || job);
+    resetJob();
+    onClose();
+  };
+
+  const handleStart = async () => {
+    setIsStarting(true);
+    setStartError(null);
+    try {
+      if (file) {
+        const response = await fileApi.restore(bucketName, file.key, { tier, days });
+        setFileResult(response);
+      } else {
+        const response = await folderApi.restore(bucketName, folder.prefix, { tier, days });
+        track(response.job);
+      }
+    } catch (error) {
+      console.error('Failed to start restore:', error);
+      setStartError(error.data?.errors?.map(detail => detail.message).join('; ') || error.data?.message || error.message);
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  const progressPercentage = job?.total ? Math.round((job.processed / job.total) * 100) : (job?.status === 'completed' ? 100 : 0);
+  const title = file ? 'Restore File' : 'Restore Folder';
+
+  return (
+    <Modal isOpen={isOpen} onClose={isRunning ? () => {} : handleClose} title={title} size="lg">
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600 break-all">
+          {file
+            ? <>Make a temporary copy of <span className="font-medium text-gray-900">{file.key}</span> that can be downloaded.</>
+            : <>Restore every Glacier Flexible Retrieval and Deep Archive file under <span className="font-medium text-gray-900">{folder.prefix}</span>.</>}
+        </p>
+
+        {!isDone && (
+          <>
+            <div className="space-y-2">
+              <p className="text-sm font-medium text-gray-700">Retrieval tier</p>
+              {tiers.map(option => (
+                <label key={option.value} className="flex items-start space-x-2 text-sm text-gray-700">
+                  <input
+                    type="radio"
+                    name="restore-tier"
+                    className="mt-1"
+                    checked={tier === option.value}
+                    onChange={() => setTier(option.value)}
+                  />
+                  <span>
+                    {option.label}
+                    {!isTieringArchive && (
+                      <span className="block text-xs text-gray-500">
+                        {archiveClass
+                          ? `Ready ${option.times[archiveClass]}`
+                          : Object.entries(option.times).map(([value, time]) => `${value === 'GLACIER' ? 'Glacier' : 'Deep Archive'}: ${time}`).join(' · ')}
+                      </span>
+                    )}
+                  </span>
+                </label>
+              ))}
+              {!file && tier === 'Expedited' && (
+                <p className="text-xs text-yellow-700">Deep Archive files can't use Expedited and will be listed as errors.</p>
+              )}
+            </div>
+
+            {isTieringArchive ? (
+              <p className="text-xs text-gray-500">
+                This file is in an Intelligent-Tiering archive tier. Restoring moves it back to the Frequent Access tier, with no expiry.
+              </p>
+            ) : (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Keep the restored copy for (days)</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="365"
+                  value={days}
+                  onChange={(e) => setDays(Number(e.target.value))}
+                  className={`input w-32 ${daysError ? 'border-red-500 focus:ring-red-500' : ''}`}
+                />
+                {daysError && <p className="mt-1 text-sm text-red-600">{daysError}</p>}
+                <p className="mt-1 text-xs text-gray-500">
+                  The restored copy is billed as Standard storage on top of the archived file until it expires.
+                </p>
+              </div>
+            )}
+
+            {startError && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+                <p className="text-sm text-red-700">{startError}</p>
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <button onClick={handleClose} className="btn-secondary" disabled={isStarting}>
+                Cancel
+              </button>
+              <button
+                onClick={handleStart}
+                disabled={isStarting || Boolean(daysError)}
+                className="btn-primary"
+              >
+                {isStarting ? 'Requesting...' : 'Restore'}
+              </button>
+            </div>
+          </>
+        )}
+
+        {fileResult && (
+          <div className="flex items-center space-x-2 p-3 bg-green-50 border border-green-200 rounded-lg">
+            <CheckCircle className="w-4 h-4 text-green-600" />
+            <p className="text-sm text-green-700">
+              {fileResult.restore.status === 'restored'
+                ? `The restored copy now lasts ${days} day${days !== 1 ? 's' : ''} from today.`
+                : 'Restore requested. Check back on this page to see when it is ready.'}
+            </p>
+          </div>
+        )}
+
+        {job && (
+          <>
+            <div>
+              <div className="flex items-center justify-between text-sm text-gray-600 mb-1">
+                <span>
+                  {job.total === null
+                    ? 'Finding archived files...'
+                    : `${job.processed} of ${job.total} archived files requested`}
+                </span>
+                <span>{progressPercentage}%</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div
+                  className="bg-primary-600 h-2 rounded-full transition-all duration-300"
+                  style={{ width: `${progressPercentage}%` }}
+                />
+              </div>
+            </div>
+
+            {job.status === 'completed' && (
+              <div className="flex items-center space-x-2 p-3 bg-green-50 border border-green-200 rounded-lg">
+                <CheckCircle className="w-4 h-4 text-green-600" />
+                <p className="text-sm text-green-700">
+                  Restore requested for {job.requested} file{job.requested !== 1 ? 's' : ''}
+                  {job.alreadyInProgress > 0 && `; ${job.alreadyInProgress} already in progress`}
+                  {job.skipped > 0 && `; ${job.skipped} not archived`}
+                </p>
+              </div>
+            )}
+
+            {job.status === 'failed' && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+                <p className="text-sm text-red-700">{job.error}</p>
+              </div>
+            )}
+
+            {jobError && (
+              <p className="text-sm text-red-600">Lost track of the job: {jobError.data?.message || jobError.message}</p>
+            )}
+
+            {job.errors.length > 0 && (
+              <div>
+                <div className="flex items-center space-x-2 mb-2">
+                  <AlertCircle className="w-4 h-4 text-red-600" />
+                  <p className="text-sm text-red-700">
+                    {job.errors.length} file{job.errors.length !== 1 ? 's' : ''} could not be restored
+                  </p>
+                </div>
+                <ul className="max-h-48 overflow-y-auto text-xs text-gray-700 space-y-1 border border-gray-200 rounded-lg p-3">
+                  {job.errors.map(error => (
+                    <li key={error.key} className="break-all">
+                      <span className="font-mono">{error.key}</span>: {error.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </>
+        )}
+
+        {isDone && (
+          <div className="flex justify-end">
+            <button onClick={handleClose} disabled={isRunning} className="btn-primary">
+              {isRunning ? 'Working...' : 'Close'}
+            </button>
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import { AlertCircle, AlertTriangle, CheckCircle } from 'lucide-react';
+import { Modal } from './Modal.jsx';
+import { fileApi } from '../services/api.js';
+import { useJob } from '../hooks/useJob.js';
+import {
+  OBJECT_STORAGE_CLASSES,
+  ARCHIVE_STORAGE_CLASSES,
+  getObjectStorageClassLabel,
+  getStorageClassCaveats
+} from '../utils/storageClassUtils.js';
+
+// Moves the given files to another storage class, listing the caveats before starting
+export const StorageClassModal = ({ isOpen, onClose, bucketName, files = [], onComplete }) => {
+  const [storageClass, setStorageClass] = useState('STANDARD_IA');
+  const [startError, setStartError] = useState(null);
+  const [isStarting, setIsStarting] = useState(false);
+
+  const { job, error: jobError, isRunning, track, reset: resetJob } = useJob();
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setStartError(null);
+    resetJob();
+  }, [isOpen, resetJob]);
+
+  const currentClasses = files.map(file => file.storageClass || 'STANDARD');
+  const alreadyInClass = currentClasses.filter(value => value === storageClass).length;
+  const archivedCount = currentClasses.filter(value => ARCHIVE_STORAGE_CLASSES.includes(value)).length;
+  const caveats = getStorageClassCaveats(storageClass, files);
+
+  const handleClose = () => {
+    if (job) onComplete?.(job);
+    resetJob();
+    onClose();
+  };
+
+  const handleStart = async () => {
+    setIsStarting(true);
+    setStartError(null);
+    try {
+      const response = await fileApi.changeStorageClass(bucketName, files.map(file => file.key), storageClass);
+      track(response.job);
+    } catch (error) {
+      console.error('Failed to change storage class:', error);
+      setStartError(error.data?.errors?.map(detail => detail.message).join('; ') || error.data?.message || error.message);
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  const progressPercentage = job?.total ? Math.round((job.processed / job.total) * 100) : 0;
+  const fileCount = `${files.length} file${files.length !== 1 ? 's' : ''}`;
+
+  return (
+    <Modal isOpen={isOpen} onClose={isRunning ? () => {} : handleClose} title="Change Storage Class" size="lg">
+      <div className="space-y-4">
+        {!job && (
+          <>
+            <p className="text-sm text-gray-600">
+              {files.length === 1
+                ? <>Currently <span className="font-medium text-gray-900">{getObjectStorageClassLabel(currentClasses[0])}</span></>
+                : `${fileCount} selected`}
+            </p>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">New storage class</label>
+              <select
+                value={storageClass}
+                onChange={(e) => setStorageClass(e.target.value)}
+                className="input"
+              >
+                {OBJECT_STORAGE_CLASSES.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {caveats.length > 0 && (
+              <div className="flex items-start space-x-3 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+                <AlertTriangle className="w-5 h-5 text-yellow-600 flex-shrink-0 mt-0.5" />
+                <ul className="text-sm text-yellow-800 list-disc list-inside space-y-1">
+                  {caveats.map(caveat => <li key={caveat}>{caveat}</li>)}
+                </ul>
+              </div>
+            )}
+
+            {alreadyInClass > 0 && (
+              <p className="text-sm text-gray-600">
+                {alreadyInClass} of the {fileCount} {alreadyInClass !== 1 ? 'are' : 'is'} already in {getObjectStorageClassLabel(storageClass)} and will be skipped.
+              </p>
+            )}
+
+            {archivedCount > 0 && (
+              <p className="text-sm text-red-600">
+                {archivedCount} archived file{archivedCount !== 1 ? 's' : ''} will fail unless restored first.
+              </p>
+            )}
+
+            {startError && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+                <p className="text-sm text-red-700">{startError}</p>
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <button onClick={handleClose} className="btn-secondary" disabled={isStarting}>
+                Cancel
+              </button>
+              <button
+                onClick={handleStart}
+                disabled={isStarting || files.length === 0 || alreadyInClass === files.length}
+                className="btn-primary"
+              >
+                {isStarting ? 'Starting...' : `Move to ${getObjectStorageClassLabel(storageClass)}`}
+              </button>
+            </div>
+          </>
+        )}
+
+        {job && (
+          <>
+            <div>
+              <div className="flex items-center justify-between text-sm text-gray-600 mb-1">
+                <span>{job.processed} of {job.total ?? files.length} files</span>
+                <span>{progressPercentage}%</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div
+                  className="bg-primary-600 h-2 rounded-full transition-all duration-300"
+                  style={{ width: `${progressPercentage}%` }}
+                />
+              </div>
+            </div>
+
+            {job.status === 'completed' && job.errors.length === 0 && (
+              <div className="flex items-center space-x-2 p-3 bg-green-50 border border-green-200 rounded-lg">
+                <CheckCircle className="w-4 h-4 text-green-600" />
+                <p className="text-sm text-green-700">
+                  Moved {job.changed} file{job.changed !== 1 ? 's' : ''} to {getObjectStorageClassLabel(job.storageClass)}
+                  {job.unchanged > 0 && ` (${job.unchanged} already there)`}
+                </p>
+              </div>
+            )}
+
+            {job.status === 'failed' && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+                <p className="text-sm text-red-700">{job.error}</p>
+              </div>
+            )}
+
+            {jobError && (
+              <p className="text-sm text-red-600">Lost track of the job: {jobError.data?.message || jobError.message}</p>
+            )}
+
+            {job.errors.length > 0 && (
+              <div>
+                <div className="flex items-center space-x-2 mb-2">
+                  <AlertCircle className="w-4 h-4 text-red-600" />
+                  <p className="text-sm text-red-700">
+                    {job.errors.length} file{job.errors.length !== 1 ? 's' : ''} could not be changed
+                  </p>
+                </div>
+                <ul className="max-h-48 overflow-y-auto text-xs text-gray-700 space-y-1 border border-gray-200 rounded-lg p-3">
+                  {job.errors.map(error => (
+                    <li key={error.key} className="break-all">
+                      <span className="font-mono">{error.key}</span>: {error.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="flex justify-end">
+              <button onClick={handleClose} disabled={isRunning} className="btn-primary">
+                {isRunning ? 'Working...' : 'Close'}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+};
@@ -0,0 +1,162 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Tags, Plus, X, AlertCircle, CheckCircle } from 'lucide-react';
+import { useApi } from '../hooks/useApi.js';
+import { cleanTags, validateTags, MAX_OBJECT_TAGS } from '../utils/tagUtils.js';
+
+// Key/value rows for a list of tags
+export const TagInputs = ({ tags, onChange, maxTags = MAX_OBJECT_TAGS }) => {
+  const updateTag = (index, changes) => {
+    onChange(tags.map((tag, i) => (i === index ? { ...tag, ...changes } : tag)));
+  };
+
+  return (
+    <div className="space-y-2">
+      {tags.map((tag, index) => (
+        <div key={index} className="flex items-center space-x-2">
+          <input
+            type="text"
+            value={tag.key}
+            onChange={(e) => updateTag(index, { key: e.target.value })}
+            className="input"
+            placeholder="Key"
+          />
+          <input
+            type="text"
+            value={tag.value}
+            onChange={(e) => updateTag(index, { value: e.target.value })}
+            className="input"
+            placeholder="Value"
+          />
+          <button
+            onClick={() => onChange(tags.filter((_, i) => i !== index))}
+            className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+            title="Remove tag"
+          >
+            <X className="w-4 h-4 text-gray-600" />
+          </button>
+        </div>
+      ))}
+      {tags.length < maxTags && (
+        <button
+          onClick={() => onChange([...tags, { key: '', value: '' }])}
+          className="text-sm text-primary-600 hover:text-primary-700 flex items-center space-x-1"
+        >
+          <Plus className="w-4 h-4" />
+          <span>Add tag</span>
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Loads, edits and saves a tag set. loadTags/saveTags resolve to API responses with `tags`.
+export const TagEditor = ({ title = 'Tags', description, maxTags = MAX_OBJECT_TAGS, loadTags, saveTags }) => {
+  const [tags, setTags] = useState(null);
+  const [savedTags, setSavedTags] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const [saveMessage, setSaveMessage] = useState(null);
+
+  const { loading, error, execute: fetchTags } = useApi();
+  const { loading: saving, execute: executeSave } = useApi();
+
+  const load = useCallback(async () => {
+    try {
+      const response = await fetchTags(loadTags);
+      setTags(response.tags);
+      setSavedTags(response.tags);
+    } catch (error) {
+      console.error('Failed to load tags:', error);
+    }
+  }, [fetchTags, loadTags]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const errors = tags ? validateTags(tags, maxTags) : [];
+  const isDirty = JSON.stringify(tags) !== JSON.stringify(savedTags);
+
+  const handleChange = (updated) => {
+    setTags(updated);
+    setSaveMessage(null);
+  };
+
+  const handleSave = async () => {
+    setSaveError(null);
+    try {
+      const response = await executeSave(() => saveTags(cleanTags(tags)));
+      setTags(response.tags);
+      setSavedTags(response.tags);
+      setSaveMessage(response.message);
+    } catch (error) {
+      console.error('Failed to save tags:', error);
+      setSaveError(error.data?.errors?.map(detail => detail.message).join('; ') || error.data?.message || error.message);
+    }
+  };
+
+  return (
+    <div className="card p-6 space-y-4">
+      <div className="flex items-center space-x-3">
+        <Tags className="w-5 h-5 text-gray-400" />
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+          {description && <p className="text-sm text-gray-500 mt-1">{description}</p>}
+        </div>
+      </div>
+
+      {loading && !tags && (
+        <div className="flex items-center justify-center py-4">
+          <div className="loading-spinner w-5 h-5"></div>
+          <p className="ml-3 text-sm text-gray-600">Loading tags...</p>
+        </div>
+      )}
+
+      {error && !tags && (
+        <div className="text-center py-2">
+          <AlertCircle className="w-8 h-8 text-red-400 mx-auto mb-2" />
+          <p className="text-sm text-gray-700 mb-3">Failed to load tags: {error.data?.message || error.message}</p>
+          <button onClick={load} className="btn-secondary">
+            Retry
+          </button>
+        </div>
+      )}
+
+      {tags && (
+        <>
+          {tags.length === 0 && <p className="text-sm text-gray-500">No tags.</p>}
+          <TagInputs tags={tags} onChange={handleChange} maxTags={maxTags} />
+
+          {errors.length > 0 && (
+            <ul className="text-sm text-red-600 list-disc list-inside space-y-1">
+              {errors.map(message => <li key={message}>{message}</li>)}
+            </ul>
+          )}
+
+          {saveError && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+              <p className="text-sm text-red-700">{saveError}</p>
+            </div>
+          )}
+
+          {saveMessage && !isDirty && (
+            <div className="flex items-center space-x-2 text-sm text-green-700">
+              <CheckCircle className="w-4 h-4 text-green-600" />
+              <span>{saveMessage}</span>
+            </div>
+          )}
+
+          {isDirty && (
+            <div className="flex justify-end space-x-3">
+              <button onClick={() => handleChange(savedTags)} disabled={saving} className="btn-secondary">
+                Discard
+              </button>
+              <button onClick={handleSave} disabled={errors.length > 0 || saving} className="btn-primary">
+                {saving ? 'Saving...' : 'Save Tags'}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
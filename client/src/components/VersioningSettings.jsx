@@ -0,0 +1,138 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { History, ShieldCheck, ShieldOff, ShieldAlert, AlertCircle } from 'lucide-react';
+import { bucketSettingsApi } from '../services/api.js';
+import { useApi } from '../hooks/useApi.js';
+import { ConfirmModal } from './Modal.jsx';
+import { cn } from '../utils/cn.js';
+
+const STATUS_INFO = {
+  Enabled: {
+    label: 'Enabled',
+    description: 'Overwritten and deleted objects keep their previous versions and can be restored.',
+    icon: ShieldCheck,
+    className: 'bg-green-50 text-green-700 border-green-200'
+  },
+  Suspended: {
+    label: 'Suspended',
+    description: 'Existing versions are kept, but new overwrites and deletes replace the current object without keeping a copy.',
+    icon: ShieldAlert,
+    className: 'bg-yellow-50 text-yellow-800 border-yellow-200'
+  },
+  NeverEnabled: {
+    label: 'Never enabled',
+    description: 'Objects are not versioned. Overwrites and deletes are permanent.',
+    icon: ShieldOff,
+    className: 'bg-gray-50 text-gray-700 border-gray-200'
+  }
+};
+
+const CONFIRM_MESSAGES = {
+  Enabled: 'Enable versioning? Every overwrite and delete will keep the previous version, which adds to storage costs until old versions are removed (for example with a lifecycle rule). Once enabled, versioning can only be suspended, never turned off.',
+  Suspended: 'Suspend versioning? Existing versions are kept, but from now on overwrites and deletes will no longer preserve the previous version.'
+};
+
+export const VersioningSettings = ({ bucketName }) => {
+  const [versioning, setVersioning] = useState(null);
+  const [pendingStatus, setPendingStatus] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+
+  const { loading, error, execute: fetchVersioning } = useApi();
+  const { loading: saving, execute: saveVersioning } = useApi();
+
+  const loadVersioning = useCallback(async () => {
+    try {
+      const response = await fetchVersioning(() => bucketSettingsApi.getVersioning(bucketName));
+      setVersioning(response.versioning);
+    } catch (error) {
+      console.error('Failed to load versioning status:', error);
+    }
+  }, [bucketName, fetchVersioning]);
+
+  useEffect(() => {
+    loadVersioning();
+  }, [loadVersioning]);
+
+  const handleConfirm = async () => {
+    setSaveError(null);
+    try {
+      const response = await saveVersioning(() => bucketSettingsApi.setVersioning(bucketName, pendingStatus));
+      setVersioning(response.versioning);
+    } catch (error) {
+      console.error('Failed to update versioning:', error);
+      setSaveError(error.data?.message || error.message);
+    }
+  };
+
+  if (loading && !versioning) {
+    return (
+      <div className="card p-6 flex items-center justify-center">
+        <div className="loading-spinner w-6 h-6"></div>
+        <p className="ml-3 text-gray-600">Loading versioning status...</p>
+      </div>
+    );
+  }
+
+  if (error && !versioning) {
+    return (
+      <div className="card p-6 text-center">
+        <AlertCircle className="w-10 h-10 text-red-400 mx-auto mb-3" />
+        <p className="text-gray-700 mb-4">Failed to load versioning status: {error.data?.message || error.message}</p>
+        <button onClick={loadVersioning} className="btn-secondary">
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (!versioning) return null;
+
+  const info = STATUS_INFO[versioning.status] || STATUS_INFO.NeverEnabled;
+  const StatusIcon = info.icon;
+  const isEnabled = versioning.status === 'Enabled';
+
+  return (
+    <div className="card p-6 space-y-6">
+      <div className="flex items-center space-x-3">
+        <History className="w-5 h-5 text-gray-400" />
+        <h2 className="text-lg font-semibold text-gray-900">Versioning</h2>
+      </div>
+
+      <div className={cn("flex items-start space-x-3 p-4 rounded-lg border", info.className)}>
+        <StatusIcon className="w-6 h-6 flex-shrink-0" />
+        <div>
+          <p className="font-medium">{info.label}</p>
+          <p className="text-sm mt-1">{info.description}</p>
+          {versioning.mfaDelete === 'Enabled' && (
+            <p className="text-sm mt-1">MFA delete is enabled; it can only be changed by the bucket owner using the root account.</p>
+          )}
+        </div>
+      </div>
+
+      {saveError && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">{saveError}</p>
+        </div>
+      )}
+
+      <div className="flex justify-end">
+        <button
+          onClick={() => setPendingStatus(isEnabled ? 'Suspended' : 'Enabled')}
+          disabled={saving}
+          className={isEnabled ? 'btn-secondary' : 'btn-primary'}
+        >
+          {saving ? 'Saving...' : isEnabled ? 'Suspend Versioning' : 'Enable Versioning'}
+        </button>
+      </div>
+
+      <ConfirmModal
+        isOpen={pendingStatus !== null}
+        onClose={() => setPendingStatus(null)}
+        onConfirm={handleConfirm}
+        title={pendingStatus === 'Enabled' ? 'Enable Versioning' : 'Suspend Versioning'}
+        message={CONFIRM_MESSAGES[pendingStatus]}
+        confirmText={pendingStatus === 'Enabled' ? 'Enable' : 'Suspend'}
+        variant={pendingStatus === 'Enabled' ? 'primary' : 'danger'}
+      />
+    </div>
+  );
+};
@@ -0,0 +1,396 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Globe, Plus, Trash2, AlertCircle, CheckCircle, ExternalLink } from 'lucide-react';
+import { bucketSettingsApi } from '../services/api.js';
+import { useApi } from '../hooks/useApi.js';
+import { ConfirmModal } from './Modal.jsx';
+import { cn } from '../utils/cn.js';
+import {
+  WEBSITE_MODES,
+  emptyRoutingRule,
+  toWebsiteForm,
+  buildWebsiteRequest,
+  validateWebsiteForm,
+  hasWebsiteErrors
+} from '../utils/websiteUtils.js';
+
+const RoutingRuleEditor = ({ rule, index, errors, onChange, onRemove }) => {
+  const update = (changes) => onChange({ ...rule, ...changes });
+
+  return (
+    <div className={cn("card p-6 space-y-4", errors.length > 0 && "border-red-300")}>
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-medium text-gray-500">Rule {index + 1}</span>
+        <button
+          onClick={onRemove}
+          className="p-2 hover:bg-red-50 rounded-lg transition-colors"
+          title="Remove rule"
+        >
+          <Trash2 className="w-4 h-4 text-red-600" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="space-y-3">
+          <p className="text-sm font-medium text-gray-700">When (leave both empty to match every request)</p>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Key starts with</label>
+            <input
+              type="text"
+              value={rule.keyPrefixEquals}
+              onChange={(e) => update({ keyPrefixEquals: e.target.value })}
+              className="input"
+              placeholder="docs/"
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Error code returned</label>
+            <input
+              type="text"
+              value={rule.httpErrorCodeReturnedEquals}
+              onChange={(e) => update({ httpErrorCodeReturnedEquals: e.target.value })}
+              className="input w-32"
+              placeholder="404"
+            />
+          </div>
+        </div>
+
+        <div className="space-y-3">
+          <p className="text-sm font-medium text-gray-700">Redirect to</p>
+          <div className="flex space-x-2">
+            <select
+              value={rule.protocol}
+              onChange={(e) => update({ protocol: e.target.value })}
+              className="input w-32"
+            >
+              <option value="">Same protocol</option>
+              <option value="https">https</option>
+              <option value="http">http</option>
+            </select>
+            <input
+              type="text"
+              value={rule.hostName}
+              onChange={(e) => update({ hostName: e.target.value })}
+              className="input"
+              placeholder="Same host"
+            />
+          </div>
+          <div className="flex space-x-2">
+            <select
+              value={rule.replaceType}
+              onChange={(e) => update({ replaceType: e.target.value })}
+              className="input w-48"
+            >
+              <option value="prefix">Replace prefix with</option>
+              <option value="key">Replace key with</option>
+              <option value="none">Keep the key</option>
+            </select>
+            {rule.replaceType !== 'none' && (
+              <input
+                type="text"
+                value={rule.replaceWith}
+                onChange={(e) => update({ replaceWith: e.target.value })}
+                className="input"
+                placeholder={rule.replaceType === 'prefix' ? 'documents/ (empty removes the prefix)' : 'moved.html'}
+              />
+            )}
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Redirect code</label>
+            <input
+              type="text"
+              value={rule.httpRedirectCode}
+              onChange={(e) => update({ httpRedirectCode: e.target.value })}
+              className="input w-32"
+              placeholder="301"
+            />
+          </div>
+        </div>
+      </div>
+
+      {errors.length > 0 && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <ul className="text-sm text-red-700 list-disc list-inside space-y-1">
+            {errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export const WebsiteSettings = ({ bucketName }) => {
+  const [website, setWebsite] = useState(undefined);
+  const [endpoint, setEndpoint] = useState(null);
+  const [form, setForm] = useState(null);
+  const [confirmTurnOff, setConfirmTurnOff] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const [saveMessage, setSaveMessage] = useState(null);
+
+  const { loading, error, execute: fetchWebsite } = useApi();
+  const { loading: saving, execute: saveWebsite } = useApi();
+
+  const applyWebsite = (response) => {
+    setWebsite(response.website);
+    setEndpoint(response.endpoint);
+    setForm(toWebsiteForm(response.website));
+  };
+
+  const loadWebsite = useCallback(async () => {
+    try {
+      applyWebsite(await fetchWebsite(() => bucketSettingsApi.getWebsite(bucketName)));
+    } catch (error) {
+      console.error('Failed to load website settings:', error);
+    }
+  }, [bucketName, fetchWebsite]);
+
+  useEffect(() => {
+    loadWebsite();
+  }, [loadWebsite]);
+
+  const updateForm = (changes) => {
+    setForm(prev => ({ ...prev, ...changes }));
+    setSaveMessage(null);
+  };
+
+  const changeRules = (change) => {
+    setForm(prev => ({ ...prev, routingRules: change(prev.routingRules) }));
+    setSaveMessage(null);
+  };
+
+  const save = async () => {
+    setSaveError(null);
+    setSaveMessage(null);
+    try {
+      const response = await saveWebsite(() => bucketSettingsApi.setWebsite(bucketName, buildWebsiteRequest(form)));
+      applyWebsite(response);
+      setSaveMessage(response.message);
+    } catch (error) {
+      console.error('Failed to save website settings:', error);
+      setSaveError(error.data?.errors?.map(detail => detail.message).join('; ') || error.data?.message || error.message);
+    }
+  };
+
+  if (loading && website === undefined) {
+    return (
+      <div className="card p-6 flex items-center justify-center">
+        <div className="loading-spinner w-6 h-6"></div>
+        <p className="ml-3 text-gray-600">Loading website settings...</p>
+      </div>
+    );
+  }
+
+  if (error && website === undefined) {
+    return (
+      <div className="card p-6 text-center">
+        <AlertCircle className="w-10 h-10 text-red-400 mx-auto mb-3" />
+        <p className="text-gray-700 mb-4">Failed to load website settings: {error.data?.message || error.message}</p>
+        <button onClick={loadWebsite} className="btn-secondary">
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (!form) return null;
+
+  const errors = validateWebsiteForm(form);
+  const hasErrors = hasWebsiteErrors(errors);
+  const isDirty = JSON.stringify(buildWebsiteRequest(form)) !== JSON.stringify(buildWebsiteRequest(toWebsiteForm(website)));
+
+  const handleSave = () => {
+    if (form.mode === 'off') {
+      setConfirmTurnOff(true);
+    } else {
+      save();
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="card p-6 space-y-6">
+        <div className="flex items-center space-x-3">
+          <Globe className="w-5 h-5 text-gray-400" />
+          <h2 className="text-lg font-semibold text-gray-900">Static Website Hosting</h2>
+        </div>
+
+        <div className={cn(
+          "flex items-start space-x-3 p-4 rounded-lg border",
+          website ? "bg-green-50 text-green-700 border-green-200" : "bg-gray-50 text-gray-700 border-gray-200"
+        )}>
+          <Globe className="w-6 h-6 flex-shrink-0" />
+          <div className="min-w-0">
+            <p className="font-medium">
+              {!website ? 'Off' : website.redirectAllRequestsTo ? `Redirecting to ${website.redirectAllRequestsTo.hostName}` : 'Hosting'}
+            </p>
+            <p className="text-sm mt-1 break-all">
+              {website ? (
+                <a href={endpoint} target="_blank" rel="noopener noreferrer" className="inline-flex items-center space-x-1 hover:underline">
+                  <span>{endpoint}</span>
+                  <ExternalLink className="w-3 h-3 flex-shrink-0" />
+                </a>
+              ) : (
+                <>When turned on, the site is served at <span className="font-mono">{endpoint}</span></>
+              )}
+            </p>
+          </div>
+        </div>
+
+        <div className="space-y-3">
+          {WEBSITE_MODES.map(option => (
+            <label key={option.value} className="flex items-start space-x-3 cursor-pointer">
+              <input
+                type="radio"
+                name="website-mode"
+                checked={form.mode === option.value}
+                onChange={() => updateForm({ mode: option.value })}
+                className="mt-1"
+              />
+              <div>
+                <p className="text-sm font-medium text-gray-900">{option.label}</p>
+                <p className="text-xs text-gray-500">{option.description}</p>
+              </div>
+            </label>
+          ))}
+        </div>
+
+        {form.mode === 'host' && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Index document</label>
+              <input
+                type="text"
+                value={form.indexDocument}
+                onChange={(e) => updateForm({ indexDocument: e.target.value })}
+                className="input"
+                placeholder="index.html"
+              />
+              <p className="text-xs text-gray-500 mt-1">Served for the site root and for every folder.</p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Error document (optional)</label>
+              <input
+                type="text"
+                value={form.errorDocument}
+                onChange={(e) => updateForm({ errorDocument: e.target.value })}
+                className="input"
+                placeholder="error.html"
+              />
+              <p className="text-xs text-gray-500 mt-1">Object key served when a request fails with a 4xx error.</p>
+            </div>
+          </div>
+        )}
+
+        {form.mode === 'redirect' && (
+          <div className="flex space-x-2">
+            <select
+              value={form.redirectProtocol}
+              onChange={(e) => updateForm({ redirectProtocol: e.target.value })}
+              className="input w-40"
+            >
+              <option value="">Same protocol</option>
+              <option value="https">https</option>
+              <option value="http">http</option>
+            </select>
+            <input
+              type="text"
+              value={form.redirectHostName}
+              onChange={(e) => updateForm({ redirectHostName: e.target.value })}
+              className="input"
+              placeholder="www.example.com"
+            />
+          </div>
+        )}
+
+        {errors.form.length > 0 && (
+          <ul className="text-sm text-red-600 list-disc list-inside space-y-1">
+            {errors.form.map(message => <li key={message}>{message}</li>)}
+          </ul>
+        )}
+
+        {form.mode !== 'off' && (
+          <p className="text-sm text-gray-500">
+            The website endpoint only serves HTTP, and only objects anonymous users may read, so the bucket policy
+            has to allow public reads (see the Public Access tab). Use CloudFront in front of the bucket for HTTPS.
+          </p>
+        )}
+      </div>
+
+      {form.mode === 'host' && (
+        <>
+          <div className="card p-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">Routing Rules</h3>
+                <p className="text-sm text-gray-500 mt-1">
+                  Conditional redirects, checked in order; the first match wins.
+                </p>
+              </div>
+              <button
+                onClick={() => changeRules(prev => [...prev, emptyRoutingRule()])}
+                disabled={form.routingRules.length >= 50}
+                className="btn-secondary flex items-center space-x-2 whitespace-nowrap ml-4"
+              >
+                <Plus className="w-4 h-4" />
+                <span>Add Rule</span>
+              </button>
+            </div>
+          </div>
+
+          {form.routingRules.map((rule, index) => (
+            <RoutingRuleEditor
+              key={index}
+              rule={rule}
+              index={index}
+              errors={errors.rules[index] || []}
+              onChange={(updated) => changeRules(prev => prev.map((existing, i) => (i === index ? updated : existing)))}
+              onRemove={() => changeRules(prev => prev.filter((_, i) => i !== index))}
+            />
+          ))}
+        </>
+      )}
+
+      {saveError && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">{saveError}</p>
+        </div>
+      )}
+
+      {saveMessage && !isDirty && (
+        <div className="flex items-center space-x-2 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <CheckCircle className="w-4 h-4 text-green-600" />
+          <p className="text-sm text-green-700">{saveMessage}</p>
+        </div>
+      )}
+
+      <div className="flex items-center justify-end space-x-3">
+        {hasErrors && (
+          <p className="text-sm text-red-600 mr-auto">Fix the errors above before saving.</p>
+        )}
+        <button
+          onClick={() => setForm(toWebsiteForm(website))}
+          disabled={!isDirty || saving}
+          className="btn-secondary"
+        >
+          Discard Changes
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={!isDirty || hasErrors || saving}
+          className="btn-primary"
+        >
+          {saving ? 'Saving...' : 'Save Website Settings'}
+        </button>
+      </div>
+
+      <ConfirmModal
+        isOpen={confirmTurnOff}
+        onClose={() => setConfirmTurnOff(false)}
+        onConfirm={save}
+        title="Turn Off Website Hosting"
+        message={`Turn off website hosting for "${bucketName}"? ${endpoint} will stop serving the site, and its index document, error document and routing rules are removed.`}
+        confirmText="Turn Off"
+        variant="danger"
+      />
+    </div>
+  );
+};
@@ -0,0 +1,91 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { fileApi } from '../services/api.js';
+import { FOLDER_DELIMITER } from '../utils/pathUtils.js';
+
+// Hook for paging through one folder of a bucket with S3 continuation tokens
+export const useFileListing = (bucketName, { prefix = '', delimiter = FOLDER_DELIMITER, pageSize = 1000 } = {}) => {
+  const [files, setFiles] = useState([]);
+  const [folders, setFolders] = useState([]);
+  const [nextToken, setNextToken] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Incremented on every refresh so pages belonging to an older listing are dropped
+  const listingIdRef = useRef(0);
+
+  const refresh = useCallback(async () => {
+    if (!bucketName) return;
+
+    const listingId = ++listingIdRef.current;
+    setLoading(true);
+    setLoadingMore(false);
+    setError(null);
+
+    try {
+      const response = await fileApi.list(bucketName, { prefix, delimiter, maxKeys: pageSize });
+      if (listingId !== listingIdRef.current) return;
+
+      setFiles(response.files || []);
+      setFolders(response.folders || []);
+      setNextToken(response.pagination?.nextContinuationToken || null);
+    } catch (err) {
+      if (listingId === listingIdRef.current) {
+        setError(err);
+      }
+    } finally {
+      if (listingId === listingIdRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [bucketName, prefix, delimiter, pageSize]);
+
+  const loadMore = useCallback(async () => {
+    if (!bucketName || !nextToken || loading || loadingMore) return;
+
+    const listingId = listingIdRef.current;
+    setLoadingMore(true);
+    setError(null);
+
+    try {
+      const response = await fileApi.list(bucketName, {
+        prefix,
+        delimiter,
+        maxKeys: pageSize,
+        continuationToken: nextToken
+      });
+      if (listingId !== listingIdRef.current) return;
+
+      setFiles(prev => [...prev, ...(response.files || [])]);
+      setFolders(prev => [...prev, ...(response.folders || [])]);
+      setNextToken(response.pagination?.nextContinuationToken || null);
+    } catch (err) {
+      if (listingId === listingIdRef.current) {
+        setError(err);
+      }
+    } finally {
+      if (listingId === listingIdRef.current) {
+        setLoadingMore(false);
+      }
+    }
+  }, [bucketName, prefix, delimiter, pageSize, nextToken, loading, loadingMore]);
+
+  // Start a fresh listing whenever the bucket or folder changes
+  useEffect(() => {
+    setFiles([]);
+    setFolders([]);
+    setNextToken(null);
+    refresh();
+  }, [refresh]);
+
+  return {
+    files,
+    folders,
+    loading,
+    loadingMore,
+    error,
+    hasMore: Boolean(nextToken),
+    refresh,
+    loadMore,
+  };
+};
@@ -1,123 +1,375 @@
-import { useState, useCallback } from 'react';
-import { fileApi } from '../services/api.js';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { MultipartUpload } from '../utils/multipartUpload.js';
+import { uploadStore, getUploadRecordId } from '../utils/uploadStore.js';
 import { validateFileUpload, generateFileKey } from '../utils/fileUtils.js';
 
+// Files uploaded at the same time (each file also uploads several parts in parallel)
+const DEFAULT_CONCURRENCY = 3;
+// How often progress, throughput and ETA are refreshed in the UI
+const STATS_INTERVAL = 500;
+// Throughput is averaged over this window so it doesn't jump around between parts
+const SPEED_WINDOW = 5000;
+// An upload with no progress for this long is reported as stalled
+const STALL_TIMEOUT = 15000;
+
+const ACTIVE_STATUSES = ['queued', 'uploading'];
+
+// Upload queue: queued -> uploading -> completed | failed | paused.
+// Per-upload bookkeeping that doesn't need to re-render lives in jobsRef;
+// `uploads` is the render state shown by UploadProgress.
 export const useFileUpload = (bucket, options = {}) => {
   const [uploads, setUploads] = useState({});
-  const [isUploading, setIsUploading] = useState(false);
+  const jobsRef = useRef(new Map());
+  const optionsRef = useRef(options);
+  const processQueueRef = useRef(null);
+  const completedSinceIdleRef = useRef(false);
+
+  optionsRef.current = options;
+
+  const updateUpload = useCallback((id, changes) => {
+    setUploads(prev => prev[id] ? {
+      ...prev,
+      [id]: { ...prev[id], ...changes }
+    } : prev);
+  }, []);
+
+  const removeUpload = useCallback((id) => {
+    jobsRef.current.delete(id);
+    setUploads(prev => {
+      const newUploads = { ...prev };
+      delete newUploads[id];
+      return newUploads;
+    });
+  }, []);
+
+  const setJobStatus = useCallback((job, status, changes = {}) => {
+    job.status = status;
+    updateUpload(job.id, { status, ...changes });
+  }, [updateUpload]);
+
+  // Drop saved resume state and the parts already stored in S3
+  const discardJob = useCallback(async (job) => {
+    await uploadStore.remove(job.recordId);
+    try {
+      await job.upload?.abort();
+    } catch (error) {
+      console.warn('Failed to abort multipart upload:', error);
+    }
+  }, []);
+
+  const runJob = useCallback(async (job) => {
+    const controller = new AbortController();
+    job.controller = controller;
+    job.samples = [];
+    job.lastProgressAt = Date.now();
+    setJobStatus(job, 'uploading', { error: null, stalled: false });
+
+    try {
+      if (!job.upload) {
+        // Re-selecting a file that was interrupted earlier resumes its saved upload
+        let saved = await uploadStore.find(job.recordId);
+        if (saved && job.requestedKey && saved.key !== job.requestedKey) {
+          // Starting over under a new key; abort the saved upload so its parts don't stay in S3
+          await discardJob({
+            recordId: job.recordId,
+            upload: new MultipartUpload({ bucket: saved.bucket, file: job.file, key: saved.key, uploadId: saved.uploadId })
+          });
+          saved = null;
+        }
+
+        const key = saved?.key || job.requestedKey || generateFileKey(job.file.name, job.prefix);
+        job.createdAt = saved?.createdAt || Date.now();
+        job.upload = new MultipartUpload({
+          bucket: job.bucket,
+          file: job.file,
+          key,
+          partSize: saved?.partSize,
+          tags: job.tags,
+          encryption: job.encryption,
+          uploadId: saved?.uploadId,
+          completedParts: saved?.parts
+        });
+        updateUpload(job.id, { key, resumed: Boolean(saved) });
+      }
+
+      // Parts go straight to S3; progress is the bytes S3 has acknowledged so far
+      const result = await job.upload.start({
+        signal: controller.signal,
+        onProgress: ({ loaded }) => {
+          job.loaded = loaded;
+          job.lastProgressAt = Date.now();
+        },
+        // Saved after every part, so an interrupted upload loses at most the parts in flight
+        onStateChange: (state) => uploadStore.save({
+          id: job.recordId,
+          bucket: job.bucket,
+          prefix: job.prefix,
+          fileName: job.file.name,
+          fileSize: job.file.size,
+          createdAt: job.createdAt,
+          ...state
+        })
+      });
+
+      await uploadStore.remove(job.recordId);
+      if (job.status === 'cancelled') return;
+
+      job.loaded = job.file.size;
+      setJobStatus(job, 'completed', {
+        progress: 100,
+        loaded: job.file.size,
+        speed: 0,
+        eta: null,
+        stalled: false,
+        result
+      });
+      completedSinceIdleRef.current = true;
+
+      // Remove from uploads after delay
+      setTimeout(() => removeUpload(job.id), 3000);
+    } catch (error) {
+      if (job.status === 'cancelled') {
+        await discardJob(job);
+        return;
+      }
+      // Paused: the upload stays resumable from its completed parts
+      if (job.status === 'paused') return;
+
+      // Parts already in S3 are kept, so a retry picks up where it stopped
+      setJobStatus(job, 'failed', {
+        error: error.message,
+        speed: 0,
+        eta: null,
+        stalled: false
+      });
+    } finally {
+      job.controller = null;
+      processQueueRef.current();
+    }
+  }, [setJobStatus, updateUpload, removeUpload, discardJob]);
+
+  const processQueue = useCallback(() => {
+    const jobs = [...jobsRef.current.values()];
+    const concurrency = optionsRef.current.concurrency || DEFAULT_CONCURRENCY;
+    let active = jobs.filter(job => job.status === 'uploading').length;
+
+    for (const job of jobs) {
+      if (active >= concurrency) break;
+      if (job.status === 'queued') {
+        active++;
+        runJob(job);
+      }
+    }
 
-  const uploadFile = useCallback(async (file, key = null) => {
-    const uploadId = `${file.name}-${Date.now()}`;
-    const fileKey = key || generateFileKey(file.name, options.prefix);
+    // Let the caller refresh once per batch rather than once per file
+    const idle = !jobs.some(job => ACTIVE_STATUSES.includes(job.status));
+    if (idle && completedSinceIdleRef.current) {
+      completedSinceIdleRef.current = false;
+      optionsRef.current.onUploadsComplete?.();
+    }
+  }, [runJob]);
+
+  processQueueRef.current = processQueue;
+
+  // Queue a file for upload; returns the upload's id
+  const uploadFile = useCallback((file, key = null, { tags = [], encryption = null } = {}) => {
+    const id = `${file.name}-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+    const prefix = optionsRef.current.prefix || '';
 
     // Validate file
     const validation = validateFileUpload(
-      file, 
-      options.maxSize, 
-      options.allowedTypes
+      file,
+      optionsRef.current.maxSize,
+      optionsRef.current.allowedTypes
     );
 
-    if (!validation.isValid) {
-      throw new Error(validation.errors.join(', '));
-    }
+    const job = {
+      id,
+      file,
+      bucket,
+      prefix,
+      requestedKey: key,
+      tags,
+      encryption,
+      recordId: getUploadRecordId(bucket, prefix, file),
+      status: validation.isValid ? 'queued' : 'failed',
+      // Invalid files can't be retried, only dismissed
+      retryable: validation.isValid,
+      upload: null,
+      controller: null,
+      loaded: 0,
+      samples: [],
+      lastProgressAt: 0
+    };
+    jobsRef.current.set(id, job);
 
-    // Initialize upload progress
     setUploads(prev => ({
       ...prev,
-      [uploadId]: {
-        id: uploadId,
-        file: file,
-        key: fileKey,
+      [id]: {
+        id,
+        file,
+        key,
         progress: 0,
-        status: 'uploading',
-        error: null
+        loaded: 0,
+        speed: 0,
+        eta: null,
+        status: job.status,
+        retryable: job.retryable,
+        resumed: false,
+        stalled: false,
+        error: validation.isValid ? null : validation.errors.join(', ')
       }
     }));
 
-    try {
-      setIsUploading(true);
-      
-      // Simulate progress for better UX (since we can't track real progress with fetch)
-      const progressInterval = setInterval(() => {
-        setUploads(prev => {
-          if (prev[uploadId] && prev[uploadId].progress < 90) {
-            return {
-              ...prev,
-              [uploadId]: {
-                ...prev[uploadId],
-                progress: prev[uploadId].progress + Math.random() * 20
-              }
-            };
-          }
-          return prev;
-        });
-      }, 200);
+    processQueue();
+    return id;
+  }, [bucket, processQueue]);
 
-      const result = await fileApi.upload(bucket, file, fileKey);
+  const uploadMultiple = useCallback((files, uploadOptions = {}) => {
+    return files.map(file => uploadFile(file, null, uploadOptions));
+  }, [uploadFile]);
 
-      clearInterval(progressInterval);
+  const pauseUpload = useCallback((id) => {
+    const job = jobsRef.current.get(id);
+    if (!job || !ACTIVE_STATUSES.includes(job.status)) return;
 
-      // Mark as completed
-      setUploads(prev => ({
-        ...prev,
-        [uploadId]: {
-          ...prev[uploadId],
-          progress: 100,
-          status: 'completed',
-          result
-        }
-      }));
+    setJobStatus(job, 'paused', { speed: 0, eta: null, stalled: false });
+    job.controller?.abort();
+    processQueue();
+  }, [setJobStatus, processQueue]);
 
-      // Remove from uploads after delay
-      setTimeout(() => {
-        setUploads(prev => {
-          const newUploads = { ...prev };
-          delete newUploads[uploadId];
-          return newUploads;
-        });
-      }, 3000);
+  // Resumes a paused upload or retries a failed one
+  const resumeUpload = useCallback((id) => {
+    const job = jobsRef.current.get(id);
+    if (!job || !job.retryable || !['paused', 'failed'].includes(job.status)) return;
 
-      return result;
-    } catch (error) {
-      // Mark as failed
-      setUploads(prev => ({
-        ...prev,
-        [uploadId]: {
-          ...prev[uploadId],
-          status: 'failed',
-          error: error.message
-        }
-      }));
+    setJobStatus(job, 'queued', { error: null });
+    processQueue();
+  }, [setJobStatus, processQueue]);
 
-      throw error;
-    } finally {
-      setIsUploading(false);
+  const cancelUpload = useCallback(async (id) => {
+    const job = jobsRef.current.get(id);
+    if (!job || ['completed', 'cancelled'].includes(job.status)) return;
+
+    const wasRunning = Boolean(job.controller);
+    job.status = 'cancelled';
+    removeUpload(id);
+
+    if (wasRunning) {
+      // runJob cleans up once the in-flight requests have stopped
+      job.controller.abort();
+    } else {
+      await discardJob(job);
     }
-  }, [bucket, options]);
+    processQueue();
+  }, [removeUpload, discardJob, processQueue]);
 
-  const uploadMultiple = useCallback(async (files) => {
-    const uploadPromises = files.map(file => uploadFile(file));
-    return Promise.allSettled(uploadPromises);
-  }, [uploadFile]);
+  const pauseAll = useCallback(() => {
+    jobsRef.current.forEach(job => pauseUpload(job.id));
+  }, [pauseUpload]);
 
-  const clearUpload = useCallback((uploadId) => {
-    setUploads(prev => {
-      const newUploads = { ...prev };
-      delete newUploads[uploadId];
-      return newUploads;
+  const resumeAll = useCallback(() => {
+    jobsRef.current.forEach(job => {
+      if (job.status === 'paused') resumeUpload(job.id);
     });
-  }, []);
+  }, [resumeUpload]);
 
-  const clearAllUploads = useCallback(() => {
-    setUploads({});
+  const retryFailed = useCallback(() => {
+    jobsRef.current.forEach(job => {
+      if (job.status === 'failed') resumeUpload(job.id);
+    });
+  }, [resumeUpload]);
+
+  const cancelAll = useCallback(() => {
+    [...jobsRef.current.keys()].forEach(id => cancelUpload(id));
+  }, [cancelUpload]);
+
+  // Dismiss an upload that is no longer running
+  const clearUpload = useCallback((id) => {
+    const job = jobsRef.current.get(id);
+    if (job && ACTIVE_STATUSES.includes(job.status)) return;
+    removeUpload(id);
+  }, [removeUpload]);
+
+  const clearFinishedUploads = useCallback(() => {
+    jobsRef.current.forEach(job => {
+      if (['completed', 'failed'].includes(job.status)) removeUpload(job.id);
+    });
+  }, [removeUpload]);
+
+  // Sample progress on a timer rather than on every XHR event, and derive
+  // throughput, ETA and stall detection from the samples
+  const hasRunningUploads = Object.values(uploads).some(upload => upload.status === 'uploading');
+
+  useEffect(() => {
+    if (!hasRunningUploads) return;
+
+    const timer = setInterval(() => {
+      const now = Date.now();
+      const changes = {};
+
+      jobsRef.current.forEach(job => {
+        if (job.status !== 'uploading') return;
+
+        job.samples.push({ time: now, loaded: job.loaded });
+        while (job.samples.length > 1 && now - job.samples[0].time > SPEED_WINDOW) {
+          job.samples.shift();
+        }
+
+        const first = job.samples[0];
+        const elapsed = (now - first.time) / 1000;
+        // Failed part attempts drop their bytes, so the count can go backwards
+        const speed = elapsed > 0 ? Math.max(0, (job.loaded - first.loaded) / elapsed) : 0;
+
+        changes[job.id] = {
+          loaded: job.loaded,
+          progress: job.file.size > 0 ? (job.loaded / job.file.size) * 100 : 0,
+          speed,
+          eta: speed > 0 ? (job.file.size - job.loaded) / speed : null,
+          stalled: now - job.lastProgressAt > STALL_TIMEOUT
+        };
+      });
+
+      setUploads(prev => {
+        const next = { ...prev };
+        Object.entries(changes).forEach(([id, change]) => {
+          if (next[id]) next[id] = { ...next[id], ...change };
+        });
+        return next;
+      });
+    }, STATS_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [hasRunningUploads]);
+
+  // Stop in-flight requests when leaving the page; saved state lets them resume later
+  useEffect(() => {
+    const jobs = jobsRef.current;
+    return () => {
+      jobs.forEach(job => {
+        if (ACTIVE_STATUSES.includes(job.status)) {
+          job.status = 'paused';
+          job.controller?.abort();
+        }
+      });
+    };
   }, []);
 
+  const isUploading = Object.values(uploads).some(upload => ACTIVE_STATUSES.includes(upload.status));
+
   return {
     uploads,
     isUploading,
     uploadFile,
     uploadMultiple,
+    pauseUpload,
+    resumeUpload,
+    cancelUpload,
+    pauseAll,
+    resumeAll,
+    retryFailed,
+    cancelAll,
     clearUpload,
-    clearAllUploads,
+    clearFinishedUploads,
   };
 };
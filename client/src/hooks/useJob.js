@@ -0,0 +1,57 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { jobApi } from '../services/api.js';
+
+const POLL_INTERVAL = 1000;
+
+// Hook for following a background job (started by e.g. a folder rename) until it finishes
+export const useJob = () => {
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState(null);
+
+  // ID of the job being polled; cleared on reset and unmount so stale polls stop
+  const activeJobIdRef = useRef(null);
+  const timerRef = useRef(null);
+
+  const reset = useCallback(() => {
+    activeJobIdRef.current = null;
+    clearTimeout(timerRef.current);
+    setJob(null);
+    setError(null);
+  }, []);
+
+  useEffect(() => reset, [reset]);
+
+  // Start polling a job returned by the route that started it
+  const track = useCallback((startedJob) => {
+    clearTimeout(timerRef.current);
+    activeJobIdRef.current = startedJob.id;
+    setJob(startedJob);
+    setError(null);
+
+    const poll = async () => {
+      try {
+        const response = await jobApi.get(startedJob.id);
+        if (activeJobIdRef.current !== startedJob.id) return;
+
+        setJob(response.job);
+        if (response.job.status === 'running') {
+          timerRef.current = setTimeout(poll, POLL_INTERVAL);
+        }
+      } catch (err) {
+        if (activeJobIdRef.current === startedJob.id) {
+          setError(err);
+        }
+      }
+    };
+
+    timerRef.current = setTimeout(poll, POLL_INTERVAL);
+  }, []);
+
+  return {
+    job,
+    error,
+    isRunning: job?.status === 'running',
+    track,
+    reset,
+  };
+};
@@ -87,11 +87,11 @@ export const bucketApi = {
     return apiRequest('/buckets');
   },
 
-  // Create new bucket
-  create: async (name, region = 'us-east-1') => {
+  // Create new bucket, optionally with Object Lock (which also enables versioning)
+  create: async (name, region = 'us-east-1', { objectLockEnabled = false } = {}) => {
     return apiRequest('/buckets', {
       method: 'POST',
-      body: JSON.stringify({ name, region }),
+      body: JSON.stringify({ name, region, objectLockEnabled }),
     });
   },
 
@@ -109,19 +109,189 @@ export const bucketApi = {
     });
   },
 
+  // Start emptying a bucket (and optionally deleting it); confirmName is the name the user
+  // typed. Returns a job to poll.
+  empty: async (name, confirmName, { deleteBucket = false } = {}) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/empty`, {
+      method: 'POST',
+      body: JSON.stringify({ confirmName, deleteBucket }),
+    });
+  },
+
   // Get bucket details
   get: async (name) => {
     return apiRequest(`/buckets/${encodeURIComponent(name)}`);
   },
 };
 
+// Bucket configuration API methods
+export const bucketSettingsApi = {
+  // Get versioning status: Enabled, Suspended or NeverEnabled
+  getVersioning: async (name) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/versioning`);
+  },
+
+  // Enable or suspend versioning
+  setVersioning: async (name, status) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/versioning`, {
+      method: 'PUT',
+      body: JSON.stringify({ status }),
+    });
+  },
+
+  // Get lifecycle rules
+  getLifecycle: async (name) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/lifecycle`);
+  },
+
+  // Replace all lifecycle rules; an empty list removes the configuration
+  setLifecycle: async (name, rules) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/lifecycle`, {
+      method: 'PUT',
+      body: JSON.stringify({ rules }),
+    });
+  },
+
+  // Get bucket policy document (null when the bucket has none)
+  getPolicy: async (name) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/policy`);
+  },
+
+  // Replace bucket policy
+  setPolicy: async (name, policy) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/policy`, {
+      method: 'PUT',
+      body: JSON.stringify({ policy }),
+    });
+  },
+
+  // Remove bucket policy
+  deletePolicy: async (name) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/policy`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Get CORS rules
+  getCors: async (name) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/cors`);
+  },
+
+  // Replace all CORS rules; an empty list removes the configuration
+  setCors: async (name, rules) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/cors`, {
+      method: 'PUT',
+      body: JSON.stringify({ rules }),
+    });
+  },
+
+  // Get bucket tags as [{ key, value }]
+  getTags: async (name) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/tags`);
+  },
+
+  // Replace bucket tags; an empty list removes them
+  setTags: async (name, tags) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/tags`, {
+      method: 'PUT',
+      body: JSON.stringify({ tags }),
+    });
+  },
+
+  // Get default encryption: { algorithm, kmsKeyId, bucketKeyEnabled }
+  getEncryption: async (name) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/encryption`);
+  },
+
+  // Set default encryption for new objects
+  setEncryption: async (name, encryption) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/encryption`, {
+      method: 'PUT',
+      body: JSON.stringify(encryption),
+    });
+  },
+
+  // Get Object Lock status: { enabled, defaultRetention: { mode, days, years } | null }
+  getObjectLock: async (name) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/object-lock`);
+  },
+
+  // Enable Object Lock (it can't be disabled) and set the default retention; null removes it
+  setObjectLock: async (name, defaultRetention) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/object-lock`, {
+      method: 'PUT',
+      body: JSON.stringify({ defaultRetention }),
+    });
+  },
+
+  // Get Block Public Access settings: { blockPublicAcls, ignorePublicAcls, blockPublicPolicy, restrictPublicBuckets }
+  getPublicAccessBlock: async (name) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/public-access-block`);
+  },
+
+  // Replace Block Public Access settings (all four flags)
+  setPublicAccessBlock: async (name, publicAccessBlock) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/public-access-block`, {
+      method: 'PUT',
+      body: JSON.stringify(publicAccessBlock),
+    });
+  },
+
+  // Get the bucket ACL ({ owner, grants }) and objectOwnership
+  getAcl: async (name) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/acl`);
+  },
+
+  // Change object ownership (BucketOwnerEnforced disables ACLs)
+  setObjectOwnership: async (name, objectOwnership) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/ownership`, {
+      method: 'PUT',
+      body: JSON.stringify({ objectOwnership }),
+    });
+  },
+
+  // Get static website hosting (null when off) and the website endpoint URL
+  getWebsite: async (name) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/website`);
+  },
+
+  // Replace static website hosting; null turns it off
+  setWebsite: async (name, website) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/website`, {
+      method: 'PUT',
+      body: JSON.stringify({ website }),
+    });
+  },
+
+  // Get SNS, SQS and Lambda notification configurations and whether EventBridge is on
+  getNotifications: async (name) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/notifications`);
+  },
+
+  // Replace notification configurations; fails with 409 if they no longer match `expected`
+  setNotifications: async (name, configurations, expected) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/notifications`, {
+      method: 'PUT',
+      body: JSON.stringify({ configurations, expected }),
+    });
+  },
+
+  // Whether the bucket is public or could become public: { status, reasons, ... }
+  getPublicExposure: async (name) => {
+    return apiRequest(`/buckets/${encodeURIComponent(name)}/public-exposure`);
+  },
+};
+
 // File API methods
 export const fileApi = {
-  // List files in bucket
-  list: async (bucket, prefix = '', maxKeys = 1000) => {
+  // List one page of files in bucket (pass the previous page's nextContinuationToken to continue).
+  // With a delimiter, keys in nested folders are returned as `folders` instead of `files`.
+  list: async (bucket, { prefix = '', delimiter = null, maxKeys = 1000, continuationToken = null } = {}) => {
     const params = new URLSearchParams();
     if (prefix) params.append('prefix', prefix);
+    if (delimiter) params.append('delimiter', delimiter);
     if (maxKeys !== 1000) params.append('maxKeys', maxKeys.toString());
+    if (continuationToken) params.append('continuationToken', continuationToken);
     
     const queryString = params.toString();
     const url = `/buckets/${encodeURIComponent(bucket)}/files${queryString ? `?${queryString}` : ''}`;
@@ -129,11 +299,14 @@ export const fileApi = {
     return apiRequest(url);
   },
 
-  // Upload file to bucket
-  upload: async (bucket, file, key = null) => {
+  // Upload file to bucket, optionally with tags ([{ key, value }]) and SSE options
+  upload: async (bucket, file, key = null, { tags = [], encryption = null } = {}) => {
+    // Fields must precede the file part: the server streams the file as soon as it arrives
     const formData = new FormData();
-    formData.append('file', file);
     if (key) formData.append('key', key);
+    if (tags.length > 0) formData.append('tags', JSON.stringify(tags));
+    if (encryption) formData.append('encryption', JSON.stringify(encryption));
+    formData.append('file', file);
 
     return apiRequest(`/buckets/${encodeURIComponent(bucket)}/files`, {
       method: 'POST',
@@ -153,20 +326,296 @@ export const fileApi = {
     });
   },
 
+  // Delete many files in one request; returns the deleted keys and per-key errors
+  deleteBatch: async (bucket, keys) => {
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/delete-batch`, {
+      method: 'POST',
+      body: JSON.stringify({ keys }),
+    });
+  },
+
+  // Request a temporary readable copy of an archived file
+  restore: async (bucket, key, { tier, days }) => {
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/files/${encodeFileKey(key)}/restore`, {
+      method: 'POST',
+      body: JSON.stringify({ tier, days }),
+    });
+  },
+
+  // Start moving files to another storage class; returns a job to poll
+  changeStorageClass: async (bucket, keys, storageClass) => {
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/storage-class`, {
+      method: 'POST',
+      body: JSON.stringify({ keys, storageClass }),
+    });
+  },
+
   // Get file metadata
   getMetadata: async (bucket, key) => {
     return apiRequest(`/buckets/${encodeURIComponent(bucket)}/files/${encodeFileKey(key)}/metadata`);
   },
 
-  // Generate presigned download URL
-  getDownloadUrl: async (bucket, key) => {
+  // Get file tags as [{ key, value }]
+  getTags: async (bucket, key) => {
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/files/${encodeFileKey(key)}/tags`);
+  },
+
+  // Replace file tags; an empty list removes them
+  setTags: async (bucket, key, tags) => {
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/files/${encodeFileKey(key)}/tags`, {
+      method: 'PUT',
+      body: JSON.stringify({ tags }),
+    });
+  },
+
+  // Set Object Lock retention ({ mode, retainUntil }); a null mode removes governance retention
+  setRetention: async (bucket, key, { mode, retainUntil, bypassGovernance = false }) => {
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/files/${encodeFileKey(key)}/retention`, {
+      method: 'PUT',
+      body: JSON.stringify(mode ? { mode, retainUntil, bypassGovernance } : { mode: null, bypassGovernance }),
+    });
+  },
+
+  // Set the website redirect ("/path" or a full URL); null removes it. Copies the file onto itself.
+  setWebsiteRedirect: async (bucket, key, location) => {
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/files/${encodeFileKey(key)}/website-redirect`, {
+      method: 'PUT',
+      body: JSON.stringify({ location }),
+    });
+  },
+
+  // Get the owner and ACL grants: { owner, grants }
+  getAcl: async (bucket, key) => {
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/files/${encodeFileKey(key)}/acl`);
+  },
+
+  // Place or remove a legal hold
+  setLegalHold: async (bucket, key, enabled) => {
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/files/${encodeFileKey(key)}/legal-hold`, {
+      method: 'PUT',
+      body: JSON.stringify({ enabled }),
+    });
+  },
+
+  // Copy a file server-side. options: { destinationBucket, destinationKey, metadata, contentType,
+  // tags, overwrite }; metadata and tags are kept from the source unless given.
+  copy: async (bucket, key, options) => {
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/files/${encodeFileKey(key)}/copy`, {
+      method: 'POST',
+      body: JSON.stringify(options),
+    });
+  },
+
+  // Move a file server-side (copy, then delete the original); same options as copy
+  move: async (bucket, key, options) => {
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/files/${encodeFileKey(key)}/move`, {
+      method: 'POST',
+      body: JSON.stringify(options),
+    });
+  },
+
+  // Rename a file within its bucket
+  rename: async (bucket, key, newKey, { overwrite = false } = {}) => {
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/files/${encodeFileKey(key)}/rename`, {
+      method: 'POST',
+      body: JSON.stringify({ newKey, overwrite }),
+    });
+  },
+
+  // Generate presigned download URL (of a specific version when versionId is given)
+  getDownloadUrl: async (bucket, key, versionId = null) => {
     const params = new URLSearchParams({ key });
+    if (versionId) params.append('versionId', versionId);
     const url = `/buckets/${encodeURIComponent(bucket)}/download-url?${params}`;
     console.log('Making download URL request:', url);
     return apiRequest(url);
   },
 };
 
+// Object version API methods
+export const versionApi = {
+  // List versions and delete markers of a file, newest first
+  list: async (bucket, key) => {
+    const params = new URLSearchParams({ key });
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/versions?${params}`);
+  },
+
+  // Copy an old version on top so it becomes the current version
+  restore: async (bucket, key, versionId) => {
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/versions/restore`, {
+      method: 'POST',
+      body: JSON.stringify({ key, versionId }),
+    });
+  },
+
+  // Remove the current delete marker of a deleted file
+  undelete: async (bucket, key) => {
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/versions/undelete`, {
+      method: 'POST',
+      body: JSON.stringify({ key }),
+    });
+  },
+
+  // Object Lock retention and legal hold of one version (null when it has neither)
+  getLock: async (bucket, key, versionId) => {
+    const params = new URLSearchParams({ key, versionId });
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/versions/lock?${params}`);
+  },
+
+  // Permanently delete one version or delete marker
+  delete: async (bucket, key, versionId) => {
+    const params = new URLSearchParams({ key, versionId });
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/versions?${params}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+// Direct upload API methods (multipart uploads with presigned part URLs)
+export const uploadApi = {
+  // Start a multipart upload for a file; tags are applied when it completes.
+  // Without encryption options the bucket's default encryption applies.
+  create: async (bucket, key, contentType, size, { tags = [], encryption = null } = {}) => {
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/uploads`, {
+      method: 'POST',
+      body: JSON.stringify({ key, contentType, size, tags, ...(encryption && { encryption }) }),
+    });
+  },
+
+  // Presign upload URLs for a batch of part numbers
+  getPartUrls: async (bucket, uploadId, key, partNumbers) => {
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/uploads/${encodeURIComponent(uploadId)}/part-urls`, {
+      method: 'POST',
+      body: JSON.stringify({ key, partNumbers }),
+    });
+  },
+
+  // List the parts S3 already has for an upload
+  listParts: async (bucket, uploadId, key) => {
+    const params = new URLSearchParams({ key });
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/uploads/${encodeURIComponent(uploadId)}/parts?${params}`);
+  },
+
+  // Assemble the uploaded parts into the final object
+  complete: async (bucket, uploadId, key, parts) => {
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/uploads/${encodeURIComponent(uploadId)}/complete`, {
+      method: 'POST',
+      body: JSON.stringify({ key, parts }),
+    });
+  },
+
+  // Abort the upload and discard any uploaded parts
+  abort: async (bucket, uploadId, key) => {
+    const params = new URLSearchParams({ key });
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/uploads/${encodeURIComponent(uploadId)}?${params}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+// Folder (prefix) API methods. Rename, delete and restore start background jobs; poll jobApi.get.
+export const folderApi = {
+  // Create an empty folder; prefix ends with "/"
+  create: async (bucket, prefix) => {
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/folders`, {
+      method: 'POST',
+      body: JSON.stringify({ prefix }),
+    });
+  },
+
+  // Object count and total size under a folder
+  getSummary: async (bucket, prefix) => {
+    const params = new URLSearchParams({ prefix });
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/folders/summary?${params}`);
+  },
+
+  rename: async (bucket, prefix, newPrefix) => {
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/folders/rename`, {
+      method: 'POST',
+      body: JSON.stringify({ prefix, newPrefix }),
+    });
+  },
+
+  // Delete a folder and everything in it
+  delete: async (bucket, prefix) => {
+    const params = new URLSearchParams({ prefix });
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/folders?${params}`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Start restoring every archived file under a folder; returns a job to poll
+  restore: async (bucket, prefix, { tier, days }) => {
+    return apiRequest(`/buckets/${encodeURIComponent(bucket)}/folders/restore`, {
+      method: 'POST',
+      body: JSON.stringify({ prefix, tier, days }),
+    });
+  },
+};
+
+// Background job API methods
+export const jobApi = {
+  // Progress of a job: { status, total, processed, errors, ... }
+  get: async (id) => {
+    return apiRequest(`/jobs/${encodeURIComponent(id)}`);
+  },
+};
+
+// Access point API methods
+export const accessPointApi = {
+  // Access points of a bucket: { name, alias, networkOrigin, vpcId, ... }
+  list: async (bucketName) => {
+    return apiRequest(`/buckets/${encodeURIComponent(bucketName)}/access-points`);
+  },
+
+  // Create an access point: { name, vpcId, publicAccessBlock }
+  create: async (bucketName, accessPoint) => {
+    return apiRequest(`/buckets/${encodeURIComponent(bucketName)}/access-points`, {
+      method: 'POST',
+      body: JSON.stringify(accessPoint),
+    });
+  },
+
+  // Settings, Block Public Access settings and policy of an access point
+  get: async (name) => {
+    return apiRequest(`/access-points/${encodeURIComponent(name)}`);
+  },
+
+  delete: async (name) => {
+    return apiRequest(`/access-points/${encodeURIComponent(name)}`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Replace access point policy
+  setPolicy: async (name, policy) => {
+    return apiRequest(`/access-points/${encodeURIComponent(name)}/policy`, {
+      method: 'PUT',
+      body: JSON.stringify({ policy }),
+    });
+  },
+
+  // Remove access point policy
+  deletePolicy: async (name) => {
+    return apiRequest(`/access-points/${encodeURIComponent(name)}/policy`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+// Account-wide report API methods
+export const securityApi = {
+  // Default encryption of every bucket
+  getEncryptionReport: async () => {
+    return apiRequest('/security/encryption');
+  },
+
+  // Buckets that are public or could become public, with the reasons
+  getPublicExposureReport: async () => {
+    return apiRequest('/security/public-exposure');
+  },
+};
+
 // Health check
 export const healthApi = {
   check: async () => {
@@ -177,7 +626,14 @@ export const healthApi = {
 // Export the main API object
 export const api = {
   buckets: bucketApi,
+  bucketSettings: bucketSettingsApi,
   files: fileApi,
+  versions: versionApi,
+  uploads: uploadApi,
+  accessPoints: accessPointApi,
+  security: securityApi,
+  folders: folderApi,
+  jobs: jobApi,
   health: healthApi,
 };
 
@@ -0,0 +1,18 @@
+// Helpers for S3 access points
+
+export const NETWORK_ORIGIN_LABELS = {
+  Internet: 'Internet',
+  VPC: 'VPC only'
+};
+
+// Mirrors the server rules: 3-50 lowercase letters, numbers and hyphens, no -s3alias suffix
+export const validateAccessPointName = (name) => {
+  if (name.length < 3 || name.length > 50) return 'Name must be 3 to 50 characters long';
+  if (!/^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/.test(name)) {
+    return 'Use lowercase letters, numbers and hyphens, starting and ending with a letter or number';
+  }
+  if (name.endsWith('-s3alias')) return 'Name cannot end with -s3alias';
+  return null;
+};
+
+export const isValidVpcId = (vpcId) => /^vpc-[a-f0-9]{8,17}$/.test(vpcId);
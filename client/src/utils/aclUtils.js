@@ -0,0 +1,44 @@
+// Helpers for displaying ACL grants and object ownership
+
+export const OBJECT_OWNERSHIP_OPTIONS = {
+  BucketOwnerEnforced: {
+    label: 'ACLs disabled (bucket owner enforced)',
+    description: 'The bucket owner owns every object and ACLs are ignored. Access is controlled by policies only.'
+  },
+  BucketOwnerPreferred: {
+    label: 'Bucket owner preferred',
+    description: 'ACLs apply. Objects uploaded with the bucket-owner-full-control ACL belong to the bucket owner; others belong to the account that wrote them.'
+  },
+  ObjectWriter: {
+    label: 'Object writer',
+    description: 'ACLs apply, and each object belongs to the account that uploaded it, even in someone else\'s bucket.'
+  }
+};
+
+const GROUP_LABELS = {
+  'http://acs.amazonaws.com/groups/global/AllUsers': 'Everyone (public)',
+  'http://acs.amazonaws.com/groups/global/AuthenticatedUsers': 'Any AWS account',
+  'http://acs.amazonaws.com/groups/s3/LogDelivery': 'S3 log delivery'
+};
+
+const PERMISSION_LABELS = {
+  FULL_CONTROL: 'Full control',
+  READ: 'Read',
+  WRITE: 'Write',
+  READ_ACP: 'Read ACL',
+  WRITE_ACP: 'Write ACL'
+};
+
+export const getPermissionLabel = (permission) => PERMISSION_LABELS[permission] || permission;
+
+export const isPublicGrant = (grant) => grant.granteeType === 'Group' && grant.grantee?.endsWith('/global/AllUsers');
+
+// Who a grant is for, as shown to the user; ownerId marks grants to the owner themselves
+export const describeGrantee = (grant, ownerId) => {
+  if (grant.granteeType === 'Group') return GROUP_LABELS[grant.grantee] || grant.grantee;
+  if (grant.grantee && grant.grantee === ownerId) return `Owner${grant.displayName ? ` (${grant.displayName})` : ''}`;
+  return grant.displayName || grant.grantee || 'Unknown grantee';
+};
+
+// Short form of a canonical user ID, for display next to the display name
+export const shortenCanonicalId = (id) => (id && id.length > 16 ? `${id.slice(0, 8)}…${id.slice(-8)}` : id);
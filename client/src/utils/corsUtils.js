@@ -0,0 +1,139 @@
+// Helpers for editing, validating and testing bucket CORS rules
+
+export const CORS_METHODS = ['GET', 'PUT', 'POST', 'DELETE', 'HEAD'];
+
+export const createEmptyCorsRule = () => ({
+  id: '',
+  allowedOrigins: [''],
+  allowedMethods: ['GET'],
+  allowedHeaders: [],
+  exposeHeaders: [],
+  maxAgeSeconds: 3000
+});
+
+// What this app needs for direct browser uploads: presigned PUTs and a readable ETag
+export const createDirectUploadCorsRule = (origin) => ({
+  id: 'direct-uploads',
+  allowedOrigins: [origin],
+  allowedMethods: ['GET', 'PUT', 'HEAD'],
+  allowedHeaders: ['*'],
+  exposeHeaders: ['ETag'],
+  maxAgeSeconds: 3000
+});
+
+// List fields are edited one value per line; blank lines are ignored
+export const cleanList = (values = []) => values.map(value => value.trim()).filter(Boolean);
+
+const countWildcards = (value) => value.split('*').length - 1;
+
+const escapeRegExp = (value) => value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+// S3 allows a single "*" in origins and headers, matching any run of characters
+const wildcardMatches = (pattern, value, ignoreCase = false) => {
+  const regex = new RegExp(`^${escapeRegExp(pattern).replace(/\*/g, '.*')}$`, ignoreCase ? 'i' : '');
+  return regex.test(value);
+};
+
+// Returns one list of error messages per rule (empty when the rule is valid)
+export const validateCorsRules = (rules) => {
+  return rules.map((rule, ruleIndex) => {
+    const errors = [];
+    const id = rule.id.trim();
+    const origins = cleanList(rule.allowedOrigins);
+
+    if (id.length > 255) {
+      errors.push('Rule ID must be 255 characters or less');
+    } else if (id && rules.some((other, otherIndex) => otherIndex !== ruleIndex && other.id.trim() === id)) {
+      errors.push('Rule IDs must be unique');
+    }
+
+    if (origins.length === 0) {
+      errors.push('Add at least one allowed origin');
+    }
+    origins.forEach(origin => {
+      if (countWildcards(origin) > 1) {
+        errors.push(`Origin "${origin}" can contain at most one "*"`);
+      } else if (origin !== '*' && !/^[a-z][a-z0-9+.-]*:\/\/[^/]+$/i.test(origin)) {
+        // Browsers send "scheme://host[:port]" with no path, so anything else never matches
+        errors.push(`Origin "${origin}" must look like https://example.com (scheme and host, no path or trailing slash)`);
+      }
+    });
+
+    if (rule.allowedMethods.length === 0) {
+      errors.push('Select at least one method');
+    }
+
+    cleanList(rule.allowedHeaders)
+      .filter(header => countWildcards(header) > 1)
+      .forEach(header => errors.push(`Allowed header "${header}" can contain at most one "*"`));
+
+    cleanList(rule.exposeHeaders)
+      .filter(header => header.includes('*'))
+      .forEach(header => errors.push(`Exposed header "${header}" cannot contain "*"; list each header by name`));
+
+    if (rule.maxAgeSeconds != null && !(Number.isInteger(rule.maxAgeSeconds) && rule.maxAgeSeconds >= 0)) {
+      errors.push('Max age must be a whole number of seconds');
+    }
+
+    return errors;
+  });
+};
+
+export const serializeCorsRule = (rule) => ({
+  id: rule.id.trim(),
+  allowedOrigins: cleanList(rule.allowedOrigins),
+  allowedMethods: rule.allowedMethods,
+  allowedHeaders: cleanList(rule.allowedHeaders),
+  exposeHeaders: cleanList(rule.exposeHeaders),
+  ...(rule.maxAgeSeconds != null && { maxAgeSeconds: rule.maxAgeSeconds })
+});
+
+// Evaluate a browser request against the rules the way S3 does: the first rule that
+// matches the origin, the method and every requested header wins.
+// Returns { allowed, ruleIndex, reason, responseHeaders }
+export const testCorsRequest = (rules, { origin, method, headers = [] }) => {
+  const requestHeaders = cleanList(headers);
+  const originRules = rules
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => cleanList(rule.allowedOrigins).some(pattern => wildcardMatches(pattern, origin)));
+
+  if (originRules.length === 0) {
+    return { allowed: false, reason: `No rule allows the origin ${origin}` };
+  }
+
+  const methodRules = originRules.filter(({ rule }) => rule.allowedMethods.includes(method));
+  if (methodRules.length === 0) {
+    return { allowed: false, reason: `Rules that match ${origin} do not allow ${method}` };
+  }
+
+  const match = methodRules.find(({ rule }) => requestHeaders.every(header => (
+    cleanList(rule.allowedHeaders).some(pattern => wildcardMatches(pattern, header, true))
+  )));
+
+  if (!match) {
+    const firstRuleHeaders = cleanList(methodRules[0].rule.allowedHeaders);
+    const missing = requestHeaders.filter(header => (
+      !firstRuleHeaders.some(pattern => wildcardMatches(pattern, header, true))
+    ));
+    return {
+      allowed: false,
+      reason: `Rules that match ${origin} and ${method} do not allow the header${missing.length === 1 ? '' : 's'} ${missing.join(', ')}`
+    };
+  }
+
+  const { rule, index } = match;
+  const origins = cleanList(rule.allowedOrigins);
+  const exposeHeaders = cleanList(rule.exposeHeaders);
+
+  return {
+    allowed: true,
+    ruleIndex: index,
+    responseHeaders: {
+      'Access-Control-Allow-Origin': origins.includes('*') ? '*' : origin,
+      'Access-Control-Allow-Methods': rule.allowedMethods.join(', '),
+      ...(requestHeaders.length > 0 && { 'Access-Control-Allow-Headers': requestHeaders.join(', ') }),
+      ...(exposeHeaders.length > 0 && { 'Access-Control-Expose-Headers': exposeHeaders.join(', ') }),
+      ...(rule.maxAgeSeconds != null && { 'Access-Control-Max-Age': String(rule.maxAgeSeconds) })
+    }
+  };
+};
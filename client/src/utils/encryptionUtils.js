@@ -0,0 +1,58 @@
+// Helpers for displaying and editing server-side encryption settings
+
+export const ENCRYPTION_TYPES = [
+  { value: 'AES256', label: 'SSE-S3', description: 'Keys managed by Amazon S3 (AES-256). No extra cost.' },
+  { value: 'aws:kms', label: 'SSE-KMS', description: 'Keys in AWS KMS, with key policies and CloudTrail logging of key use. KMS request charges apply.' }
+];
+
+const ALGORITHM_LABELS = {
+  AES256: 'SSE-S3',
+  'aws:kms': 'SSE-KMS',
+  'aws:kms:dsse': 'DSSE-KMS'
+};
+
+// Accepts key ARNs, alias ARNs, alias/name and key IDs (the server checks the same forms)
+const KMS_KEY_PATTERN = /^(arn:aws[a-z-]*:kms:[a-z0-9-]+:\d{12}:(key|alias)\/.+|alias\/.+|[a-f0-9-]{36}|mrk-[a-f0-9]{32})$/;
+
+export const isValidKmsKeyId = (value) => !value || KMS_KEY_PATTERN.test(value.trim());
+
+export const isKmsAlgorithm = (algorithm) => algorithm?.startsWith('aws:kms');
+
+// Short label such as "SSE-KMS (bucket key)" for an { algorithm, bucketKeyEnabled, customerAlgorithm } object
+export const describeEncryption = (encryption) => {
+  if (encryption?.customerAlgorithm) return 'SSE-C (customer-provided key)';
+  if (!encryption?.algorithm) return 'Not encrypted';
+
+  const label = ALGORITHM_LABELS[encryption.algorithm] || encryption.algorithm;
+  return encryption.bucketKeyEnabled ? `${label} (bucket key)` : label;
+};
+
+// Request body for an encryption choice; the KMS key is left out when empty (AWS managed key)
+export const buildEncryptionRequest = ({ algorithm, kmsKeyId, bucketKeyEnabled }) => {
+  if (algorithm !== 'aws:kms') return { algorithm };
+
+  return {
+    algorithm,
+    ...(kmsKeyId?.trim() && { kmsKeyId: kmsKeyId.trim() }),
+    bucketKeyEnabled: Boolean(bucketKeyEnabled)
+  };
+};
+
+const toCsvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV export of the bucket encryption report
+export const buildEncryptionReportCsv = (buckets) => {
+  const header = ['Bucket', 'Default Encryption', 'KMS Key', 'Bucket Key', 'Error'];
+  const rows = buckets.map(bucket => [
+    bucket.bucket,
+    bucket.error ? '' : describeEncryption(bucket),
+    bucket.kmsKeyId,
+    bucket.error ? '' : (bucket.bucketKeyEnabled ? 'Enabled' : 'Disabled'),
+    bucket.error
+  ]);
+
+  return [header, ...rows].map(row => row.map(toCsvCell).join(',')).join('\n');
+};
@@ -23,6 +23,20 @@ export const formatDate = (date) => {
   });
 };
 
+// Rough remaining-time label for upload ETAs, e.g. "45s", "3m 20s", "1h 5m"
+export const formatDuration = (seconds) => {
+  if (seconds == null || !isFinite(seconds)) return '--';
+  
+  const total = Math.max(0, Math.round(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${secs}s`;
+  return `${secs}s`;
+};
+
 export const getFileType = (filename, contentType) => {
   const extension = filename.split('.').pop()?.toLowerCase();
   
@@ -108,7 +122,8 @@ export const generateFileKey = (filename, prefix = '') => {
   const sanitizedFilename = filename.replace(/[^a-zA-Z0-9.-]/g, '_');
   
   if (prefix) {
-    return `${prefix}/${timestamp}_${randomString}_${sanitizedFilename}`;
+    const folder = prefix.endsWith('/') ? prefix : `${prefix}/`;
+    return `${folder}${timestamp}_${randomString}_${sanitizedFilename}`;
   }
   
   return `${timestamp}_${randomString}_${sanitizedFilename}`;
@@ -0,0 +1,210 @@
+// Helpers for building and validating bucket lifecycle rules
+
+// Transition targets in S3's "waterfall" order: objects can only move down this list
+export const STORAGE_CLASSES = [
+  { value: 'STANDARD_IA', label: 'Standard-IA', minDays: 30 },
+  { value: 'INTELLIGENT_TIERING', label: 'Intelligent-Tiering', minDays: 0 },
+  { value: 'ONEZONE_IA', label: 'One Zone-IA', minDays: 30 },
+  { value: 'GLACIER_IR', label: 'Glacier Instant Retrieval', minDays: 0 },
+  { value: 'GLACIER', label: 'Glacier Flexible Retrieval', minDays: 0 },
+  { value: 'DEEP_ARCHIVE', label: 'Glacier Deep Archive', minDays: 0 }
+];
+
+// Objects have to stay this long in an infrequent-access class before the next transition
+const IA_MIN_STORAGE_DAYS = 30;
+const IA_CLASSES = ['STANDARD_IA', 'ONEZONE_IA'];
+
+export const getStorageClassLabel = (value) => {
+  return STORAGE_CLASSES.find(storageClass => storageClass.value === value)?.label || value;
+};
+
+export const createEmptyRule = (existingRules = []) => {
+  let index = existingRules.length + 1;
+  while (existingRules.some(rule => rule.id === `rule-${index}`)) index++;
+
+  return {
+    id: `rule-${index}`,
+    status: 'Enabled',
+    filter: { prefix: '', tags: [] },
+    transitions: [],
+    expiration: null,
+    noncurrentVersionTransitions: [],
+    noncurrentVersionExpiration: null,
+    abortIncompleteMultipartUpload: null
+  };
+};
+
+const isWholeNumber = (value, min = 0) => Number.isInteger(value) && value >= min;
+
+const hasAction = (rule) => (
+  rule.transitions.length > 0 ||
+  rule.noncurrentVersionTransitions.length > 0 ||
+  Boolean(rule.expiration) ||
+  Boolean(rule.noncurrentVersionExpiration) ||
+  Boolean(rule.abortIncompleteMultipartUpload)
+);
+
+const validateTransitions = (transitions, errors) => {
+  // Date-based transitions come from rules created elsewhere and are left as they are
+  const dayTransitions = transitions.filter(transition => !transition.date);
+
+  dayTransitions.forEach((transition, index) => {
+    const storageClass = STORAGE_CLASSES.find(option => option.value === transition.storageClass);
+    const label = `Transition ${index + 1}`;
+
+    if (!storageClass) {
+      errors.push(`${label}: choose a storage class`);
+    } else if (!isWholeNumber(transition.days)) {
+      errors.push(`${label}: days must be a whole number of 0 or more`);
+    } else if (transition.days < storageClass.minDays) {
+      errors.push(`${label}: ${storageClass.label} requires at least ${storageClass.minDays} days`);
+    }
+  });
+
+  const sorted = [...dayTransitions]
+    .filter(transition => isWholeNumber(transition.days))
+    .sort((a, b) => a.days - b.days);
+  const order = (transition) => STORAGE_CLASSES.findIndex(option => option.value === transition.storageClass);
+
+  for (let i = 1; i < sorted.length; i++) {
+    const previous = sorted[i - 1];
+    const current = sorted[i];
+
+    if (order(current) <= order(previous)) {
+      errors.push(`Transitions must move to a colder storage class over time (${getStorageClassLabel(previous.storageClass)} after ${previous.days} days cannot be followed by ${getStorageClassLabel(current.storageClass)})`);
+    } else if (IA_CLASSES.includes(previous.storageClass) && current.days - previous.days < IA_MIN_STORAGE_DAYS) {
+      errors.push(`Objects must stay in ${getStorageClassLabel(previous.storageClass)} for at least ${IA_MIN_STORAGE_DAYS} days before moving to ${getStorageClassLabel(current.storageClass)}`);
+    }
+  }
+
+  return sorted;
+};
+
+const validateNewerVersions = (value, label, errors) => {
+  if (value != null && (!isWholeNumber(value, 1) || value > 100)) {
+    errors.push(`${label}: versions to keep must be between 1 and 100`);
+  }
+};
+
+// Returns one list of error messages per rule (empty when the rule is valid)
+export const validateLifecycleRules = (rules) => {
+  return rules.map((rule, ruleIndex) => {
+    const errors = [];
+    const id = rule.id.trim();
+    const tags = rule.filter.tags || [];
+
+    if (!id) {
+      errors.push('Rule name is required');
+    } else if (id.length > 255) {
+      errors.push('Rule name must be 255 characters or less');
+    } else if (rules.some((other, otherIndex) => otherIndex !== ruleIndex && other.id.trim() === id)) {
+      errors.push('Rule names must be unique');
+    }
+
+    if (!hasAction(rule)) {
+      errors.push('Add at least one action (transition, expiration or multipart cleanup)');
+    }
+
+    if (tags.some(tag => !tag.key.trim())) {
+      errors.push('Tag keys cannot be empty');
+    }
+    if (new Set(tags.map(tag => tag.key.trim())).size !== tags.length) {
+      errors.push('Tag keys must be unique within a rule');
+    }
+
+    const sortedTransitions = validateTransitions(rule.transitions, errors);
+
+    if (rule.expiration && !rule.expiration.date) {
+      const { days, expiredObjectDeleteMarker } = rule.expiration;
+
+      if (expiredObjectDeleteMarker) {
+        if (days != null) {
+          errors.push('Expiration can either expire current versions or remove expired delete markers, not both');
+        }
+        if (tags.length > 0) {
+          errors.push('Removing expired delete markers cannot be combined with a tag filter');
+        }
+      } else if (!isWholeNumber(days, 1)) {
+        errors.push('Expiration: days must be a whole number of 1 or more');
+      } else {
+        const lastTransition = sortedTransitions[sortedTransitions.length - 1];
+        if (lastTransition && days <= lastTransition.days) {
+          errors.push(`Expiration (${days} days) must come after the last transition (${lastTransition.days} days)`);
+        }
+      }
+    }
+
+    rule.noncurrentVersionTransitions.forEach((transition, index) => {
+      const label = `Noncurrent transition ${index + 1}`;
+      if (!isWholeNumber(transition.noncurrentDays, 1)) {
+        errors.push(`${label}: days must be a whole number of 1 or more`);
+      }
+      validateNewerVersions(transition.newerNoncurrentVersions, label, errors);
+    });
+
+    if (rule.noncurrentVersionExpiration) {
+      const { noncurrentDays, newerNoncurrentVersions } = rule.noncurrentVersionExpiration;
+      if (!isWholeNumber(noncurrentDays, 1)) {
+        errors.push('Noncurrent version expiration: days must be a whole number of 1 or more');
+      }
+      validateNewerVersions(newerNoncurrentVersions, 'Noncurrent version expiration', errors);
+    }
+
+    if (rule.abortIncompleteMultipartUpload) {
+      if (!isWholeNumber(rule.abortIncompleteMultipartUpload.daysAfterInitiation, 1)) {
+        errors.push('Incomplete multipart uploads: days must be a whole number of 1 or more');
+      }
+      if (tags.length > 0) {
+        errors.push('Cleaning up incomplete multipart uploads cannot be combined with a tag filter');
+      }
+    }
+
+    return errors;
+  });
+};
+
+// Drop empty optional fields so the request only carries what the rule actually sets
+export const serializeLifecycleRule = (rule) => {
+  const expiration = rule.expiration && (rule.expiration.expiredObjectDeleteMarker
+    ? { expiredObjectDeleteMarker: true }
+    : rule.expiration.date ? { date: rule.expiration.date } : { days: rule.expiration.days });
+
+  return {
+    ...rule,
+    id: rule.id.trim(),
+    filter: {
+      ...rule.filter,
+      prefix: rule.filter.prefix || '',
+      tags: (rule.filter.tags || []).map(tag => ({ key: tag.key.trim(), value: tag.value }))
+    },
+    transitions: rule.transitions.map(({ days, date, storageClass }) => (
+      date ? { date, storageClass } : { days, storageClass }
+    )),
+    expiration
+  };
+};
+
+// One-line summary shown in each rule's header
+export const describeRule = (rule) => {
+  const parts = [];
+  const { prefix, tags = [] } = rule.filter;
+
+  parts.push(prefix ? `Prefix "${prefix}"` : 'Whole bucket');
+  if (tags.length > 0) parts.push(`${tags.length} tag${tags.length === 1 ? '' : 's'}`);
+  if (rule.transitions.length > 0) {
+    parts.push(`${rule.transitions.length} transition${rule.transitions.length === 1 ? '' : 's'}`);
+  }
+  if (rule.expiration?.expiredObjectDeleteMarker) {
+    parts.push('removes expired delete markers');
+  } else if (rule.expiration?.days != null) {
+    parts.push(`expires after ${rule.expiration.days} days`);
+  }
+  if (rule.noncurrentVersionExpiration) {
+    parts.push(`old versions expire after ${rule.noncurrentVersionExpiration.noncurrentDays} days`);
+  }
+  if (rule.abortIncompleteMultipartUpload) {
+    parts.push(`aborts uploads after ${rule.abortIncompleteMultipartUpload.daysAfterInitiation} days`);
+  }
+
+  return parts.join(' · ');
+};
@@ -0,0 +1,305 @@
+// Direct browser-to-S3 multipart uploads using presigned part URLs.
+// The API server only creates, signs and completes the upload; part data never passes through it.
+import { uploadApi } from '../services/api.js';
+
+// S3 limits: every part except the last must be at least 5MB, and at most 10,000 parts
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PARTS = 10000;
+export const DEFAULT_PART_SIZE = 8 * 1024 * 1024;
+
+// Part URLs are presigned in batches to keep API requests (and rate limiting) down
+const URL_BATCH_SIZE = 20;
+// Presigned URLs expire after an hour on the server; refresh them well before that
+const URL_MAX_AGE = 45 * 60 * 1000;
+
+export const getPartSize = (fileSize, preferredSize = DEFAULT_PART_SIZE) => {
+  return Math.max(preferredSize, MIN_PART_SIZE, Math.ceil(fileSize / MAX_PARTS));
+};
+
+const createAbortError = () => {
+  const error = new Error('Upload aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  }, { once: true });
+});
+
+// PUT one part with XHR, since fetch cannot report upload progress
+const putPart = (url, body, { onProgress, signal }) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+
+  const xhr = new XMLHttpRequest();
+  xhr.open('PUT', url);
+
+  xhr.upload.onprogress = (event) => onProgress?.(event.loaded);
+  xhr.onload = () => {
+    if (xhr.status < 200 || xhr.status >= 300) {
+      const error = new Error(`Part upload failed with HTTP ${xhr.status}`);
+      error.status = xhr.status;
+      reject(error);
+      return;
+    }
+
+    const etag = xhr.getResponseHeader('ETag');
+    if (!etag) {
+      reject(new Error('S3 did not expose the ETag header. Add "ETag" to ExposeHeaders in the bucket CORS configuration.'));
+      return;
+    }
+    resolve(etag);
+  };
+  xhr.onerror = () => reject(new Error('Network error while uploading part'));
+  xhr.onabort = () => reject(createAbortError());
+
+  signal?.addEventListener('abort', () => xhr.abort(), { once: true });
+  xhr.send(body);
+});
+
+export class MultipartUpload {
+  constructor({
+    bucket,
+    file,
+    key,
+    partSize = getPartSize(file.size),
+    concurrency = 4,
+    maxRetries = 3,
+    // [{ key, value }] applied to the object when the upload completes
+    tags = [],
+    // SSE options ({ algorithm, kmsKeyId, bucketKeyEnabled }); null uses the bucket default
+    encryption = null,
+    // Resume state saved from an earlier attempt
+    uploadId = null,
+    completedParts = []
+  }) {
+    this.bucket = bucket;
+    this.file = file;
+    this.key = key;
+    this.partSize = partSize;
+    this.concurrency = concurrency;
+    this.maxRetries = maxRetries;
+    this.tags = tags;
+    this.encryption = encryption;
+    this.totalParts = Math.max(1, Math.ceil(file.size / partSize));
+
+    this.uploadId = uploadId;
+    this.completedParts = new Map(completedParts.map(part => [part.partNumber, part.etag])); // partNumber -> ETag
+    this.inFlightBytes = new Map(); // partNumber -> bytes sent so far
+    this.partUrls = new Map(); // partNumber -> { url, fetchedAt }
+    this.urlRequest = null;
+  }
+
+  getPartRange(partNumber) {
+    const start = (partNumber - 1) * this.partSize;
+    return [start, Math.min(start + this.partSize, this.file.size)];
+  }
+
+  getUploadedBytes() {
+    let bytes = 0;
+    for (const partNumber of this.completedParts.keys()) {
+      const [start, end] = this.getPartRange(partNumber);
+      bytes += end - start;
+    }
+    for (const sent of this.inFlightBytes.values()) {
+      bytes += sent;
+    }
+    return bytes;
+  }
+
+  // Everything needed to resume this upload later
+  getState() {
+    return {
+      uploadId: this.uploadId,
+      key: this.key,
+      partSize: this.partSize,
+      parts: [...this.completedParts.entries()].map(([partNumber, etag]) => ({ partNumber, etag }))
+    };
+  }
+
+  // Trust S3's view of which parts exist over locally saved state. Returns false when
+  // the upload is gone (completed, aborted or cleaned up by a lifecycle rule).
+  async reconcile() {
+    try {
+      const response = await uploadApi.listParts(this.bucket, this.uploadId, this.key);
+      this.completedParts.clear();
+      response.parts.forEach(({ partNumber, etag, size }) => {
+        const [start, end] = this.getPartRange(partNumber);
+        // A part of the wrong size belongs to a different chunking; upload it again
+        if (partNumber <= this.totalParts && size === end - start) {
+          this.completedParts.set(partNumber, etag);
+        }
+      });
+      return true;
+    } catch (error) {
+      if (error.data?.code === 'UPLOAD_NOT_FOUND') {
+        this.uploadId = null;
+        this.completedParts.clear();
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async fetchPartUrls(fromPartNumber) {
+    const partNumbers = [];
+    for (let n = fromPartNumber; n <= this.totalParts && partNumbers.length < URL_BATCH_SIZE; n++) {
+      if (!this.completedParts.has(n)) {
+        partNumbers.push(n);
+      }
+    }
+
+    const response = await uploadApi.getPartUrls(this.bucket, this.uploadId, this.key, partNumbers);
+    const fetchedAt = Date.now();
+    response.urls.forEach(({ partNumber, url }) => {
+      this.partUrls.set(partNumber, { url, fetchedAt });
+    });
+  }
+
+  async getPartUrl(partNumber) {
+    for (;;) {
+      const cached = this.partUrls.get(partNumber);
+      if (cached && Date.now() - cached.fetchedAt < URL_MAX_AGE) {
+        return cached.url;
+      }
+
+      // Share one in-flight batch request between workers
+      if (!this.urlRequest) {
+        this.urlRequest = this.fetchPartUrls(partNumber).finally(() => {
+          this.urlRequest = null;
+        });
+      }
+      await this.urlRequest;
+    }
+  }
+
+  async uploadPart(partNumber, { signal, onProgress, onPartComplete }) {
+    const [start, end] = this.getPartRange(partNumber);
+    const body = this.file.slice(start, end);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const url = await this.getPartUrl(partNumber);
+        const etag = await putPart(url, body, {
+          signal,
+          onProgress: (loaded) => {
+            this.inFlightBytes.set(partNumber, loaded);
+            onProgress?.();
+          }
+        });
+
+        this.inFlightBytes.delete(partNumber);
+        this.completedParts.set(partNumber, etag);
+        onProgress?.();
+        onPartComplete?.();
+        return;
+      } catch (error) {
+        this.inFlightBytes.delete(partNumber);
+        onProgress?.();
+
+        if (isAbortError(error) || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        // An expired or rejected signature needs a fresh URL
+        if (error.status === 403) {
+          this.partUrls.delete(partNumber);
+        }
+
+        // Exponential backoff: 1s, 2s, 4s...
+        await wait(1000 * 2 ** attempt, signal);
+      }
+    }
+  }
+
+  // Upload every part that isn't done yet, then complete the upload.
+  // onProgress receives { loaded, total } in bytes; onStateChange receives getState()
+  // whenever there is new progress worth saving.
+  async start({ signal, onProgress, onStateChange } = {}) {
+    if (this.uploadId) {
+      await this.reconcile();
+    }
+
+    if (!this.uploadId) {
+      const response = await uploadApi.create(this.bucket, this.key, this.file.type || 'application/octet-stream', this.file.size, {
+        tags: this.tags,
+        encryption: this.encryption
+      });
+      this.uploadId = response.upload.uploadId;
+    }
+    onStateChange?.(this.getState());
+
+    // Paused or cancelled while the upload was being created
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+
+    const reportProgress = () => onProgress?.({
+      loaded: this.getUploadedBytes(),
+      total: this.file.size
+    });
+    reportProgress();
+
+    const pending = [];
+    for (let n = 1; n <= this.totalParts; n++) {
+      if (!this.completedParts.has(n)) {
+        pending.push(n);
+      }
+    }
+
+    // One failed part stops the other workers instead of letting them run on
+    const workersController = new AbortController();
+    const stopWorkers = () => workersController.abort();
+    signal?.addEventListener('abort', stopWorkers, { once: true });
+
+    const worker = async () => {
+      while (pending.length > 0 && !workersController.signal.aborted) {
+        const partNumber = pending.shift();
+        await this.uploadPart(partNumber, {
+          signal: workersController.signal,
+          onProgress: reportProgress,
+          onPartComplete: () => onStateChange?.(this.getState())
+        });
+      }
+    };
+
+    // The first error is kept: the parts it aborts in the other workers fail with abort errors
+    let failure = null;
+    const runWorker = () => worker().catch(error => {
+      if (!failure) failure = error;
+      stopWorkers();
+    });
+
+    try {
+      // Waits for the aborted parts too, so none of them updates the state after this returns
+      await Promise.all(Array.from({ length: Math.min(this.concurrency, pending.length) }, runWorker));
+      if (failure) {
+        throw failure;
+      }
+      if (signal?.aborted) {
+        throw createAbortError();
+      }
+    } finally {
+      signal?.removeEventListener('abort', stopWorkers);
+    }
+
+    const parts = [...this.completedParts.entries()].map(([partNumber, etag]) => ({ partNumber, etag }));
+    return uploadApi.complete(this.bucket, this.uploadId, this.key, parts);
+  }
+
+  // Discard the upload and any parts already stored in S3
+  async abort() {
+    if (!this.uploadId) return;
+    await uploadApi.abort(this.bucket, this.uploadId, this.key);
+    this.uploadId = null;
+    this.completedParts.clear();
+  }
+}
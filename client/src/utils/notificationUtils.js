@@ -0,0 +1,180 @@
+// Helpers for editing and validating bucket event notifications
+
+export const NOTIFICATION_TYPES = {
+  topic: {
+    label: 'SNS topic',
+    placeholder: 'arn:aws:sns:us-east-1:123456789012:my-topic',
+    pattern: /^arn:aws[a-z-]*:sns:[a-z0-9-]+:\d{12}:[A-Za-z0-9_-]{1,256}$/
+  },
+  queue: {
+    label: 'SQS queue',
+    placeholder: 'arn:aws:sqs:us-east-1:123456789012:my-queue',
+    pattern: /^arn:aws[a-z-]*:sqs:[a-z0-9-]+:\d{12}:[A-Za-z0-9_-]{1,80}$/
+  },
+  lambda: {
+    label: 'Lambda function',
+    placeholder: 'arn:aws:lambda:us-east-1:123456789012:function:my-function',
+    pattern: /^arn:aws[a-z-]*:lambda:[a-z0-9-]+:\d{12}:function:[A-Za-z0-9_-]{1,64}(:[A-Za-z0-9_$-]{1,128})?$/
+  }
+};
+
+// Groups with a wildcard ("s3:ObjectCreated:*") that covers every event in the group
+export const NOTIFICATION_EVENT_GROUPS = [
+  {
+    label: 'Object created',
+    wildcard: 's3:ObjectCreated:*',
+    events: [
+      { value: 's3:ObjectCreated:Put', label: 'Put' },
+      { value: 's3:ObjectCreated:Post', label: 'Post' },
+      { value: 's3:ObjectCreated:Copy', label: 'Copy' },
+      { value: 's3:ObjectCreated:CompleteMultipartUpload', label: 'Multipart upload completed' }
+    ]
+  },
+  {
+    label: 'Object removed',
+    wildcard: 's3:ObjectRemoved:*',
+    events: [
+      { value: 's3:ObjectRemoved:Delete', label: 'Permanently deleted' },
+      { value: 's3:ObjectRemoved:DeleteMarkerCreated', label: 'Delete marker created' }
+    ]
+  },
+  {
+    label: 'Restore',
+    wildcard: 's3:ObjectRestore:*',
+    events: [
+      { value: 's3:ObjectRestore:Post', label: 'Initiated' },
+      { value: 's3:ObjectRestore:Completed', label: 'Completed' },
+      { value: 's3:ObjectRestore:Delete', label: 'Restored copy expired' }
+    ]
+  },
+  {
+    label: 'Object tagging',
+    wildcard: 's3:ObjectTagging:*',
+    events: [
+      { value: 's3:ObjectTagging:Put', label: 'Tags added' },
+      { value: 's3:ObjectTagging:Delete', label: 'Tags removed' }
+    ]
+  },
+  {
+    label: 'Lifecycle expiration',
+    wildcard: 's3:LifecycleExpiration:*',
+    events: [
+      { value: 's3:LifecycleExpiration:Delete', label: 'Deleted' },
+      { value: 's3:LifecycleExpiration:DeleteMarkerCreated', label: 'Delete marker created' }
+    ]
+  },
+  {
+    label: 'Replication',
+    wildcard: 's3:Replication:*',
+    events: [
+      { value: 's3:Replication:OperationFailedReplication', label: 'Failed' },
+      { value: 's3:Replication:OperationMissedThreshold', label: 'Missed threshold' },
+      { value: 's3:Replication:OperationReplicatedAfterThreshold', label: 'Replicated after threshold' },
+      { value: 's3:Replication:OperationNotTracked', label: 'Not tracked' }
+    ]
+  },
+  {
+    label: 'Other',
+    wildcard: null,
+    events: [
+      { value: 's3:LifecycleTransition', label: 'Lifecycle transition' },
+      { value: 's3:IntelligentTiering', label: 'Intelligent-Tiering archived' },
+      { value: 's3:ObjectAcl:Put', label: 'ACL changed' },
+      { value: 's3:ReducedRedundancyLostObject', label: 'Reduced Redundancy object lost' }
+    ]
+  }
+];
+
+export const createEmptyNotification = () => ({
+  id: '',
+  type: 'queue',
+  arn: '',
+  events: ['s3:ObjectCreated:*'],
+  prefix: '',
+  suffix: ''
+});
+
+// "s3:ObjectCreated:*" covers "s3:ObjectCreated:Put"
+const eventsOverlap = (a, b) => (
+  a === b ||
+  (a.endsWith(':*') && b.startsWith(a.slice(0, -1))) ||
+  (b.endsWith(':*') && a.startsWith(b.slice(0, -1)))
+);
+
+// Some key matches both filters unless the prefixes (or suffixes) rule each other out
+const filtersOverlap = (a, b) => (
+  (a.prefix.startsWith(b.prefix) || b.prefix.startsWith(a.prefix)) &&
+  (a.suffix.endsWith(b.suffix) || b.suffix.endsWith(a.suffix))
+);
+
+const describeFilter = ({ prefix, suffix }) => {
+  if (!prefix && !suffix) return 'every key';
+  return [prefix && `prefix "${prefix}"`, suffix && `suffix "${suffix}"`].filter(Boolean).join(' and ');
+};
+
+// S3 rejects the whole configuration when two destinations (of any type) can receive the
+// same event for the same key. Returns { index, otherIndex, event } for each clashing pair.
+export const findOverlaps = (configurations) => {
+  const overlaps = [];
+
+  configurations.forEach((configuration, index) => {
+    configurations.slice(index + 1).forEach((other, offset) => {
+      if (!filtersOverlap(configuration, other)) return;
+
+      const event = configuration.events.find(a => other.events.some(b => eventsOverlap(a, b)));
+      if (event) overlaps.push({ index, otherIndex: index + offset + 1, event });
+    });
+  });
+
+  return overlaps;
+};
+
+// Returns one list of error messages per configuration (empty when it is valid)
+export const validateNotifications = (configurations) => {
+  const errors = configurations.map((configuration, index) => {
+    const messages = [];
+    const id = configuration.id.trim();
+    const type = NOTIFICATION_TYPES[configuration.type];
+
+    if (id.length > 255) {
+      messages.push('ID must be 255 characters or less');
+    } else if (id && configurations.some((other, otherIndex) => otherIndex !== index && other.id.trim() === id)) {
+      messages.push('IDs must be unique');
+    }
+
+    if (!configuration.arn.trim()) {
+      messages.push(`Enter the ${type.label} ARN`);
+    } else if (!type.pattern.test(configuration.arn.trim())) {
+      messages.push(`Not a valid ${type.label} ARN, e.g. ${type.placeholder}${configuration.arn.trim().endsWith('.fifo') ? ' (FIFO destinations are not supported)' : ''}`);
+    }
+
+    if (configuration.events.length === 0) {
+      messages.push('Select at least one event type');
+    }
+
+    if (configuration.prefix.length > 1024 || configuration.suffix.length > 1024) {
+      messages.push('Prefix and suffix must be 1024 characters or less');
+    }
+
+    return messages;
+  });
+
+  findOverlaps(configurations).forEach(({ index, otherIndex, event }) => {
+    const message = (otherNumber) => (
+      `Overlaps with destination ${otherNumber}: both receive ${event} for ${describeFilter(configurations[index])} / ${describeFilter(configurations[otherIndex])}. Use an event type or prefix/suffix that doesn't overlap.`
+    );
+    errors[index].push(message(otherIndex + 1));
+    errors[otherIndex].push(message(index + 1));
+  });
+
+  return errors;
+};
+
+export const serializeNotification = (configuration) => ({
+  id: configuration.id.trim(),
+  type: configuration.type,
+  arn: configuration.arn.trim(),
+  events: configuration.events,
+  prefix: configuration.prefix,
+  suffix: configuration.suffix
+});
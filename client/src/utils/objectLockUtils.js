@@ -0,0 +1,41 @@
+// Helpers for displaying and editing Object Lock retention and legal holds
+
+export const RETENTION_MODES = [
+  {
+    value: 'GOVERNANCE',
+    label: 'Governance',
+    description: 'Users with the s3:BypassGovernanceRetention permission can shorten or remove the retention.'
+  },
+  {
+    value: 'COMPLIANCE',
+    label: 'Compliance',
+    description: 'Nobody, including the root account, can delete the version or shorten its retention until it expires.'
+  }
+];
+
+export const getRetentionModeLabel = (mode) =>
+  RETENTION_MODES.find(option => option.value === mode)?.label || mode;
+
+// True while retention hasn't expired
+export const isRetentionActive = (lock) =>
+  Boolean(lock?.mode && lock.retainUntil && new Date(lock.retainUntil) > new Date());
+
+// True when S3 would refuse to permanently delete the version
+export const isDeleteBlocked = (lock) => Boolean(lock?.legalHold) || isRetentionActive(lock);
+
+// Why a version can't be deleted, e.g. "Compliance retention until 1/1/2030, legal hold"
+export const describeLock = (lock) => {
+  const reasons = [];
+  if (isRetentionActive(lock)) {
+    reasons.push(`${getRetentionModeLabel(lock.mode)} retention until ${new Date(lock.retainUntil).toLocaleString()}`);
+  }
+  if (lock?.legalHold) reasons.push('legal hold');
+  return reasons.join(', ');
+};
+
+// "30 days" or "1 year" for a bucket's default retention
+export const describeDefaultRetention = ({ days, years }) => {
+  const count = days ?? years;
+  const unit = days ? 'day' : 'year';
+  return `${count} ${unit}${count !== 1 ? 's' : ''}`;
+};
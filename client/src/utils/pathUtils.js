@@ -0,0 +1,73 @@
+// Helpers for mapping S3 prefixes ("folders") to app routes
+
+export const FOLDER_DELIMITER = '/';
+
+// Ensure a non-empty prefix ends with the delimiter so it names a folder
+export const normalizePrefix = (prefix = '') => {
+  if (!prefix || prefix.endsWith(FOLDER_DELIMITER)) return prefix;
+  return `${prefix}${FOLDER_DELIMITER}`;
+};
+
+// Encode each segment separately so the folder structure stays readable in the URL
+const encodePrefix = (prefix) => {
+  return prefix.split(FOLDER_DELIMITER).map(encodeURIComponent).join(FOLDER_DELIMITER);
+};
+
+export const buildBucketPath = (bucketName, prefix = '') => {
+  const bucketPath = `/buckets/${encodeURIComponent(bucketName)}`;
+  const normalized = normalizePrefix(prefix);
+  return normalized ? `${bucketPath}/${encodePrefix(normalized)}` : bucketPath;
+};
+
+// File details live outside /buckets/:bucketName/* too, so a folder named "files" stays browsable
+export const buildFileDetailPath = (bucketName, key) => {
+  return `/file/${encodeURIComponent(bucketName)}/${encodeURIComponent(key)}`;
+};
+
+// File details used to live at /buckets/:bucketName/files/:fileKey, with the whole key as one
+// encoded segment. Folder URLs always end in "/", so a path like that is an old bookmark of a
+// file rather than a folder. Returns { bucketName, key }, or null for any other path.
+export const parseLegacyFileDetailPath = (pathname) => {
+  const match = pathname.match(/^\/buckets\/([^/]+)\/files\/([^/]+)$/);
+  if (!match) return null;
+
+  try {
+    return { bucketName: decodeURIComponent(match[1]), key: decodeURIComponent(match[2]) };
+  } catch {
+    return null;
+  }
+};
+
+// Bucket settings live outside /buckets/:bucketName/* so they can't collide with folder names
+export const buildBucketSettingsPath = (bucketName, tab = '') => {
+  return `/settings/${encodeURIComponent(bucketName)}${tab ? `/${tab}` : ''}`;
+};
+
+// Prefix of the folder containing a key ('' for keys at the bucket root)
+export const getParentPrefix = (key = '') => {
+  const trimmed = key.endsWith(FOLDER_DELIMITER) ? key.slice(0, -1) : key;
+  const index = trimmed.lastIndexOf(FOLDER_DELIMITER);
+  return index === -1 ? '' : trimmed.slice(0, index + 1);
+};
+
+// Breadcrumb segments for a prefix, e.g. 'logs/2024/' -> [{ name: 'logs', prefix: 'logs/' }, ...]
+export const getPrefixSegments = (prefix = '') => {
+  const names = normalizePrefix(prefix).split(FOLDER_DELIMITER).filter(Boolean);
+
+  return names.map((name, index) => ({
+    name,
+    prefix: `${names.slice(0, index + 1).join(FOLDER_DELIMITER)}${FOLDER_DELIMITER}`
+  }));
+};
+
+// Key with its last segment replaced, e.g. ('logs/a.txt', 'b.txt') -> 'logs/b.txt'
+export const replaceFileName = (key, name) => `${getParentPrefix(key)}${name}`;
+
+// Same rules as the server's file key validation; returns an error message or null
+export const validateFileKey = (key) => {
+  if (!key) return 'Name cannot be empty';
+  if (key.length > 1024) return 'Key is too long (1024 characters at most)';
+  if (/[<>:"|?*]/.test(key)) return 'Name cannot contain < > : " | ? *';
+  if (key.endsWith(FOLDER_DELIMITER)) return 'Name cannot end with /';
+  return null;
+};
@@ -0,0 +1,250 @@
+// Helpers for editing and validating bucket and access point policies
+
+export const POLICY_VERSION = '2012-10-17';
+
+// S3 rejects bucket policies larger than 20 KB
+const MAX_POLICY_SIZE = 20 * 1024;
+
+const POLICY_KEYS = ['Version', 'Id', 'Statement'];
+const STATEMENT_KEYS = ['Sid', 'Effect', 'Principal', 'NotPrincipal', 'Action', 'NotAction', 'Resource', 'NotResource', 'Condition'];
+const PRINCIPAL_TYPES = ['AWS', 'Service', 'Federated', 'CanonicalUser'];
+
+const bucketArn = (bucketName) => `arn:aws:s3:::${bucketName}`;
+
+const toArray = (value) => (Array.isArray(value) ? value : [value]);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Templates add statements to the policy being edited. Params are filled in by the user.
+export const POLICY_TEMPLATES = [
+  {
+    id: 'deny-insecure-transport',
+    label: 'Deny non-TLS requests',
+    description: 'Rejects every request to the bucket that is not made over HTTPS.',
+    params: [],
+    buildStatements: (bucketName) => [{
+      Sid: 'DenyInsecureTransport',
+      Effect: 'Deny',
+      Principal: '*',
+      Action: 's3:*',
+      Resource: [bucketArn(bucketName), `${bucketArn(bucketName)}/*`],
+      Condition: { Bool: { 'aws:SecureTransport': 'false' } }
+    }]
+  },
+  {
+    id: 'read-only-account',
+    label: 'Read-only access for an AWS account',
+    description: 'Lets another AWS account list the bucket and download objects. That account still has to grant its own users access in IAM.',
+    params: [
+      { name: 'accountId', label: 'AWS account ID', placeholder: '123456789012', pattern: /^\d{12}$/, error: 'Account ID must be 12 digits' }
+    ],
+    buildStatements: (bucketName, { accountId }) => [
+      {
+        Sid: `ReadOnlyList${accountId}`,
+        Effect: 'Allow',
+        Principal: { AWS: `arn:aws:iam::${accountId}:root` },
+        Action: ['s3:ListBucket', 's3:GetBucketLocation'],
+        Resource: bucketArn(bucketName)
+      },
+      {
+        Sid: `ReadOnlyGet${accountId}`,
+        Effect: 'Allow',
+        Principal: { AWS: `arn:aws:iam::${accountId}:root` },
+        Action: 's3:GetObject',
+        Resource: `${bucketArn(bucketName)}/*`
+      }
+    ]
+  },
+  {
+    id: 'cloudfront-oac',
+    label: 'CloudFront Origin Access Control',
+    description: 'Lets one CloudFront distribution read objects through Origin Access Control, so the bucket itself can stay private.',
+    params: [
+      { name: 'accountId', label: 'AWS account ID', placeholder: '123456789012', pattern: /^\d{12}$/, error: 'Account ID must be 12 digits' },
+      { name: 'distributionId', label: 'Distribution ID', placeholder: 'E2QWRUHAPOMQZL', pattern: /^[A-Z0-9]{8,20}$/, error: 'Distribution IDs are uppercase letters and digits' }
+    ],
+    buildStatements: (bucketName, { accountId, distributionId }) => [{
+      Sid: 'AllowCloudFrontServicePrincipal',
+      Effect: 'Allow',
+      Principal: { Service: 'cloudfront.amazonaws.com' },
+      Action: 's3:GetObject',
+      Resource: `${bucketArn(bucketName)}/*`,
+      Condition: {
+        StringEquals: { 'AWS:SourceArn': `arn:aws:cloudfront::${accountId}:distribution/${distributionId}` }
+      }
+    }]
+  }
+];
+
+// Merge template statements into a policy; a statement with the same Sid is replaced
+export const applyPolicyTemplate = (policy, statements) => {
+  const base = policy || { Version: POLICY_VERSION, Statement: [] };
+  const sids = new Set(statements.map(statement => statement.Sid));
+  const existing = base.Statement ? toArray(base.Statement) : [];
+
+  return {
+    ...base,
+    Statement: [...existing.filter(statement => !sids.has(statement.Sid)), ...statements]
+  };
+};
+
+export const formatPolicy = (policy) => JSON.stringify(policy, null, 2);
+
+// JSON.parse reports a character position; turn it into a line and column
+const describeJsonError = (text, error) => {
+  const match = /position (\d+)/.exec(error.message);
+  if (!match || /line \d+/.test(error.message)) return `Invalid JSON: ${error.message}`;
+
+  const before = text.slice(0, Number(match[1])).split('\n');
+  return `Invalid JSON: ${error.message} (line ${before.length}, column ${before[before.length - 1].length + 1})`;
+};
+
+const isStringList = (value) => (
+  (typeof value === 'string' && value.length > 0) ||
+  (Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.length > 0))
+);
+
+const validatePrincipal = (principal, label, errors) => {
+  if (principal === '*') return;
+
+  if (!principal || typeof principal !== 'object' || Array.isArray(principal)) {
+    errors.push(`${label}: Principal must be "*" or an object such as { "AWS": "..." }`);
+    return;
+  }
+
+  Object.entries(principal).forEach(([type, value]) => {
+    if (!PRINCIPAL_TYPES.includes(type)) {
+      errors.push(`${label}: unknown principal type "${type}" (expected ${PRINCIPAL_TYPES.join(', ')})`);
+    } else if (!isStringList(value)) {
+      errors.push(`${label}: Principal.${type} must be a string or a list of strings`);
+    }
+  });
+};
+
+const isPublicPrincipal = (principal) => (
+  principal === '*' || (principal && toArray(principal.AWS).includes('*'))
+);
+
+// What a policy's resources may refer to: { test(resource), description }
+const bucketResourceScope = (bucketName) => ({
+  test: (resource) => new RegExp(`^arn:aws[a-z-]*:s3:::${escapeRegExp(bucketName)}(/.*)?$`).test(resource),
+  description: `this bucket (${bucketArn(bucketName)} or ${bucketArn(bucketName)}/*)`
+});
+
+// Access point ARNs include the region and account, e.g. arn:aws:s3:us-east-1:123456789012:accesspoint/name
+const accessPointResourceScope = (accessPointName) => ({
+  test: (resource) => new RegExp(`^arn:aws[a-z-]*:s3:[a-z0-9-]+:\\d{12}:accesspoint/${escapeRegExp(accessPointName)}(/object/.*)?$`).test(resource),
+  description: `this access point (arn:aws:s3:<region>:<account>:accesspoint/${accessPointName} or .../object/*)`
+});
+
+const validateStatement = (statement, index, resourceScope, errors, warnings) => {
+  const label = `Statement ${index + 1}${statement?.Sid ? ` (${statement.Sid})` : ''}`;
+
+  if (!statement || typeof statement !== 'object' || Array.isArray(statement)) {
+    errors.push(`${label}: must be an object`);
+    return;
+  }
+
+  Object.keys(statement)
+    .filter(key => !STATEMENT_KEYS.includes(key))
+    .forEach(key => errors.push(`${label}: unknown field "${key}"`));
+
+  if (!['Allow', 'Deny'].includes(statement.Effect)) {
+    errors.push(`${label}: Effect must be "Allow" or "Deny"`);
+  }
+
+  // Each element may be given in its positive or "Not" form, but not both
+  const pairs = [['Principal', 'NotPrincipal'], ['Action', 'NotAction'], ['Resource', 'NotResource']];
+  pairs.forEach(([field, notField]) => {
+    const count = [field, notField].filter(key => statement[key] !== undefined).length;
+    if (count === 0) errors.push(`${label}: ${field} is required`);
+    if (count === 2) errors.push(`${label}: use either ${field} or ${notField}, not both`);
+  });
+
+  const principal = statement.Principal ?? statement.NotPrincipal;
+  if (principal !== undefined) validatePrincipal(principal, label, errors);
+
+  const actions = statement.Action ?? statement.NotAction;
+  if (actions !== undefined) {
+    if (!isStringList(actions)) {
+      errors.push(`${label}: Action must be a string or a list of strings`);
+    } else {
+      toArray(actions)
+        .filter(action => action !== '*' && !/^s3:[A-Za-z*]+$/.test(action))
+        .forEach(action => errors.push(`${label}: "${action}" is not an S3 action`));
+    }
+  }
+
+  const resources = statement.Resource ?? statement.NotResource;
+  if (resources !== undefined) {
+    if (!isStringList(resources)) {
+      errors.push(`${label}: Resource must be a string or a list of strings`);
+    } else {
+      // A policy can only refer to its own bucket or access point and the objects in it
+      toArray(resources)
+        .filter(resource => !resourceScope.test(resource))
+        .forEach(resource => errors.push(`${label}: resource "${resource}" is not ${resourceScope.description}`));
+    }
+  }
+
+  if (statement.Condition !== undefined && (typeof statement.Condition !== 'object' || Array.isArray(statement.Condition))) {
+    errors.push(`${label}: Condition must be an object`);
+  }
+
+  if (statement.Effect === 'Allow' && isPublicPrincipal(statement.Principal) && !statement.Condition) {
+    warnings.push(`${label} allows anyone on the internet (Principal "*") without a condition`);
+  }
+};
+
+const validatePolicyDocument = (text, resourceScope) => {
+  const errors = [];
+  const warnings = [];
+  let policy;
+
+  try {
+    policy = JSON.parse(text);
+  } catch (error) {
+    return { policy: null, errors: [describeJsonError(text, error)], warnings };
+  }
+
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return { policy: null, errors: ['The policy must be a JSON object'], warnings };
+  }
+
+  if (new Blob([JSON.stringify(policy)]).size > MAX_POLICY_SIZE) {
+    errors.push('The policy is larger than the 20 KB limit');
+  }
+
+  Object.keys(policy)
+    .filter(key => !POLICY_KEYS.includes(key))
+    .forEach(key => errors.push(`Unknown top-level field "${key}"`));
+
+  if (!policy.Version) {
+    errors.push(`Version is required (use "${POLICY_VERSION}")`);
+  } else if (policy.Version === '2008-10-17') {
+    warnings.push(`Version "2008-10-17" does not support policy variables; "${POLICY_VERSION}" is recommended`);
+  } else if (policy.Version !== POLICY_VERSION) {
+    errors.push(`Version must be "${POLICY_VERSION}"`);
+  }
+
+  if (policy.Statement === undefined) {
+    errors.push('Statement is required');
+  } else {
+    const statements = toArray(policy.Statement);
+    if (statements.length === 0) errors.push('Statement must contain at least one statement');
+
+    statements.forEach((statement, index) => validateStatement(statement, index, resourceScope, errors, warnings));
+
+    const sids = statements.map(statement => statement?.Sid).filter(Boolean);
+    if (new Set(sids).size !== sids.length) errors.push('Statement IDs (Sid) must be unique');
+  }
+
+  return { policy, errors, warnings };
+};
+
+// Returns { policy, errors, warnings }; policy is null when the text isn't valid JSON
+export const validatePolicyText = (text, bucketName) => validatePolicyDocument(text, bucketResourceScope(bucketName));
+
+export const validateAccessPointPolicyText = (text, accessPointName) => (
+  validatePolicyDocument(text, accessPointResourceScope(accessPointName))
+);
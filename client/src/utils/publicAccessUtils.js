@@ -0,0 +1,39 @@
+// Helpers for Block Public Access settings and the public exposure scan
+
+export const PUBLIC_ACCESS_BLOCK_SETTINGS = [
+  {
+    key: 'blockPublicAcls',
+    label: 'Block public ACLs',
+    description: 'Rejects requests that add a public ACL to the bucket or its objects.'
+  },
+  {
+    key: 'ignorePublicAcls',
+    label: 'Ignore public ACLs',
+    description: 'Public ACLs already on the bucket or its objects stop granting access.'
+  },
+  {
+    key: 'blockPublicPolicy',
+    label: 'Block public bucket policies',
+    description: 'Rejects bucket policies that grant public access.'
+  },
+  {
+    key: 'restrictPublicBuckets',
+    label: 'Restrict public bucket policies',
+    description: 'If the policy is public, only AWS services and users in this account can use it.'
+  }
+];
+
+export const isFullyBlocked = (publicAccessBlock) =>
+  PUBLIC_ACCESS_BLOCK_SETTINGS.every(setting => publicAccessBlock?.[setting.key]);
+
+// Settings switched off in `next` that are on in `current`, as labels
+export const getLoosenedSettings = (current, next) =>
+  PUBLIC_ACCESS_BLOCK_SETTINGS
+    .filter(setting => current?.[setting.key] && !next[setting.key])
+    .map(setting => setting.label);
+
+export const EXPOSURE_LABELS = {
+  public: 'Public',
+  'at-risk': 'Could become public',
+  private: 'Not public'
+};
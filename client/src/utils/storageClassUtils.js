@@ -0,0 +1,78 @@
+// Storage classes an object can be moved to, with the billing and access rules that make
+// a change worth thinking about first
+
+export const OBJECT_STORAGE_CLASSES = [
+  { value: 'STANDARD', label: 'Standard' },
+  { value: 'INTELLIGENT_TIERING', label: 'Intelligent-Tiering', monitoringFee: true },
+  { value: 'STANDARD_IA', label: 'Standard-IA', minDays: 30, minSizeKb: 128, retrievalFee: true },
+  { value: 'ONEZONE_IA', label: 'One Zone-IA', minDays: 30, minSizeKb: 128, retrievalFee: true, singleZone: true },
+  { value: 'GLACIER_IR', label: 'Glacier Instant Retrieval', minDays: 90, minSizeKb: 128, retrievalFee: true },
+  { value: 'GLACIER', label: 'Glacier Flexible Retrieval', minDays: 90, retrievalFee: true, restoreRequired: 'minutes to 12 hours' },
+  { value: 'DEEP_ARCHIVE', label: 'Glacier Deep Archive', minDays: 180, retrievalFee: true, restoreRequired: '12 to 48 hours' }
+];
+
+// Reading these needs a restore first, so they can't be copied to another class directly
+export const ARCHIVE_STORAGE_CLASSES = ['GLACIER', 'DEEP_ARCHIVE'];
+
+const findStorageClass = (value) => OBJECT_STORAGE_CLASSES.find(storageClass => storageClass.value === value);
+
+export const getObjectStorageClassLabel = (value) => findStorageClass(value || 'STANDARD')?.label || value;
+
+// Warnings to show before moving files to targetClass. files are the selected files, each
+// with its current storageClass (missing means STANDARD).
+export const getStorageClassCaveats = (targetClass, files = []) => {
+  const target = findStorageClass(targetClass);
+  if (!target) return [];
+
+  const caveats = [];
+  if (target.minDays) {
+    caveats.push(`${target.label} bills at least ${target.minDays} days of storage; deleting, overwriting or moving a file sooner is charged for the remaining days.`);
+  }
+  if (target.minSizeKb) {
+    const smallCount = files.filter(file => file.size < target.minSizeKb * 1024).length;
+    caveats.push(`Files smaller than ${target.minSizeKb} KB are billed as ${target.minSizeKb} KB${smallCount > 0 ? ` (${smallCount} of the selected files)` : ''}.`);
+  }
+  if (target.retrievalFee) {
+    caveats.push(`Reading data from ${target.label} has a per-GB retrieval fee.`);
+  }
+  if (target.restoreRequired) {
+    caveats.push(`Files in ${target.label} can't be downloaded until they are restored, which takes ${target.restoreRequired}.`);
+  }
+  if (target.singleZone) {
+    caveats.push('One Zone-IA keeps data in a single Availability Zone; it is lost if that zone is destroyed.');
+  }
+  if (target.monitoringFee) {
+    caveats.push('Intelligent-Tiering adds a small monthly monitoring fee per file; files under 128 KB are never moved to a cheaper tier.');
+  }
+
+  // Leaving a class early is charged too
+  const earlyClasses = [...new Set(files.map(file => file.storageClass || 'STANDARD'))]
+    .filter(value => value !== targetClass && findStorageClass(value)?.minDays);
+  earlyClasses.forEach(value => {
+    const current = findStorageClass(value);
+    caveats.push(`Files that have been in ${current.label} for less than ${current.minDays} days are charged for the rest of that period.`);
+  });
+
+  caveats.push('Each file is copied onto itself. Its last modified date changes, and in a versioned bucket the previous version is kept (and billed) in its old class.');
+  return caveats;
+};
+
+// Retrieval tiers for restoring archived files, with typical times per storage class.
+// Expedited isn't offered for Deep Archive.
+export const RESTORE_TIERS = [
+  { value: 'Expedited', label: 'Expedited', times: { GLACIER: '1-5 minutes' } },
+  { value: 'Standard', label: 'Standard', times: { GLACIER: '3-5 hours', DEEP_ARCHIVE: 'within 12 hours' } },
+  { value: 'Bulk', label: 'Bulk (cheapest)', times: { GLACIER: '5-12 hours', DEEP_ARCHIVE: 'within 48 hours' } }
+];
+
+// Restore state from the file metadata ({ status, expiresAt }), as shown to the user
+export const describeRestore = (restore) => {
+  if (!restore) return null;
+  if (restore.status === 'in-progress') return 'Restore in progress';
+  if (restore.status === 'restored') {
+    return restore.expiresAt
+      ? `Restored until ${new Date(restore.expiresAt).toLocaleString()}`
+      : 'Restored';
+  }
+  return 'Archived; restore to download';
+};
@@ -0,0 +1,49 @@
+// Helpers for editing S3 bucket and object tags
+
+// S3 limits
+export const MAX_OBJECT_TAGS = 10;
+export const MAX_BUCKET_TAGS = 50;
+const MAX_KEY_LENGTH = 128;
+const MAX_VALUE_LENGTH = 256;
+
+const TAG_CHARACTERS = /^[\p{L}\p{Z}\p{N}_.:/=+\-@]*$/u;
+
+// Rows where both key and value are blank are ignored
+export const cleanTags = (tags) => tags
+  .map(tag => ({ key: tag.key.trim(), value: tag.value.trim() }))
+  .filter(tag => tag.key || tag.value);
+
+// Returns a list of error messages (empty when the tags are valid)
+export const validateTags = (tags, maxTags = MAX_OBJECT_TAGS) => {
+  const errors = [];
+  const cleaned = cleanTags(tags);
+
+  if (cleaned.length > maxTags) {
+    errors.push(`At most ${maxTags} tags are allowed`);
+  }
+
+  cleaned.forEach(({ key, value }) => {
+    if (!key) {
+      errors.push(`Tag with value "${value}" needs a key`);
+    } else if (key.length > MAX_KEY_LENGTH) {
+      errors.push(`Tag key "${key.slice(0, 20)}…" is longer than ${MAX_KEY_LENGTH} characters`);
+    } else if (key.toLowerCase().startsWith('aws:')) {
+      errors.push(`Tag key "${key}" uses the reserved "aws:" prefix`);
+    }
+
+    if (value.length > MAX_VALUE_LENGTH) {
+      errors.push(`Value of tag "${key}" is longer than ${MAX_VALUE_LENGTH} characters`);
+    }
+
+    if (!TAG_CHARACTERS.test(key) || !TAG_CHARACTERS.test(value)) {
+      errors.push(`Tag "${key}" can only contain letters, numbers, spaces and + - = . _ : / @`);
+    }
+  });
+
+  const keys = cleaned.map(tag => tag.key).filter(Boolean);
+  if (new Set(keys).size !== keys.length) {
+    errors.push('Tag keys must be unique');
+  }
+
+  return errors;
+};
@@ -0,0 +1,96 @@
+// Persists in-progress multipart uploads in IndexedDB so they can resume after a reload.
+// Storage failures (private browsing, quota) are logged and never fail the upload itself.
+
+const DB_NAME = 's3-admin-uploads';
+const DB_VERSION = 1;
+const STORE_NAME = 'uploads';
+
+// Incomplete uploads are usually cleaned up by bucket lifecycle rules within days,
+// so older entries are unlikely to still exist in S3
+const MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      // Allow a later call to try again
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = async (mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Identifies the same file when the user selects it again after a reload
+export const getFileFingerprint = (file) => {
+  return [file.name, file.size, file.lastModified, file.type].join(':');
+};
+
+// One saved upload per file per destination folder
+export const getUploadRecordId = (bucket, prefix, file) => {
+  return [bucket, prefix || '', getFileFingerprint(file)].join('|');
+};
+
+export const uploadStore = {
+  find: async (id) => {
+    try {
+      const record = await runRequest('readonly', store => store.get(id));
+      if (!record) return null;
+
+      if (Date.now() - record.updatedAt > MAX_AGE) {
+        await uploadStore.remove(id);
+        return null;
+      }
+      return record;
+    } catch (error) {
+      console.warn('Could not read saved upload state:', error);
+      return null;
+    }
+  },
+
+  save: async (record) => {
+    try {
+      await runRequest('readwrite', store => store.put({
+        ...record,
+        updatedAt: Date.now()
+      }));
+    } catch (error) {
+      console.warn('Could not save upload state:', error);
+    }
+  },
+
+  remove: async (id) => {
+    try {
+      await runRequest('readwrite', store => store.delete(id));
+    } catch (error) {
+      console.warn('Could not remove saved upload state:', error);
+    }
+  },
+};
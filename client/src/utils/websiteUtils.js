@@ -0,0 +1,121 @@
+// Helpers for editing static website hosting. The form keeps every field as a string so
+// inputs stay controlled; buildWebsiteRequest turns it back into the API shape.
+
+export const WEBSITE_MODES = [
+  { value: 'off', label: 'Off', description: 'The bucket has no website endpoint.' },
+  { value: 'host', label: 'Host a static website', description: 'Serve the bucket\'s objects, with an index document for folders.' },
+  { value: 'redirect', label: 'Redirect all requests', description: 'Send every request to another host, such as a custom domain.' }
+];
+
+export const emptyRoutingRule = () => ({
+  keyPrefixEquals: '',
+  httpErrorCodeReturnedEquals: '',
+  protocol: '',
+  hostName: '',
+  httpRedirectCode: '',
+  replaceType: 'prefix',
+  replaceWith: ''
+});
+
+const fromRoutingRule = ({ condition, redirect }) => ({
+  keyPrefixEquals: condition?.keyPrefixEquals || '',
+  httpErrorCodeReturnedEquals: condition?.httpErrorCodeReturnedEquals || '',
+  protocol: redirect.protocol || '',
+  hostName: redirect.hostName || '',
+  httpRedirectCode: redirect.httpRedirectCode || '',
+  replaceType: redirect.replaceKeyWith ? 'key' : redirect.replaceKeyPrefixWith !== null ? 'prefix' : 'none',
+  replaceWith: redirect.replaceKeyWith || redirect.replaceKeyPrefixWith || ''
+});
+
+export const toWebsiteForm = (website) => ({
+  mode: !website ? 'off' : website.redirectAllRequestsTo ? 'redirect' : 'host',
+  indexDocument: website?.indexDocument || 'index.html',
+  errorDocument: website?.errorDocument || '',
+  routingRules: (website?.routingRules || []).map(fromRoutingRule),
+  redirectHostName: website?.redirectAllRequestsTo?.hostName || '',
+  redirectProtocol: website?.redirectAllRequestsTo?.protocol || ''
+});
+
+const toRoutingRule = (rule) => {
+  const keyPrefixEquals = rule.keyPrefixEquals.trim();
+  const httpErrorCodeReturnedEquals = rule.httpErrorCodeReturnedEquals.trim();
+  const hasCondition = keyPrefixEquals || httpErrorCodeReturnedEquals;
+
+  return {
+    condition: hasCondition ? {
+      ...(keyPrefixEquals && { keyPrefixEquals }),
+      ...(httpErrorCodeReturnedEquals && { httpErrorCodeReturnedEquals })
+    } : null,
+    redirect: {
+      ...(rule.protocol && { protocol: rule.protocol }),
+      ...(rule.hostName.trim() && { hostName: rule.hostName.trim() }),
+      ...(rule.httpRedirectCode.trim() && { httpRedirectCode: rule.httpRedirectCode.trim() }),
+      ...(rule.replaceType === 'prefix' && { replaceKeyPrefixWith: rule.replaceWith.trim() }),
+      ...(rule.replaceType === 'key' && rule.replaceWith.trim() && { replaceKeyWith: rule.replaceWith.trim() })
+    }
+  };
+};
+
+// Request body for the form; null turns hosting off
+export const buildWebsiteRequest = (form) => {
+  if (form.mode === 'off') return null;
+
+  if (form.mode === 'redirect') {
+    return {
+      redirectAllRequestsTo: {
+        hostName: form.redirectHostName.trim(),
+        ...(form.redirectProtocol && { protocol: form.redirectProtocol })
+      }
+    };
+  }
+
+  return {
+    indexDocument: form.indexDocument.trim(),
+    ...(form.errorDocument.trim() && { errorDocument: form.errorDocument.trim() }),
+    routingRules: form.routingRules.map(toRoutingRule)
+  };
+};
+
+const HOST_NAME_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i;
+
+const validateRoutingRule = (rule) => {
+  const errors = [];
+  if (rule.httpErrorCodeReturnedEquals.trim() && !/^[45]\d\d$/.test(rule.httpErrorCodeReturnedEquals.trim())) {
+    errors.push('Error code must be a 4xx or 5xx status');
+  }
+  if (rule.hostName.trim() && !HOST_NAME_PATTERN.test(rule.hostName.trim())) {
+    errors.push('Enter a host name without a protocol or path');
+  }
+  if (rule.httpRedirectCode.trim() && !/^3\d\d$/.test(rule.httpRedirectCode.trim())) {
+    errors.push('Redirect code must be a 3xx status');
+  }
+  if (rule.replaceType === 'key' && !rule.replaceWith.trim()) {
+    errors.push('Enter the key to redirect to');
+  }
+  const redirect = toRoutingRule(rule).redirect;
+  if (Object.keys(redirect).length === 0) {
+    errors.push('Set at least one redirect field');
+  }
+  return errors;
+};
+
+// { form: [...], rules: [[...], ...] } of messages; empty arrays when the form can be saved
+export const validateWebsiteForm = (form) => {
+  const errors = { form: [], rules: form.routingRules.map(() => []) };
+
+  if (form.mode === 'redirect' && !HOST_NAME_PATTERN.test(form.redirectHostName.trim())) {
+    errors.form.push('Enter the host name to redirect to, without a protocol or path');
+  }
+  if (form.mode === 'host') {
+    if (!form.indexDocument.trim() || form.indexDocument.includes('/')) {
+      errors.form.push('Index document must be a file name without "/"');
+    }
+    errors.rules = form.routingRules.map(validateRoutingRule);
+  }
+  return errors;
+};
+
+export const hasWebsiteErrors = (errors) => errors.form.length > 0 || errors.rules.some(ruleErrors => ruleErrors.length > 0);
+
+// Valid values for an object's website redirect
+export const isValidRedirectLocation = (value) => /^(\/|https?:\/\/)/.test(value.trim());
@@ -29,6 +29,8 @@ export const config = {
   s3Client,
   s3ControlClient,
   region: process.env.AWS_REGION || 'us-east-1',
+  // S3 Control (access point) requests are made on behalf of this account
+  accountId: process.env.AWS_ACCOUNT_ID || null,
   maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 100 * 1024 * 1024, // 100MB default
   allowedFileTypes: process.env.ALLOWED_FILE_TYPES?.split(',') || [
     'image/*',
@@ -39,13 +41,18 @@ export const config = {
     'application/zip'
   ],
   presignedUrlExpiry: 3600, // 1 hour
+  // Streaming multipart uploads: S3 requires every part except the last to be at least 5MB
+  uploadPartSize: Math.max(parseInt(process.env.UPLOAD_PART_SIZE) || 8 * 1024 * 1024, 5 * 1024 * 1024), // 8MB default
+  uploadQueueSize: parseInt(process.env.UPLOAD_QUEUE_SIZE) || 4, // parts uploaded in parallel per file
+  // Server-side copies: CopyObject handles objects up to 5GB, larger ones are copied in parts (uploadQueueSize at a time)
+  copyPartSize: Math.max(parseInt(process.env.COPY_PART_SIZE) || 512 * 1024 * 1024, 5 * 1024 * 1024), // 512MB default
 };
 
 // Utility function to generate presigned URLs
-export const generatePresignedUrl = async (bucket, key, operation = 'getObject') => {
+export const generatePresignedUrl = async (bucket, key, operation = 'getObject', { versionId } = {}) => {
   try {
     const command = operation === 'getObject' 
-      ? new GetObjectCommand({ Bucket: bucket, Key: key })
+      ? new GetObjectCommand({ Bucket: bucket, Key: key, ...(versionId && { VersionId: versionId }) })
       : new PutObjectCommand({ Bucket: bucket, Key: key });
     
     return await getSignedUrl(s3Client, command, { 
@@ -8,6 +8,13 @@ import dotenv from 'dotenv';
 // Import routes
 import bucketRoutes from './routes/buckets.js';
 import fileRoutes from './routes/files.js';
+import uploadRoutes from './routes/uploads.js';
+import versionRoutes from './routes/versions.js';
+import bucketSettingsRoutes from './routes/bucketSettings.js';
+import securityRoutes from './routes/security.js';
+import accessPointRoutes from './routes/accessPoints.js';
+import folderRoutes from './routes/folders.js';
+import jobRoutes from './routes/jobs.js';
 
 // Import configuration
 import { validateAWSCredentials } from './config/aws.js';
@@ -93,7 +100,14 @@ async function registerRoutes() {
 
   // API routes
   await fastify.register(bucketRoutes, { prefix: '/api' });
+  await fastify.register(bucketSettingsRoutes, { prefix: '/api' });
+  await fastify.register(securityRoutes, { prefix: '/api' });
+  await fastify.register(accessPointRoutes, { prefix: '/api' });
   await fastify.register(fileRoutes, { prefix: '/api' });
+  await fastify.register(uploadRoutes, { prefix: '/api' });
+  await fastify.register(versionRoutes, { prefix: '/api' });
+  await fastify.register(folderRoutes, { prefix: '/api' });
+  await fastify.register(jobRoutes, { prefix: '/api' });
 }
 
 // Error handler
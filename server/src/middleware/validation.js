@@ -13,7 +13,15 @@ export const bucketNameSchema = Joi.string()
 
 export const createBucketSchema = Joi.object({
   name: bucketNameSchema.required(),
-  region: Joi.string().optional().default('us-east-1')
+  region: Joi.string().optional().default('us-east-1'),
+  // Object Lock can be turned on at creation; it also enables versioning for good
+  objectLockEnabled: Joi.boolean().default(false)
+});
+
+// Emptying a bucket is irreversible, so the caller repeats the bucket name to confirm it
+export const emptyBucketSchema = Joi.object({
+  confirmName: Joi.string().required(),
+  deleteBucket: Joi.boolean().default(false)
 });
 
 export const fileKeySchema = Joi.string()
@@ -28,7 +36,415 @@ export const fileKeySchema = Joi.string()
 
 export const listFilesSchema = Joi.object({
   prefix: Joi.string().optional().default(''),
-  maxKeys: Joi.number().integer().min(1).max(1000).optional().default(1000)
+  maxKeys: Joi.number().integer().min(1).max(1000).optional().default(1000),
+  continuationToken: Joi.string().max(1024).optional(),
+  delimiter: Joi.string().min(1).max(1).optional()
+});
+
+// Tag schemas. S3 allows 10 tags per object and 50 per bucket; the "aws:" prefix is reserved.
+const tagSchema = Joi.object({
+  key: Joi.string().min(1).max(128).pattern(/^(?!aws:)/i).pattern(/^[\p{L}\p{Z}\p{N}_.:/=+\-@]*$/u).required(),
+  value: Joi.string().allow('').max(256).pattern(/^[\p{L}\p{Z}\p{N}_.:/=+\-@]*$/u).required()
+}).messages({
+  'string.pattern.base': 'Tags can only contain letters, numbers, spaces and + - = . _ : / @, and keys cannot start with "aws:"'
+});
+
+export const objectTagsSchema = Joi.array().items(tagSchema).max(10).unique('key');
+
+export const bucketTagsSchema = Joi.object({
+  tags: Joi.array().items(tagSchema).max(50).unique('key').required()
+});
+
+export const fileTagsSchema = Joi.object({
+  tags: objectTagsSchema.required()
+});
+
+// Server-side copy and move. Metadata, content type and tags are copied from the
+// source unless given; the destination bucket defaults to the source bucket.
+// Names are checked in custom() because keys failing a pattern() would just be stripped
+const userMetadataSchema = Joi.object()
+  .pattern(Joi.string(), Joi.string().allow('').max(2048))
+  .custom((metadata, helpers) => (
+    Object.keys(metadata).every(name => /^[A-Za-z0-9_.-]{1,128}$/.test(name)) ? metadata : helpers.error('any.invalid')
+  ))
+  .messages({
+    'any.invalid': 'Metadata names can only contain letters, numbers, hyphens, underscores and dots'
+  });
+
+export const copyFileSchema = Joi.object({
+  destinationBucket: bucketNameSchema,
+  destinationKey: fileKeySchema.required(),
+  metadata: userMetadataSchema,
+  contentType: Joi.string().max(255),
+  tags: objectTagsSchema,
+  overwrite: Joi.boolean().default(false)
+});
+
+export const renameFileSchema = Joi.object({
+  newKey: fileKeySchema.required(),
+  overwrite: Joi.boolean().default(false)
+});
+
+// Batch delete; the service sends these to S3 in DeleteObjects requests of 1000 keys
+export const deleteBatchSchema = Joi.object({
+  keys: Joi.array().items(fileKeySchema).min(1).max(10000).unique().required()
+});
+
+const objectStorageClassSchema = Joi.string().valid(
+  'STANDARD', 'STANDARD_IA', 'INTELLIGENT_TIERING', 'ONEZONE_IA', 'GLACIER_IR', 'GLACIER', 'DEEP_ARCHIVE'
+);
+
+export const storageClassChangeSchema = Joi.object({
+  keys: Joi.array().items(fileKeySchema).min(1).max(1000).unique().required(),
+  storageClass: objectStorageClassSchema.required()
+});
+
+// Restoring archived objects: a retrieval tier and how many days the copy stays readable
+const restoreOptions = {
+  tier: Joi.string().valid('Expedited', 'Standard', 'Bulk').default('Standard'),
+  days: Joi.number().integer().min(1).max(365).default(7)
+};
+
+export const restoreFileSchema = Joi.object(restoreOptions);
+
+// Object Lock retention of a single object. A null mode removes governance retention
+// (with bypassGovernance); compliance retention can only be extended.
+const objectLockModeSchema = Joi.string().valid('GOVERNANCE', 'COMPLIANCE');
+
+export const objectRetentionSchema = Joi.object({
+  mode: objectLockModeSchema.allow(null).required(),
+  retainUntil: Joi.when('mode', {
+    is: Joi.valid(null),
+    then: Joi.forbidden(),
+    otherwise: Joi.date().iso().greater('now').required()
+      .messages({ 'date.greater': 'Retain until date must be in the future' })
+  }),
+  bypassGovernance: Joi.boolean().default(false)
+});
+
+export const legalHoldSchema = Joi.object({
+  enabled: Joi.boolean().required()
+});
+
+// Where the website endpoint redirects requests for an object: a path in the bucket or a
+// full URL. null removes the redirect.
+export const websiteRedirectSchema = Joi.object({
+  location: Joi.string().max(2048).pattern(/^(\/|https?:\/\/)/)
+    .messages({ 'string.pattern.base': 'Redirect location must start with "/", "http://" or "https://"' })
+    .allow(null).required()
+});
+
+// Folder operations. A folder is named by its prefix, which ends in "/".
+const folderPrefixSchema = fileKeySchema
+  .pattern(/\/$/, { name: 'folder' })
+  .messages({ 'string.pattern.name': 'Folder prefix must end with /' });
+
+export const folderSchema = Joi.object({
+  prefix: folderPrefixSchema.required()
+});
+
+export const restoreFolderSchema = Joi.object({
+  prefix: folderPrefixSchema.required(),
+  ...restoreOptions
+});
+
+export const renameFolderSchema = Joi.object({
+  prefix: folderPrefixSchema.required(),
+  newPrefix: folderPrefixSchema.required()
+});
+
+// Server-side encryption: SSE-S3 (AES256) or SSE-KMS with an optional key (ARN, alias or ID)
+export const encryptionSchema = Joi.object({
+  algorithm: Joi.string().valid('AES256', 'aws:kms').required(),
+  kmsKeyId: Joi.when('algorithm', {
+    is: 'aws:kms',
+    then: Joi.string().allow('', null).max(2048)
+      .pattern(/^(arn:aws[a-z-]*:kms:[a-z0-9-]+:\d{12}:(key|alias)\/.+|alias\/.+|[a-f0-9-]{36}|mrk-[a-f0-9]{32})$/)
+      .messages({ 'string.pattern.base': 'KMS key must be a key ARN, alias ARN, alias/name or key ID' }),
+    otherwise: Joi.forbidden()
+  }),
+  bucketKeyEnabled: Joi.boolean().default(false)
+});
+
+// Direct (presigned) multipart upload schemas
+// S3 allows at most 10,000 parts per upload
+const partNumberSchema = Joi.number().integer().min(1).max(10000);
+
+export const createUploadSchema = Joi.object({
+  key: fileKeySchema.required(),
+  contentType: Joi.string().optional().default('application/octet-stream'),
+  size: Joi.number().integer().min(0).required(),
+  tags: objectTagsSchema.default([]),
+  encryption: encryptionSchema.optional()
+});
+
+export const uploadPartUrlsSchema = Joi.object({
+  key: fileKeySchema.required(),
+  partNumbers: Joi.array().items(partNumberSchema).min(1).max(100).unique().required()
+});
+
+export const completeUploadSchema = Joi.object({
+  key: fileKeySchema.required(),
+  parts: Joi.array().items(Joi.object({
+    partNumber: partNumberSchema.required(),
+    etag: Joi.string().required()
+  })).min(1).max(10000).unique('partNumber').required()
+});
+
+export const uploadKeyQuerySchema = Joi.object({
+  key: fileKeySchema.required()
+});
+
+// The upload routes other than create also carry the upload ID in the path
+export const uploadParamsSchema = Joi.object({
+  bucket: bucketNameSchema.required(),
+  uploadId: Joi.string().max(1024)
+});
+
+// Bucket configuration schemas
+export const bucketParamsSchema = Joi.object({
+  name: bucketNameSchema.required()
+});
+
+export const bucketVersioningSchema = Joi.object({
+  status: Joi.string().valid('Enabled', 'Suspended').required()
+});
+
+// Default retention for new objects in an Object Lock bucket, in days or years; null removes it
+export const bucketObjectLockSchema = Joi.object({
+  defaultRetention: Joi.object({
+    mode: objectLockModeSchema.required(),
+    days: Joi.number().integer().min(1).max(36500),
+    years: Joi.number().integer().min(1).max(100)
+  }).xor('days', 'years').allow(null).required()
+});
+
+// Block Public Access settings; all four are sent so nothing is changed by omission
+export const publicAccessBlockSchema = Joi.object({
+  blockPublicAcls: Joi.boolean().required(),
+  ignorePublicAcls: Joi.boolean().required(),
+  blockPublicPolicy: Joi.boolean().required(),
+  restrictPublicBuckets: Joi.boolean().required()
+});
+
+export const objectOwnershipSchema = Joi.object({
+  objectOwnership: Joi.string().valid('BucketOwnerEnforced', 'BucketOwnerPreferred', 'ObjectWriter').required()
+});
+
+// Lifecycle rules are checked for shape here; S3 enforces the finer rules
+// (minimum days per storage class, transition order...) and its 400 is passed back
+const lifecycleStorageClassSchema = Joi.string().valid(
+  'STANDARD_IA', 'INTELLIGENT_TIERING', 'ONEZONE_IA', 'GLACIER_IR', 'GLACIER', 'DEEP_ARCHIVE'
+);
+const lifecycleDaysSchema = Joi.number().integer().min(0);
+const noncurrentDaysSchema = Joi.number().integer().min(1);
+const newerNoncurrentVersionsSchema = Joi.number().integer().min(1).max(100);
+
+const lifecycleRuleSchema = Joi.object({
+  id: Joi.string().trim().min(1).max(255).required(),
+  status: Joi.string().valid('Enabled', 'Disabled').required(),
+  filter: Joi.object({
+    prefix: Joi.string().allow('').max(1024).default(''),
+    tags: Joi.array().items(Joi.object({
+      key: Joi.string().min(1).max(128).required(),
+      value: Joi.string().allow('').max(256).required()
+    })).unique('key').default([]),
+    objectSizeGreaterThan: Joi.number().integer().min(0),
+    objectSizeLessThan: Joi.number().integer().min(1)
+  }).default({}),
+  transitions: Joi.array().items(Joi.object({
+    days: lifecycleDaysSchema,
+    date: Joi.date().iso(),
+    storageClass: lifecycleStorageClassSchema.required()
+  }).xor('days', 'date')).default([]),
+  expiration: Joi.object({
+    days: lifecycleDaysSchema.min(1),
+    date: Joi.date().iso(),
+    expiredObjectDeleteMarker: Joi.boolean()
+  }).oxor('days', 'date', 'expiredObjectDeleteMarker').allow(null),
+  noncurrentVersionTransitions: Joi.array().items(Joi.object({
+    noncurrentDays: noncurrentDaysSchema.required(),
+    newerNoncurrentVersions: newerNoncurrentVersionsSchema,
+    storageClass: lifecycleStorageClassSchema.required()
+  })).default([]),
+  noncurrentVersionExpiration: Joi.object({
+    noncurrentDays: noncurrentDaysSchema.required(),
+    newerNoncurrentVersions: newerNoncurrentVersionsSchema
+  }).allow(null),
+  abortIncompleteMultipartUpload: Joi.object({
+    daysAfterInitiation: Joi.number().integer().min(1).required()
+  }).allow(null)
+});
+
+export const bucketLifecycleSchema = Joi.object({
+  rules: Joi.array().items(lifecycleRuleSchema).max(1000).unique('id').required()
+});
+
+const corsRuleSchema = Joi.object({
+  id: Joi.string().allow('').max(255),
+  allowedOrigins: Joi.array().items(Joi.string().min(1)).min(1).required(),
+  allowedMethods: Joi.array().items(
+    Joi.string().valid('GET', 'PUT', 'POST', 'DELETE', 'HEAD')
+  ).min(1).unique().required(),
+  allowedHeaders: Joi.array().items(Joi.string().min(1)).default([]),
+  exposeHeaders: Joi.array().items(Joi.string().min(1)).default([]),
+  maxAgeSeconds: Joi.number().integer().min(0)
+});
+
+export const bucketCorsSchema = Joi.object({
+  rules: Joi.array().items(corsRuleSchema).max(100).required()
+});
+
+// Static website hosting: either serve the bucket (index document, optional error document
+// and routing rules) or redirect every request to another host. null turns hosting off.
+const redirectProtocolSchema = Joi.string().valid('http', 'https');
+
+const routingRuleSchema = Joi.object({
+  condition: Joi.object({
+    keyPrefixEquals: Joi.string().max(1024),
+    httpErrorCodeReturnedEquals: Joi.string().pattern(/^[45]\d\d$/)
+      .messages({ 'string.pattern.base': 'Error code must be a 4xx or 5xx status' })
+  }).or('keyPrefixEquals', 'httpErrorCodeReturnedEquals').allow(null).default(null),
+  redirect: Joi.object({
+    protocol: redirectProtocolSchema,
+    hostName: Joi.string().hostname(),
+    httpRedirectCode: Joi.string().pattern(/^3\d\d$/)
+      .messages({ 'string.pattern.base': 'Redirect code must be a 3xx status' }),
+    replaceKeyPrefixWith: Joi.string().allow('').max(1024),
+    replaceKeyWith: Joi.string().max(1024)
+  }).oxor('replaceKeyPrefixWith', 'replaceKeyWith').min(1).required()
+});
+
+export const bucketWebsiteSchema = Joi.object({
+  website: Joi.object({
+    indexDocument: Joi.string().max(1024).pattern(/^[^/]+$/)
+      .messages({ 'string.pattern.base': 'Index document must be a file name without "/"' }),
+    errorDocument: fileKeySchema,
+    routingRules: Joi.array().items(routingRuleSchema).max(50),
+    redirectAllRequestsTo: Joi.object({
+      hostName: Joi.string().hostname().required(),
+      protocol: redirectProtocolSchema
+    })
+  }).xor('indexDocument', 'redirectAllRequestsTo')
+    .without('redirectAllRequestsTo', ['errorDocument', 'routingRules'])
+    .allow(null).required()
+});
+
+// Only the top-level structure is checked; S3 validates principals, actions and
+// conditions itself and reports MalformedPolicy, which is passed back as a 400
+const policyStatementSchema = Joi.object({
+  Effect: Joi.string().valid('Allow', 'Deny').required()
+}).unknown(true)
+  .xor('Principal', 'NotPrincipal')
+  .xor('Action', 'NotAction')
+  .xor('Resource', 'NotResource');
+
+export const bucketPolicySchema = Joi.object({
+  policy: Joi.object({
+    Version: Joi.string().valid('2012-10-17', '2008-10-17').required(),
+    Statement: Joi.alternatives().try(
+      Joi.array().items(policyStatementSchema).min(1),
+      policyStatementSchema
+    ).required()
+  }).unknown(true).required()
+});
+
+// Event notification schemas
+// Event types S3 can publish to SNS, SQS and Lambda
+const notificationEventSchema = Joi.string().valid(
+  's3:ObjectCreated:*', 's3:ObjectCreated:Put', 's3:ObjectCreated:Post', 's3:ObjectCreated:Copy',
+  's3:ObjectCreated:CompleteMultipartUpload',
+  's3:ObjectRemoved:*', 's3:ObjectRemoved:Delete', 's3:ObjectRemoved:DeleteMarkerCreated',
+  's3:ObjectRestore:*', 's3:ObjectRestore:Post', 's3:ObjectRestore:Completed', 's3:ObjectRestore:Delete',
+  's3:ReducedRedundancyLostObject',
+  's3:Replication:*', 's3:Replication:OperationFailedReplication', 's3:Replication:OperationMissedThreshold',
+  's3:Replication:OperationReplicatedAfterThreshold', 's3:Replication:OperationNotTracked',
+  's3:LifecycleExpiration:*', 's3:LifecycleExpiration:Delete', 's3:LifecycleExpiration:DeleteMarkerCreated',
+  's3:LifecycleTransition',
+  's3:IntelligentTiering',
+  's3:ObjectTagging:*', 's3:ObjectTagging:Put', 's3:ObjectTagging:Delete',
+  's3:ObjectAcl:Put'
+);
+
+const NOTIFICATION_ARN_PATTERNS = {
+  topic: /^arn:aws[a-z-]*:sns:[a-z0-9-]+:\d{12}:[A-Za-z0-9_-]{1,256}$/,
+  queue: /^arn:aws[a-z-]*:sqs:[a-z0-9-]+:\d{12}:[A-Za-z0-9_-]{1,80}$/,
+  lambda: /^arn:aws[a-z-]*:lambda:[a-z0-9-]+:\d{12}:function:[A-Za-z0-9_-]{1,64}(:[A-Za-z0-9_$-]{1,128})?$/
+};
+
+const notificationSchema = Joi.object({
+  id: Joi.string().allow('').max(255).default(''),
+  type: Joi.string().valid('topic', 'queue', 'lambda').required(),
+  arn: Joi.alternatives().conditional('type', {
+    switch: Object.entries(NOTIFICATION_ARN_PATTERNS).map(([type, pattern]) => ({
+      is: type,
+      then: Joi.string().pattern(pattern)
+    }))
+  }).required().messages({
+    'string.pattern.base': 'ARN does not match the destination type (standard SNS topics and SQS queues only; FIFO is not supported)'
+  }),
+  events: Joi.array().items(notificationEventSchema).min(1).unique().required(),
+  prefix: Joi.string().allow('').max(1024).default(''),
+  suffix: Joi.string().allow('').max(1024).default('')
+});
+
+// `expected` is the configuration list as last loaded; saving fails with 409 if it changed since
+export const bucketNotificationsSchema = Joi.object({
+  configurations: Joi.array().items(notificationSchema).max(100)
+    .unique((a, b) => a.id !== '' && a.id === b.id).required()
+    .messages({ 'array.unique': 'Notification IDs must be unique' }),
+  // Only compared with the current configuration, which may hold values this editor doesn't offer
+  expected: Joi.array().items(Joi.object({
+    id: Joi.string().allow('').required(),
+    type: Joi.string().required(),
+    arn: Joi.string().required(),
+    events: Joi.array().items(Joi.string()).required(),
+    prefix: Joi.string().allow('').required(),
+    suffix: Joi.string().allow('').required()
+  })).required()
+});
+
+// Access point schemas
+// Access point names share the bucket naming rules but can't contain dots, and S3 reserves the
+// -s3alias suffix for access point aliases
+const accessPointNameSchema = Joi.string()
+  .min(3)
+  .max(50)
+  .pattern(/^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/)
+  .pattern(/-s3alias$/, { invert: true, name: 'alias suffix' })
+  .messages({
+    'string.pattern.base': 'Access point name can only contain lowercase letters, numbers, and hyphens, and must start and end with a letter or number',
+    'string.pattern.invert.name': 'Access point name cannot end with -s3alias',
+    'string.min': 'Access point name must be at least 3 characters long',
+    'string.max': 'Access point name must be at most 50 characters long'
+  });
+
+export const accessPointParamsSchema = Joi.object({
+  name: accessPointNameSchema.required()
+});
+
+// Without a VPC ID the access point accepts requests from the internet
+export const createAccessPointSchema = Joi.object({
+  name: accessPointNameSchema.required(),
+  vpcId: Joi.string().pattern(/^vpc-[a-f0-9]{8,17}$/).allow(null).default(null)
+    .messages({ 'string.pattern.base': 'VPC ID must look like vpc-0123456789abcdef0' }),
+  publicAccessBlock: publicAccessBlockSchema.required()
+});
+
+// Object version schemas
+export const versionIdSchema = Joi.string().min(1).max(1024);
+
+export const versionParamsSchema = Joi.object({
+  bucket: bucketNameSchema.required()
+});
+
+export const fileKeyRequestSchema = Joi.object({
+  key: fileKeySchema.required()
+});
+
+export const fileVersionSchema = Joi.object({
+  key: fileKeySchema.required(),
+  versionId: versionIdSchema.required()
 });
 
 // Validation middleware factory
@@ -62,21 +478,24 @@ export const validateRequest = (schema, property = 'body') => {
 };
 
 // File upload validation
+// Resolves the first file part of a multipart request without buffering it. Form fields
+// (such as `key`) are only available on the file if they are sent before the file part.
+// The size limit itself is enforced while streaming by the multipart plugin's fileSize limit.
 export const validateFileUpload = (maxSize = 100 * 1024 * 1024) => {
   return async (request, reply) => {
-    const file = request.file;
-    
-    if (!file) {
+    if (!request.isMultipart()) {
       return reply.status(400).send({
         success: false,
-        message: 'No file provided'
+        message: 'Request must be multipart/form-data'
       });
     }
     
-    if (file.file.bytesRead > maxSize) {
+    const file = await request.file({ limits: { fileSize: maxSize } });
+    
+    if (!file) {
       return reply.status(400).send({
         success: false,
-        message: `File size exceeds maximum allowed size of ${maxSize} bytes`
+        message: 'No file provided'
       });
     }
     
@@ -0,0 +1,150 @@
+import {
+  bucketParamsSchema,
+  accessPointParamsSchema,
+  createAccessPointSchema,
+  bucketPolicySchema,
+  validateRequest
+} from '../middleware/validation.js';
+import s3Service from '../services/s3Service.js';
+
+// S3 access points: named endpoints with their own network origin, Block Public Access
+// settings and policy. Needs AWS_ACCOUNT_ID.
+export default async function accessPointRoutes(fastify, options) {
+  const validateAccessPoint = validateRequest(accessPointParamsSchema, 'params');
+
+  // List the access points of a bucket
+  fastify.get('/buckets/:name/access-points', {
+    preHandler: validateRequest(bucketParamsSchema, 'params')
+  }, async (request, reply) => {
+    try {
+      const accessPoints = await s3Service.getBucketAccessPoints(request.params.name);
+
+      return reply.send({
+        success: true,
+        accessPoints
+      });
+    } catch (error) {
+      return handleAccessPointError(fastify, reply, error);
+    }
+  });
+
+  // Create an access point for a bucket
+  fastify.post('/buckets/:name/access-points', {
+    preHandler: [validateRequest(bucketParamsSchema, 'params'), validateRequest(createAccessPointSchema)]
+  }, async (request, reply) => {
+    try {
+      const accessPoint = await s3Service.createAccessPoint(request.params.name, request.body);
+
+      return reply.status(201).send({
+        success: true,
+        message: `Access point ${accessPoint.name} created`,
+        accessPoint
+      });
+    } catch (error) {
+      return handleAccessPointError(fastify, reply, error);
+    }
+  });
+
+  // Get an access point's settings and policy
+  fastify.get('/access-points/:name', {
+    preHandler: validateAccessPoint
+  }, async (request, reply) => {
+    try {
+      const accessPoint = await s3Service.getAccessPoint(request.params.name);
+
+      return reply.send({
+        success: true,
+        accessPoint
+      });
+    } catch (error) {
+      return handleAccessPointError(fastify, reply, error);
+    }
+  });
+
+  // Delete an access point (the bucket and its objects are untouched)
+  fastify.delete('/access-points/:name', {
+    preHandler: validateAccessPoint
+  }, async (request, reply) => {
+    try {
+      await s3Service.deleteAccessPoint(request.params.name);
+
+      return reply.send({
+        success: true,
+        message: `Access point ${request.params.name} deleted`
+      });
+    } catch (error) {
+      return handleAccessPointError(fastify, reply, error);
+    }
+  });
+
+  // Replace an access point's policy
+  fastify.put('/access-points/:name/policy', {
+    preHandler: [validateAccessPoint, validateRequest(bucketPolicySchema)]
+  }, async (request, reply) => {
+    try {
+      const policy = await s3Service.setAccessPointPolicy(request.params.name, request.body.policy);
+
+      return reply.send({
+        success: true,
+        message: 'Access point policy saved',
+        policy
+      });
+    } catch (error) {
+      return handleAccessPointError(fastify, reply, error);
+    }
+  });
+
+  // Delete an access point's policy
+  fastify.delete('/access-points/:name/policy', {
+    preHandler: validateAccessPoint
+  }, async (request, reply) => {
+    try {
+      await s3Service.deleteAccessPointPolicy(request.params.name);
+
+      return reply.send({
+        success: true,
+        message: 'Access point policy deleted'
+      });
+    } catch (error) {
+      return handleAccessPointError(fastify, reply, error);
+    }
+  });
+}
+
+function handleAccessPointError(fastify, reply, error) {
+  fastify.log.error(error);
+
+  if (error.code === 'ACCOUNT_ID_REQUIRED' || error.code === 'INVALID_CONFIGURATION') {
+    return reply.status(400).send({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.code === 'DESTINATION_EXISTS') {
+    return reply.status(409).send({
+      success: false,
+      code: error.code,
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('not found') || error.message.includes('does not exist')) {
+    return reply.status(404).send({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('Access Denied')) {
+    return reply.status(403).send({
+      success: false,
+      message: error.message
+    });
+  }
+
+  return reply.status(500).send({
+    success: false,
+    message: error.message
+  });
+}
@@ -0,0 +1,470 @@
+import {
+  bucketParamsSchema,
+  bucketVersioningSchema,
+  bucketLifecycleSchema,
+  bucketPolicySchema,
+  bucketCorsSchema,
+  bucketTagsSchema,
+  encryptionSchema,
+  bucketObjectLockSchema,
+  publicAccessBlockSchema,
+  objectOwnershipSchema,
+  bucketWebsiteSchema,
+  bucketNotificationsSchema,
+  validateRequest
+} from '../middleware/validation.js';
+import s3Service from '../services/s3Service.js';
+
+// Bucket-level configuration (versioning, lifecycle, policy, CORS, tags, encryption, Object Lock,
+// public access, ACLs and ownership, website hosting, event notifications...)
+export default async function bucketSettingsRoutes(fastify, options) {
+  const validateBucket = validateRequest(bucketParamsSchema, 'params');
+
+  // Get bucket versioning status
+  fastify.get('/buckets/:name/versioning', {
+    preHandler: validateBucket
+  }, async (request, reply) => {
+    try {
+      const versioning = await s3Service.getBucketVersioning(request.params.name);
+
+      return reply.send({
+        success: true,
+        versioning
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Enable or suspend bucket versioning
+  fastify.put('/buckets/:name/versioning', {
+    preHandler: [validateBucket, validateRequest(bucketVersioningSchema)]
+  }, async (request, reply) => {
+    try {
+      const versioning = await s3Service.setBucketVersioning(request.params.name, request.body.status);
+
+      return reply.send({
+        success: true,
+        message: `Versioning ${versioning.status === 'Enabled' ? 'enabled' : 'suspended'}`,
+        versioning
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Get lifecycle rules
+  fastify.get('/buckets/:name/lifecycle', {
+    preHandler: validateBucket
+  }, async (request, reply) => {
+    try {
+      const rules = await s3Service.getBucketLifecycle(request.params.name);
+
+      return reply.send({
+        success: true,
+        rules
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Replace all lifecycle rules (an empty list removes the configuration)
+  fastify.put('/buckets/:name/lifecycle', {
+    preHandler: [validateBucket, validateRequest(bucketLifecycleSchema)]
+  }, async (request, reply) => {
+    try {
+      const rules = await s3Service.setBucketLifecycle(request.params.name, request.body.rules);
+
+      return reply.send({
+        success: true,
+        message: rules.length > 0 ? 'Lifecycle rules saved' : 'Lifecycle configuration removed',
+        rules
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Get bucket policy (null when the bucket has none)
+  fastify.get('/buckets/:name/policy', {
+    preHandler: validateBucket
+  }, async (request, reply) => {
+    try {
+      const policy = await s3Service.getBucketPolicy(request.params.name);
+
+      return reply.send({
+        success: true,
+        policy
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Replace bucket policy
+  fastify.put('/buckets/:name/policy', {
+    preHandler: [validateBucket, validateRequest(bucketPolicySchema)]
+  }, async (request, reply) => {
+    try {
+      const policy = await s3Service.setBucketPolicy(request.params.name, request.body.policy);
+
+      return reply.send({
+        success: true,
+        message: 'Bucket policy saved',
+        policy
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Delete bucket policy
+  fastify.delete('/buckets/:name/policy', {
+    preHandler: validateBucket
+  }, async (request, reply) => {
+    try {
+      await s3Service.deleteBucketPolicy(request.params.name);
+
+      return reply.send({
+        success: true,
+        message: 'Bucket policy deleted'
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Get CORS rules
+  fastify.get('/buckets/:name/cors', {
+    preHandler: validateBucket
+  }, async (request, reply) => {
+    try {
+      const rules = await s3Service.getBucketCors(request.params.name);
+
+      return reply.send({
+        success: true,
+        rules
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Replace all CORS rules (an empty list removes the configuration)
+  fastify.put('/buckets/:name/cors', {
+    preHandler: [validateBucket, validateRequest(bucketCorsSchema)]
+  }, async (request, reply) => {
+    try {
+      const rules = await s3Service.setBucketCors(request.params.name, request.body.rules);
+
+      return reply.send({
+        success: true,
+        message: rules.length > 0 ? 'CORS rules saved' : 'CORS configuration removed',
+        rules
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Get bucket tags
+  fastify.get('/buckets/:name/tags', {
+    preHandler: validateBucket
+  }, async (request, reply) => {
+    try {
+      const tags = await s3Service.getBucketTags(request.params.name);
+
+      return reply.send({
+        success: true,
+        tags
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Replace bucket tags (an empty list removes them)
+  fastify.put('/buckets/:name/tags', {
+    preHandler: [validateBucket, validateRequest(bucketTagsSchema)]
+  }, async (request, reply) => {
+    try {
+      const tags = await s3Service.setBucketTags(request.params.name, request.body.tags);
+
+      return reply.send({
+        success: true,
+        message: 'Tags saved',
+        tags
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Get default bucket encryption
+  fastify.get('/buckets/:name/encryption', {
+    preHandler: validateBucket
+  }, async (request, reply) => {
+    try {
+      const encryption = await s3Service.getBucketEncryption(request.params.name);
+
+      return reply.send({
+        success: true,
+        encryption
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Set default bucket encryption (applies to objects written from now on)
+  fastify.put('/buckets/:name/encryption', {
+    preHandler: [validateBucket, validateRequest(encryptionSchema)]
+  }, async (request, reply) => {
+    try {
+      const encryption = await s3Service.setBucketEncryption(request.params.name, request.body);
+
+      return reply.send({
+        success: true,
+        message: 'Default encryption saved',
+        encryption
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Get Object Lock status and default retention
+  fastify.get('/buckets/:name/object-lock', {
+    preHandler: validateBucket
+  }, async (request, reply) => {
+    try {
+      const objectLock = await s3Service.getBucketObjectLock(request.params.name);
+
+      return reply.send({
+        success: true,
+        objectLock
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Enable Object Lock (irreversible) and set or remove the default retention
+  fastify.put('/buckets/:name/object-lock', {
+    preHandler: [validateBucket, validateRequest(bucketObjectLockSchema)]
+  }, async (request, reply) => {
+    try {
+      const objectLock = await s3Service.setBucketObjectLock(request.params.name, request.body.defaultRetention);
+
+      return reply.send({
+        success: true,
+        message: objectLock.defaultRetention ? 'Default retention saved' : 'Object Lock enabled without default retention',
+        objectLock
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Get Block Public Access settings
+  fastify.get('/buckets/:name/public-access-block', {
+    preHandler: validateBucket
+  }, async (request, reply) => {
+    try {
+      const publicAccessBlock = await s3Service.getPublicAccessBlock(request.params.name);
+
+      return reply.send({
+        success: true,
+        publicAccessBlock
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Replace Block Public Access settings
+  fastify.put('/buckets/:name/public-access-block', {
+    preHandler: [validateBucket, validateRequest(publicAccessBlockSchema)]
+  }, async (request, reply) => {
+    try {
+      const publicAccessBlock = await s3Service.setPublicAccessBlock(request.params.name, request.body);
+
+      return reply.send({
+        success: true,
+        message: 'Public access settings saved',
+        publicAccessBlock
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Get the bucket ACL (owner and grants) and object ownership setting
+  fastify.get('/buckets/:name/acl', {
+    preHandler: validateBucket
+  }, async (request, reply) => {
+    try {
+      const [acl, objectOwnership] = await Promise.all([
+        s3Service.getBucketAcl(request.params.name),
+        s3Service.getBucketObjectOwnership(request.params.name)
+      ]);
+
+      return reply.send({
+        success: true,
+        acl,
+        objectOwnership
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Change object ownership; BucketOwnerEnforced disables ACLs
+  fastify.put('/buckets/:name/ownership', {
+    preHandler: [validateBucket, validateRequest(objectOwnershipSchema)]
+  }, async (request, reply) => {
+    try {
+      const objectOwnership = await s3Service.setBucketObjectOwnership(request.params.name, request.body.objectOwnership);
+
+      return reply.send({
+        success: true,
+        message: objectOwnership === 'BucketOwnerEnforced'
+          ? 'ACLs disabled; the bucket owner now owns every object'
+          : 'Object ownership saved',
+        objectOwnership
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Get static website hosting and the website endpoint URL
+  fastify.get('/buckets/:name/website', {
+    preHandler: validateBucket
+  }, async (request, reply) => {
+    try {
+      const [website, endpoint] = await Promise.all([
+        s3Service.getBucketWebsite(request.params.name),
+        s3Service.getBucketWebsiteEndpoint(request.params.name)
+      ]);
+
+      return reply.send({
+        success: true,
+        website,
+        endpoint
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Replace static website hosting (null turns it off)
+  fastify.put('/buckets/:name/website', {
+    preHandler: [validateBucket, validateRequest(bucketWebsiteSchema)]
+  }, async (request, reply) => {
+    try {
+      const [website, endpoint] = await Promise.all([
+        s3Service.setBucketWebsite(request.params.name, request.body.website),
+        s3Service.getBucketWebsiteEndpoint(request.params.name)
+      ]);
+
+      return reply.send({
+        success: true,
+        message: website ? 'Website hosting saved' : 'Website hosting turned off',
+        website,
+        endpoint
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Get event notification destinations (SNS, SQS, Lambda) and whether EventBridge is on
+  fastify.get('/buckets/:name/notifications', {
+    preHandler: validateBucket
+  }, async (request, reply) => {
+    try {
+      const notifications = await s3Service.getBucketNotifications(request.params.name);
+
+      return reply.send({
+        success: true,
+        ...notifications
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Replace event notification destinations. Returns 409 if they changed since `expected` was loaded.
+  fastify.put('/buckets/:name/notifications', {
+    preHandler: [validateBucket, validateRequest(bucketNotificationsSchema)]
+  }, async (request, reply) => {
+    try {
+      const { configurations, expected } = request.body;
+      const notifications = await s3Service.setBucketNotifications(request.params.name, configurations, expected);
+
+      return reply.send({
+        success: true,
+        message: configurations.length > 0 ? 'Event notifications saved' : 'Event notifications removed',
+        ...notifications
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+
+  // Whether the bucket is public or could become public, and why
+  fastify.get('/buckets/:name/public-exposure', {
+    preHandler: validateBucket
+  }, async (request, reply) => {
+    try {
+      const exposure = await s3Service.getBucketPublicExposure(request.params.name);
+
+      return reply.send({
+        success: true,
+        exposure
+      });
+    } catch (error) {
+      return handleBucketSettingsError(fastify, reply, error);
+    }
+  });
+}
+
+function handleBucketSettingsError(fastify, reply, error) {
+  fastify.log.error(error);
+
+  if (error.code === 'CONFIGURATION_CHANGED') {
+    return reply.status(409).send({
+      success: false,
+      code: error.code,
+      message: error.message
+    });
+  }
+
+  if (error.code === 'INVALID_CONFIGURATION') {
+    return reply.status(400).send({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.code === 'NO_SUCH_BUCKET') {
+    return reply.status(404).send({
+      success: false,
+      message: 'Bucket not found'
+    });
+  }
+
+  if (error.message.includes('Access Denied')) {
+    return reply.status(403).send({
+      success: false,
+      message: error.message
+    });
+  }
+
+  return reply.status(500).send({
+    success: false,
+    message: error.message
+  });
+}
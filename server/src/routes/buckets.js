@@ -1,5 +1,7 @@
-import { createBucketSchema, validateRequest } from '../middleware/validation.js';
+import { createBucketSchema, emptyBucketSchema, validateRequest } from '../middleware/validation.js';
 import s3Service from '../services/s3Service.js';
+import { config } from '../config/aws.js';
+import jobService from '../services/jobService.js';
 
 export default async function bucketRoutes(fastify, options) {
   // List all buckets
@@ -24,8 +26,8 @@ export default async function bucketRoutes(fastify, options) {
     preHandler: validateRequest(createBucketSchema)
   }, async (request, reply) => {
     try {
-      const { name, region } = request.body;
-      const bucket = await s3Service.createBucket(name, region);
+      const { name, region, objectLockEnabled } = request.body;
+      const bucket = await s3Service.createBucket(name, region, { objectLockEnabled });
       
       return reply.status(201).send({
         success: true,
@@ -106,9 +108,8 @@ export default async function bucketRoutes(fastify, options) {
   fastify.delete('/buckets/:name/force', async (request, reply) => {
     try {
       const { name } = request.params;
-      const accountId = process.env.AWS_ACCOUNT_ID;
       
-      if (!accountId) {
+      if (!config.accountId) {
         return reply.status(400).send({
           success: false,
           message: 'AWS_ACCOUNT_ID environment variable is required for access point management'
@@ -124,7 +125,7 @@ export default async function bucketRoutes(fastify, options) {
         });
       }
       
-      const result = await s3Service.deleteBucketWithAccessPoints(name, accountId);
+      const result = await s3Service.deleteBucketWithAccessPoints(name);
       return reply.send({
         success: true,
         message: result.message
@@ -146,6 +147,49 @@ export default async function bucketRoutes(fastify, options) {
     }
   });
 
+  // Empty a bucket (every version, delete marker and incomplete upload), optionally deleting
+  // it afterwards. Runs as a background job; poll GET /api/jobs/:id for progress.
+  fastify.post('/buckets/:name/empty', {
+    preHandler: validateRequest(emptyBucketSchema)
+  }, async (request, reply) => {
+    try {
+      const { name } = request.params;
+      const { confirmName, deleteBucket } = request.body;
+      
+      // Validate bucket name
+      const { error } = createBucketSchema.extract('name').validate(name);
+      if (error) {
+        return reply.status(400).send({
+          success: false,
+          message: 'Invalid bucket name'
+        });
+      }
+      
+      if (confirmName !== name) {
+        return reply.status(400).send({
+          success: false,
+          message: 'Type the bucket name to confirm'
+        });
+      }
+      
+      const job = jobService.start('empty-bucket', { bucket: name, deleteBucket }, reportProgress =>
+        s3Service.emptyBucket(name, { deleteBucket }, reportProgress)
+      );
+      
+      return reply.status(202).send({
+        success: true,
+        message: 'Emptying bucket',
+        job
+      });
+    } catch (error) {
+      fastify.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        message: error.message
+      });
+    }
+  });
+
   // Get bucket details
   fastify.get('/buckets/:name', async (request, reply) => {
     try {
@@ -161,7 +205,7 @@ export default async function bucketRoutes(fastify, options) {
       }
       
       // Get bucket files to calculate stats
-      const filesResult = await s3Service.listFiles(name, '', 1);
+      const filesResult = await s3Service.listFiles(name, { maxKeys: 1 });
       const totalSize = await calculateBucketSize(name);
       
       return reply.send({
@@ -198,7 +242,7 @@ async function calculateBucketSize(bucketName) {
     let continuationToken;
     
     do {
-      const result = await s3Service.listFiles(bucketName, '', 1000);
+      const result = await s3Service.listFiles(bucketName, { continuationToken });
       totalSize += result.files.reduce((sum, file) => sum + file.size, 0);
       continuationToken = result.nextContinuationToken;
     } while (continuationToken);
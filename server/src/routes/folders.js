@@ -0,0 +1,194 @@
+import {
+  bucketNameSchema,
+  folderSchema,
+  renameFolderSchema,
+  restoreFolderSchema,
+  validateRequest
+} from '../middleware/validation.js';
+import s3Service from '../services/s3Service.js';
+import jobService from '../services/jobService.js';
+
+// Folder (prefix) routes. Prefixes are passed in the query string or body, like keys in
+// the version routes. Rename and delete touch every object under the prefix, so they run
+// as background jobs; poll GET /api/jobs/:id for progress.
+export default async function folderRoutes(fastify, options) {
+  // Create an empty folder (a zero-byte marker object)
+  fastify.post('/buckets/:bucket/folders', {
+    preHandler: validateRequest(folderSchema)
+  }, async (request, reply) => {
+    try {
+      const { bucket } = request.params;
+
+      const { error: bucketError } = bucketNameSchema.validate(bucket);
+      if (bucketError) {
+        return reply.status(400).send({
+          success: false,
+          message: 'Invalid bucket name'
+        });
+      }
+
+      const folder = await s3Service.createFolder(bucket, request.body.prefix);
+
+      return reply.status(201).send({
+        success: true,
+        message: 'Folder created',
+        folder
+      });
+    } catch (error) {
+      return handleFolderError(fastify, reply, error);
+    }
+  });
+
+  // Number and total size of the objects under a folder, previewed before rename or delete
+  fastify.get('/buckets/:bucket/folders/summary', {
+    preHandler: validateRequest(folderSchema, 'query')
+  }, async (request, reply) => {
+    try {
+      const { bucket } = request.params;
+
+      const { error: bucketError } = bucketNameSchema.validate(bucket);
+      if (bucketError) {
+        return reply.status(400).send({
+          success: false,
+          message: 'Invalid bucket name'
+        });
+      }
+
+      const summary = await s3Service.getFolderSummary(bucket, request.query.prefix);
+
+      return reply.send({
+        success: true,
+        summary
+      });
+    } catch (error) {
+      return handleFolderError(fastify, reply, error);
+    }
+  });
+
+  // Rename a folder: copy every object to the new prefix, then delete the originals
+  fastify.post('/buckets/:bucket/folders/rename', {
+    preHandler: validateRequest(renameFolderSchema)
+  }, async (request, reply) => {
+    try {
+      const { bucket } = request.params;
+      const { prefix, newPrefix } = request.body;
+
+      const { error: bucketError } = bucketNameSchema.validate(bucket);
+      if (bucketError) {
+        return reply.status(400).send({
+          success: false,
+          message: 'Invalid bucket name'
+        });
+      }
+
+      if (newPrefix.startsWith(prefix) || prefix.startsWith(newPrefix)) {
+        return reply.status(400).send({
+          success: false,
+          message: 'A folder cannot be renamed into itself or one of its parents'
+        });
+      }
+
+      if (await s3Service.folderExists(bucket, newPrefix)) {
+        return reply.status(409).send({
+          success: false,
+          message: `Folder "${newPrefix}" already exists`
+        });
+      }
+
+      const job = jobService.start('rename-folder', { bucket, prefix, newPrefix }, reportProgress =>
+        s3Service.renameFolder(bucket, prefix, newPrefix, reportProgress)
+      );
+
+      return reply.status(202).send({
+        success: true,
+        message: 'Folder rename started',
+        job
+      });
+    } catch (error) {
+      return handleFolderError(fastify, reply, error);
+    }
+  });
+
+  // Restore every archived (GLACIER or DEEP_ARCHIVE) object under a folder
+  fastify.post('/buckets/:bucket/folders/restore', {
+    preHandler: validateRequest(restoreFolderSchema)
+  }, async (request, reply) => {
+    try {
+      const { bucket } = request.params;
+      const { prefix, tier, days } = request.body;
+
+      const { error: bucketError } = bucketNameSchema.validate(bucket);
+      if (bucketError) {
+        return reply.status(400).send({
+          success: false,
+          message: 'Invalid bucket name'
+        });
+      }
+
+      const job = jobService.start('restore-folder', { bucket, prefix, tier, days }, reportProgress =>
+        s3Service.restoreFolder(bucket, prefix, { tier, days }, reportProgress)
+      );
+
+      return reply.status(202).send({
+        success: true,
+        message: 'Folder restore started',
+        job
+      });
+    } catch (error) {
+      return handleFolderError(fastify, reply, error);
+    }
+  });
+
+  // Delete a folder and every object under it
+  fastify.delete('/buckets/:bucket/folders', {
+    preHandler: validateRequest(folderSchema, 'query')
+  }, async (request, reply) => {
+    try {
+      const { bucket } = request.params;
+      const { prefix } = request.query;
+
+      const { error: bucketError } = bucketNameSchema.validate(bucket);
+      if (bucketError) {
+        return reply.status(400).send({
+          success: false,
+          message: 'Invalid bucket name'
+        });
+      }
+
+      const job = jobService.start('delete-folder', { bucket, prefix }, reportProgress =>
+        s3Service.deleteFolder(bucket, prefix, reportProgress)
+      );
+
+      return reply.status(202).send({
+        success: true,
+        message: 'Folder deletion started',
+        job
+      });
+    } catch (error) {
+      return handleFolderError(fastify, reply, error);
+    }
+  });
+}
+
+function handleFolderError(fastify, reply, error) {
+  fastify.log.error(error);
+
+  if (error.code === 'DESTINATION_EXISTS') {
+    return reply.status(409).send({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('not found') || error.message.includes('does not exist')) {
+    return reply.status(404).send({
+      success: false,
+      message: 'Bucket not found'
+    });
+  }
+
+  return reply.status(500).send({
+    success: false,
+    message: error.message
+  });
+}
@@ -0,0 +1,20 @@
+import jobService from '../services/jobService.js';
+
+// Progress of background jobs started by other routes (e.g. folder rename and delete)
+export default async function jobRoutes(fastify, options) {
+  fastify.get('/jobs/:id', async (request, reply) => {
+    const job = jobService.getJob(request.params.id);
+
+    if (!job) {
+      return reply.status(404).send({
+        success: false,
+        message: 'Job not found. Finished jobs are kept for an hour.'
+      });
+    }
+
+    return reply.send({
+      success: true,
+      job
+    });
+  });
+}
@@ -0,0 +1,44 @@
+import s3Service from '../services/s3Service.js';
+
+// Account-wide reports across all buckets
+export default async function securityRoutes(fastify, options) {
+  // Default encryption of every bucket
+  fastify.get('/security/encryption', async (request, reply) => {
+    try {
+      const buckets = await s3Service.getEncryptionReport();
+
+      return reply.send({
+        success: true,
+        generatedAt: new Date().toISOString(),
+        buckets
+      });
+    } catch (error) {
+      fastify.log.error(error);
+
+      return reply.status(500).send({
+        success: false,
+        message: error.message
+      });
+    }
+  });
+
+  // Buckets that are public or could become public, with the reasons
+  fastify.get('/security/public-exposure', async (request, reply) => {
+    try {
+      const buckets = await s3Service.getPublicExposureReport();
+
+      return reply.send({
+        success: true,
+        generatedAt: new Date().toISOString(),
+        buckets
+      });
+    } catch (error) {
+      fastify.log.error(error);
+
+      return reply.status(500).send({
+        success: false,
+        message: error.message
+      });
+    }
+  });
+}
@@ -0,0 +1,156 @@
+import {
+  uploadParamsSchema,
+  createUploadSchema,
+  uploadPartUrlsSchema,
+  completeUploadSchema,
+  uploadKeyQuerySchema,
+  validateRequest
+} from '../middleware/validation.js';
+import s3Service from '../services/s3Service.js';
+
+// Direct browser-to-S3 uploads: the server only creates, signs, completes and aborts
+// multipart uploads; part data goes straight from the browser to S3.
+export default async function uploadRoutes(fastify, options) {
+  const validateParams = validateRequest(uploadParamsSchema, 'params');
+
+  // Create multipart upload
+  fastify.post('/buckets/:bucket/uploads', {
+    preHandler: [validateParams, validateRequest(createUploadSchema)]
+  }, async (request, reply) => {
+    try {
+      const { bucket } = request.params;
+      const { key, contentType, size, tags, encryption } = request.body;
+
+      // Apply the same type and size policy as uploads through the server
+      s3Service.validateFileType(contentType);
+      s3Service.validateFileSize(size);
+
+      const upload = await s3Service.createMultipartUpload(bucket, key, contentType, {
+        uploadedAt: new Date().toISOString()
+      }, { tags, encryption });
+
+      return reply.status(201).send({
+        success: true,
+        upload
+      });
+    } catch (error) {
+      return handleUploadError(fastify, reply, error);
+    }
+  });
+
+  // Presign URLs for a batch of parts
+  fastify.post('/buckets/:bucket/uploads/:uploadId/part-urls', {
+    preHandler: [validateParams, validateRequest(uploadPartUrlsSchema)]
+  }, async (request, reply) => {
+    try {
+      const { bucket, uploadId } = request.params;
+      const { key, partNumbers } = request.body;
+
+      const urls = await s3Service.generateUploadPartUrls(bucket, key, uploadId, partNumbers);
+
+      return reply.send({
+        success: true,
+        urls
+      });
+    } catch (error) {
+      return handleUploadError(fastify, reply, error);
+    }
+  });
+
+  // List parts S3 already has, so a resumed upload can skip them
+  fastify.get('/buckets/:bucket/uploads/:uploadId/parts', {
+    preHandler: [validateParams, validateRequest(uploadKeyQuerySchema, 'query')]
+  }, async (request, reply) => {
+    try {
+      const { bucket, uploadId } = request.params;
+      const { key } = request.query;
+
+      const parts = await s3Service.listUploadedParts(bucket, key, uploadId);
+
+      return reply.send({
+        success: true,
+        parts
+      });
+    } catch (error) {
+      return handleUploadError(fastify, reply, error);
+    }
+  });
+
+  // Complete multipart upload
+  fastify.post('/buckets/:bucket/uploads/:uploadId/complete', {
+    preHandler: [validateParams, validateRequest(completeUploadSchema)]
+  }, async (request, reply) => {
+    try {
+      const { bucket, uploadId } = request.params;
+      const { key, parts } = request.body;
+
+      const file = await s3Service.completeMultipartUpload(bucket, key, uploadId, parts);
+
+      return reply.status(201).send({
+        success: true,
+        message: 'File uploaded successfully',
+        file
+      });
+    } catch (error) {
+      return handleUploadError(fastify, reply, error);
+    }
+  });
+
+  // Abort multipart upload
+  fastify.delete('/buckets/:bucket/uploads/:uploadId', {
+    preHandler: [validateParams, validateRequest(uploadKeyQuerySchema, 'query')]
+  }, async (request, reply) => {
+    try {
+      const { bucket, uploadId } = request.params;
+      const { key } = request.query;
+
+      const result = await s3Service.abortMultipartUpload(bucket, key, uploadId);
+
+      return reply.send({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      return handleUploadError(fastify, reply, error);
+    }
+  });
+}
+
+// Map S3 errors shared by all upload routes to responses
+function handleUploadError(fastify, reply, error) {
+  fastify.log.error(error);
+
+  if (error.message.includes('not allowed') || error.message.includes('exceeds maximum')) {
+    return reply.status(400).send({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('upload does not exist')) {
+    return reply.status(404).send({
+      success: false,
+      code: 'UPLOAD_NOT_FOUND',
+      message: 'Upload not found. It may have been completed or aborted.'
+    });
+  }
+
+  if (error.message.includes('not found') || error.message.includes('does not exist')) {
+    return reply.status(404).send({
+      success: false,
+      message: 'Bucket not found'
+    });
+  }
+
+  if (error.message.includes('parts could not be found')) {
+    return reply.status(400).send({
+      success: false,
+      message: error.message
+    });
+  }
+
+  return reply.status(500).send({
+    success: false,
+    message: error.message
+  });
+}
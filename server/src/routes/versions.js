@@ -0,0 +1,156 @@
+import {
+  versionParamsSchema,
+  fileKeyRequestSchema,
+  fileVersionSchema,
+  validateRequest
+} from '../middleware/validation.js';
+import s3Service from '../services/s3Service.js';
+
+// Object version routes. Keys and version IDs are passed in the query string or body
+// rather than the path, since both may contain characters that don't survive routing.
+export default async function versionRoutes(fastify, options) {
+  const validateBucket = validateRequest(versionParamsSchema, 'params');
+
+  // List versions and delete markers of a file
+  fastify.get('/buckets/:bucket/versions', {
+    preHandler: [validateBucket, validateRequest(fileKeyRequestSchema, 'query')]
+  }, async (request, reply) => {
+    try {
+      const { bucket } = request.params;
+      const { key } = request.query;
+
+      const versions = await s3Service.listFileVersions(bucket, key);
+
+      return reply.send({
+        success: true,
+        versions
+      });
+    } catch (error) {
+      return handleVersionError(fastify, reply, error);
+    }
+  });
+
+  // Object Lock retention and legal hold of one version (null when it has neither), so a
+  // permanent delete that S3 would refuse can be flagged up front
+  fastify.get('/buckets/:bucket/versions/lock', {
+    preHandler: [validateBucket, validateRequest(fileVersionSchema, 'query')]
+  }, async (request, reply) => {
+    try {
+      const { bucket } = request.params;
+      const { key, versionId } = request.query;
+
+      const lock = await s3Service.getFileLock(bucket, key, versionId);
+
+      return reply.send({
+        success: true,
+        lock
+      });
+    } catch (error) {
+      return handleVersionError(fastify, reply, error);
+    }
+  });
+
+  // Restore a version by copying it on top of the current one
+  fastify.post('/buckets/:bucket/versions/restore', {
+    preHandler: [validateBucket, validateRequest(fileVersionSchema)]
+  }, async (request, reply) => {
+    try {
+      const { bucket } = request.params;
+      const { key, versionId } = request.body;
+
+      const file = await s3Service.restoreFileVersion(bucket, key, versionId);
+
+      return reply.status(201).send({
+        success: true,
+        message: 'Version restored successfully',
+        file
+      });
+    } catch (error) {
+      return handleVersionError(fastify, reply, error);
+    }
+  });
+
+  // Remove the current delete marker so the previous version becomes current again
+  fastify.post('/buckets/:bucket/versions/undelete', {
+    preHandler: [validateBucket, validateRequest(fileKeyRequestSchema)]
+  }, async (request, reply) => {
+    try {
+      const { bucket } = request.params;
+      const { key } = request.body;
+
+      const result = await s3Service.undeleteFile(bucket, key);
+
+      return reply.send({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      if (error.message.includes('not deleted')) {
+        fastify.log.error(error);
+        return reply.status(409).send({
+          success: false,
+          message: error.message
+        });
+      }
+      return handleVersionError(fastify, reply, error);
+    }
+  });
+
+  // Permanently delete a single version (or delete marker)
+  fastify.delete('/buckets/:bucket/versions', {
+    preHandler: [validateBucket, validateRequest(fileVersionSchema, 'query')]
+  }, async (request, reply) => {
+    try {
+      const { bucket } = request.params;
+      const { key, versionId } = request.query;
+
+      const result = await s3Service.deleteFileVersion(bucket, key, versionId);
+
+      return reply.send({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      return handleVersionError(fastify, reply, error);
+    }
+  });
+}
+
+function handleVersionError(fastify, reply, error) {
+  fastify.log.error(error);
+
+  if (error.code === 'RESTORE_REQUIRED') {
+    return reply.status(409).send({
+      success: false,
+      message: error.message,
+      code: 'RESTORE_REQUIRED'
+    });
+  }
+
+  if (error.message.includes('Invalid version id') || error.message.includes('version ID')) {
+    return reply.status(400).send({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('not found') || error.message.includes('does not exist')) {
+    return reply.status(404).send({
+      success: false,
+      message: 'File or version not found'
+    });
+  }
+
+  // Includes versions protected by Object Lock retention or a legal hold
+  if (error.message.includes('Access Denied')) {
+    return reply.status(403).send({
+      success: false,
+      message: error.message
+    });
+  }
+
+  return reply.status(500).send({
+    success: false,
+    message: error.message
+  });
+}
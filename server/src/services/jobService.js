@@ -0,0 +1,53 @@
+import { randomUUID } from 'node:crypto';
+
+// Finished jobs are kept this long so clients can read the final result
+const FINISHED_JOB_TTL = 60 * 60 * 1000; // 1 hour
+
+// Operations that touch many objects (folder rename, delete and restore, emptying a bucket,
+// storage class changes) run in the background while the client polls GET /api/jobs/:id.
+// Jobs are kept in memory, so they are lost on restart.
+class JobService {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  // run(reportProgress) does the work; progress ({ total, processed, errors, ... }) and the
+  // resolved value are merged into the job
+  start(type, details, run) {
+    const job = {
+      id: randomUUID(),
+      type,
+      ...details,
+      status: 'running',
+      total: null,
+      processed: 0,
+      errors: [],
+      error: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+    this.jobs.set(job.id, job);
+    
+    run(progress => Object.assign(job, progress))
+      .then(result => {
+        Object.assign(job, result);
+        job.status = 'completed';
+      })
+      .catch(error => {
+        job.status = 'failed';
+        job.error = error.message;
+      })
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+        setTimeout(() => this.jobs.delete(job.id), FINISHED_JOB_TTL).unref();
+      });
+    
+    return job;
+  }
+
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+}
+
+export default new JobService();
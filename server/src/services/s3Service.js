@@ -4,13 +4,66 @@ import {
   DeleteBucketCommand,
   ListObjectsV2Command,
   GetObjectCommand,
-  PutObjectCommand,
   DeleteObjectCommand,
+  DeleteObjectsCommand,
+  PutObjectCommand,
+  ListObjectVersionsCommand,
+  CopyObjectCommand,
   HeadObjectCommand,
-  GetBucketLocationCommand
+  GetBucketLocationCommand,
+  GetBucketVersioningCommand,
+  PutBucketVersioningCommand,
+  GetBucketLifecycleConfigurationCommand,
+  PutBucketLifecycleConfigurationCommand,
+  DeleteBucketLifecycleCommand,
+  GetBucketPolicyCommand,
+  PutBucketPolicyCommand,
+  DeleteBucketPolicyCommand,
+  GetBucketCorsCommand,
+  PutBucketCorsCommand,
+  DeleteBucketCorsCommand,
+  GetBucketTaggingCommand,
+  PutBucketTaggingCommand,
+  DeleteBucketTaggingCommand,
+  GetBucketEncryptionCommand,
+  PutBucketEncryptionCommand,
+  GetObjectLockConfigurationCommand,
+  PutObjectLockConfigurationCommand,
+  PutObjectRetentionCommand,
+  PutObjectLegalHoldCommand,
+  GetPublicAccessBlockCommand,
+  PutPublicAccessBlockCommand,
+  GetBucketPolicyStatusCommand,
+  GetBucketAclCommand,
+  GetBucketOwnershipControlsCommand,
+  PutBucketOwnershipControlsCommand,
+  GetObjectAclCommand,
+  GetBucketWebsiteCommand,
+  PutBucketWebsiteCommand,
+  DeleteBucketWebsiteCommand,
+  GetBucketNotificationConfigurationCommand,
+  PutBucketNotificationConfigurationCommand,
+  GetObjectTaggingCommand,
+  PutObjectTaggingCommand,
+  DeleteObjectTaggingCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  UploadPartCopyCommand,
+  CompleteMultipartUploadCommand,
+  ListPartsCommand,
+  ListMultipartUploadsCommand,
+  RestoreObjectCommand,
+  AbortMultipartUploadCommand
 } from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import {
   ListAccessPointsCommand,
+  GetAccessPointCommand,
+  CreateAccessPointCommand,
+  GetAccessPointPolicyCommand,
+  PutAccessPointPolicyCommand,
+  DeleteAccessPointPolicyCommand,
   DeleteAccessPointCommand
 } from '@aws-sdk/client-s3-control';
 import { config, generatePresignedUrl } from '../config/aws.js';
@@ -68,18 +121,21 @@ class S3Service {
     }
   }
 
-  async createBucket(bucketName, region = config.region) {
+  // Object Lock can only be chosen here or enabled later on a versioned bucket; S3 turns
+  // versioning on with it
+  async createBucket(bucketName, region = config.region, { objectLockEnabled = false } = {}) {
     try {
       // Validate bucket name
       this.validateBucketName(bucketName);
       
       const command = new CreateBucketCommand({
         Bucket: bucketName,
+        ObjectLockEnabledForBucket: objectLockEnabled || undefined,
         ...(region !== 'us-east-1' && { CreateBucketConfiguration: { LocationConstraint: region } })
       });
       
       await this.s3Client.send(command);
-      return { name: bucketName, region };
+      return { name: bucketName, region, objectLockEnabled };
     } catch (error) {
       if (error.name === 'BucketAlreadyExists') {
         throw new Error('Bucket name already exists');
@@ -91,32 +147,169 @@ class S3Service {
   }
 
   // Access Point Operations
-  async listAccessPoints(bucketName, accountId) {
+  // Access points are managed through S3 Control, which needs the account ID (AWS_ACCOUNT_ID)
+  // and only sees access points in the configured region
+  requireAccountId() {
+    if (!config.accountId) {
+      const error = new Error('AWS_ACCOUNT_ID must be set to manage access points');
+      error.code = 'ACCOUNT_ID_REQUIRED';
+      throw error;
+    }
+    return config.accountId;
+  }
+
+  // Raw S3 Control entries (Name, NetworkOrigin, Alias...) across every page
+  async listAccessPoints(bucketName) {
+    try {
+      const accessPoints = [];
+      let nextToken;
+      
+      do {
+        const command = new ListAccessPointsCommand({
+          AccountId: this.requireAccountId(),
+          Bucket: bucketName,
+          NextToken: nextToken
+        });
+        
+        const response = await this.s3ControlClient.send(command);
+        accessPoints.push(...(response.AccessPointList || []));
+        nextToken = response.NextToken;
+      } while (nextToken);
+      
+      return accessPoints;
+    } catch (error) {
+      if (error.code === 'ACCOUNT_ID_REQUIRED') throw error;
+      throw new Error(`Failed to list access points for bucket ${bucketName}: ${error.message}`);
+    }
+  }
+
+  async getBucketAccessPoints(bucketName) {
+    const accessPoints = await this.listAccessPoints(bucketName);
+    return accessPoints.map(fromS3AccessPoint);
+  }
+
+  // Settings of one access point, including its Block Public Access settings (fixed at
+  // creation) and policy (null when it has none)
+  async getAccessPoint(accessPointName) {
+    try {
+      const command = new GetAccessPointCommand({
+        AccountId: this.requireAccountId(),
+        Name: accessPointName
+      });
+      
+      const [response, policy] = await Promise.all([
+        this.s3ControlClient.send(command),
+        this.getAccessPointPolicy(accessPointName)
+      ]);
+      const configuration = response.PublicAccessBlockConfiguration || {};
+      
+      return {
+        ...fromS3AccessPoint(response),
+        creationDate: response.CreationDate,
+        publicAccessBlock: {
+          blockPublicAcls: Boolean(configuration.BlockPublicAcls),
+          ignorePublicAcls: Boolean(configuration.IgnorePublicAcls),
+          blockPublicPolicy: Boolean(configuration.BlockPublicPolicy),
+          restrictPublicBuckets: Boolean(configuration.RestrictPublicBuckets)
+        },
+        policy
+      };
+    } catch (error) {
+      if (error.code === 'ACCOUNT_ID_REQUIRED') throw error;
+      throw new Error(`Failed to get access point: ${error.name === 'NoSuchAccessPoint' ? 'Access point not found' : error.message}`);
+    }
+  }
+
+  // A VPC ID restricts the access point to requests from that VPC; without one it is reachable
+  // from the internet, subject to its policy and Block Public Access settings
+  async createAccessPoint(bucketName, { name, vpcId, publicAccessBlock }) {
     try {
-      const command = new ListAccessPointsCommand({
-        AccountId: accountId,
-        Bucket: bucketName
+      const command = new CreateAccessPointCommand({
+        AccountId: this.requireAccountId(),
+        Name: name,
+        Bucket: bucketName,
+        ...(vpcId && { VpcConfiguration: { VpcId: vpcId } }),
+        PublicAccessBlockConfiguration: {
+          BlockPublicAcls: publicAccessBlock.blockPublicAcls,
+          IgnorePublicAcls: publicAccessBlock.ignorePublicAcls,
+          BlockPublicPolicy: publicAccessBlock.blockPublicPolicy,
+          RestrictPublicBuckets: publicAccessBlock.restrictPublicBuckets
+        }
       });
       
-      const response = await this.s3ControlClient.send(command);
-      return response.AccessPointList || [];
+      await this.s3ControlClient.send(command);
     } catch (error) {
-      console.warn(`Failed to list access points for bucket ${bucketName}:`, error.message);
-      return [];
+      if (error.code === 'ACCOUNT_ID_REQUIRED') throw error;
+      if (error.name === 'AccessPointAlreadyOwnedByYou') {
+        const exists = new Error(`Access point "${name}" already exists`);
+        exists.code = 'DESTINATION_EXISTS';
+        throw exists;
+      }
+      throw wrapConfigurationError('create access point', error);
     }
+    
+    return this.getAccessPoint(name);
   }
 
-  async deleteAccessPoint(accessPointName, accountId) {
+  async deleteAccessPoint(accessPointName) {
     try {
       const command = new DeleteAccessPointCommand({
-        AccountId: accountId,
+        AccountId: this.requireAccountId(),
         Name: accessPointName
       });
       
       await this.s3ControlClient.send(command);
       return { success: true, message: `Access point ${accessPointName} deleted successfully` };
     } catch (error) {
-      throw new Error(`Failed to delete access point ${accessPointName}: ${error.message}`);
+      if (error.code === 'ACCOUNT_ID_REQUIRED') throw error;
+      throw new Error(`Failed to delete access point ${accessPointName}: ${error.name === 'NoSuchAccessPoint' ? 'Access point not found' : error.message}`);
+    }
+  }
+
+  async getAccessPointPolicy(accessPointName) {
+    try {
+      const command = new GetAccessPointPolicyCommand({
+        AccountId: this.requireAccountId(),
+        Name: accessPointName
+      });
+      const response = await this.s3ControlClient.send(command);
+      return JSON.parse(response.Policy);
+    } catch (error) {
+      if (error.name === 'NoSuchAccessPointPolicy') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async setAccessPointPolicy(accessPointName, policy) {
+    try {
+      const command = new PutAccessPointPolicyCommand({
+        AccountId: this.requireAccountId(),
+        Name: accessPointName,
+        Policy: JSON.stringify(policy)
+      });
+      
+      await this.s3ControlClient.send(command);
+    } catch (error) {
+      if (error.code === 'ACCOUNT_ID_REQUIRED') throw error;
+      throw wrapConfigurationError('set access point policy', error);
+    }
+    
+    return this.getAccessPointPolicy(accessPointName);
+  }
+
+  async deleteAccessPointPolicy(accessPointName) {
+    try {
+      const command = new DeleteAccessPointPolicyCommand({
+        AccountId: this.requireAccountId(),
+        Name: accessPointName
+      });
+      await this.s3ControlClient.send(command);
+      return true;
+    } catch (error) {
+      if (error.code === 'ACCOUNT_ID_REQUIRED') throw error;
+      throw new Error(`Failed to delete access point policy: ${error.message}`);
     }
   }
 
@@ -139,14 +332,12 @@ class S3Service {
         // If deletion fails due to access points, check what access points exist
         if (error.message && error.message.includes('access points attached')) {
           try {
-            const accountId = process.env.AWS_ACCOUNT_ID;
-            
-            if (!accountId) {
+            if (!config.accountId) {
               throw new Error('Bucket has access points attached and cannot be deleted. Please set AWS_ACCOUNT_ID environment variable to enable access point management.');
             }
             
             // List access points to inform the user
-            const accessPoints = await this.listAccessPoints(bucketName, accountId);
+            const accessPoints = await this.listAccessPoints(bucketName);
             
             if (accessPoints.length > 0) {
               // Create a custom error that includes access point information
@@ -171,15 +362,15 @@ class S3Service {
     }
   }
 
-  async deleteBucketWithAccessPoints(bucketName, accountId) {
+  async deleteBucketWithAccessPoints(bucketName) {
     try {
       // List and delete access points first
-      const accessPoints = await this.listAccessPoints(bucketName, accountId);
+      const accessPoints = await this.listAccessPoints(bucketName);
       
       if (accessPoints.length > 0) {
         // Delete each access point
         for (const accessPoint of accessPoints) {
-          await this.deleteAccessPoint(accessPoint.Name, accountId);
+          await this.deleteAccessPoint(accessPoint.Name);
         }
       }
       
@@ -198,175 +389,2059 @@ class S3Service {
     }
   }
 
-  // File Operations
-  async listFiles(bucketName, prefix = '', maxKeys = 1000) {
+  // Removes every object version, delete marker and incomplete multipart upload, then
+  // optionally the bucket itself (only if nothing was left behind). Each listing page is
+  // removed as soon as it arrives, so the total is only known once the bucket is empty.
+  // onProgress receives { versions, deleteMarkers, uploads, processed, errors } after each page.
+  async emptyBucket(bucketName, { deleteBucket = false } = {}, onProgress) {
     try {
-      const command = new ListObjectsV2Command({
-        Bucket: bucketName,
-        Prefix: prefix,
-        MaxKeys: maxKeys
-      });
+      const counts = { versions: 0, deleteMarkers: 0, uploads: 0 };
+      const errors = [];
+      let processed = 0;
+      const reportProgress = () => onProgress?.({ ...counts, processed, errors });
+      reportProgress();
       
-      const response = await this.s3Client.send(command);
+      let keyMarker;
+      let uploadIdMarker;
+      do {
+        const response = await this.s3Client.send(new ListMultipartUploadsCommand({
+          Bucket: bucketName,
+          KeyMarker: keyMarker,
+          UploadIdMarker: uploadIdMarker
+        }));
+        const uploads = response.Uploads || [];
+        for (const upload of uploads) {
+          try {
+            await this.s3Client.send(new AbortMultipartUploadCommand({
+              Bucket: bucketName,
+              Key: upload.Key,
+              UploadId: upload.UploadId
+            }));
+          } catch (error) {
+            errors.push({ key: upload.Key, uploadId: upload.UploadId, code: error.name, message: error.message });
+          }
+        }
+        counts.uploads += uploads.length;
+        processed += uploads.length;
+        reportProgress();
+        keyMarker = response.IsTruncated ? response.NextKeyMarker : undefined;
+        uploadIdMarker = response.NextUploadIdMarker;
+      } while (keyMarker);
       
-      const files = (response.Contents || []).map(object => ({
-        key: object.Key,
-        size: object.Size,
-        lastModified: object.LastModified,
-        etag: object.ETag,
-        storageClass: object.StorageClass || 'STANDARD'
-      }));
+      // A page holds at most 1,000 versions and delete markers, so each page is one DeleteObjects call
+      let versionIdMarker;
+      keyMarker = undefined;
+      do {
+        const response = await this.s3Client.send(new ListObjectVersionsCommand({
+          Bucket: bucketName,
+          KeyMarker: keyMarker,
+          VersionIdMarker: versionIdMarker
+        }));
+        const versions = (response.Versions || []).map(version => ({ key: version.Key, versionId: version.VersionId }));
+        const deleteMarkers = (response.DeleteMarkers || []).map(marker => ({ key: marker.Key, versionId: marker.VersionId }));
+        const result = await this.deleteVersions(bucketName, [...versions, ...deleteMarkers]);
+        errors.push(...result.errors);
+        counts.versions += versions.length;
+        counts.deleteMarkers += deleteMarkers.length;
+        processed += versions.length + deleteMarkers.length;
+        reportProgress();
+        keyMarker = response.IsTruncated ? response.NextKeyMarker : undefined;
+        versionIdMarker = response.NextVersionIdMarker;
+      } while (keyMarker);
+      
+      const bucketDeleted = deleteBucket && errors.length === 0;
+      if (bucketDeleted) {
+        await this.deleteBucket(bucketName);
+      }
       
+      return { ...counts, total: processed, processed, errors, bucketDeleted };
+    } catch (error) {
+      throw new Error(`Failed to empty bucket: ${error.message}`);
+    }
+  }
+
+  // Bucket Configuration Operations
+  async getBucketVersioning(bucketName) {
+    try {
+      const command = new GetBucketVersioningCommand({ Bucket: bucketName });
+      const response = await this.s3Client.send(command);
+      
+      // S3 omits Status entirely for buckets that never had versioning enabled
       return {
-        files,
-        isTruncated: response.IsTruncated,
-        nextContinuationToken: response.NextContinuationToken,
-        totalCount: response.KeyCount
+        status: response.Status || 'NeverEnabled',
+        mfaDelete: response.MFADelete || 'Disabled'
       };
     } catch (error) {
-      throw new Error(`Failed to list files: ${error.message}`);
+      throw wrapS3Error('get bucket versioning', error);
     }
   }
 
-  async uploadFile(bucketName, key, fileBuffer, contentType, metadata = {}) {
+  // Versioning can only be suspended once enabled, never switched off again
+  async setBucketVersioning(bucketName, status) {
     try {
-      const command = new PutObjectCommand({
+      const command = new PutBucketVersioningCommand({
         Bucket: bucketName,
-        Key: key,
-        Body: fileBuffer,
-        ContentType: contentType,
-        Metadata: metadata
+        VersioningConfiguration: { Status: status }
       });
       
+      await this.s3Client.send(command);
+      return this.getBucketVersioning(bucketName);
+    } catch (error) {
+      throw wrapConfigurationError('set bucket versioning', error);
+    }
+  }
+
+  async getBucketLifecycle(bucketName) {
+    try {
+      const command = new GetBucketLifecycleConfigurationCommand({ Bucket: bucketName });
       const response = await this.s3Client.send(command);
-      return {
-        key,
-        etag: response.ETag,
-        size: fileBuffer.length
-      };
+      return (response.Rules || []).map(fromS3LifecycleRule);
     } catch (error) {
-      throw new Error(`Failed to upload file: ${error.message}`);
+      if (error.name === 'NoSuchLifecycleConfiguration') {
+        return [];
+      }
+      throw wrapS3Error('get bucket lifecycle', error);
     }
   }
 
-  async downloadFile(bucketName, key) {
+  // Replaces all rules; S3 has no per-rule API. An empty list removes the configuration.
+  async setBucketLifecycle(bucketName, rules) {
     try {
-      const command = new GetObjectCommand({
+      if (rules.length === 0) {
+        await this.s3Client.send(new DeleteBucketLifecycleCommand({ Bucket: bucketName }));
+        return [];
+      }
+      
+      const command = new PutBucketLifecycleConfigurationCommand({
         Bucket: bucketName,
-        Key: key
+        LifecycleConfiguration: { Rules: rules.map(toS3LifecycleRule) }
       });
       
+      await this.s3Client.send(command);
+      return this.getBucketLifecycle(bucketName);
+    } catch (error) {
+      throw wrapConfigurationError('set bucket lifecycle', error);
+    }
+  }
+
+  // Returns the policy document as a parsed object, or null when the bucket has none
+  async getBucketPolicy(bucketName) {
+    try {
+      const command = new GetBucketPolicyCommand({ Bucket: bucketName });
       const response = await this.s3Client.send(command);
-      return {
-        body: response.Body,
-        contentType: response.ContentType,
-        contentLength: response.ContentLength,
-        lastModified: response.LastModified,
-        metadata: response.Metadata
-      };
+      return JSON.parse(response.Policy);
     } catch (error) {
-      throw new Error(`Failed to download file: ${error.message}`);
+      if (error.name === 'NoSuchBucketPolicy') {
+        return null;
+      }
+      throw wrapS3Error('get bucket policy', error);
     }
   }
 
-  async deleteFile(bucketName, key) {
+  async setBucketPolicy(bucketName, policy) {
     try {
-      const command = new DeleteObjectCommand({
+      const command = new PutBucketPolicyCommand({
         Bucket: bucketName,
-        Key: key
+        Policy: JSON.stringify(policy)
       });
       
       await this.s3Client.send(command);
-      return { success: true, message: 'File deleted successfully' };
+      return this.getBucketPolicy(bucketName);
     } catch (error) {
-      throw new Error(`Failed to delete file: ${error.message}`);
+      throw wrapConfigurationError('set bucket policy', error);
     }
   }
 
-  async getFileMetadata(bucketName, key) {
+  async deleteBucketPolicy(bucketName) {
     try {
-      const command = new HeadObjectCommand({
+      const command = new DeleteBucketPolicyCommand({ Bucket: bucketName });
+      await this.s3Client.send(command);
+      return true;
+    } catch (error) {
+      throw wrapS3Error('delete bucket policy', error);
+    }
+  }
+
+  async getBucketCors(bucketName) {
+    try {
+      const command = new GetBucketCorsCommand({ Bucket: bucketName });
+      const response = await this.s3Client.send(command);
+      
+      return (response.CORSRules || []).map(rule => ({
+        id: rule.ID || '',
+        allowedOrigins: rule.AllowedOrigins || [],
+        allowedMethods: rule.AllowedMethods || [],
+        allowedHeaders: rule.AllowedHeaders || [],
+        exposeHeaders: rule.ExposeHeaders || [],
+        maxAgeSeconds: rule.MaxAgeSeconds
+      }));
+    } catch (error) {
+      if (error.name === 'NoSuchCORSConfiguration') {
+        return [];
+      }
+      throw wrapS3Error('get bucket CORS', error);
+    }
+  }
+
+  // Replaces all rules. An empty list removes the configuration.
+  async setBucketCors(bucketName, rules) {
+    try {
+      if (rules.length === 0) {
+        await this.s3Client.send(new DeleteBucketCorsCommand({ Bucket: bucketName }));
+        return [];
+      }
+      
+      const command = new PutBucketCorsCommand({
         Bucket: bucketName,
-        Key: key
+        CORSConfiguration: {
+          CORSRules: rules.map(rule => ({
+            ID: rule.id || undefined,
+            AllowedOrigins: rule.allowedOrigins,
+            AllowedMethods: rule.allowedMethods,
+            AllowedHeaders: rule.allowedHeaders.length > 0 ? rule.allowedHeaders : undefined,
+            ExposeHeaders: rule.exposeHeaders.length > 0 ? rule.exposeHeaders : undefined,
+            MaxAgeSeconds: rule.maxAgeSeconds
+          }))
+        }
       });
       
-      const response = await this.s3Client.send(command);
-      return {
-        key,
-        size: response.ContentLength,
-        lastModified: response.LastModified,
-        contentType: response.ContentType,
-        etag: response.ETag,
-        metadata: response.Metadata
-      };
+      await this.s3Client.send(command);
+      return this.getBucketCors(bucketName);
     } catch (error) {
-      throw new Error(`Failed to get file metadata: ${error.message}`);
+      throw wrapConfigurationError('set bucket CORS', error);
     }
   }
 
-  async generateDownloadUrl(bucketName, key) {
+  async getBucketTags(bucketName) {
     try {
-      return await generatePresignedUrl(bucketName, key, 'getObject');
+      const command = new GetBucketTaggingCommand({ Bucket: bucketName });
+      const response = await this.s3Client.send(command);
+      return fromS3Tags(response.TagSet);
     } catch (error) {
-      throw new Error(`Failed to generate download URL: ${error.message}`);
+      if (error.name === 'NoSuchTagSet') {
+        return [];
+      }
+      throw wrapS3Error('get bucket tags', error);
     }
   }
 
-  async generateUploadUrl(bucketName, key) {
+  // Replaces all tags. An empty list removes the tag set.
+  async setBucketTags(bucketName, tags) {
     try {
-      return await generatePresignedUrl(bucketName, key, 'putObject');
+      if (tags.length === 0) {
+        await this.s3Client.send(new DeleteBucketTaggingCommand({ Bucket: bucketName }));
+        return [];
+      }
+      
+      const command = new PutBucketTaggingCommand({
+        Bucket: bucketName,
+        Tagging: { TagSet: toS3Tags(tags) }
+      });
+      
+      await this.s3Client.send(command);
+      return this.getBucketTags(bucketName);
     } catch (error) {
-      throw new Error(`Failed to generate upload URL: ${error.message}`);
+      throw wrapConfigurationError('set bucket tags', error);
     }
   }
 
-  // Validation helpers
-  validateBucketName(bucketName) {
-    if (!bucketName) {
-      throw new Error('Bucket name is required');
+  // Default encryption applied to new objects: { algorithm, kmsKeyId, bucketKeyEnabled }.
+  // algorithm is null for (old) buckets without a default encryption configuration.
+  async getBucketEncryption(bucketName) {
+    try {
+      const command = new GetBucketEncryptionCommand({ Bucket: bucketName });
+      const response = await this.s3Client.send(command);
+      const rule = response.ServerSideEncryptionConfiguration?.Rules?.[0];
+      
+      return {
+        algorithm: rule?.ApplyServerSideEncryptionByDefault?.SSEAlgorithm || null,
+        kmsKeyId: rule?.ApplyServerSideEncryptionByDefault?.KMSMasterKeyID || null,
+        bucketKeyEnabled: Boolean(rule?.BucketKeyEnabled)
+      };
+    } catch (error) {
+      if (error.name === 'ServerSideEncryptionConfigurationNotFoundError') {
+        return { algorithm: null, kmsKeyId: null, bucketKeyEnabled: false };
+      }
+      throw wrapS3Error('get bucket encryption', error);
     }
-    
-    if (bucketName.length < 3 || bucketName.length > 63) {
-      throw new Error('Bucket name must be between 3 and 63 characters');
+  }
+
+  async setBucketEncryption(bucketName, { algorithm, kmsKeyId, bucketKeyEnabled = false }) {
+    try {
+      const command = new PutBucketEncryptionCommand({
+        Bucket: bucketName,
+        ServerSideEncryptionConfiguration: {
+          Rules: [{
+            ApplyServerSideEncryptionByDefault: {
+              SSEAlgorithm: algorithm,
+              // Without a key ID, SSE-KMS uses the AWS managed key (aws/s3)
+              KMSMasterKeyID: algorithm === 'aws:kms' ? kmsKeyId || undefined : undefined
+            },
+            BucketKeyEnabled: algorithm === 'aws:kms' ? bucketKeyEnabled : undefined
+          }]
+        }
+      });
+      
+      await this.s3Client.send(command);
+      return this.getBucketEncryption(bucketName);
+    } catch (error) {
+      throw wrapConfigurationError('set bucket encryption', error);
     }
-    
-    if (!/^[a-z0-9.-]+$/.test(bucketName)) {
-      throw new Error('Bucket name can only contain lowercase letters, numbers, dots, and hyphens');
+  }
+
+  // Default encryption of every bucket; buckets that can't be read are reported with an error
+  async getEncryptionReport() {
+    try {
+      const response = await this.s3Client.send(new ListBucketsCommand({}));
+      
+      return await Promise.all((response.Buckets || []).map(async (bucket) => {
+        try {
+          return {
+            bucket: bucket.Name,
+            ...await this.getBucketEncryption(bucket.Name)
+          };
+        } catch (error) {
+          return { bucket: bucket.Name, error: error.message };
+        }
+      }));
+    } catch (error) {
+      throw wrapS3Error('build encryption report', error);
     }
-    
-    if (bucketName.startsWith('.') || bucketName.endsWith('.')) {
-      throw new Error('Bucket name cannot start or end with a dot');
+  }
+
+  // Object Lock: { enabled, defaultRetention: { mode, days, years } | null }. Once enabled,
+  // Object Lock can't be turned off.
+  async getBucketObjectLock(bucketName) {
+    try {
+      const command = new GetObjectLockConfigurationCommand({ Bucket: bucketName });
+      const response = await this.s3Client.send(command);
+      const configuration = response.ObjectLockConfiguration;
+      const retention = configuration?.Rule?.DefaultRetention;
+      
+      return {
+        enabled: configuration?.ObjectLockEnabled === 'Enabled',
+        defaultRetention: retention
+          ? { mode: retention.Mode, days: retention.Days ?? null, years: retention.Years ?? null }
+          : null
+      };
+    } catch (error) {
+      if (error.name === 'ObjectLockConfigurationNotFoundError') {
+        return { enabled: false, defaultRetention: null };
+      }
+      throw wrapS3Error('get bucket object lock', error);
     }
-    
-    if (bucketName.includes('..')) {
-      throw new Error('Bucket name cannot contain consecutive dots');
+  }
+
+  // Enables Object Lock if it isn't yet (the bucket must have versioning enabled) and sets
+  // the default retention for new objects; null removes the default
+  async setBucketObjectLock(bucketName, defaultRetention) {
+    try {
+      const command = new PutObjectLockConfigurationCommand({
+        Bucket: bucketName,
+        ObjectLockConfiguration: {
+          ObjectLockEnabled: 'Enabled',
+          ...(defaultRetention && {
+            Rule: {
+              DefaultRetention: {
+                Mode: defaultRetention.mode,
+                Days: defaultRetention.days ?? undefined,
+                Years: defaultRetention.years ?? undefined
+              }
+            }
+          })
+        }
+      });
+      
+      await this.s3Client.send(command);
+      return this.getBucketObjectLock(bucketName);
+    } catch (error) {
+      throw wrapConfigurationError('set bucket object lock', error);
     }
-    
-    if (bucketName.includes('.-') || bucketName.includes('-.')) {
-      throw new Error('Bucket name cannot contain dots adjacent to hyphens');
+  }
+
+  // Block Public Access settings of a bucket. Without a configuration nothing is blocked.
+  async getPublicAccessBlock(bucketName) {
+    try {
+      const command = new GetPublicAccessBlockCommand({ Bucket: bucketName });
+      const response = await this.s3Client.send(command);
+      const configuration = response.PublicAccessBlockConfiguration || {};
+      
+      return {
+        blockPublicAcls: Boolean(configuration.BlockPublicAcls),
+        ignorePublicAcls: Boolean(configuration.IgnorePublicAcls),
+        blockPublicPolicy: Boolean(configuration.BlockPublicPolicy),
+        restrictPublicBuckets: Boolean(configuration.RestrictPublicBuckets)
+      };
+    } catch (error) {
+      if (error.name === 'NoSuchPublicAccessBlockConfiguration') {
+        return { blockPublicAcls: false, ignorePublicAcls: false, blockPublicPolicy: false, restrictPublicBuckets: false };
+      }
+      throw wrapS3Error('get public access block', error);
     }
   }
 
-  validateFileType(contentType) {
-    if (!config.allowedFileTypes.includes('*/*')) {
-      const isAllowed = config.allowedFileTypes.some(allowedType => {
-        if (allowedType.endsWith('/*')) {
-          return contentType.startsWith(allowedType.slice(0, -2));
+  async setPublicAccessBlock(bucketName, { blockPublicAcls, ignorePublicAcls, blockPublicPolicy, restrictPublicBuckets }) {
+    try {
+      const command = new PutPublicAccessBlockCommand({
+        Bucket: bucketName,
+        PublicAccessBlockConfiguration: {
+          BlockPublicAcls: blockPublicAcls,
+          IgnorePublicAcls: ignorePublicAcls,
+          BlockPublicPolicy: blockPublicPolicy,
+          RestrictPublicBuckets: restrictPublicBuckets
         }
-        return contentType === allowedType;
       });
       
-      if (!isAllowed) {
-        throw new Error(`File type ${contentType} is not allowed`);
-      }
+      await this.s3Client.send(command);
+      return this.getPublicAccessBlock(bucketName);
+    } catch (error) {
+      throw wrapConfigurationError('set public access block', error);
     }
   }
 
-  validateFileSize(size) {
-    if (size > config.maxFileSize) {
-      throw new Error(`File size exceeds maximum allowed size of ${config.maxFileSize} bytes`);
+  // Whether S3 considers the bucket policy public (it grants access to anyone without
+  // limiting conditions). False when the bucket has no policy.
+  async getBucketPolicyStatus(bucketName) {
+    try {
+      const command = new GetBucketPolicyStatusCommand({ Bucket: bucketName });
+      const response = await this.s3Client.send(command);
+      return Boolean(response.PolicyStatus?.IsPublic);
+    } catch (error) {
+      if (error.name === 'NoSuchBucketPolicy') {
+        return false;
+      }
+      throw wrapS3Error('get bucket policy status', error);
     }
   }
+
+  // Bucket ACL as { owner: { id, displayName }, grants: [{ granteeType, grantee, displayName, permission }] }.
+  // grantee is the canonical user ID, group URI or email address, depending on granteeType.
+  async getBucketAcl(bucketName) {
+    try {
+      const command = new GetBucketAclCommand({ Bucket: bucketName });
+      const response = await this.s3Client.send(command);
+      return fromS3Acl(response);
+    } catch (error) {
+      throw wrapS3Error('get bucket ACL', error);
+    }
+  }
+
+  // BucketOwnerEnforced, BucketOwnerPreferred or ObjectWriter. Buckets without ownership
+  // controls behave as ObjectWriter.
+  async getBucketObjectOwnership(bucketName) {
+    try {
+      const command = new GetBucketOwnershipControlsCommand({ Bucket: bucketName });
+      const response = await this.s3Client.send(command);
+      return response.OwnershipControls?.Rules?.[0]?.ObjectOwnership || 'ObjectWriter';
+    } catch (error) {
+      if (error.name === 'OwnershipControlsNotFoundError') {
+        return 'ObjectWriter';
+      }
+      throw wrapS3Error('get bucket object ownership', error);
+    }
+  }
+
+  // BucketOwnerEnforced disables ACLs, and S3 refuses it while the bucket ACL grants access
+  // to anyone but the owner, so that is checked first with a clearer message. Object ACLs
+  // stop applying once it is set, and uploads that send a non-default ACL start failing.
+  async setBucketObjectOwnership(bucketName, objectOwnership) {
+    if (objectOwnership === 'BucketOwnerEnforced') {
+      const { owner, grants } = await this.getBucketAcl(bucketName);
+      const otherGrants = grants.filter(grant => grant.grantee !== owner.id);
+      if (otherGrants.length > 0) {
+        const error = new Error(`The bucket ACL grants access to ${otherGrants.length} grantee${otherGrants.length !== 1 ? 's' : ''} besides the owner; remove those grants before disabling ACLs`);
+        error.code = 'INVALID_CONFIGURATION';
+        throw error;
+      }
+    }
+    
+    try {
+      const command = new PutBucketOwnershipControlsCommand({
+        Bucket: bucketName,
+        OwnershipControls: {
+          Rules: [{ ObjectOwnership: objectOwnership }]
+        }
+      });
+      
+      await this.s3Client.send(command);
+      return this.getBucketObjectOwnership(bucketName);
+    } catch (error) {
+      throw wrapConfigurationError('set bucket object ownership', error);
+    }
+  }
+
+  // Whether a bucket is public or could become public, and why. Combines Block Public Access,
+  // S3's own evaluation of the bucket policy, bucket ACL grants and object ownership.
+  // Account-level Block Public Access is not taken into account.
+  async getBucketPublicExposure(bucketName) {
+    const [publicAccessBlock, policyIsPublic, acl, objectOwnership] = await Promise.all([
+      this.getPublicAccessBlock(bucketName),
+      this.getBucketPolicyStatus(bucketName),
+      this.getBucketAcl(bucketName),
+      this.getBucketObjectOwnership(bucketName)
+    ]);
+    
+    return assessPublicExposure({ publicAccessBlock, policyIsPublic, aclGrants: acl.grants, objectOwnership });
+  }
+
+  // Public exposure of every bucket; buckets that can't be checked are reported with an error
+  async getPublicExposureReport() {
+    try {
+      const response = await this.s3Client.send(new ListBucketsCommand({}));
+      
+      return await Promise.all((response.Buckets || []).map(async (bucket) => {
+        try {
+          return {
+            bucket: bucket.Name,
+            ...await this.getBucketPublicExposure(bucket.Name)
+          };
+        } catch (error) {
+          return { bucket: bucket.Name, error: error.message };
+        }
+      }));
+    } catch (error) {
+      throw wrapS3Error('build public exposure report', error);
+    }
+  }
+
+  // Static website hosting: { indexDocument, errorDocument, routingRules } or
+  // { redirectAllRequestsTo: { hostName, protocol } }; null when hosting is off
+  async getBucketWebsite(bucketName) {
+    try {
+      const command = new GetBucketWebsiteCommand({ Bucket: bucketName });
+      const response = await this.s3Client.send(command);
+      return fromS3Website(response);
+    } catch (error) {
+      if (error.name === 'NoSuchWebsiteConfiguration') {
+        return null;
+      }
+      throw wrapS3Error('get bucket website', error);
+    }
+  }
+
+  async setBucketWebsite(bucketName, website) {
+    try {
+      const command = website
+        ? new PutBucketWebsiteCommand({
+          Bucket: bucketName,
+          WebsiteConfiguration: toS3Website(website)
+        })
+        : new DeleteBucketWebsiteCommand({ Bucket: bucketName });
+      
+      await this.s3Client.send(command);
+      return this.getBucketWebsite(bucketName);
+    } catch (error) {
+      throw wrapConfigurationError('set bucket website', error);
+    }
+  }
+
+  // Website endpoint URL for the bucket's region. It only serves HTTP, and only objects
+  // anonymous users are allowed to read.
+  async getBucketWebsiteEndpoint(bucketName) {
+    try {
+      const command = new GetBucketLocationCommand({ Bucket: bucketName });
+      const response = await this.s3Client.send(command);
+      return buildWebsiteEndpoint(bucketName, response.LocationConstraint);
+    } catch (error) {
+      throw wrapS3Error('get bucket location', error);
+    }
+  }
+
+  // SNS, SQS and Lambda destinations as one flat list, plus whether EventBridge delivery is on
+  async getBucketNotifications(bucketName) {
+    try {
+      const command = new GetBucketNotificationConfigurationCommand({ Bucket: bucketName });
+      const response = await this.s3Client.send(command);
+      
+      return {
+        configurations: NOTIFICATION_TARGETS.flatMap(({ type, listKey, arnKey }) => (
+          (response[listKey] || []).map(configuration => fromS3Notification(type, configuration[arnKey], configuration))
+        )),
+        eventBridgeEnabled: Boolean(response.EventBridgeConfiguration)
+      };
+    } catch (error) {
+      throw wrapS3Error('get bucket notifications', error);
+    }
+  }
+
+  // S3 only accepts the whole configuration at once, so a save made from an outdated copy would
+  // silently drop destinations someone else added. `expected` is the list the caller loaded;
+  // the save is refused when the bucket no longer matches it. EventBridge delivery is kept as is.
+  async setBucketNotifications(bucketName, configurations, expected) {
+    const current = await this.getBucketNotifications(bucketName);
+    if (!sameNotifications(current.configurations, expected)) {
+      const error = new Error('The notification configuration was changed since it was loaded. Reload it and apply your changes again.');
+      error.code = 'CONFIGURATION_CHANGED';
+      throw error;
+    }
+    
+    try {
+      const notificationConfiguration = Object.fromEntries(NOTIFICATION_TARGETS.map(({ type, listKey, arnKey }) => [
+        listKey,
+        configurations.filter(configuration => configuration.type === type).map(configuration => toS3Notification(arnKey, configuration))
+      ]));
+      
+      const command = new PutBucketNotificationConfigurationCommand({
+        Bucket: bucketName,
+        NotificationConfiguration: {
+          ...notificationConfiguration,
+          ...(current.eventBridgeEnabled && { EventBridgeConfiguration: {} })
+        }
+      });
+      
+      await this.s3Client.send(command);
+    } catch (error) {
+      throw wrapConfigurationError('set bucket notifications', error);
+    }
+    
+    return this.getBucketNotifications(bucketName);
+  }
+
+  // File Operations
+  async listFiles(bucketName, { prefix = '', maxKeys = 1000, continuationToken, delimiter } = {}) {
+    try {
+      const command = new ListObjectsV2Command({
+        Bucket: bucketName,
+        Prefix: prefix,
+        MaxKeys: maxKeys,
+        ...(continuationToken && { ContinuationToken: continuationToken }),
+        ...(delimiter && { Delimiter: delimiter })
+      });
+      
+      const response = await this.s3Client.send(command);
+      
+      const files = (response.Contents || [])
+        // Skip the zero-byte marker object of the folder being listed
+        .filter(object => !(delimiter && object.Key === prefix))
+        .map(object => ({
+          key: object.Key,
+          size: object.Size,
+          lastModified: object.LastModified,
+          etag: object.ETag,
+          storageClass: object.StorageClass || 'STANDARD'
+        }));
+      
+      // With a delimiter, keys below the next delimiter are rolled up into CommonPrefixes
+      const folders = (response.CommonPrefixes || []).map(commonPrefix => ({
+        prefix: commonPrefix.Prefix,
+        name: commonPrefix.Prefix.slice(prefix.length, -delimiter.length)
+      }));
+      
+      return {
+        files,
+        folders,
+        isTruncated: response.IsTruncated,
+        nextContinuationToken: response.NextContinuationToken,
+        totalCount: response.KeyCount
+      };
+    } catch (error) {
+      throw new Error(`Failed to list files: ${error.message}`);
+    }
+  }
+
+  // Body may be a Buffer or a readable stream. Bodies larger than one part are sent as an
+  // S3 multipart upload, which is aborted on failure so no orphaned parts are left behind.
+  async uploadFile(bucketName, key, body, contentType, metadata = {}, { abortController, onProgress, tags = [], encryption } = {}) {
+    try {
+      const upload = new Upload({
+        client: this.s3Client,
+        params: {
+          Bucket: bucketName,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+          Metadata: metadata,
+          ...toS3ObjectEncryption(encryption)
+        },
+        partSize: config.uploadPartSize,
+        queueSize: config.uploadQueueSize,
+        leavePartsOnError: false,
+        tags: toS3Tags(tags),
+        ...(abortController && { abortController })
+      });
+      
+      // Stream length is unknown up front, so track the size from progress events
+      let uploadedBytes = 0;
+      upload.on('httpUploadProgress', (progress) => {
+        uploadedBytes = progress.loaded ?? uploadedBytes;
+        onProgress?.(progress);
+      });
+      
+      const response = await upload.done();
+      return {
+        key,
+        etag: response.ETag,
+        size: uploadedBytes
+      };
+    } catch (error) {
+      throw new Error(`Failed to upload file: ${error.message}`);
+    }
+  }
+
+  async downloadFile(bucketName, key) {
+    try {
+      const command = new GetObjectCommand({
+        Bucket: bucketName,
+        Key: key
+      });
+      
+      const response = await this.s3Client.send(command);
+      return {
+        body: response.Body,
+        contentType: response.ContentType,
+        contentLength: response.ContentLength,
+        lastModified: response.LastModified,
+        metadata: response.Metadata
+      };
+    } catch (error) {
+      // GetObject fails with InvalidObjectState for archived objects that aren't restored
+      if (error.name === 'InvalidObjectState') {
+        throw restoreRequiredError(key, { StorageClass: error.StorageClass, ArchiveStatus: error.AccessTier });
+      }
+      throw new Error(`Failed to download file: ${error.message}`);
+    }
+  }
+
+  async deleteFile(bucketName, key) {
+    try {
+      const command = new DeleteObjectCommand({
+        Bucket: bucketName,
+        Key: key
+      });
+      
+      await this.s3Client.send(command);
+      return { success: true, message: 'File deleted successfully' };
+    } catch (error) {
+      throw new Error(`Failed to delete file: ${error.message}`);
+    }
+  }
+
+  async getFileMetadata(bucketName, key) {
+    try {
+      const command = new HeadObjectCommand({
+        Bucket: bucketName,
+        Key: key
+      });
+      
+      const response = await this.s3Client.send(command);
+      return {
+        key,
+        size: response.ContentLength,
+        lastModified: response.LastModified,
+        contentType: response.ContentType,
+        etag: response.ETag,
+        metadata: response.Metadata,
+        // HeadObject leaves StorageClass out for STANDARD objects
+        storageClass: response.StorageClass || 'STANDARD',
+        restore: toRestoreStatus(response),
+        lock: toObjectLock(response),
+        websiteRedirectLocation: response.WebsiteRedirectLocation || null,
+        encryption: {
+          algorithm: response.ServerSideEncryption || null,
+          kmsKeyId: response.SSEKMSKeyId || null,
+          bucketKeyEnabled: Boolean(response.BucketKeyEnabled),
+          // Set when the object was encrypted with a key supplied by the client (SSE-C)
+          customerAlgorithm: response.SSECustomerAlgorithm || null
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to get file metadata: ${error.message}`);
+    }
+  }
+
+  async getFileTags(bucketName, key, versionId) {
+    try {
+      const command = new GetObjectTaggingCommand({
+        Bucket: bucketName,
+        Key: key,
+        VersionId: versionId
+      });
+      
+      const response = await this.s3Client.send(command);
+      return fromS3Tags(response.TagSet);
+    } catch (error) {
+      throw new Error(`Failed to get file tags: ${error.message}`);
+    }
+  }
+
+  // Replaces all tags of the current version. An empty list removes them.
+  async setFileTags(bucketName, key, tags) {
+    try {
+      const command = tags.length === 0
+        ? new DeleteObjectTaggingCommand({ Bucket: bucketName, Key: key })
+        : new PutObjectTaggingCommand({
+          Bucket: bucketName,
+          Key: key,
+          Tagging: { TagSet: toS3Tags(tags) }
+        });
+      
+      await this.s3Client.send(command);
+      return this.getFileTags(bucketName, key);
+    } catch (error) {
+      throw wrapConfigurationError('set file tags', error);
+    }
+  }
+
+  // Archived objects get a clear error here, since their presigned URL would only fail later
+  async generateDownloadUrl(bucketName, key, versionId) {
+    try {
+      const head = await this.s3Client.send(new HeadObjectCommand({
+        Bucket: bucketName,
+        Key: key,
+        VersionId: versionId
+      }));
+      if (needsRestore(head)) {
+        throw restoreRequiredError(key, head);
+      }
+      
+      return await generatePresignedUrl(bucketName, key, 'getObject', { versionId });
+    } catch (error) {
+      if (error.code === 'RESTORE_REQUIRED') throw error;
+      throw new Error(`Failed to generate download URL: ${isNotFoundError(error) ? 'File not found' : error.message}`);
+    }
+  }
+
+  // Website Redirect Operations
+  // The redirect is stored with the object, so setting it copies the object onto itself
+  // (a new version in a versioned bucket), keeping its class, metadata, tags and SSE-KMS key.
+  // A null location removes it. The metadata is replaced with itself because S3 refuses a
+  // copy onto itself that changes nothing it can see, and dropping the redirect doesn't count.
+  async setFileWebsiteRedirect(bucketName, key, location) {
+    try {
+      const source = await this.s3Client.send(new HeadObjectCommand({ Bucket: bucketName, Key: key }));
+      if (needsRestore(source)) {
+        throw restoreRequiredError(key, source, 'changing its website redirect');
+      }
+      
+      await this.copyFile(bucketName, key, bucketName, key, {
+        metadata: source.Metadata || {},
+        websiteRedirectLocation: location,
+        encryption: toSourceEncryption(source),
+        overwrite: true
+      });
+      return this.getFileMetadata(bucketName, key);
+    } catch (error) {
+      if (error.code === 'RESTORE_REQUIRED') throw error;
+      throw new Error(`Failed to set website redirect: ${isNotFoundError(error) ? 'File not found' : error.message}`);
+    }
+  }
+
+  // ACL Operations
+  // Owner and ACL grants of the current version, or of versionId, in the same shape as
+  // getBucketAcl. An owner other than the bucket owner means another account wrote the object.
+  async getFileAcl(bucketName, key, versionId) {
+    try {
+      const command = new GetObjectAclCommand({
+        Bucket: bucketName,
+        Key: key,
+        VersionId: versionId
+      });
+      
+      const response = await this.s3Client.send(command);
+      return fromS3Acl(response);
+    } catch (error) {
+      throw new Error(`Failed to get file ACL: ${isNotFoundError(error) ? 'File not found' : error.message}`);
+    }
+  }
+
+  // Object Lock Operations
+  // Retention and legal hold of the current version, or of versionId; null when neither is set
+  async getFileLock(bucketName, key, versionId) {
+    try {
+      const command = new HeadObjectCommand({
+        Bucket: bucketName,
+        Key: key,
+        VersionId: versionId
+      });
+      
+      const response = await this.s3Client.send(command);
+      return toObjectLock(response);
+    } catch (error) {
+      throw new Error(`Failed to get file lock: ${isNotFoundError(error) ? 'File not found' : error.message}`);
+    }
+  }
+
+  // Sets or extends retention. Shortening or removing GOVERNANCE retention needs
+  // bypassGovernance (and s3:BypassGovernanceRetention); COMPLIANCE retention can't be shortened.
+  async setFileRetention(bucketName, key, { mode, retainUntil, bypassGovernance = false }) {
+    try {
+      const command = new PutObjectRetentionCommand({
+        Bucket: bucketName,
+        Key: key,
+        Retention: mode ? { Mode: mode, RetainUntilDate: new Date(retainUntil) } : {},
+        BypassGovernanceRetention: bypassGovernance || undefined
+      });
+      
+      await this.s3Client.send(command);
+      return this.getFileLock(bucketName, key);
+    } catch (error) {
+      throw wrapConfigurationError('set file retention', error);
+    }
+  }
+
+  // A legal hold blocks deletion of the current version until it is removed, whatever its retention
+  async setFileLegalHold(bucketName, key, enabled) {
+    try {
+      const command = new PutObjectLegalHoldCommand({
+        Bucket: bucketName,
+        Key: key,
+        LegalHold: { Status: enabled ? 'ON' : 'OFF' }
+      });
+      
+      await this.s3Client.send(command);
+      return this.getFileLock(bucketName, key);
+    } catch (error) {
+      throw wrapConfigurationError('set file legal hold', error);
+    }
+  }
+
+  // Restore Operations
+  // Request a temporary copy of an archived object, readable for `days` once ready.
+  // Objects in an Intelligent-Tiering archive tier come back for good, so days is not sent.
+  async restoreFile(bucketName, key, { tier = 'Standard', days = 7 } = {}) {
+    try {
+      const head = await this.s3Client.send(new HeadObjectCommand({ Bucket: bucketName, Key: key }));
+      const restore = toRestoreStatus(head);
+      if (!restore) {
+        const error = new Error(`"${key}" is not archived and can be downloaded directly`);
+        error.code = 'NOT_ARCHIVED';
+        throw error;
+      }
+      
+      await this.requestRestore(bucketName, key, head.ArchiveStatus ? { tier } : { tier, days });
+      // Restoring an already restored object only extends its expiry
+      return { key, restore: { status: restore.status === 'restored' ? 'restored' : 'in-progress', expiresAt: restore.expiresAt } };
+    } catch (error) {
+      if (error.code === 'NOT_ARCHIVED' || error.code === 'RESTORE_IN_PROGRESS') throw error;
+      if (isNotFoundError(error)) throw new Error('Failed to restore file: File not found');
+      throw wrapConfigurationError('restore file', error);
+    }
+  }
+
+  // Restore every GLACIER and DEEP_ARCHIVE object under a prefix. Objects already being
+  // restored are counted rather than reported as errors.
+  // onProgress receives { total, processed, errors } after each object.
+  async restoreFolder(bucketName, prefix, { tier = 'Standard', days = 7 } = {}, onProgress) {
+    try {
+      const objects = await this.listFolderContents(bucketName, prefix);
+      const archived = objects.filter(object => ARCHIVE_STORAGE_CLASSES.includes(object.storageClass));
+      const total = archived.length;
+      let requested = 0;
+      let alreadyInProgress = 0;
+      const errors = [];
+      const report = () => onProgress?.({ total, processed: requested + alreadyInProgress + errors.length, errors });
+      report();
+      
+      const pending = [...archived];
+      const restoreNext = async () => {
+        for (let object = pending.shift(); object; object = pending.shift()) {
+          try {
+            await this.requestRestore(bucketName, object.key, { tier, days });
+            requested++;
+          } catch (error) {
+            if (error.code === 'RESTORE_IN_PROGRESS') {
+              alreadyInProgress++;
+            } else {
+              errors.push({ key: object.key, code: error.name, message: error.message });
+            }
+          }
+          report();
+        }
+      };
+      await Promise.all(Array.from({ length: config.uploadQueueSize }, restoreNext));
+      
+      return { total, requested, alreadyInProgress, skipped: objects.length - total, errors };
+    } catch (error) {
+      throw new Error(`Failed to restore folder: ${error.message}`);
+    }
+  }
+
+  async requestRestore(bucketName, key, { tier, days }) {
+    try {
+      await this.s3Client.send(new RestoreObjectCommand({
+        Bucket: bucketName,
+        Key: key,
+        RestoreRequest: {
+          ...(days !== undefined && { Days: days }),
+          GlacierJobParameters: { Tier: tier }
+        }
+      }));
+    } catch (error) {
+      if (error.name === 'RestoreAlreadyInProgress') {
+        const inProgress = new Error(`A restore of "${key}" is already in progress`);
+        inProgress.code = 'RESTORE_IN_PROGRESS';
+        throw inProgress;
+      }
+      throw error;
+    }
+  }
+
+  async generateUploadUrl(bucketName, key) {
+    try {
+      return await generatePresignedUrl(bucketName, key, 'putObject');
+    } catch (error) {
+      throw new Error(`Failed to generate upload URL: ${error.message}`);
+    }
+  }
+
+  // Copy Operations
+  // Server-side copy: the data never passes through this server. Metadata (with the content
+  // type) and tags are copied from the source unless replacements are given. Objects over
+  // 5GB are copied in parts, since a single CopyObject is limited to 5GB. sourceVersionId
+  // copies an older version instead of the current one. The source's SSE-KMS key is kept
+  // unless other encryption is given.
+  async copyFile(sourceBucket, sourceKey, destinationBucket, destinationKey, { metadata, contentType, tags, storageClass, encryption, websiteRedirectLocation, sourceVersionId, overwrite = false } = {}) {
+    try {
+      const source = await this.s3Client.send(new HeadObjectCommand({
+        Bucket: sourceBucket,
+        Key: sourceKey,
+        VersionId: sourceVersionId
+      })).catch(error => {
+        throw isNotFoundError(error) ? new Error('Source file not found') : error;
+      });
+      
+      if (!overwrite && await this.fileExists(destinationBucket, destinationKey)) {
+        const error = new Error(`"${destinationKey}" already exists in ${destinationBucket}`);
+        error.code = 'DESTINATION_EXISTS';
+        throw error;
+      }
+      
+      const options = {
+        metadata,
+        contentType,
+        tags,
+        storageClass,
+        encryption: encryption ?? toSourceEncryption(source),
+        websiteRedirectLocation,
+        sourceVersionId
+      };
+      const response = source.ContentLength > MAX_COPY_OBJECT_SIZE
+        ? await this.copyFileInParts(source, sourceBucket, sourceKey, destinationBucket, destinationKey, options)
+        : await this.copyFileInOneRequest(source, sourceBucket, sourceKey, destinationBucket, destinationKey, options);
+      
+      return {
+        bucket: destinationBucket,
+        key: destinationKey,
+        size: source.ContentLength,
+        ...response
+      };
+    } catch (error) {
+      if (error.code === 'DESTINATION_EXISTS') throw error;
+      throw new Error(`Failed to copy file: ${error.message}`);
+    }
+  }
+
+  // Copy, then delete the source. Renaming is a move within the same bucket.
+  async moveFile(sourceBucket, sourceKey, destinationBucket, destinationKey, options = {}) {
+    if (sourceBucket === destinationBucket && sourceKey === destinationKey) {
+      throw new Error('Failed to move file: source and destination are the same');
+    }
+    
+    const result = await this.copyFile(sourceBucket, sourceKey, destinationBucket, destinationKey, options);
+    
+    try {
+      await this.s3Client.send(new DeleteObjectCommand({
+        Bucket: sourceBucket,
+        Key: sourceKey
+      }));
+    } catch (error) {
+      throw new Error(`File was copied to ${destinationKey} but the original could not be deleted: ${error.message}`);
+    }
+    
+    return result;
+  }
+
+  async fileExists(bucketName, key) {
+    try {
+      await this.s3Client.send(new HeadObjectCommand({ Bucket: bucketName, Key: key }));
+      return true;
+    } catch (error) {
+      if (isNotFoundError(error)) return false;
+      throw error;
+    }
+  }
+
+  async copyFileInOneRequest(source, sourceBucket, sourceKey, destinationBucket, destinationKey, { metadata, contentType, tags, storageClass, encryption, websiteRedirectLocation, sourceVersionId }) {
+    const replaceMetadata = metadata !== undefined || contentType !== undefined;
+    const command = new CopyObjectCommand({
+      Bucket: destinationBucket,
+      Key: destinationKey,
+      CopySource: buildCopySource(sourceBucket, sourceKey, sourceVersionId),
+      // Without this the copy would land in STANDARD
+      StorageClass: storageClass ?? source.StorageClass,
+      WebsiteRedirectLocation: toWebsiteRedirectLocation(source, websiteRedirectLocation),
+      ...toS3ObjectEncryption(encryption),
+      ...(replaceMetadata && {
+        MetadataDirective: 'REPLACE',
+        ...toCopyHeaders(source, { metadata, contentType })
+      }),
+      ...(tags !== undefined && {
+        TaggingDirective: 'REPLACE',
+        Tagging: toTaggingHeader(tags)
+      })
+    });
+    
+    const response = await this.s3Client.send(command);
+    return {
+      etag: response.CopyObjectResult?.ETag,
+      versionId: response.VersionId
+    };
+  }
+
+  // Multipart copies don't carry metadata or tags over, so both are read from the source.
+  // Every part is copied only if the source still has the ETag seen up front.
+  async copyFileInParts(source, sourceBucket, sourceKey, destinationBucket, destinationKey, { metadata, contentType, tags, storageClass, encryption, websiteRedirectLocation, sourceVersionId }) {
+    const copyTags = tags ?? await this.getFileTags(sourceBucket, sourceKey, sourceVersionId);
+    const { UploadId: uploadId } = await this.s3Client.send(new CreateMultipartUploadCommand({
+      Bucket: destinationBucket,
+      Key: destinationKey,
+      StorageClass: storageClass ?? source.StorageClass,
+      WebsiteRedirectLocation: toWebsiteRedirectLocation(source, websiteRedirectLocation),
+      ...toS3ObjectEncryption(encryption),
+      ...toCopyHeaders(source, { metadata, contentType }),
+      ...(copyTags.length > 0 && { Tagging: toTaggingHeader(copyTags) })
+    }));
+    
+    try {
+      // S3 allows at most 10,000 parts per upload
+      const partSize = Math.max(config.copyPartSize, Math.ceil(source.ContentLength / 10000));
+      const ranges = [];
+      for (let start = 0; start < source.ContentLength; start += partSize) {
+        ranges.push({
+          partNumber: ranges.length + 1,
+          range: `bytes=${start}-${Math.min(start + partSize, source.ContentLength) - 1}`
+        });
+      }
+      
+      const parts = [];
+      const copyNextPart = async () => {
+        for (let next = ranges.shift(); next; next = ranges.shift()) {
+          const response = await this.s3Client.send(new UploadPartCopyCommand({
+            Bucket: destinationBucket,
+            Key: destinationKey,
+            UploadId: uploadId,
+            PartNumber: next.partNumber,
+            CopySource: buildCopySource(sourceBucket, sourceKey, sourceVersionId),
+            CopySourceRange: next.range,
+            CopySourceIfMatch: source.ETag
+          }));
+          parts.push({ PartNumber: next.partNumber, ETag: response.CopyPartResult.ETag });
+        }
+      };
+      await Promise.all(Array.from({ length: config.uploadQueueSize }, copyNextPart));
+      
+      const response = await this.s3Client.send(new CompleteMultipartUploadCommand({
+        Bucket: destinationBucket,
+        Key: destinationKey,
+        UploadId: uploadId,
+        MultipartUpload: {
+          Parts: parts.sort((a, b) => a.PartNumber - b.PartNumber)
+        }
+      }));
+      return {
+        etag: response.ETag,
+        versionId: response.VersionId
+      };
+    } catch (error) {
+      await this.s3Client.send(new AbortMultipartUploadCommand({
+        Bucket: destinationBucket,
+        Key: destinationKey,
+        UploadId: uploadId
+      })).catch(() => {});
+      throw error;
+    }
+  }
+
+  // Storage Class Operations
+  // Copies each object onto itself in the new class, keeping metadata, tags and SSE-KMS
+  // keys. In a versioned bucket the previous version stays in its old class.
+  // onProgress receives { total, processed, errors } after each object.
+  async changeStorageClass(bucketName, keys, storageClass, onProgress) {
+    const total = keys.length;
+    let changed = 0;
+    let unchanged = 0;
+    const errors = [];
+    const report = () => onProgress?.({ total, processed: changed + unchanged + errors.length, errors });
+    report();
+    
+    const pending = [...keys];
+    const changeNext = async () => {
+      for (let key = pending.shift(); key !== undefined; key = pending.shift()) {
+        try {
+          const source = await this.s3Client.send(new HeadObjectCommand({ Bucket: bucketName, Key: key }));
+          const currentClass = source.StorageClass || 'STANDARD';
+          
+          if (currentClass === storageClass) {
+            unchanged++;
+          } else if (needsRestore(source)) {
+            errors.push({ key, code: 'InvalidObjectState', message: `Stored in ${currentClass}; restore it before changing its storage class` });
+          } else {
+            await this.copyFile(bucketName, key, bucketName, key, { storageClass, encryption: toSourceEncryption(source), overwrite: true });
+            changed++;
+          }
+        } catch (error) {
+          errors.push({ key, code: error.name, message: isNotFoundError(error) ? 'File not found' : error.message });
+        }
+        report();
+      }
+    };
+    await Promise.all(Array.from({ length: config.uploadQueueSize }, changeNext));
+    
+    return { total, changed, unchanged, errors };
+  }
+
+  // Folder Operations
+  // Folders are key prefixes ending in "/". An empty folder only exists as a zero-byte marker object.
+  async createFolder(bucketName, prefix) {
+    try {
+      if (await this.folderExists(bucketName, prefix)) {
+        const error = new Error(`Folder "${prefix}" already exists`);
+        error.code = 'DESTINATION_EXISTS';
+        throw error;
+      }
+      
+      await this.s3Client.send(new PutObjectCommand({
+        Bucket: bucketName,
+        Key: prefix,
+        Body: ''
+      }));
+      return { prefix };
+    } catch (error) {
+      if (error.code === 'DESTINATION_EXISTS') throw error;
+      throw new Error(`Failed to create folder: ${error.message}`);
+    }
+  }
+
+  // True when any object (or the folder marker) has the prefix
+  async folderExists(bucketName, prefix) {
+    const { files } = await this.listFiles(bucketName, { prefix, maxKeys: 1 });
+    return files.length > 0;
+  }
+
+  // Every object under a prefix (all pages), including the folder marker
+  async listFolderContents(bucketName, prefix) {
+    const objects = [];
+    let continuationToken;
+    
+    do {
+      const page = await this.listFiles(bucketName, { prefix, continuationToken });
+      objects.push(...page.files.map(file => ({ key: file.key, size: file.size, storageClass: file.storageClass })));
+      continuationToken = page.isTruncated ? page.nextContinuationToken : undefined;
+    } while (continuationToken);
+    
+    return objects;
+  }
+
+  // Object count and total size, shown before a folder is renamed or deleted
+  async getFolderSummary(bucketName, prefix) {
+    const objects = await this.listFolderContents(bucketName, prefix);
+    return {
+      prefix,
+      objectCount: objects.length,
+      totalSize: objects.reduce((total, object) => total + object.size, 0)
+    };
+  }
+
+  // Deletes keys 1,000 at a time (the DeleteObjects limit). Keys S3 refuses to delete are
+  // returned in errors instead of failing the whole batch.
+  async deleteFiles(bucketName, keys, onProgress) {
+    const { deleted, errors } = await this.deleteVersions(bucketName, keys.map(key => ({ key })), onProgress);
+    return { deleted: deleted.map(object => object.key), errors };
+  }
+  
+  // Like deleteFiles, but for specific versions ({ key, versionId }); without a versionId
+  // the current version is deleted (or hidden behind a delete marker)
+  async deleteVersions(bucketName, objects, onProgress) {
+    const deleted = [];
+    const errors = [];
+    
+    for (let start = 0; start < objects.length; start += MAX_DELETE_OBJECTS) {
+      const chunk = objects.slice(start, start + MAX_DELETE_OBJECTS);
+      try {
+        const response = await this.s3Client.send(new DeleteObjectsCommand({
+          Bucket: bucketName,
+          Delete: {
+            Objects: chunk.map(object => ({ Key: object.key, VersionId: object.versionId })),
+            Quiet: true
+          }
+        }));
+        
+        const failed = new Set();
+        (response.Errors || []).forEach(error => {
+          failed.add(`${error.Key}\0${error.VersionId || ''}`);
+          errors.push({ key: error.Key, versionId: error.VersionId, code: error.Code, message: error.Message });
+        });
+        deleted.push(...chunk.filter(object => !failed.has(`${object.key}\0${object.versionId || ''}`)));
+      } catch (error) {
+        errors.push(...chunk.map(object => ({ key: object.key, versionId: object.versionId, code: error.name, message: error.message })));
+      }
+      onProgress?.({ deleted: deleted.length, errors });
+    }
+    
+    return { deleted, errors };
+  }
+
+  // onProgress receives { total, totalSize, processed, errors } after each batch
+  async deleteFolder(bucketName, prefix, onProgress) {
+    try {
+      const objects = await this.listFolderContents(bucketName, prefix);
+      const total = objects.length;
+      const totalSize = objects.reduce((sum, object) => sum + object.size, 0);
+      onProgress?.({ total, totalSize, processed: 0, errors: [] });
+      
+      const result = await this.deleteFiles(bucketName, objects.map(object => object.key), ({ deleted, errors }) => {
+        onProgress?.({ total, totalSize, processed: deleted + errors.length, errors });
+      });
+      return { total, deleted: result.deleted.length, errors: result.errors };
+    } catch (error) {
+      throw new Error(`Failed to delete folder: ${error.message}`);
+    }
+  }
+
+  // Copies every key to the new prefix, then deletes the originals that were copied. Each
+  // copy keeps its object's storage class, metadata, tags and SSE-KMS key (see copyFile).
+  // Keys that fail to copy stay where they are and are reported in errors. Callers check
+  // that newPrefix is free first; existing keys there would be overwritten.
+  async renameFolder(bucketName, prefix, newPrefix, onProgress) {
+    try {
+      const objects = await this.listFolderContents(bucketName, prefix);
+      const total = objects.length;
+      const totalSize = objects.reduce((sum, object) => sum + object.size, 0);
+      const copied = [];
+      const errors = [];
+      const report = () => onProgress?.({ total, totalSize, processed: copied.length + errors.length, errors });
+      report();
+      
+      const pending = [...objects];
+      const copyNext = async () => {
+        for (let object = pending.shift(); object; object = pending.shift()) {
+          try {
+            await this.copyFile(bucketName, object.key, bucketName, newPrefix + object.key.slice(prefix.length), { overwrite: true });
+            copied.push(object.key);
+          } catch (error) {
+            errors.push({ key: object.key, message: error.message });
+          }
+          report();
+        }
+      };
+      await Promise.all(Array.from({ length: config.uploadQueueSize }, copyNext));
+      
+      const result = await this.deleteFiles(bucketName, copied);
+      const allErrors = [...errors, ...result.errors.map(error => ({
+        ...error,
+        message: `Copied, but the original could not be deleted: ${error.message}`
+      }))];
+      onProgress?.({ total, totalSize, processed: total, errors: allErrors });
+      
+      return { total, renamed: result.deleted.length, errors: allErrors };
+    } catch (error) {
+      throw new Error(`Failed to rename folder: ${error.message}`);
+    }
+  }
+
+  // Version Operations
+  // All versions and delete markers of a single key, newest first
+  async listFileVersions(bucketName, key) {
+    try {
+      const versions = [];
+      let keyMarker;
+      let versionIdMarker;
+      
+      do {
+        const command = new ListObjectVersionsCommand({
+          Bucket: bucketName,
+          Prefix: key,
+          KeyMarker: keyMarker,
+          VersionIdMarker: versionIdMarker
+        });
+        
+        const response = await this.s3Client.send(command);
+        
+        // The prefix also matches longer keys (e.g. "a.txt" and "a.txt.bak"), so keep exact matches only
+        (response.Versions || [])
+          .filter(version => version.Key === key)
+          .forEach(version => versions.push({
+            versionId: version.VersionId,
+            isLatest: version.IsLatest,
+            isDeleteMarker: false,
+            size: version.Size,
+            lastModified: version.LastModified,
+            etag: version.ETag,
+            storageClass: version.StorageClass || 'STANDARD'
+          }));
+        
+        (response.DeleteMarkers || [])
+          .filter(marker => marker.Key === key)
+          .forEach(marker => versions.push({
+            versionId: marker.VersionId,
+            isLatest: marker.IsLatest,
+            isDeleteMarker: true,
+            lastModified: marker.LastModified
+          }));
+        
+        // Versions are listed key by key, so once past this key there is nothing left to find
+        const pastKey = response.NextKeyMarker && response.NextKeyMarker !== key;
+        keyMarker = response.IsTruncated && !pastKey ? response.NextKeyMarker : undefined;
+        versionIdMarker = response.NextVersionIdMarker;
+      } while (keyMarker);
+      
+      return versions.sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+    } catch (error) {
+      throw new Error(`Failed to list file versions: ${error.message}`);
+    }
+  }
+
+  // Copy an old version over the current one; the copy becomes the new latest version and keeps
+  // the old version's storage class, metadata, tags, SSE-KMS key and website redirect
+  async restoreFileVersion(bucketName, key, versionId) {
+    try {
+      const source = await this.s3Client.send(new HeadObjectCommand({ Bucket: bucketName, Key: key, VersionId: versionId }));
+      if (needsRestore(source)) {
+        throw restoreRequiredError(key, source, 'making it the current version');
+      }
+      
+      const result = await this.copyFile(bucketName, key, bucketName, key, {
+        sourceVersionId: versionId,
+        encryption: toSourceEncryption(source),
+        overwrite: true
+      });
+      return {
+        key,
+        versionId: result.versionId,
+        etag: result.etag
+      };
+    } catch (error) {
+      if (error.code === 'RESTORE_REQUIRED') throw error;
+      throw new Error(`Failed to restore file version: ${isNotFoundError(error) ? 'Version not found' : error.message}`);
+    }
+  }
+
+  // Permanently delete one version. Deleting a delete marker makes the
+  // version below it the current one again.
+  async deleteFileVersion(bucketName, key, versionId) {
+    try {
+      const command = new DeleteObjectCommand({
+        Bucket: bucketName,
+        Key: key,
+        VersionId: versionId
+      });
+      
+      await this.s3Client.send(command);
+      return { success: true, message: 'File version deleted successfully' };
+    } catch (error) {
+      throw new Error(`Failed to delete file version: ${error.message}`);
+    }
+  }
+
+  async undeleteFile(bucketName, key) {
+    try {
+      const versions = await this.listFileVersions(bucketName, key);
+      const latest = versions.find(version => version.isLatest);
+      
+      if (!latest?.isDeleteMarker) {
+        throw new Error('File is not deleted (no current delete marker)');
+      }
+      
+      await this.deleteFileVersion(bucketName, key, latest.versionId);
+      return { success: true, message: 'File restored successfully' };
+    } catch (error) {
+      throw new Error(`Failed to undelete file: ${error.message}`);
+    }
+  }
+
+  // Direct Upload Operations (the browser sends parts straight to S3 with presigned URLs)
+  async createMultipartUpload(bucketName, key, contentType, metadata = {}, { tags = [], encryption } = {}) {
+    try {
+      const command = new CreateMultipartUploadCommand({
+        Bucket: bucketName,
+        Key: key,
+        ContentType: contentType,
+        Metadata: metadata,
+        // Tags are applied when the upload completes
+        Tagging: tags.length > 0 ? toTaggingHeader(tags) : undefined,
+        ...toS3ObjectEncryption(encryption)
+      });
+      
+      const response = await this.s3Client.send(command);
+      return {
+        uploadId: response.UploadId,
+        key
+      };
+    } catch (error) {
+      throw new Error(`Failed to create multipart upload: ${error.message}`);
+    }
+  }
+
+  async generateUploadPartUrls(bucketName, key, uploadId, partNumbers) {
+    try {
+      return await Promise.all(partNumbers.map(async (partNumber) => {
+        const command = new UploadPartCommand({
+          Bucket: bucketName,
+          Key: key,
+          UploadId: uploadId,
+          PartNumber: partNumber
+        });
+        
+        const url = await getSignedUrl(this.s3Client, command, {
+          expiresIn: config.presignedUrlExpiry
+        });
+        return { partNumber, url };
+      }));
+    } catch (error) {
+      throw new Error(`Failed to generate upload part URLs: ${error.message}`);
+    }
+  }
+
+  async completeMultipartUpload(bucketName, key, uploadId, parts) {
+    try {
+      const command = new CompleteMultipartUploadCommand({
+        Bucket: bucketName,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: {
+          // S3 requires parts in ascending order
+          Parts: [...parts]
+            .sort((a, b) => a.partNumber - b.partNumber)
+            .map(part => ({ PartNumber: part.partNumber, ETag: part.etag }))
+        }
+      });
+      
+      const response = await this.s3Client.send(command);
+      return {
+        key,
+        etag: response.ETag,
+        location: response.Location
+      };
+    } catch (error) {
+      throw new Error(`Failed to complete multipart upload: ${error.message}`);
+    }
+  }
+
+  async listUploadedParts(bucketName, key, uploadId) {
+    try {
+      const parts = [];
+      let partNumberMarker;
+      
+      do {
+        const command = new ListPartsCommand({
+          Bucket: bucketName,
+          Key: key,
+          UploadId: uploadId,
+          PartNumberMarker: partNumberMarker
+        });
+        
+        const response = await this.s3Client.send(command);
+        (response.Parts || []).forEach(part => {
+          parts.push({
+            partNumber: part.PartNumber,
+            etag: part.ETag,
+            size: part.Size,
+            lastModified: part.LastModified
+          });
+        });
+        
+        partNumberMarker = response.IsTruncated ? response.NextPartNumberMarker : undefined;
+      } while (partNumberMarker);
+      
+      return parts;
+    } catch (error) {
+      throw new Error(`Failed to list uploaded parts: ${error.message}`);
+    }
+  }
+
+  async abortMultipartUpload(bucketName, key, uploadId) {
+    try {
+      const command = new AbortMultipartUploadCommand({
+        Bucket: bucketName,
+        Key: key,
+        UploadId: uploadId
+      });
+      
+      await this.s3Client.send(command);
+      return { success: true, message: 'Upload aborted successfully' };
+    } catch (error) {
+      throw new Error(`Failed to abort multipart upload: ${error.message}`);
+    }
+  }
+
+  // Validation helpers
+  validateBucketName(bucketName) {
+    if (!bucketName) {
+      throw new Error('Bucket name is required');
+    }
+    
+    if (bucketName.length < 3 || bucketName.length > 63) {
+      throw new Error('Bucket name must be between 3 and 63 characters');
+    }
+    
+    if (!/^[a-z0-9.-]+$/.test(bucketName)) {
+      throw new Error('Bucket name can only contain lowercase letters, numbers, dots, and hyphens');
+    }
+    
+    if (bucketName.startsWith('.') || bucketName.endsWith('.')) {
+      throw new Error('Bucket name cannot start or end with a dot');
+    }
+    
+    if (bucketName.includes('..')) {
+      throw new Error('Bucket name cannot contain consecutive dots');
+    }
+    
+    if (bucketName.includes('.-') || bucketName.includes('-.')) {
+      throw new Error('Bucket name cannot contain dots adjacent to hyphens');
+    }
+  }
+
+  validateFileType(contentType) {
+    if (!config.allowedFileTypes.includes('*/*')) {
+      const isAllowed = config.allowedFileTypes.some(allowedType => {
+        if (allowedType.endsWith('/*')) {
+          return contentType.startsWith(allowedType.slice(0, -2));
+        }
+        return contentType === allowedType;
+      });
+      
+      if (!isAllowed) {
+        throw new Error(`File type ${contentType} is not allowed`);
+      }
+    }
+  }
+
+  validateFileSize(size) {
+    if (size > config.maxFileSize) {
+      throw new Error(`File size exceeds maximum allowed size of ${config.maxFileSize} bytes`);
+    }
+  }
+}
+
+function fromS3Tags(tagSet = []) {
+  return tagSet.map(tag => ({ key: tag.Key, value: tag.Value }));
+}
+
+function toS3Tags(tags) {
+  return tags.map(tag => ({ Key: tag.key, Value: tag.value }));
+}
+
+// Tags sent as a request header are URL query encoded (key1=value1&key2=value2)
+function toTaggingHeader(tags) {
+  return tags
+    .map(tag => `${encodeURIComponent(tag.key)}=${encodeURIComponent(tag.value)}`)
+    .join('&');
+}
+
+// Per-object SSE options ({ algorithm, kmsKeyId, bucketKeyEnabled }); without them the
+// bucket's default encryption applies
+function toS3ObjectEncryption(encryption) {
+  if (!encryption) return {};
+  
+  const isKms = encryption.algorithm === 'aws:kms';
+  return {
+    ServerSideEncryption: encryption.algorithm,
+    SSEKMSKeyId: isKms ? encryption.kmsKeyId || undefined : undefined,
+    BucketKeyEnabled: isKms ? encryption.bucketKeyEnabled : undefined
+  };
+}
+
+// Flags a missing bucket (S3's NoSuchBucket, or an already wrapped one) so routes can
+// answer 404 without matching on the message
+function wrapS3Error(action, error) {
+  const wrapped = new Error(`Failed to ${action}: ${error.message}`);
+  if (error.name === 'NoSuchBucket' || error.code === 'NO_SUCH_BUCKET') {
+    wrapped.code = 'NO_SUCH_BUCKET';
+  }
+  return wrapped;
+}
+
+// S3 rejects invalid configuration with a 400 (MalformedXML, InvalidArgument...);
+// flag those so routes can pass S3's reason back to the user instead of a 500
+function wrapConfigurationError(action, error) {
+  const wrapped = wrapS3Error(action, error);
+  if (error.$metadata?.httpStatusCode === 400) {
+    wrapped.code = 'INVALID_CONFIGURATION';
+  }
+  return wrapped;
+}
+
+const NOTIFICATION_TARGETS = [
+  { type: 'topic', listKey: 'TopicConfigurations', arnKey: 'TopicArn' },
+  { type: 'queue', listKey: 'QueueConfigurations', arnKey: 'QueueArn' },
+  { type: 'lambda', listKey: 'LambdaFunctionConfigurations', arnKey: 'LambdaFunctionArn' }
+];
+
+// Key filters are exposed as plain prefix and suffix strings ('' when unset)
+function fromS3Notification(type, arn, { Id, Events = [], Filter }) {
+  const rules = Filter?.Key?.FilterRules || [];
+  const ruleValue = (name) => rules.find(rule => rule.Name?.toLowerCase() === name)?.Value || '';
+  
+  return {
+    id: Id || '',
+    type,
+    arn,
+    events: Events,
+    prefix: ruleValue('prefix'),
+    suffix: ruleValue('suffix')
+  };
+}
+
+function toS3Notification(arnKey, { id, arn, events, prefix, suffix }) {
+  const filterRules = [
+    ...(prefix ? [{ Name: 'prefix', Value: prefix }] : []),
+    ...(suffix ? [{ Name: 'suffix', Value: suffix }] : [])
+  ];
+  
+  return {
+    Id: id || undefined,
+    [arnKey]: arn,
+    Events: events,
+    ...(filterRules.length > 0 && { Filter: { Key: { FilterRules: filterRules } } })
+  };
+}
+
+// Order-insensitive comparison of two notification lists
+function sameNotifications(a, b) {
+  const canonical = (configurations) => configurations
+    .map(({ id, type, arn, events, prefix, suffix }) => JSON.stringify([type, id, arn, [...events].sort(), prefix, suffix]))
+    .sort();
+  
+  return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+}
+
+// Lifecycle rules are exposed to the client in camelCase with a flat filter
+// ({ prefix, tags, objectSizeGreaterThan, objectSizeLessThan }) instead of S3's
+// Prefix/Tag/And variants
+function fromS3LifecycleRule(rule) {
+  const filter = rule.Filter || {};
+  const and = filter.And || {};
+  const tags = filter.Tag ? [filter.Tag] : (and.Tags || []);
+  
+  return {
+    id: rule.ID || '',
+    status: rule.Status,
+    filter: {
+      // Legacy rules put the prefix on the rule itself
+      prefix: filter.Prefix ?? and.Prefix ?? rule.Prefix ?? '',
+      tags: tags.map(tag => ({ key: tag.Key, value: tag.Value })),
+      objectSizeGreaterThan: filter.ObjectSizeGreaterThan ?? and.ObjectSizeGreaterThan,
+      objectSizeLessThan: filter.ObjectSizeLessThan ?? and.ObjectSizeLessThan
+    },
+    transitions: (rule.Transitions || []).map(transition => ({
+      days: transition.Days,
+      date: transition.Date,
+      storageClass: transition.StorageClass
+    })),
+    expiration: rule.Expiration ? {
+      days: rule.Expiration.Days,
+      date: rule.Expiration.Date,
+      expiredObjectDeleteMarker: rule.Expiration.ExpiredObjectDeleteMarker
+    } : null,
+    noncurrentVersionTransitions: (rule.NoncurrentVersionTransitions || []).map(transition => ({
+      noncurrentDays: transition.NoncurrentDays,
+      newerNoncurrentVersions: transition.NewerNoncurrentVersions,
+      storageClass: transition.StorageClass
+    })),
+    noncurrentVersionExpiration: rule.NoncurrentVersionExpiration ? {
+      noncurrentDays: rule.NoncurrentVersionExpiration.NoncurrentDays,
+      newerNoncurrentVersions: rule.NoncurrentVersionExpiration.NewerNoncurrentVersions
+    } : null,
+    abortIncompleteMultipartUpload: rule.AbortIncompleteMultipartUpload ? {
+      daysAfterInitiation: rule.AbortIncompleteMultipartUpload.DaysAfterInitiation
+    } : null
+  };
+}
+
+function toS3LifecycleFilter({ prefix = '', tags = [], objectSizeGreaterThan, objectSizeLessThan } = {}) {
+  const s3Tags = tags.map(tag => ({ Key: tag.key, Value: tag.value }));
+  const conditionCount = (prefix ? 1 : 0) + s3Tags.length +
+    (objectSizeGreaterThan != null ? 1 : 0) + (objectSizeLessThan != null ? 1 : 0);
+  
+  // More than one condition has to be wrapped in And
+  if (conditionCount > 1) {
+    return {
+      And: {
+        Prefix: prefix || undefined,
+        Tags: s3Tags.length > 0 ? s3Tags : undefined,
+        ObjectSizeGreaterThan: objectSizeGreaterThan,
+        ObjectSizeLessThan: objectSizeLessThan
+      }
+    };
+  }
+  if (s3Tags.length === 1) return { Tag: s3Tags[0] };
+  if (objectSizeGreaterThan != null) return { ObjectSizeGreaterThan: objectSizeGreaterThan };
+  if (objectSizeLessThan != null) return { ObjectSizeLessThan: objectSizeLessThan };
+  
+  // An empty prefix applies the rule to the whole bucket
+  return { Prefix: prefix };
+}
+
+function toS3LifecycleRule(rule) {
+  return {
+    ID: rule.id,
+    Status: rule.status,
+    Filter: toS3LifecycleFilter(rule.filter),
+    Transitions: rule.transitions?.length ? rule.transitions.map(transition => ({
+      Days: transition.days,
+      Date: transition.date ? new Date(transition.date) : undefined,
+      StorageClass: transition.storageClass
+    })) : undefined,
+    Expiration: rule.expiration ? {
+      Days: rule.expiration.days,
+      Date: rule.expiration.date ? new Date(rule.expiration.date) : undefined,
+      ExpiredObjectDeleteMarker: rule.expiration.expiredObjectDeleteMarker
+    } : undefined,
+    NoncurrentVersionTransitions: rule.noncurrentVersionTransitions?.length
+      ? rule.noncurrentVersionTransitions.map(transition => ({
+        NoncurrentDays: transition.noncurrentDays,
+        NewerNoncurrentVersions: transition.newerNoncurrentVersions,
+        StorageClass: transition.storageClass
+      }))
+      : undefined,
+    NoncurrentVersionExpiration: rule.noncurrentVersionExpiration ? {
+      NoncurrentDays: rule.noncurrentVersionExpiration.noncurrentDays,
+      NewerNoncurrentVersions: rule.noncurrentVersionExpiration.newerNoncurrentVersions
+    } : undefined,
+    AbortIncompleteMultipartUpload: rule.abortIncompleteMultipartUpload ? {
+      DaysAfterInitiation: rule.abortIncompleteMultipartUpload.daysAfterInitiation
+    } : undefined
+  };
+}
+
+// Most keys a single DeleteObjects request accepts
+const MAX_DELETE_OBJECTS = 1000;
+
+// Objects in these classes must be restored before they can be read or copied
+const ARCHIVE_STORAGE_CLASSES = ['GLACIER', 'DEEP_ARCHIVE'];
+
+// Restore state of an archived object (GLACIER, DEEP_ARCHIVE or an Intelligent-Tiering
+// archive tier) from HeadObject: { status: 'archived' | 'in-progress' | 'restored', expiresAt }.
+// Null for objects that can always be read. The Restore header looks like
+// ongoing-request="false", expiry-date="Fri, 21 Dec 2012 00:00:00 GMT".
+function toRestoreStatus({ StorageClass, ArchiveStatus, Restore }) {
+  if (!ARCHIVE_STORAGE_CLASSES.includes(StorageClass) && !ArchiveStatus) return null;
+  if (!Restore) return { status: 'archived', expiresAt: null };
+  if (Restore.includes('ongoing-request="true"')) return { status: 'in-progress', expiresAt: null };
+  
+  const expiry = Restore.match(/expiry-date="([^"]+)"/);
+  return { status: 'restored', expiresAt: expiry ? new Date(expiry[1]).toISOString() : null };
+}
+
+// Object Lock state from HeadObject: { mode, retainUntil, legalHold }, or null when the
+// object has neither retention nor a legal hold. Only returned to callers allowed to read them
+// (s3:GetObjectRetention and s3:GetObjectLegalHold).
+function toObjectLock({ ObjectLockMode, ObjectLockRetainUntilDate, ObjectLockLegalHoldStatus }) {
+  if (!ObjectLockMode && ObjectLockLegalHoldStatus !== 'ON') return null;
+  
+  return {
+    mode: ObjectLockMode || null,
+    retainUntil: ObjectLockRetainUntilDate ? new Date(ObjectLockRetainUntilDate).toISOString() : null,
+    legalHold: ObjectLockLegalHoldStatus === 'ON'
+  };
+}
+
+const PUBLIC_GROUPS = {
+  'http://acs.amazonaws.com/groups/global/AllUsers': 'everyone',
+  'http://acs.amazonaws.com/groups/global/AuthenticatedUsers': 'any AWS account'
+};
+
+function fromS3Grant({ Grantee = {}, Permission }) {
+  return {
+    granteeType: Grantee.Type,
+    grantee: Grantee.ID || Grantee.URI || Grantee.EmailAddress || null,
+    displayName: Grantee.DisplayName || null,
+    permission: Permission
+  };
+}
+
+function fromS3AccessPoint({ Name, Bucket, Alias, AccessPointArn, NetworkOrigin, VpcConfiguration }) {
+  return {
+    name: Name,
+    bucket: Bucket,
+    alias: Alias || null,
+    arn: AccessPointArn || null,
+    networkOrigin: NetworkOrigin,
+    vpcId: VpcConfiguration?.VpcId || null
+  };
+}
+
+function fromS3Acl({ Owner = {}, Grants = [] }) {
+  return {
+    owner: {
+      id: Owner.ID || null,
+      displayName: Owner.DisplayName || null
+    },
+    grants: Grants.map(fromS3Grant)
+  };
+}
+
+// Public exposure of a bucket: { status, reasons, ...inputs }. status is 'public' when
+// anyone can reach it now, 'at-risk' when nothing is public yet but Block Public Access
+// leaves a way open (or is the only thing stopping an existing public grant), else 'private'.
+// reasons explain the status, most serious first.
+function assessPublicExposure({ publicAccessBlock, policyIsPublic, aclGrants, objectOwnership }) {
+  const aclsEnabled = objectOwnership !== 'BucketOwnerEnforced';
+  const publicGrants = aclGrants.filter(grant => PUBLIC_GROUPS[grant.grantee]);
+  const exposures = [];
+  const risks = [];
+  
+  if (policyIsPublic) {
+    if (publicAccessBlock.restrictPublicBuckets) {
+      risks.push('Bucket policy grants public access, held back only by RestrictPublicBuckets');
+    } else {
+      exposures.push('Bucket policy grants public access');
+    }
+  } else if (!publicAccessBlock.blockPublicPolicy) {
+    risks.push('BlockPublicPolicy is off, so a public bucket policy can be added');
+  }
+  
+  if (aclsEnabled) {
+    publicGrants.forEach(grant => {
+      const description = `Bucket ACL grants ${grant.permission} to ${PUBLIC_GROUPS[grant.grantee]}`;
+      if (publicAccessBlock.ignorePublicAcls) {
+        risks.push(`${description}, held back only by IgnorePublicAcls`);
+      } else {
+        exposures.push(description);
+      }
+    });
+    
+    if (!publicAccessBlock.ignorePublicAcls) {
+      risks.push('ACLs are enabled and IgnorePublicAcls is off, so object ACLs can make objects public');
+    }
+  }
+  
+  return {
+    status: exposures.length > 0 ? 'public' : risks.length > 0 ? 'at-risk' : 'private',
+    reasons: [...exposures, ...risks],
+    publicAccessBlock,
+    policyIsPublic,
+    publicAclGrants: aclsEnabled ? publicGrants : [],
+    objectOwnership
+  };
+}
+
+function fromS3Website({ IndexDocument, ErrorDocument, RedirectAllRequestsTo, RoutingRules = [] }) {
+  if (RedirectAllRequestsTo) {
+    return {
+      redirectAllRequestsTo: {
+        hostName: RedirectAllRequestsTo.HostName,
+        protocol: RedirectAllRequestsTo.Protocol || null
+      }
+    };
+  }
+  
+  return {
+    indexDocument: IndexDocument?.Suffix || null,
+    errorDocument: ErrorDocument?.Key || null,
+    routingRules: RoutingRules.map(({ Condition, Redirect = {} }) => ({
+      condition: Condition ? {
+        keyPrefixEquals: Condition.KeyPrefixEquals ?? null,
+        httpErrorCodeReturnedEquals: Condition.HttpErrorCodeReturnedEquals || null
+      } : null,
+      redirect: {
+        protocol: Redirect.Protocol || null,
+        hostName: Redirect.HostName || null,
+        httpRedirectCode: Redirect.HttpRedirectCode || null,
+        replaceKeyPrefixWith: Redirect.ReplaceKeyPrefixWith ?? null,
+        replaceKeyWith: Redirect.ReplaceKeyWith || null
+      }
+    }))
+  };
+}
+
+function toS3Website({ indexDocument, errorDocument, routingRules = [], redirectAllRequestsTo }) {
+  if (redirectAllRequestsTo) {
+    return {
+      RedirectAllRequestsTo: {
+        HostName: redirectAllRequestsTo.hostName,
+        Protocol: redirectAllRequestsTo.protocol
+      }
+    };
+  }
+  
+  return {
+    IndexDocument: { Suffix: indexDocument },
+    ...(errorDocument && { ErrorDocument: { Key: errorDocument } }),
+    ...(routingRules.length > 0 && {
+      RoutingRules: routingRules.map(({ condition, redirect }) => ({
+        ...(condition && {
+          Condition: {
+            KeyPrefixEquals: condition.keyPrefixEquals,
+            HttpErrorCodeReturnedEquals: condition.httpErrorCodeReturnedEquals
+          }
+        }),
+        Redirect: {
+          Protocol: redirect.protocol,
+          HostName: redirect.hostName,
+          HttpRedirectCode: redirect.httpRedirectCode,
+          ReplaceKeyPrefixWith: redirect.replaceKeyPrefixWith,
+          ReplaceKeyWith: redirect.replaceKeyWith
+        }
+      }))
+    })
+  };
+}
+
+// Regions launched before 2014 put a dash between "s3-website" and the region, later ones a dot
+const DASHED_WEBSITE_REGIONS = [
+  'us-east-1', 'us-west-1', 'us-west-2', 'eu-west-1', 'ap-southeast-1', 'ap-southeast-2',
+  'ap-northeast-1', 'sa-east-1', 'us-gov-west-1'
+];
+
+// LocationConstraint is empty for us-east-1 and "EU" for some old eu-west-1 buckets
+function buildWebsiteEndpoint(bucketName, locationConstraint) {
+  const region = !locationConstraint ? 'us-east-1' : locationConstraint === 'EU' ? 'eu-west-1' : locationConstraint;
+  const separator = DASHED_WEBSITE_REGIONS.includes(region) ? '-' : '.';
+  const domain = region.startsWith('cn-') ? 'amazonaws.com.cn' : 'amazonaws.com';
+  return `http://${bucketName}.s3-website${separator}${region}.${domain}`;
+}
+
+function needsRestore(head) {
+  const restore = toRestoreStatus(head);
+  return Boolean(restore) && restore.status !== 'restored';
+}
+
+function restoreRequiredError(key, { StorageClass, ArchiveStatus }, action = 'downloading') {
+  const where = ArchiveStatus ? `an Intelligent-Tiering archive tier (${ArchiveStatus})` : StorageClass || 'an archive storage class';
+  const error = new Error(`"${key}" is archived in ${where}; restore it before ${action}`);
+  error.code = 'RESTORE_REQUIRED';
+  return error;
+}
+
+// Largest object a single CopyObject request can copy
+const MAX_COPY_OBJECT_SIZE = 5 * 1024 * 1024 * 1024;
+
+// HeadObject reports a missing key as NotFound, other calls as NoSuchKey
+function isNotFoundError(error) {
+  return error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+}
+
+// Copies don't keep the website redirect, so the source's is passed on unless a new one
+// is given; null removes it
+function toWebsiteRedirectLocation(source, websiteRedirectLocation) {
+  if (websiteRedirectLocation === undefined) return source.WebsiteRedirectLocation;
+  return websiteRedirectLocation || undefined;
+}
+
+// Copying an object onto itself re-encrypts it with the bucket default unless its KMS key is given
+function toSourceEncryption(source) {
+  return source.ServerSideEncryption === 'aws:kms'
+    ? { algorithm: 'aws:kms', kmsKeyId: source.SSEKMSKeyId, bucketKeyEnabled: source.BucketKeyEnabled }
+    : undefined;
+}
+
+// Replacing metadata resets every stored header, so the source's are carried over
+function toCopyHeaders(source, { metadata, contentType }) {
+  return {
+    Metadata: metadata ?? source.Metadata,
+    ContentType: contentType ?? source.ContentType,
+    CacheControl: source.CacheControl,
+    ContentDisposition: source.ContentDisposition,
+    ContentEncoding: source.ContentEncoding,
+    ContentLanguage: source.ContentLanguage
+  };
+}
+
+// CopySource is "bucket/key" and must be URL-encoded, keeping the slashes in the key
+function buildCopySource(bucketName, key, versionId) {
+  const source = `${bucketName}/${key.split('/').map(encodeURIComponent).join('/')}`;
+  return versionId ? `${source}?versionId=${encodeURIComponent(versionId)}` : source;
 }
 
 export default new S3Service();
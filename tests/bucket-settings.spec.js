@@ -0,0 +1,268 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Bucket Settings Tests', () => {
+  test('should show the versioning status of a bucket', async ({ page }) => {
+    await page.goto('http://localhost:5174/settings/robm-bucket/versioning');
+
+    await expect(page.locator('h1:has-text("robm-bucket")')).toBeVisible();
+
+    const statuses = page.locator('p.font-medium', { hasText: /^(Enabled|Suspended|Never enabled)$/ });
+    await expect(statuses).toHaveCount(1, { timeout: 10000 });
+
+    const status = await statuses.textContent();
+    const toggleButton = page.locator('button', { hasText: status === 'Enabled' ? 'Suspend Versioning' : 'Enable Versioning' });
+    await expect(toggleButton).toBeVisible();
+
+    // Changing the status must ask for confirmation first; cancel without changing anything
+    await toggleButton.click();
+    await expect(page.locator('.modal-content')).toBeVisible();
+    await page.locator('.modal-content button:has-text("Cancel")').click();
+    await expect(statuses).toHaveText(status);
+
+    console.log(`✅ Versioning status: ${status}`);
+  });
+
+  test('should validate lifecycle rules before saving', async ({ page }) => {
+    await page.goto('http://localhost:5174/settings/robm-bucket/lifecycle');
+
+    await expect(page.locator('h2:has-text("Lifecycle Rules")')).toBeVisible({ timeout: 10000 });
+    await page.locator('button:has-text("Add Rule")').click();
+
+    // A new rule has no actions yet, so it can't be saved
+    const saveButton = page.locator('button:has-text("Save Rules")');
+    await expect(page.locator('text=Add at least one action')).toBeVisible();
+    await expect(saveButton).toBeDisabled();
+
+    // Standard-IA needs 30 days; 10 days is rejected
+    const rule = page.locator('.card', { has: page.locator('input[placeholder="Rule name"]') }).last();
+    await rule.locator('text=Transition current versions').click();
+    await rule.locator('input[type="number"]').first().fill('10');
+    await expect(rule.locator('text=Standard-IA requires at least 30 days')).toBeVisible();
+    await expect(saveButton).toBeDisabled();
+
+    await rule.locator('input[type="number"]').first().fill('30');
+    await expect(rule.locator('ul')).toHaveCount(0);
+    await expect(saveButton).toBeEnabled();
+
+    // Leave the bucket as it was
+    await page.locator('button:has-text("Discard Changes")').click();
+  });
+
+  test('should validate the bucket policy and insert templates', async ({ page }) => {
+    await page.goto('http://localhost:5174/settings/robm-bucket/policy');
+
+    await expect(page.locator('h2:has-text("Bucket Policy")')).toBeVisible({ timeout: 10000 });
+
+    const editor = page.locator('textarea');
+    const saveButton = page.locator('button:has-text("Save Policy")');
+
+    await editor.fill('{ "Version": "2012-10-17", "Statement": [ }');
+    await expect(page.locator('text=Invalid JSON')).toBeVisible();
+    await expect(saveButton).toBeDisabled();
+
+    // The template starts a new policy from invalid text and the result is valid
+    await page.locator('select').first().selectOption('deny-insecure-transport');
+    await page.locator('button:has-text("Insert Template")').click();
+    await expect(editor).toHaveValue(/DenyInsecureTransport/);
+    await expect(editor).toHaveValue(/arn:aws:s3:::robm-bucket\/\*/);
+    await expect(page.locator('text=Invalid JSON')).toHaveCount(0);
+    await expect(saveButton).toBeEnabled();
+
+    // Leave the bucket as it was
+    await page.locator('button:has-text("Discard Changes")').click();
+  });
+
+  test('should validate CORS rules and test origins locally', async ({ page }) => {
+    await page.goto('http://localhost:5174/settings/robm-bucket/cors');
+
+    await expect(page.locator('h2:has-text("CORS Rules")')).toBeVisible({ timeout: 10000 });
+    await page.locator('button:has-text("Add Rule")').click();
+
+    const rule = page.locator('.card', { has: page.locator('input[placeholder="ID (optional)"]') }).last();
+    const origins = rule.locator('textarea').first();
+
+    await origins.fill('https://app.example.com/');
+    await expect(rule.locator('text=no path or trailing slash')).toBeVisible();
+    await expect(page.locator('button:has-text("Save Rules")')).toBeDisabled();
+
+    await origins.fill('https://*.example.com');
+    await expect(rule.locator('ul')).toHaveCount(0);
+
+    // The tester evaluates the unsaved rules
+    const tester = page.locator('.card', { hasText: 'Test Origin' });
+    await tester.locator('input').first().fill('https://app.example.com');
+    await tester.locator('select').selectOption('GET');
+    await expect(tester.locator('text=/Allowed by rule/')).toBeVisible();
+
+    await tester.locator('input').first().fill('https://evil.test');
+    await expect(tester.locator('text=No rule allows the origin https://evil.test')).toBeVisible();
+
+    // Leave the bucket as it was
+    await page.locator('button:has-text("Discard Changes")').click();
+  });
+
+  test('should validate bucket tags before saving', async ({ page }) => {
+    await page.goto('http://localhost:5174/settings/robm-bucket/tags');
+
+    await expect(page.locator('h3:has-text("Bucket Tags")')).toBeVisible({ timeout: 10000 });
+    await page.locator('button:has-text("Add tag")').click();
+
+    const keyInputs = page.locator('input[placeholder="Key"]');
+    await keyInputs.last().fill('aws:reserved');
+    await expect(page.locator('text=uses the reserved "aws:" prefix')).toBeVisible();
+    await expect(page.locator('button:has-text("Save Tags")')).toBeDisabled();
+
+    await keyInputs.last().fill('cost-center');
+    await expect(page.locator('button:has-text("Save Tags")')).toBeEnabled();
+
+    // Leave the bucket as it was
+    await page.locator('button:has-text("Discard")').click();
+  });
+
+  test('should validate the KMS key of default encryption', async ({ page }) => {
+    await page.goto('http://localhost:5174/settings/robm-bucket/encryption');
+
+    await expect(page.locator('h2:has-text("Default Encryption")')).toBeVisible({ timeout: 10000 });
+    await page.locator('label:has-text("SSE-KMS") input[type="radio"]').check();
+
+    const keyInput = page.locator('input[placeholder^="arn:aws:kms"]');
+    await keyInput.fill('not-a-key');
+    await expect(page.locator('text=Enter a key ARN, alias ARN, alias/name or key ID')).toBeVisible();
+    await expect(page.locator('button:has-text("Save Encryption")')).toBeDisabled();
+
+    await keyInput.fill('alias/app-data');
+    await expect(page.locator('text=Enter a key ARN, alias ARN, alias/name or key ID')).not.toBeVisible();
+  });
+
+  test('should show Object Lock status and confirm before enabling it', async ({ page }) => {
+    await page.goto('http://localhost:5174/settings/robm-bucket/object-lock');
+
+    await expect(page.locator('h2:has-text("Object Lock")')).toBeVisible({ timeout: 10000 });
+
+    const enableButton = page.locator('button:has-text("Enable Object Lock")');
+    if (await enableButton.count() === 0) {
+      // Already enabled: the default retention form is shown instead
+      await expect(page.locator('text=Default retention')).toBeVisible();
+      console.log('Object Lock already enabled on robm-bucket');
+      return;
+    }
+
+    // Enabling is irreversible, so it must be confirmed; cancel without changing anything
+    await enableButton.click();
+    await expect(page.locator('.modal-content:has-text("can never be turned off")')).toBeVisible();
+    await page.locator('.modal-content button:has-text("Cancel")').click();
+    await expect(page.locator('p.font-medium:has-text("Not enabled")')).toBeVisible();
+  });
+
+  test('should confirm before turning off public access blocks', async ({ page }) => {
+    await page.goto('http://localhost:5174/settings/robm-bucket/public-access');
+
+    await expect(page.locator('h2:has-text("Block Public Access")')).toBeVisible({ timeout: 10000 });
+
+    const blockAll = page.locator('label:has-text("Block all public access") input');
+    test.skip(!(await blockAll.isChecked()), 'robm-bucket does not block all public access, so there is nothing to turn off');
+
+    // Loosening a block needs confirmation; cancel without saving
+    await blockAll.uncheck();
+    await page.locator('button:has-text("Save Public Access Settings")').click();
+    await expect(page.locator('.modal-content:has-text("readable by anyone")')).toBeVisible();
+    await page.locator('.modal-content button:has-text("Cancel")').click();
+    await expect(page.locator('.modal-content')).toHaveCount(0);
+  });
+
+  test('should show object ownership and the bucket ACL', async ({ page }) => {
+    await page.goto('http://localhost:5174/settings/robm-bucket/ownership');
+
+    await expect(page.locator('h2:has-text("Object Ownership")')).toBeVisible({ timeout: 10000 });
+    await expect(page.locator('text=Bucket owner').first()).toBeVisible();
+    await expect(page.locator('th:has-text("Grantee")')).toBeVisible();
+
+    const disableButton = page.locator('button:has-text("Disable ACLs")');
+    test.skip(
+      await disableButton.count() === 0 || await disableButton.isDisabled(),
+      'ACLs are already disabled on robm-bucket, or its ACL grants other accounts'
+    );
+
+    // Disabling ACLs changes who owns existing objects, so it must be confirmed; cancel it
+    await disableButton.click();
+    await expect(page.locator('.modal-content:has-text("own every object")')).toBeVisible();
+    await page.locator('.modal-content button:has-text("Cancel")').click();
+    await expect(page.locator('.modal-content')).toHaveCount(0);
+  });
+
+  test('should show the website endpoint and validate website settings', async ({ page }) => {
+    await page.goto('http://localhost:5174/settings/robm-bucket/website');
+
+    await expect(page.locator('h2:has-text("Static Website Hosting")')).toBeVisible({ timeout: 10000 });
+    await expect(page.locator('text=/robm-bucket\.s3-website[.-]/').first()).toBeVisible();
+
+    // A redirect target needs a bare host name; nothing is saved
+    await page.locator('label:has-text("Redirect all requests") input').check();
+    await page.locator('input[placeholder="www.example.com"]').fill('https://example.com/path');
+    await expect(page.locator('text=Enter the host name to redirect to')).toBeVisible();
+    await expect(page.locator('button:has-text("Save Website Settings")')).toBeDisabled();
+    await page.locator('button:has-text("Discard Changes")').click();
+  });
+
+  test('should validate a new access point before creating it', async ({ page }) => {
+    await page.goto('http://localhost:5174/settings/robm-bucket/access-points');
+
+    const heading = page.locator('h2:has-text("Access Points")');
+    const loadError = page.locator('text=Failed to load access points');
+    await expect(heading.or(loadError)).toBeVisible({ timeout: 10000 });
+    test.skip(await loadError.isVisible(), 'Access points are unavailable (is AWS_ACCOUNT_ID set?)');
+
+    // Invalid names and VPC IDs are caught before anything is created
+    await page.locator('button:has-text("Create Access Point")').click();
+    const modal = page.locator('.modal-content');
+    await modal.locator('input[placeholder="analytics-readers"]').fill('reports-s3alias');
+    await expect(modal.locator('text=Name cannot end with -s3alias')).toBeVisible();
+    await modal.locator('input[placeholder="analytics-readers"]').fill('reports');
+    await modal.locator('label:has-text("Virtual private cloud") input').check();
+    await modal.locator('input[placeholder="vpc-0123456789abcdef0"]').fill('vpc-123');
+    await expect(modal.locator('text=VPC ID must look like')).toBeVisible();
+    await expect(modal.locator('button[type="submit"]')).toBeDisabled();
+    await modal.locator('button:has-text("Cancel")').click();
+    await expect(modal).toHaveCount(0);
+  });
+
+  test('should flag overlapping event notifications before saving', async ({ page }) => {
+    await page.goto('http://localhost:5174/settings/robm-bucket/notifications');
+
+    await expect(page.locator('h2:has-text("Event Notifications")')).toBeVisible({ timeout: 10000 });
+    const existing = await page.locator('text=/^Destination \\d+$/').count();
+
+    // Two queues receiving all created events for images/ and images/thumbs/ overlap; nothing is saved
+    for (const [offset, prefix] of ['images/', 'images/thumbs/'].entries()) {
+      await page.locator('button:has-text("Add Destination")').click();
+      const editor = page.locator('.card', { hasText: new RegExp(`Destination ${existing + offset + 1}\\b`) });
+      await editor.locator('input[placeholder^="arn:aws:sqs"]').fill('arn:aws:sqs:us-east-1:123456789012:thumbnails');
+      await editor.locator('input[placeholder="images/"]').fill(prefix);
+    }
+
+    await expect(page.locator(`text=Overlaps with destination ${existing + 1}`)).toBeVisible();
+    await expect(page.locator('button:has-text("Save Notifications")')).toBeDisabled();
+    await page.locator('button:has-text("Discard Changes")').click();
+    await expect(page.locator('text=/^Destination \\d+$/')).toHaveCount(existing);
+  });
+
+  test('should list bucket encryption in the encryption report', async ({ page }) => {
+    await page.goto('http://localhost:5174/');
+
+    await page.locator('button:has-text("Encryption Report")').click();
+    await expect(page.locator('h2:has-text("Encryption Report")')).toBeVisible();
+    await expect(page.locator('td:has-text("robm-bucket")')).toBeVisible({ timeout: 10000 });
+    await expect(page.locator('button:has-text("Download CSV")')).toBeVisible();
+  });
+
+  test('should open settings from the bucket card', async ({ page }) => {
+    await page.goto('http://localhost:5174/');
+
+    const bucketCard = page.locator('.card.group', { hasText: 'robm-bucket' });
+    await bucketCard.hover();
+    await bucketCard.locator('button[title="Bucket settings"]').click();
+
+    await expect(page).toHaveURL(/\/settings\/robm-bucket/);
+    await expect(page.locator('text=Overview').first()).toBeVisible();
+  });
+});
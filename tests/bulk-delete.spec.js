@@ -1,9 +1,23 @@
 import { test, expect } from '@playwright/test';
+import { BUCKET, createTestFolder, seedFiles, removeFiles } from './utils/seedFiles.js';
+
+let folder;
+let keys = [];
 
 test.describe('Bulk Delete Progress Tests', () => {
+  // Every test deletes what it selects, so each one gets its own files
+  test.beforeEach(async () => {
+    folder = createTestFolder('bulk-delete');
+    keys = await seedFiles(folder, ['first.txt', 'second.txt']);
+  });
+
+  test.afterEach(async () => {
+    await removeFiles(keys);
+  });
+
   test('should show progressive bulk delete with individual file status', async ({ page }) => {
     // Navigate to bucket with files
-    await page.goto('http://localhost:5174/buckets/robm-bucket');
+    await page.goto(`http://localhost:5174/buckets/${BUCKET}/${folder}`);
     
     // Wait for files to load
     await page.waitForFunction(() => {
@@ -11,15 +25,7 @@ test.describe('Bulk Delete Progress Tests', () => {
       return !loadingSpinner || loadingSpinner.offsetParent === null;
     }, { timeout: 10000 });
     
-    // Check if files exist
-    const fileCards = page.locator('.card, tr[class*="hover:bg-gray-50"]');
-    const fileCount = await fileCards.count();
-    console.log(`Found ${fileCount} files`);
-    
-    if (fileCount < 2) {
-      console.log('Need at least 2 files to test bulk delete');
-      return;
-    }
+    await expect(page.locator('.card.group, tr[class*="hover:bg-gray-50"]')).toHaveCount(2);
     
     // Select multiple files using checkboxes
     await page.locator('input[type="checkbox"]').nth(1).check(); // Skip header checkbox
@@ -61,7 +67,7 @@ test.describe('Bulk Delete Progress Tests', () => {
   
   test('should allow cancelling bulk delete operation', async ({ page }) => {
     // Navigate to bucket
-    await page.goto('http://localhost:5174/buckets/robm-bucket');
+    await page.goto(`http://localhost:5174/buckets/${BUCKET}/${folder}`);
     
     // Wait for files to load
     await page.waitForFunction(() => {
@@ -69,12 +75,7 @@ test.describe('Bulk Delete Progress Tests', () => {
       return !loadingSpinner || loadingSpinner.offsetParent === null;
     }, { timeout: 10000 });
     
-    const fileCount = await page.locator('.card, tr[class*="hover:bg-gray-50"]').count();
-    
-    if (fileCount < 2) {
-      console.log('Need at least 2 files to test bulk delete cancellation');
-      return;
-    }
+    await expect(page.locator('.card.group, tr[class*="hover:bg-gray-50"]')).toHaveCount(2);
     
     // Select files
     await page.locator('input[type="checkbox"]').nth(1).check();
@@ -105,4 +106,44 @@ test.describe('Bulk Delete Progress Tests', () => {
       console.log('ℹ️ Cancel button not visible (deletion might be too fast)');
     }
   });
-});
\ No newline at end of file
+  
+  test('should delete selected files in one batch request', async ({ page }) => {
+    await page.goto(`http://localhost:5174/buckets/${BUCKET}/${folder}`);
+    
+    await page.waitForFunction(() => {
+      const loadingSpinner = document.querySelector('.loading-spinner');
+      return !loadingSpinner || loadingSpinner.offsetParent === null;
+    }, { timeout: 10000 });
+    
+    await expect(page.locator('.card.group, tr[class*="hover:bg-gray-50"]')).toHaveCount(2);
+    
+    await page.locator('input[type="checkbox"]').nth(1).check();
+    await page.locator('input[type="checkbox"]').nth(2).check();
+    
+    page.on('dialog', async dialog => {
+      await dialog.accept();
+    });
+    
+    const singleDeletes = [];
+    page.on('request', request => {
+      if (request.method() === 'DELETE' && request.url().includes('/files/')) {
+        singleDeletes.push(request.url());
+      }
+    });
+    
+    const batchRequest = page.waitForRequest(request => request.url().includes('/delete-batch'));
+    await page.locator('button:has-text("Delete Selected")').click();
+    
+    const request = await batchRequest;
+    expect(request.postDataJSON().keys).toHaveLength(2);
+    
+    const response = await request.response();
+    const body = await response.json();
+    console.log(`Batch delete: ${body.deleted.length} deleted, ${body.errors.length} failed`);
+    
+    // Progress reflects the batch result
+    await expect(page.locator(`text=${body.deleted.length} of 2 completed`)).toBeVisible({ timeout: 5000 });
+    expect(singleDeletes).toHaveLength(0);
+    console.log('✅ Bulk delete used the batch endpoint');
+  });
+});
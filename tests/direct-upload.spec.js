@@ -0,0 +1,42 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Direct Upload Tests', () => {
+  test('should upload parts straight to S3 using presigned URLs', async ({ page }) => {
+    const apiRequests = [];
+    const s3Puts = [];
+    page.on('request', request => {
+      const url = new URL(request.url());
+      if (url.pathname.startsWith('/api/buckets/robm-bucket/uploads')) {
+        apiRequests.push(`${request.method()} ${url.pathname}`);
+      } else if (request.method() === 'PUT' && url.searchParams.has('uploadId')) {
+        s3Puts.push(url);
+      }
+    });
+
+    await page.goto('http://localhost:5174/buckets/robm-bucket');
+
+    await page.waitForFunction(() => {
+      const loadingSpinner = document.querySelector('.loading-spinner');
+      return !loadingSpinner || loadingSpinner.offsetParent === null;
+    }, { timeout: 10000 });
+
+    await page.locator('input[type="file"][multiple]').setInputFiles({
+      name: `direct-upload-${Date.now()}.txt`,
+      mimeType: 'text/plain',
+      buffer: Buffer.from('direct upload test')
+    });
+
+    await expect.poll(
+      () => apiRequests.some(request => request.endsWith('/complete')),
+      { timeout: 20000 }
+    ).toBe(true);
+
+    expect(apiRequests[0]).toBe('POST /api/buckets/robm-bucket/uploads');
+    expect(apiRequests.some(request => request.endsWith('/part-urls'))).toBe(true);
+    expect(s3Puts.length).toBeGreaterThan(0);
+    // Part data must not go through the API server
+    expect(apiRequests.some(request => request.endsWith('/files'))).toBe(false);
+
+    console.log(`✅ Uploaded ${s3Puts.length} part(s) directly to S3`);
+  });
+});
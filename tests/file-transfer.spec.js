@@ -0,0 +1,114 @@
+import { test, expect } from '@playwright/test';
+import { BUCKET, createTestFolder, seedFiles, removeFiles } from './utils/seedFiles.js';
+
+const folder = createTestFolder('transfer');
+let keys = [];
+
+test.describe('Copy, Move and Rename Tests', () => {
+  test.beforeAll(async () => {
+    keys = await seedFiles(folder, ['report.txt']);
+  });
+
+  test.afterAll(async () => {
+    await removeFiles(keys);
+  });
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto(`http://localhost:5174/buckets/${BUCKET}/${folder}`);
+
+    await page.waitForFunction(() => {
+      const loadingSpinner = document.querySelector('.loading-spinner');
+      return !loadingSpinner || loadingSpinner.offsetParent === null;
+    }, { timeout: 10000 });
+  });
+
+  test('should validate an inline rename and cancel it with Escape', async ({ page }) => {
+    const fileCards = page.locator('.card.group');
+    await expect(fileCards).toHaveCount(1);
+
+    const firstCard = fileCards.first();
+    await firstCard.hover();
+    await firstCard.locator('button[title="Rename"]').click();
+
+    const nameInput = firstCard.locator('input[aria-label="New file name"]');
+    await expect(nameInput).toBeFocused();
+
+    await nameInput.fill('other/name.txt');
+    await expect(firstCard.locator('text=Use Move to put the file in another folder')).toBeVisible();
+    await expect(firstCard.locator('button[title="Save name"]')).toBeDisabled();
+
+    await nameInput.press('Escape');
+    await expect(nameInput).not.toBeVisible();
+  });
+
+  test('should suggest a destination when copying and block moving onto itself', async ({ page }) => {
+    const fileCards = page.locator('.card.group');
+    await expect(fileCards).toHaveCount(1);
+
+    const firstCard = fileCards.first();
+    await firstCard.hover();
+    await firstCard.locator('button[title="Copy"]').click();
+
+    await expect(page.locator('h2:has-text("Copy File")')).toBeVisible();
+    const destinationKey = page.locator('input[placeholder="folder/name.ext"]');
+    await expect(destinationKey).toHaveValue(/ copy/);
+    await page.locator('button:has-text("Cancel")').click();
+
+    await firstCard.hover();
+    await firstCard.locator('button[title="Move"]').click();
+
+    await expect(page.locator('h2:has-text("Move File")')).toBeVisible();
+    await expect(page.locator('text=Choose a different bucket or key')).toBeVisible();
+    await expect(page.locator('.modal-content button:has-text("Move")').last()).toBeDisabled();
+  });
+
+  test('should show caveats before changing the storage class of selected files', async ({ page }) => {
+    // The first checkbox selects all; the second is the seeded file
+    await page.locator('input[type="checkbox"]').nth(1).check();
+    await page.locator('button:has-text("Change Storage Class")').click();
+
+    const modal = page.locator('.modal-content');
+    await modal.locator('select').selectOption('DEEP_ARCHIVE');
+    await expect(modal.locator('text=bills at least 180 days')).toBeVisible();
+    await expect(modal.locator("text=can't be downloaded until they are restored")).toBeVisible();
+    await expect(modal.locator('button:has-text("Move to Glacier Deep Archive")')).toBeVisible();
+
+    // Nothing is changed until confirmed
+    await modal.locator('button:has-text("Cancel")').click();
+    await expect(modal).not.toBeVisible();
+  });
+});
+
+test.describe('Copy Encryption Tests', () => {
+  // A folder of its own, so these files don't show up in the UI tests above
+  const kmsFolder = createTestFolder('transfer-kms');
+  const kmsKeys = [];
+
+  test.afterAll(async () => {
+    await removeFiles(kmsKeys);
+  });
+
+  test('should keep the KMS key of a copied SSE-KMS file', async ({ request }) => {
+    const [sourceKey] = await seedFiles(kmsFolder, ['kms.txt'], { encryption: { algorithm: 'aws:kms' } });
+    const copyKey = `${kmsFolder}kms copy.txt`;
+    kmsKeys.push(sourceKey, copyKey);
+
+    const copyResponse = await request.post(`/api/buckets/${BUCKET}/files/${encodeURIComponent(sourceKey)}/copy`, {
+      data: { destinationKey: copyKey }
+    });
+    expect(copyResponse.ok()).toBeTruthy();
+
+    const getEncryption = async (key) => {
+      const response = await request.get(`/api/buckets/${BUCKET}/files/${encodeURIComponent(key)}/metadata`);
+      expect(response.ok()).toBeTruthy();
+      return (await response.json()).metadata.encryption;
+    };
+
+    const source = await getEncryption(sourceKey);
+    const copy = await getEncryption(copyKey);
+    expect(source.algorithm).toBe('aws:kms');
+    // Without the source's key the copy would get the bucket default encryption instead
+    expect(copy.algorithm).toBe('aws:kms');
+    expect(copy.kmsKeyId).toBe(source.kmsKeyId);
+  });
+});
@@ -0,0 +1,44 @@
+import { test, expect } from '@playwright/test';
+import { BUCKET, createTestFolder, seedFiles, removeFiles } from './utils/seedFiles.js';
+
+const folder = createTestFolder('versions');
+let keys = [];
+
+test.describe('File Versions Tests', () => {
+  test.beforeAll(async () => {
+    keys = await seedFiles(folder, ['versioned.txt']);
+  });
+
+  test.afterAll(async () => {
+    await removeFiles(keys);
+  });
+
+  test('should list versions of a file in the Versions tab', async ({ page }) => {
+    await page.goto(`http://localhost:5174/buckets/${BUCKET}/${folder}`);
+
+    await page.waitForFunction(() => {
+      const loadingSpinner = document.querySelector('.loading-spinner');
+      return !loadingSpinner || loadingSpinner.offsetParent === null;
+    }, { timeout: 10000 });
+
+    const fileCards = page.locator('.card.group');
+    await expect(fileCards).toHaveCount(1);
+
+    await fileCards.first().click();
+    await expect(page).toHaveURL(/\/file\/robm-bucket\//);
+
+    const versionsResponse = page.waitForResponse(response =>
+      response.url().includes('/api/buckets/robm-bucket/versions?') && response.request().method() === 'GET'
+    );
+    await page.locator('button:has-text("Versions")').click();
+
+    const response = await versionsResponse;
+    expect(response.status()).toBe(200);
+
+    await expect(page.locator('text=Version History')).toBeVisible();
+    // Every object has at least its current version ("null" in unversioned buckets)
+    await expect(page.locator('text=Current')).toBeVisible();
+
+    console.log('✅ Versions tab loaded the version history');
+  });
+});
@@ -0,0 +1,146 @@
+import { test, expect } from '@playwright/test';
+import { createTestFolder, seedFiles, removeFiles } from './utils/seedFiles.js';
+
+// A file in a folder of its own makes that folder show up at the bucket root
+const folder = createTestFolder('folders');
+let keys = [];
+
+test.describe('Folder Navigation Tests', () => {
+  test.beforeAll(async () => {
+    keys = await seedFiles(folder, ['nested.txt']);
+  });
+
+  test.afterAll(async () => {
+    await removeFiles(keys);
+  });
+
+  test('should list nested prefixes as folders and open them', async ({ page }) => {
+    await page.goto('http://localhost:5174/buckets/robm-bucket');
+    
+    // Wait for files to load
+    await page.waitForFunction(() => {
+      const loadingSpinner = document.querySelector('.loading-spinner');
+      return !loadingSpinner || loadingSpinner.offsetParent === null;
+    }, { timeout: 10000 });
+    
+    const folderCard = page.locator(`.card[title="${folder}"]`);
+    await expect(folderCard).toBeVisible();
+    await folderCard.click();
+    
+    // URL should carry the prefix so the folder can be deep-linked
+    await expect(page).toHaveURL(new RegExp(`/buckets/robm-bucket/${folder}`));
+    
+    // Breadcrumb should show the bucket as a link back to the root
+    const bucketCrumb = page.locator('header a:has-text("robm-bucket")');
+    await expect(bucketCrumb).toBeVisible();
+    
+    await bucketCrumb.click();
+    await expect(page).toHaveURL(/\/buckets\/robm-bucket$/);
+    console.log('✅ Folder navigation and breadcrumbs working');
+  });
+  
+  test('should open a deep-linked folder directly', async ({ page }) => {
+    const listRequests = [];
+    page.on('request', request => {
+      if (request.url().includes('/api/buckets/robm-bucket/files')) {
+        listRequests.push(new URL(request.url()));
+      }
+    });
+    
+    await page.goto('http://localhost:5174/buckets/robm-bucket/reports/2024/');
+    
+    await page.waitForFunction(() => {
+      const loadingSpinner = document.querySelector('.loading-spinner');
+      return !loadingSpinner || loadingSpinner.offsetParent === null;
+    }, { timeout: 10000 });
+    
+    const listing = listRequests.find(url => url.searchParams.get('prefix') === 'reports/2024/');
+    expect(listing).toBeTruthy();
+    expect(listing.searchParams.get('delimiter')).toBe('/');
+    
+    // Every segment of the prefix appears in the breadcrumb
+    await expect(page.locator('header a:has-text("reports")')).toBeVisible();
+    await expect(page.locator('header span:has-text("2024")')).toBeVisible();
+    console.log('✅ Deep link requested the right prefix');
+  });
+  
+  test('should redirect an old file detail link to the file', async ({ page }) => {
+    // File details used to be at /buckets/:bucketName/files/:fileKey
+    await page.goto(`http://localhost:5174/buckets/robm-bucket/files/${encodeURIComponent(keys[0])}`);
+    
+    await expect(page).toHaveURL(`http://localhost:5174/file/robm-bucket/${encodeURIComponent(keys[0])}`);
+    console.log('✅ Old file link redirected');
+  });
+  
+  test('should validate new folder names', async ({ page }) => {
+    await page.goto('http://localhost:5174/buckets/robm-bucket');
+    
+    await page.locator('button:has-text("New Folder")').click();
+    
+    const modal = page.locator('.modal-content');
+    await expect(modal).toBeVisible();
+    
+    // Names are a single path segment
+    await modal.locator('input[placeholder="reports"]').fill('a/b');
+    await expect(modal.locator('text=Folder name cannot contain /')).toBeVisible();
+    await expect(modal.locator('button:has-text("Create Folder")')).toBeDisabled();
+    
+    await modal.locator('input[placeholder="reports"]').fill('playwright-folder');
+    await expect(modal.locator('button:has-text("Create Folder")')).toBeEnabled();
+    console.log('✅ Folder name validation working');
+  });
+  
+  test('should preview a folder before deleting it', async ({ page }) => {
+    await page.goto('http://localhost:5174/buckets/robm-bucket');
+    
+    await page.waitForFunction(() => {
+      const loadingSpinner = document.querySelector('.loading-spinner');
+      return !loadingSpinner || loadingSpinner.offsetParent === null;
+    }, { timeout: 10000 });
+    
+    const folderCard = page.locator(`.card[title="${folder}"]`);
+    await expect(folderCard).toBeVisible();
+    
+    const summaryRequest = page.waitForRequest(request => request.url().includes('/folders/summary'));
+    await folderCard.locator('button[title="Delete folder"]').click();
+    await summaryRequest;
+    
+    // Clicking the action must not navigate into the folder
+    await expect(page).toHaveURL(/\/buckets\/robm-bucket$/);
+    
+    const modal = page.locator('.modal-content');
+    await expect(modal.locator('text=will be deleted')).toBeVisible({ timeout: 10000 });
+    
+    // Back out without deleting anything
+    await modal.locator('button:has-text("Cancel")').click();
+    await expect(modal).not.toBeVisible();
+    console.log('✅ Folder delete preview shown');
+  });
+  
+  test('should offer retrieval tiers when restoring a folder', async ({ page }) => {
+    await page.goto('http://localhost:5174/buckets/robm-bucket');
+    
+    await page.waitForFunction(() => {
+      const loadingSpinner = document.querySelector('.loading-spinner');
+      return !loadingSpinner || loadingSpinner.offsetParent === null;
+    }, { timeout: 10000 });
+    
+    const folderCard = page.locator(`.card[title="${folder}"]`);
+    await expect(folderCard).toBeVisible();
+    
+    await folderCard.locator('button[title="Restore archived files"]').click();
+    
+    const modal = page.locator('.modal-content');
+    await expect(modal.locator('text=Retrieval tier')).toBeVisible();
+    await expect(modal.locator('input[name="restore-tier"]')).toHaveCount(3);
+    
+    // Restored copies last between 1 and 365 days
+    await modal.locator('input[type="number"]').fill('400');
+    await expect(modal.locator('text=Choose between 1 and 365 days')).toBeVisible();
+    await expect(modal.locator('button:has-text("Restore")')).toBeDisabled();
+    
+    await modal.locator('button:has-text("Cancel")').click();
+    await expect(modal).not.toBeVisible();
+    console.log('✅ Folder restore options shown');
+  });
+});
@@ -0,0 +1,58 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('File Listing Pagination Tests', () => {
+  test('should request the next page with the continuation token', async ({ page }) => {
+    const listRequests = [];
+    page.on('request', request => {
+      if (request.url().includes('/api/buckets/robm-bucket/files')) {
+        listRequests.push(new URL(request.url()));
+      }
+    });
+    
+    await page.goto('http://localhost:5174/buckets/robm-bucket');
+    
+    // Wait for files to load
+    await page.waitForFunction(() => {
+      const loadingSpinner = document.querySelector('.loading-spinner');
+      return !loadingSpinner || loadingSpinner.offsetParent === null;
+    }, { timeout: 10000 });
+    
+    const loadMoreButton = page.locator('button:has-text("Load More")');
+    // Seeding more than a page (1,000 objects) per run is too slow, so this needs a bucket that already has one
+    test.skip(await loadMoreButton.count() === 0, 'robm-bucket fits in a single page, nothing to paginate');
+    
+    const cards = page.locator('.card.group, tr[class*="hover:bg-gray-50"]');
+    const firstPageCount = await cards.count();
+    
+    await loadMoreButton.click();
+    await expect.poll(() => cards.count(), { timeout: 15000 }).toBeGreaterThan(firstPageCount);
+    
+    const pagedRequest = listRequests.find(url => url.searchParams.has('continuationToken'));
+    expect(pagedRequest).toBeTruthy();
+    console.log(`✅ Loaded next page: ${firstPageCount} -> ${await cards.count()} items`);
+  });
+  
+  test('should load the next page when scrolling to the end of the gallery', async ({ page }) => {
+    await page.goto('http://localhost:5174/buckets/robm-bucket');
+    
+    await page.waitForFunction(() => {
+      const loadingSpinner = document.querySelector('.loading-spinner');
+      return !loadingSpinner || loadingSpinner.offsetParent === null;
+    }, { timeout: 10000 });
+    
+    await page.locator('button[title="Gallery view"]').click();
+    
+    const loadMoreButton = page.locator('button:has-text("Load More")');
+    // Seeding more than a page (1,000 objects) per run is too slow, so this needs a bucket that already has one
+    test.skip(await loadMoreButton.count() === 0, 'robm-bucket fits in a single page, nothing to paginate');
+    
+    const galleryCards = page.locator('.card.group');
+    const firstPageCount = await galleryCards.count();
+    
+    // Scrolling the sentinel into view should fetch without clicking
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    await expect.poll(() => galleryCards.count(), { timeout: 15000 }).toBeGreaterThan(firstPageCount);
+    
+    console.log('✅ Infinite scroll loaded another page');
+  });
+});
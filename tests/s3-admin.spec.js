@@ -201,4 +201,27 @@ test.describe('AWS S3 Resource Admin', () => {
     await page.keyboard.press('Escape');
     await expect(page.locator('text=Create New Bucket')).not.toBeVisible();
   });
+
+  test('should require the bucket name before emptying a bucket', async ({ page }) => {
+    // Nothing is emptied: the test backs out before confirming
+    const bucketName = 'robm-bucket';
+    const bucketCard = page.locator(`.card:has(h3[title="${bucketName}"])`);
+    await expect(bucketCard).toBeVisible({ timeout: 10000 });
+    await bucketCard.hover();
+    await bucketCard.locator('button[title="Empty bucket"]').click();
+    
+    const modal = page.locator('.modal-content');
+    const emptyButton = modal.locator('button:has-text("Empty Bucket")');
+    await expect(emptyButton).toBeDisabled();
+    
+    await modal.locator(`input[placeholder="${bucketName}"]`).fill(`${bucketName}-typo`);
+    await expect(emptyButton).toBeDisabled();
+    
+    // Ticking deletion changes what the button does
+    await modal.locator('text=Delete the bucket once it is empty').click();
+    await expect(modal.locator('button:has-text("Empty and Delete Bucket")')).toBeVisible();
+    
+    await modal.locator('button:has-text("Cancel")').click();
+    await expect(modal).not.toBeVisible();
+  });
 });
@@ -0,0 +1,39 @@
+import { request, expect } from '@playwright/test';
+
+// Tests that need files upload their own into a folder of robm-bucket, so they neither depend
+// on nor change what is already in the bucket
+export const BUCKET = 'robm-bucket';
+
+// Unique per run and worker, so parallel workers don't see each other's files
+export const createTestFolder = (name) => `playwright-${name}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}/`;
+
+const createApi = () => request.newContext({ baseURL: 'http://localhost:5174' });
+
+// Uploads a small text file for each name and returns the keys. encryption is sent as the
+// upload's SSE options ({ algorithm, kmsKeyId }); the bucket default applies otherwise.
+export const seedFiles = async (folder, names, { encryption } = {}) => {
+  const api = await createApi();
+  const keys = [];
+  for (const name of names) {
+    const key = `${folder}${name}`;
+    // The key and encryption fields have to come before the file part
+    const response = await api.post(`/api/buckets/${BUCKET}/files`, {
+      multipart: {
+        key,
+        ...(encryption && { encryption: JSON.stringify(encryption) }),
+        file: { name, mimeType: 'text/plain', buffer: Buffer.from(`Test file ${name}\n`) }
+      }
+    });
+    expect(response.ok(), `Seeding ${key} failed: ${await response.text()}`).toBeTruthy();
+    keys.push(key);
+  }
+  await api.dispose();
+  return keys;
+};
+
+// Keys that a test already deleted are ignored by S3
+export const removeFiles = async (keys) => {
+  const api = await createApi();
+  await api.post(`/api/buckets/${BUCKET}/delete-batch`, { data: { keys } });
+  await api.dispose();
+};